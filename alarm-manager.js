@@ -0,0 +1,415 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const SafetyLimits = require('./safety-limits');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+
+// Units that are not an electrolyzer, e.g. the broker connection
+const SYSTEM_UNIT = 'system';
+
+// Condition changes kept in the history but not announced while an alarm is shelved
+const SHELVED_SILENT_EVENTS = ['raised', 'cleared'];
+
+// Built-in alarms derived from the safety limits. Analog alarms compare a plant
+// variable against a setpoint; 'stale' and 'event' alarms are raised by time or
+// by the server itself.
+function defaultDefinitions(limits) {
+  return {
+    TEMP_HIGH: {
+      description: 'Stack temperature high',
+      type: 'analog', variable: 'temperature', condition: 'high',
+      setpoint: limits.temperature.warning, deadband: 1, onDelay: 2000, priority: 'medium', escalateAfter: 600000
+    },
+    TEMP_HIGH_HIGH: {
+      description: 'Stack temperature high-high',
+      type: 'analog', variable: 'temperature', condition: 'high',
+      setpoint: limits.temperature.critical, deadband: 1, onDelay: 1000, priority: 'high', escalateAfter: 300000
+    },
+    PURITY_LOW: {
+      description: 'O₂ purity low',
+      type: 'analog', variable: 'purity', condition: 'low',
+      setpoint: limits.purity.warning, deadband: 0.05, onDelay: 5000, priority: 'high', escalateAfter: 300000
+    },
+    OVERVOLTAGE: {
+      description: 'Stack voltage high',
+      type: 'analog', variable: 'voltage', condition: 'high',
+      setpoint: limits.voltage.warning, deadband: 0.5, onDelay: 2000, priority: 'medium', escalateAfter: 600000
+    },
+    STALE_DATA: {
+      description: 'No telemetry from unit',
+      type: 'stale', timeout: 10000, priority: 'medium', escalateAfter: 600000
+    },
+    MQTT_DISCONNECT: {
+      description: 'MQTT broker connection lost',
+      type: 'event', onDelay: 5000, priority: 'high', escalateAfter: 300000
+    }
+  };
+}
+
+// Alarm lifecycle (ISA-18.2 style): active -> acknowledged -> normal, or
+// active -> cleared (returned to normal, still unacknowledged) -> normal.
+// Conditions go through a deadband and on-delay so they do not chatter, and
+// alarms can be shelved for a limited time.
+class AlarmManager {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, 'data', 'alarms');
+    this.maxShelveDuration = options.maxShelveDuration || 8 * 60 * 60 * 1000;
+    this.onEvent = options.onEvent || (() => {});
+    this.definitions = this.buildDefinitions(options.limits || {}, options.definitions || {});
+
+    this.alarms = new Map();      // alarm id -> alarm record (non-normal or shelved only)
+    this.conditions = new Map();  // alarm id -> { active, since, value }
+    this.lastTelemetry = new Map();
+    this.timer = null;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.stateFile = path.join(this.directory, 'state.json');
+    this.historyFile = path.join(this.directory, 'history.jsonl');
+    this.loadState();
+  }
+
+  buildDefinitions(limits, overrides) {
+    const definitions = defaultDefinitions(new SafetyLimits(limits).limits);
+
+    Object.entries(overrides).forEach(([code, override]) => {
+      definitions[code] = { ...(definitions[code] || { type: 'analog', deadband: 0, onDelay: 0 }), ...override };
+    });
+
+    Object.entries(definitions).forEach(([code, definition]) => {
+      definition.code = code;
+      if (!PRIORITIES.includes(definition.priority)) {
+        throw new Error(`Alarm ${code}: priority must be one of ${PRIORITIES.join(', ')}`);
+      }
+      if (definition.type === 'analog' &&
+          (!['high', 'low'].includes(definition.condition) || typeof definition.setpoint !== 'number' || !definition.variable)) {
+        throw new Error(`Alarm ${code}: analog alarms need variable, condition (high|low) and a numeric setpoint`);
+      }
+    });
+
+    return Object.fromEntries(Object.entries(definitions).filter(([, definition]) => definition.enabled !== false));
+  }
+
+  // ================= PERSISTENCE =================
+
+  loadState() {
+    if (!fs.existsSync(this.stateFile)) return;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.stateFile, 'utf8'));
+      (state.alarms || []).forEach(alarm => {
+        if (this.definitions[alarm.code]) {
+          this.alarms.set(alarm.id, alarm);
+        }
+      });
+      console.log(`🚨 Restored ${this.alarms.size} alarms`);
+    } catch (error) {
+      console.error('❌ Could not restore alarm state:', error.message);
+    }
+  }
+
+  saveState() {
+    const state = { savedAt: new Date().toISOString(), alarms: Array.from(this.alarms.values()) };
+    fs.writeFileSync(this.stateFile, JSON.stringify(state, null, 2));
+  }
+
+  appendHistory(event) {
+    fs.appendFileSync(this.historyFile, JSON.stringify(event) + '\n');
+  }
+
+  async history({ unit, from, to, limit = 500 } = {}) {
+    if (!fs.existsSync(this.historyFile)) return [];
+
+    const events = [];
+    const lines = readline.createInterface({ input: fs.createReadStream(this.historyFile), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (!line) continue;
+      let event;
+      try {
+        event = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+
+      const time = Date.parse(event.timestamp);
+      if (unit && event.alarm.unit !== unit) continue;
+      if (from !== undefined && time < from) continue;
+      if (to !== undefined && time > to) continue;
+      events.push(event);
+    }
+    return events.slice(-limit);
+  }
+
+  // ================= CONDITION EVALUATION =================
+
+  start(interval = 1000) {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), interval);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  handleTelemetry(unit, data, timestamp = Date.now()) {
+    this.lastTelemetry.set(unit, timestamp);
+    const plant = SafetyLimits.readPlant(data);
+
+    Object.values(this.definitions)
+      .filter(definition => definition.type === 'analog' && plant[definition.variable] !== undefined)
+      .forEach(definition => {
+        const value = plant[definition.variable];
+        const id = this.alarmId(unit, definition.code);
+        const wasActive = this.conditions.get(id)?.active || false;
+        this.updateCondition(unit, definition.code, this.analogCondition(definition, value, wasActive), value, timestamp);
+      });
+
+    // Fresh data clears a stale alarm immediately
+    if (this.definitions.STALE_DATA) {
+      this.updateCondition(unit, 'STALE_DATA', false, 0, timestamp);
+    }
+  }
+
+  // Active above the setpoint; only clears once past the deadband on the way back
+  analogCondition(definition, value, wasActive) {
+    const deadband = wasActive ? definition.deadband || 0 : 0;
+    return definition.condition === 'high'
+      ? value > definition.setpoint - deadband
+      : value < definition.setpoint + deadband;
+  }
+
+  // Event alarms raised by the server (e.g. MQTT connection state)
+  setEventCondition(code, active, unit = SYSTEM_UNIT) {
+    if (this.definitions[code]) {
+      this.updateCondition(unit, code, active, null);
+    }
+  }
+
+  updateCondition(unit, code, active, value, timestamp = Date.now()) {
+    const id = this.alarmId(unit, code);
+    const condition = this.conditions.get(id) || { active: false, since: null, value: null };
+
+    if (active && !condition.active) {
+      condition.since = timestamp;
+    }
+    condition.active = active;
+    condition.value = value;
+    this.conditions.set(id, condition);
+
+    this.evaluate(unit, code, timestamp);
+  }
+
+  // Periodic checks: on-delays completing, stale data, shelve expiry and escalation
+  tick(now = Date.now()) {
+    if (this.definitions.STALE_DATA) {
+      this.lastTelemetry.forEach((lastSeen, unit) => {
+        const age = now - lastSeen;
+        if (age > this.definitions.STALE_DATA.timeout) {
+          const id = this.alarmId(unit, 'STALE_DATA');
+          if (!this.conditions.get(id)?.active) {
+            this.updateCondition(unit, 'STALE_DATA', true, age, now);
+          }
+        }
+      });
+    }
+
+    this.conditions.forEach((condition, id) => {
+      if (condition.active) {
+        const [unit, code] = this.splitId(id);
+        this.evaluate(unit, code, now);
+      }
+    });
+
+    this.alarms.forEach(alarm => {
+      if (alarm.shelvedUntil && Date.parse(alarm.shelvedUntil) <= now) {
+        this.unshelve(alarm.id, { username: 'system', role: 'system' }, 'Shelve expired');
+      }
+      this.escalate(alarm, now);
+    });
+  }
+
+  evaluate(unit, code, now) {
+    const definition = this.definitions[code];
+    const id = this.alarmId(unit, code);
+    const condition = this.conditions.get(id);
+    const alarm = this.alarms.get(id);
+    if (!definition || !condition) return;
+
+    if (condition.active) {
+      if (now - condition.since < (definition.onDelay || 0)) return;
+
+      if (!alarm || alarm.state === 'cleared' || alarm.state === 'normal') {
+        this.raise(definition, unit, condition.value, now, alarm);
+      } else {
+        alarm.value = condition.value;
+      }
+    } else if (alarm && (alarm.state === 'active' || alarm.state === 'acknowledged')) {
+      this.clear(alarm, now);
+    }
+  }
+
+  // ================= LIFECYCLE =================
+
+  raise(definition, unit, value, now, existing = null) {
+    const alarm = existing || {
+      id: this.alarmId(unit, definition.code),
+      code: definition.code,
+      unit,
+      shelvedUntil: null,
+      shelvedBy: null
+    };
+
+    Object.assign(alarm, {
+      description: definition.description,
+      priority: definition.priority,
+      state: 'active',
+      value,
+      setpoint: definition.setpoint ?? null,
+      raisedAt: new Date(now).toISOString(),
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      clearedAt: null,
+      escalated: false
+    });
+    this.alarms.set(alarm.id, alarm);
+
+    this.emit('raised', alarm);
+  }
+
+  clear(alarm, now) {
+    alarm.clearedAt = new Date(now).toISOString();
+
+    if (alarm.state === 'acknowledged') {
+      alarm.state = 'normal';
+      this.emit('cleared', alarm);
+      this.retire(alarm);
+    } else {
+      alarm.state = 'cleared';
+      this.emit('cleared', alarm);
+    }
+  }
+
+  acknowledge(id, user) {
+    const alarm = this.alarms.get(id);
+    if (!alarm) throw new Error(`Unknown alarm: ${id}`);
+    if (alarm.state !== 'active' && alarm.state !== 'cleared') {
+      throw new Error(`Alarm ${id} is not awaiting acknowledgement`);
+    }
+
+    alarm.acknowledgedAt = new Date().toISOString();
+    alarm.acknowledgedBy = user.username;
+
+    if (alarm.state === 'cleared') {
+      alarm.state = 'normal';
+      this.emit('acknowledged', alarm, user);
+      this.retire(alarm);
+    } else {
+      alarm.state = 'acknowledged';
+      this.emit('acknowledged', alarm, user);
+    }
+    return { ...alarm };
+  }
+
+  shelve(id, user, duration, reason = '') {
+    const alarm = this.alarms.get(id);
+    if (!alarm) throw new Error(`Unknown alarm: ${id}`);
+    if (!(duration > 0) || duration > this.maxShelveDuration) {
+      throw new Error(`Shelve duration must be between 1 ms and ${this.maxShelveDuration} ms`);
+    }
+
+    alarm.shelvedUntil = new Date(Date.now() + duration).toISOString();
+    alarm.shelvedBy = user.username;
+    alarm.shelveReason = reason;
+    this.emit('shelved', alarm, user);
+    return { ...alarm };
+  }
+
+  unshelve(id, user, reason = '') {
+    const alarm = this.alarms.get(id);
+    if (!alarm) throw new Error(`Unknown alarm: ${id}`);
+    if (!alarm.shelvedUntil) throw new Error(`Alarm ${id} is not shelved`);
+
+    alarm.shelvedUntil = null;
+    alarm.shelvedBy = null;
+    alarm.shelveReason = null;
+    this.emit('unshelved', alarm, user, reason);
+
+    if (alarm.state === 'normal') {
+      this.retire(alarm);
+    }
+    return { ...alarm };
+  }
+
+  // Unacknowledged alarms move up one priority once
+  escalate(alarm, now) {
+    const definition = this.definitions[alarm.code];
+    if (alarm.state !== 'active' || alarm.escalated || alarm.shelvedUntil || !definition?.escalateAfter) return;
+    if (now - Date.parse(alarm.raisedAt) < definition.escalateAfter) return;
+
+    const index = PRIORITIES.indexOf(alarm.priority);
+    alarm.priority = PRIORITIES[Math.min(PRIORITIES.length - 1, index + 1)];
+    alarm.escalated = true;
+    this.emit('escalated', alarm);
+  }
+
+  // Drop an alarm that is back to normal, unless it is shelved
+  retire(alarm) {
+    if (!alarm.shelvedUntil) {
+      this.alarms.delete(alarm.id);
+      this.saveState();
+    }
+  }
+
+  emit(type, alarm, user = null, reason = null) {
+    const event = {
+      type,
+      timestamp: new Date().toISOString(),
+      user: user ? user.username : null,
+      reason,
+      alarm: { ...alarm }
+    };
+
+    this.appendHistory(event);
+    this.saveState();
+
+    if (SHELVED_SILENT_EVENTS.includes(type) && this.isShelved(alarm)) return;
+    console.log(`🚨 Alarm ${type}: ${alarm.unit} ${alarm.code} (${alarm.priority})`);
+    this.onEvent(event);
+  }
+
+  // ================= QUERIES =================
+
+  isShelved(alarm, now = Date.now()) {
+    return Boolean(alarm.shelvedUntil) && Date.parse(alarm.shelvedUntil) > now;
+  }
+
+  alarmId(unit, code) {
+    return `${unit}:${code}`;
+  }
+
+  splitId(id) {
+    const separator = id.lastIndexOf(':');
+    return [id.slice(0, separator), id.slice(separator + 1)];
+  }
+
+  // Alarms relevant to a unit (its own plus system-wide ones), highest priority first
+  list({ unit } = {}) {
+    return Array.from(this.alarms.values())
+      .filter(alarm => !unit || alarm.unit === unit || alarm.unit === SYSTEM_UNIT)
+      .sort((a, b) => PRIORITIES.indexOf(b.priority) - PRIORITIES.indexOf(a.priority) ||
+        Date.parse(b.raisedAt) - Date.parse(a.raisedAt))
+      .map(alarm => ({ ...alarm }));
+  }
+
+  getDefinitions() {
+    return Object.values(this.definitions).map(definition => ({ ...definition }));
+  }
+}
+
+AlarmManager.PRIORITIES = PRIORITIES;
+AlarmManager.SYSTEM_UNIT = SYSTEM_UNIT;
+
+module.exports = AlarmManager;
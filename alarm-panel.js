@@ -0,0 +1,230 @@
+class AlarmPanel {
+    constructor() {
+        this.alarms = [];
+        this.history = [];
+        this.visible = false;
+
+        this.priorityIcons = {
+            low: 'fas fa-info-circle',
+            medium: 'fas fa-exclamation-circle',
+            high: 'fas fa-exclamation-triangle',
+            critical: 'fas fa-radiation'
+        };
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+        this.render();
+    }
+
+    setupEventListeners() {
+        document.getElementById('alarm-panel-toggle')?.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        document.getElementById('alarm-ack-all')?.addEventListener('click', () => {
+            this.unacknowledged().forEach(alarm => this.acknowledge(alarm.id));
+        });
+
+        // Row buttons carry the alarm id and the action to take
+        document.getElementById('alarm-table-body')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-alarm-action]');
+            if (!button) return;
+
+            const id = button.dataset.alarmId;
+            switch (button.dataset.alarmAction) {
+                case 'acknowledge':
+                    this.acknowledge(id);
+                    break;
+                case 'shelve': {
+                    const duration = Number(document.getElementById('alarm-shelve-duration')?.value || 3600000);
+                    this.sendAction('alarm-shelve', { id, duration, reason: 'Shelved from dashboard' });
+                    break;
+                }
+                case 'unshelve':
+                    this.sendAction('alarm-unshelve', { id, reason: 'Unshelved from dashboard' });
+                    break;
+            }
+        });
+    }
+
+    // Full list for the selected unit, sent on connect and unit switch
+    setAlarms(alarms) {
+        this.alarms = alarms;
+        this.render();
+        if (this.visible) {
+            this.loadHistory();
+        }
+    }
+
+    handleEvent(event) {
+        const alarm = event.alarm;
+        const retired = alarm.state === 'normal' && !alarm.shelvedUntil;
+
+        this.alarms = this.alarms.filter(entry => entry.id !== alarm.id);
+        if (!retired) {
+            this.alarms.push(alarm);
+        }
+
+        this.history.unshift(event);
+        this.history = this.history.slice(0, 100);
+        this.render();
+
+        if ((event.type === 'raised' || event.type === 'escalated') && !alarm.shelvedUntil && window.mqttClient) {
+            const type = alarm.priority === 'low' ? 'info' : alarm.priority === 'medium' ? 'warning' : 'error';
+            window.mqttClient.showNotification(`Alarm ${event.type}: ${alarm.description} (${alarm.unit})`, type);
+        }
+    }
+
+    acknowledge(id) {
+        this.sendAction('alarm-acknowledge', { id });
+    }
+
+    sendAction(event, request) {
+        if (!window.mqttClient) return;
+
+        window.mqttClient.sendAlarmAction(event, request, (response) => {
+            if (response && response.status !== 'applied') {
+                window.mqttClient.showNotification(`Alarm action refused: ${response.reason || response.status}`, 'error');
+            }
+        });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        const panel = document.getElementById('alarm-panel');
+        if (panel) {
+            panel.hidden = !this.visible;
+        }
+        if (this.visible) {
+            this.loadHistory();
+        }
+    }
+
+    async loadHistory() {
+        if (!window.authClient) return;
+
+        try {
+            const unit = window.mqttClient?.unit;
+            const params = new URLSearchParams({ limit: 100 });
+            if (unit) params.set('unit', unit);
+
+            const response = await window.authClient.fetch(`/api/alarms/history?${params}`);
+            if (!response.ok) return;
+
+            this.history = (await response.json()).events.reverse();
+            this.renderHistory();
+        } catch (error) {
+            console.error('Failed to load alarm history:', error);
+        }
+    }
+
+    sorted() {
+        const rank = { critical: 3, high: 2, medium: 1, low: 0 };
+        return this.alarms.slice().sort((a, b) => rank[b.priority] - rank[a.priority] ||
+            new Date(b.raisedAt) - new Date(a.raisedAt));
+    }
+
+    // Unacknowledged alarms that are not shelved
+    unacknowledged() {
+        return this.alarms.filter(alarm =>
+            (alarm.state === 'active' || alarm.state === 'cleared') && !alarm.shelvedUntil);
+    }
+
+    render() {
+        this.renderBanner();
+        this.renderTable();
+        this.renderHistory();
+    }
+
+    renderBanner() {
+        const banner = document.getElementById('alarm-banner');
+        if (!banner) return;
+
+        const pending = this.unacknowledged();
+        const active = this.alarms.filter(alarm => alarm.state === 'active' || alarm.state === 'acknowledged');
+        const shelved = this.alarms.filter(alarm => alarm.shelvedUntil).length;
+        const top = this.sorted().find(alarm => !alarm.shelvedUntil && alarm.state !== 'normal');
+
+        banner.className = `alarm-banner ${top ? top.priority : 'normal'} ${pending.length > 0 ? 'unacknowledged' : ''}`;
+
+        const summary = document.getElementById('alarm-banner-summary');
+        if (summary) {
+            summary.textContent = top
+                ? `${top.description} (${top.unit}) — ${active.length} active, ${pending.length} unacknowledged`
+                : 'No active alarms';
+        }
+
+        const shelvedElement = document.getElementById('alarm-banner-shelved');
+        if (shelvedElement) {
+            shelvedElement.textContent = shelved > 0 ? `${shelved} shelved` : '';
+        }
+    }
+
+    renderTable() {
+        const body = document.getElementById('alarm-table-body');
+        if (!body) return;
+
+        const canAck = window.authClient?.can('alarms:acknowledge');
+        const canShelve = window.authClient?.can('alarms:shelve');
+
+        body.innerHTML = this.sorted().map(alarm => {
+            const actions = [];
+            if (canAck && (alarm.state === 'active' || alarm.state === 'cleared')) {
+                actions.push(`<button class="btn-primary" data-alarm-action="acknowledge" data-alarm-id="${this.escape(alarm.id)}">Ack</button>`);
+            }
+            if (canShelve) {
+                actions.push(alarm.shelvedUntil
+                    ? `<button class="btn-primary" data-alarm-action="unshelve" data-alarm-id="${this.escape(alarm.id)}">Unshelve</button>`
+                    : `<button class="btn-primary" data-alarm-action="shelve" data-alarm-id="${this.escape(alarm.id)}">Shelve</button>`);
+            }
+
+            const shelved = alarm.shelvedUntil
+                ? `<small>shelved until ${new Date(alarm.shelvedUntil).toLocaleTimeString()}</small>`
+                : '';
+
+            return `
+                <tr class="alarm-row ${this.escape(alarm.priority)} ${this.escape(alarm.state)}">
+                    <td><i class="${this.priorityIcons[alarm.priority] || ''}"></i> ${this.escape(alarm.priority)}</td>
+                    <td>${this.escape(alarm.unit)}</td>
+                    <td>${this.escape(alarm.description)}${alarm.escalated ? ' <small>(escalated)</small>' : ''}</td>
+                    <td>${this.formatValue(alarm.value)} / ${this.formatValue(alarm.setpoint)}</td>
+                    <td>${this.escape(alarm.state)} ${shelved}</td>
+                    <td>${new Date(alarm.raisedAt).toLocaleTimeString()}</td>
+                    <td>${actions.join(' ')}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="7">No alarms</td></tr>';
+    }
+
+    renderHistory() {
+        const list = document.getElementById('alarm-history');
+        if (!list) return;
+
+        list.innerHTML = this.history.slice(0, 50).map(event => `
+            <li class="alarm-history-item ${this.escape(event.alarm.priority)}">
+                <span>${new Date(event.timestamp).toLocaleString()}</span>
+                <span>${this.escape(event.alarm.unit)} ${this.escape(event.alarm.description)}</span>
+                <span>${this.escape(event.type)}${event.user ? ` by ${this.escape(event.user)}` : ''}</span>
+            </li>
+        `).join('');
+    }
+
+    formatValue(value) {
+        return typeof value === 'number' ? value.toFixed(2) : '-';
+    }
+
+    // Units come from MQTT topics and descriptions from configuration; neither is trusted markup
+    escape(text) {
+        return String(text ?? '').replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+}
+
+// Initialize alarm panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.alarmPanel = new AlarmPanel();
+});
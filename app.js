@@ -4,69 +4,339 @@ const socketIo = require('socket.io');
 const mqtt = require('mqtt');
 const path = require('path');
 const cors = require('cors');
+const ControlLoop = require('./control-loop');
+const Historian = require('./historian');
+const FleetRegistry = require('./fleet-registry');
+const AuthService = require('./auth-service');
+const AuditLog = require('./audit-log');
+const CommandTracker = require('./command-tracker');
+const SafetyInterlock = require('./safety-interlock');
+const AlarmManager = require('./alarm-manager');
+const Notifier = require('./notifier');
+const ModelRegistry = require('./model-registry');
+const ExternalData = require('./external-data');
+const TariffSchedule = require('./tariff-schedule');
+const StackHealth = require('./stack-health');
+const SystemIdentification = require('./system-identification');
+const { loadConfig, redact, mqttConnectOptions, topicFilters, parseTopic, unitTopics } = require('./config');
+
+// Effective configuration: defaults < config.json < environment
+const config = loadConfig();
+
+// Cross-origin access only for explicitly configured origins
+const corsOptions = {
+  origin: config.http.corsOrigin ? config.http.corsOrigin.split(',').map(origin => origin.trim()) : false,
+  methods: ["GET", "POST", "PUT", "DELETE"]
+};
 
 const app = express();
 const server = http.createServer(app);
 const io = socketIo(server, {
-  cors: {
-    origin: "*",
-    methods: ["GET", "POST"]
-  }
+  cors: corsOptions
 });
 
+// Users, roles and session tokens
+const auth = new AuthService({
+  usersFile: config.auth.usersFile,
+  tokenSecret: config.auth.tokenSecret,
+  tokenTtl: config.auth.tokenTtl,
+  adminPassword: config.auth.adminPassword
+});
+const requirePermission = (permission) => auth.requirePermission(permission);
+
 // Middleware
-app.use(cors());
-app.use(express.json());
+app.use(cors(corsOptions));
+app.use(express.json({ limit: '2mb' })); // model uploads carry full weight matrices
 app.use(express.static(path.join(__dirname, 'public')));
 
 // MQTT Configuration
-const MQTT_BROKER = 'mqtt://localhost:1883';
-const MQTT_TOPICS = {
-  MATLAB_DATA: 'pem/matlab/data',
-  MATLAB_CONTROL: 'pem/matlab/control',
-  ARDUINO_DATA: 'pem/arduino/data',
-  ARDUINO_CONTROL: 'pem/arduino/control',
-  MPC_COMPARISON: 'pem/mpc/comparison'
-};
+const MQTT_BROKER = config.mqtt.brokerUrl;
+const MQTT_SUBSCRIPTIONS = topicFilters(config.mqtt, config.fleet);
+
+// Topics for one electrolyzer unit (the plain prefixed topics outside fleet mode)
+function topicsForUnit(unit) {
+  return unitTopics(config.mqtt, config.fleet, unit);
+}
+
+// QoS configured per topic name
+function qosForTopic(topic) {
+  const route = parseTopic(topic, config.mqtt, config.fleet);
+  return route ? config.mqtt.qos[route.name] : 0;
+}
+
+// socket.io room carrying one unit's traffic
+function unitRoom(unit) {
+  return `unit:${unit}`;
+}
 
 // MQTT Client
 let mqttClient = null;
 
+// Persistent telemetry historian
+const historian = new Historian({
+  directory: config.historian.directory
+});
+
+// Stack ageing and remaining useful life from the historian
+const stackHealth = new StackHealth({ historian, config: config.stackHealth });
+
+// Tamper-evident record of who changed what
+const auditLog = new AuditLog({
+  file: config.audit.file
+});
+
+// Operator commands awaiting acknowledgement from the devices
+const commandTracker = new CommandTracker({
+  ackTimeout: config.commands.ackTimeout,
+  maxRetries: config.commands.maxRetries,
+  publish: (topic, message) => publishToMQTT(topic, message),
+  // Retries pass the interlock again: the unit may have tripped or its limits moved since
+  canRetry: (status) => {
+    const verdict = interlock.check(status.unit, status.command);
+    return verdict.action === 'reject'
+      ? { allowed: false, reason: verdict.reason }
+      : { allowed: true, command: verdict.command };
+  },
+  onUpdate: (status) => {
+    io.to(unitRoom(status.unit)).emit('command-status', status);
+
+    if (status.final) {
+      auditLog.record({
+        actor: status.user,
+        unit: status.unit,
+        action: 'command_ack',
+        payload: { commandId: status.commandId, type: status.type },
+        result: { status: status.status, attempts: status.attempts, reason: status.reason, latency: status.latency }
+      });
+    }
+  }
+});
+
+// Publish an operator command for a unit and track its acknowledgement
+function sendCommand(unit, topic, command, user) {
+  return commandTracker.send(topic, command, {
+    unit,
+    user: { username: user.username, role: user.role },
+    ackTopic: topicsForUnit(unit).COMMAND_ACK
+  });
+}
+
+// Identity recorded for actions the server takes on its own
+const INTERLOCK_ACTOR = { username: 'interlock', role: 'system' };
+
+// Limit enforcement on telemetry and outgoing commands, independent of any dashboard
+const interlock = new SafetyInterlock({
+  limits: config.safety.limits,
+  shutdownCommand: config.safety.shutdownCommand,
+  onTrip: (unit, command) => {
+    getControlLoop(unit).setEnabled(false);
+    // Nothing queued before the trip may reach the device after the shutdown command
+    commandTracker.cancel(unit, status => interlock.check(unit, status.command).action === 'reject',
+      `Interlock tripped: ${command.reason}`);
+    const status = sendCommand(unit, topicsForUnit(unit).ARDUINO_CONTROL, command, INTERLOCK_ACTOR);
+    auditLog.record({
+      actor: INTERLOCK_ACTOR,
+      unit,
+      action: 'interlock_trip',
+      payload: command,
+      result: { status: 'pending', commandId: status.commandId }
+    });
+  },
+  onUpdate: (status) => io.to(unitRoom(status.unit)).emit('interlock-status', status)
+});
+
+// Electricity tariff priced by the economic control layers and cost reports
+const tariff = new TariffSchedule(config.tariff);
+
+// Tariff, solar, weather and O2 demand feeds for economic control
+const externalData = new ExternalData({
+  ...config.externalData,
+  onUpdate: (snapshot) => {
+    io.emit('external-data', snapshot);
+    controlLoops.forEach(controlLoop => controlLoop.setExternalData(snapshot));
+  }
+});
+
+// Versioned NeuralMPC models and the record of which one was in production when
+const modelRegistry = new ModelRegistry({
+  directory: config.models.directory
+});
+
+// Production model for the server-side NEURAL strategy, null if none is promoted or it fails its hash check
+function productionModel() {
+  try {
+    return modelRegistry.production();
+  } catch (error) {
+    console.error('❌ Could not load production model:', error.message);
+    return null;
+  }
+}
+
+// Alarm notifications over email, webhooks and the MQTT alert topic
+const notifier = new Notifier({
+  channels: config.notifications.channels,
+  alertTopic: config.notifications.alertTopic || `${config.mqtt.topicPrefix}/alerts/{unit}`,
+  publish: (topic, message, options) => publishToMQTT(topic, message, options)
+});
+
+// Alarm lifecycle for every unit, persisted across restarts
+const alarmManager = new AlarmManager({
+  directory: config.alarms.directory,
+  limits: config.safety.limits,
+  definitions: config.alarms.definitions,
+  maxShelveDuration: config.alarms.maxShelveDuration,
+  onEvent: (event) => {
+    const target = event.alarm.unit === AlarmManager.SYSTEM_UNIT ? io : io.to(unitRoom(event.alarm.unit));
+    target.emit('alarm-event', event);
+    notifier.notify(event);
+  }
+});
+
+// Electrolyzer units seen on the broker
+const configuredUnits = config.fleet.enabled ? config.fleet.units : [config.fleet.defaultUnit];
+const fleet = new FleetRegistry({
+  staleAfter: config.fleet.staleAfter,
+  maxDiscovered: config.fleet.maxDiscoveredUnits,
+  units: configuredUnits
+});
+
+// Headless MPC control loop per unit. Units only discovered on the broker start
+// disabled: an operator has to enable server control before anything is published to them.
+const controlLoops = new Map();
+
+function getControlLoop(unit) {
+  if (!controlLoops.has(unit)) {
+    const controlLoop = new ControlLoop({
+      controlTopic: topicsForUnit(unit).ARDUINO_CONTROL,
+      enabled: configuredUnits.includes(unit),
+      strategy: config.controlLoop.strategy,
+      safetyLimits: config.safety.limits,
+      parameters: {
+        sampleTime: config.controlLoop.sampleTime,
+        ...config.controlLoop.economic
+      },
+      neural: config.controlLoop.neural,
+      autoRetrain: config.controlLoop.autoRetrain,
+      uncertainty: config.controlLoop.uncertainty,
+      tariff,
+      storage: config.storage,
+      estimator: config.estimator,
+      identification: config.identification,
+      // Controller setpoints pass through the interlock like operator commands
+      publish: (topic, message) => {
+        const verdict = interlock.check(unit, message);
+        return verdict.action !== 'reject' && publishToMQTT(topic, verdict.command);
+      },
+      onUpdate: (status) => io.to(unitRoom(unit)).emit('control-loop-update', { ...status, unit }),
+      onPlan: (plan) => io.to(unitRoom(unit)).emit('economic-plan', { ...plan, unit }),
+      onEstimate: (estimate) => io.to(unitRoom(unit)).emit('state-estimate', { ...estimate, unit })
+    });
+    controlLoop.setNeuralModel(productionModel());
+    controlLoop.setExternalData(externalData.snapshot());
+    controlLoops.set(unit, controlLoop);
+    controlLoop.start();
+  }
+  return controlLoops.get(unit);
+}
+
+// Last known value an operator command is about to change, for the audit trail
+function previousValueFor(unit, command) {
+  const summary = fleet.has(unit) ? fleet.get(unit).summary : {};
+  switch (command.type) {
+    case 'mode_change':
+      return getControlLoop(unit).strategy;
+    case 'setpoint':
+      return summary.prodRateSet ?? null;
+    case 'current_setpoint':
+      return summary.appliedCurrent ?? summary.stackCurrent ?? null;
+    case 'system_command':
+      return summary.state ?? summary.mode ?? null;
+    default:
+      return null;
+  }
+}
+
+// Periodic reports and client-side logs are telemetry, not actions
+const UNAUDITED_COMMANDS = ['performance_data', 'control_log'];
+
+function controlLoopStatuses() {
+  return Object.fromEntries(
+    Array.from(controlLoops.entries()).map(([unit, controlLoop]) => [unit, controlLoop.getStatus()])
+  );
+}
+
 // Initialize MQTT connection
 function initializeMQTT() {
-  mqttClient = mqtt.connect(MQTT_BROKER);
+  // Raised unless the broker connects within the alarm's on-delay
+  alarmManager.setEventCondition('MQTT_DISCONNECT', true);
+  mqttClient = mqtt.connect(MQTT_BROKER, mqttConnectOptions(config.mqtt));
 
   mqttClient.on('connect', () => {
     console.log('✅ Connected to MQTT broker');
+    alarmManager.setEventCondition('MQTT_DISCONNECT', false);
     
-    // Subscribe to topics
-    Object.values(MQTT_TOPICS).forEach(topic => {
-      mqttClient.subscribe(topic, (err) => {
+    // Subscribe to topics (wildcarded per unit in fleet mode)
+    Object.entries(MQTT_SUBSCRIPTIONS).forEach(([name, topic]) => {
+      mqttClient.subscribe(topic, { qos: config.mqtt.qos[name] }, (err) => {
         if (!err) {
           console.log(`📡 Subscribed to ${topic}`);
         }
       });
     });
+    externalData.topics().forEach(topic => {
+      mqttClient.subscribe(topic, { qos: 1 }, (err) => {
+        if (!err) {
+          console.log(`📡 Subscribed to external data ${topic}`);
+        }
+      });
+    });
   });
 
   mqttClient.on('message', (topic, message) => {
     try {
       const data = JSON.parse(message.toString());
+      if (externalData.handleMessage(topic, data)) return;
       console.log(`📨 MQTT Message on ${topic}:`, data);
+
+      const route = parseTopic(topic, config.mqtt, config.fleet);
+      if (route && !fleet.accepts(route.unit)) {
+        if (fleet.refused % 100 === 1) {
+          console.warn(`⚠️ Ignoring unit ${route.unit}: ${config.fleet.maxDiscoveredUnits} discovered units already (${fleet.refused} messages refused)`);
+        }
+        return;
+      }
+
+      // Record before forwarding so history survives dashboard refreshes
+      historian.record(topic, data);
+      if (!route) return;
+
+      const { unit, name } = route;
+      if (fleet.touch(unit, name, data)) {
+        io.emit('fleet-status', fleet.list());
+      }
       
-      // Broadcast to all connected web clients
-      io.emit('mqtt-data', { topic, data });
+      // Broadcast to web clients watching this unit
+      const room = io.to(unitRoom(unit));
+      room.emit('mqtt-data', { topic, unit, name, data });
       
       // Handle specific topics
-      switch(topic) {
-        case MQTT_TOPICS.MATLAB_DATA:
-          io.emit('matlab-update', data);
+      switch(name) {
+        case 'MATLAB_DATA':
+          room.emit('matlab-update', data);
+          break;
+        case 'ARDUINO_DATA':
+          interlock.handleTelemetry(unit, data);
+          alarmManager.handleTelemetry(unit, data);
+          getControlLoop(unit).handleTelemetry(data);
+          room.emit('arduino-update', data);
           break;
-        case MQTT_TOPICS.ARDUINO_DATA:
-          io.emit('arduino-update', data);
+        case 'MPC_COMPARISON':
+          room.emit('mpc-comparison', data);
           break;
-        case MQTT_TOPICS.MPC_COMPARISON:
-          io.emit('mpc-comparison', data);
+        case 'COMMAND_ACK':
+          if (!commandTracker.handleAck(data, unit)) {
+            console.warn(`⚠️ Acknowledgement for unknown command ${data.commandId} from ${unit}`);
+          }
           break;
       }
     } catch (error) {
@@ -74,49 +344,272 @@ function initializeMQTT() {
     }
   });
 
+  mqttClient.on('close', () => {
+    alarmManager.setEventCondition('MQTT_DISCONNECT', true);
+  });
+
   mqttClient.on('error', (error) => {
     console.error('❌ MQTT Error:', error);
   });
 }
 
+// Longest delay setTimeout accepts (about 24.8 days)
+const MAX_TIMER_DELAY = 2 ** 31 - 1;
+
+// Every socket must present a valid session token
+io.use(auth.socketMiddleware());
+
 // Socket.io for real-time web communication
 io.on('connection', (socket) => {
-  console.log('🔌 Web client connected:', socket.id);
+  const token = socket.handshake.auth && socket.handshake.auth.token;
+  let user = socket.data.user;
+  console.log(`🔌 Web client connected: ${socket.id} (${user.username}, ${user.role})`);
+  socket.emit('auth-user', user);
+
+  // The session ends with its token, even if the client never sends another command
+  const expiryTimer = setTimeout(() => endSession('Token expired'), Math.min(Math.max(0, auth.tokenExpiresAt(token) - Date.now()), MAX_TIMER_DELAY));
+
+  const client = {
+    socketId: socket.id,
+    address: socket.handshake.address,
+    userAgent: socket.handshake.headers['user-agent'] || null
+  };
+
+  function audit(action, payload, previousValue, result) {
+    auditLog.record({ actor: user, client, unit: socket.data.unit, action, payload, previousValue, result });
+  }
+
+  function endSession(reason) {
+    socket.emit('authorization-error', { action: 'session', message: reason });
+    socket.disconnect(true);
+  }
+
+  // Check a permission for this socket's user, reporting refusals to the client. The token
+  // and user record are checked again each time, so expiry, role changes and deleted users
+  // apply to sockets that are already open.
+  function authorize(permission, action, payload, respond = () => {}) {
+    try {
+      user = auth.verifyToken(token);
+      socket.data.user = user;
+    } catch (error) {
+      console.warn(`⛔ ${user.username} denied ${action}: ${error.message}`);
+      audit(action, payload, null, { status: 'denied', reason: error.message });
+      respond({ status: 'denied', reason: error.message });
+      endSession(error.message);
+      return false;
+    }
+
+    if (auth.can(user, permission)) return true;
+    console.warn(`⛔ ${user.username} (${user.role}) denied ${action}`);
+    audit(action, payload, null, { status: 'denied', permission });
+    socket.emit('authorization-error', { action, permission, message: `Permission ${permission} required` });
+    respond({ status: 'denied', permission });
+    return false;
+  }
+
+  // socket.io acknowledgement callback, if the client asked for one
+  function responder(callback) {
+    return typeof callback === 'function' ? callback : () => {};
+  }
+
+  // Payloads come straight from the client: a plain object naming the command in `field`
+  function isCommandPayload(payload, field) {
+    return payload !== null && typeof payload === 'object' && !Array.isArray(payload) &&
+      typeof payload[field] === 'string';
+  }
+
+  // Each client watches one unit at a time, starting with the default
+  function selectUnit(unit) {
+    if (socket.data.unit) {
+      socket.leave(unitRoom(socket.data.unit));
+    }
+    socket.data.unit = unit;
+    socket.join(unitRoom(unit));
+    socket.emit('unit-selected', { unit, topics: topicsForUnit(unit) });
+    socket.emit('control-loop-update', { ...getControlLoop(unit).getStatus(), unit });
+    socket.emit('economic-plan', getControlLoop(unit).economicPlan && { ...getControlLoop(unit).economicPlan, unit });
+    socket.emit('state-estimate', getControlLoop(unit).estimator.getEstimate() && { ...getControlLoop(unit).estimator.getEstimate(), unit });
+    socket.emit('interlock-status', interlock.getStatus(unit));
+    socket.emit('alarm-list', alarmManager.list({ unit }));
+  }
+
+  selectUnit(config.fleet.enabled && config.fleet.units.length > 0 ? config.fleet.units[0] : config.fleet.defaultUnit);
+  socket.emit('fleet-status', fleet.list());
+  socket.emit('external-data', externalData.snapshot());
+  socket.emit('tariff', tariff.toJSON());
+
+  socket.on('select-unit', (unit) => {
+    if (!authorize('telemetry:read', 'select-unit', unit)) return;
+    if (!fleet.has(unit)) {
+      socket.emit('control-loop-error', { message: `Unknown unit: ${unit}` });
+      return;
+    }
+    console.log(`🏭 Client ${socket.id} switched to unit ${unit}`);
+    selectUnit(unit);
+  });
 
   // Handle control commands from web dashboard
-  socket.on('control-command', (data) => {
-    console.log('🎛️ Control command from web:', data);
+  socket.on('control-command', (data, callback) => {
+    const respond = responder(callback);
+    if (!isCommandPayload(data, 'type')) {
+      respond({ status: 'rejected', reason: 'Control command must be an object with a string type' });
+      return;
+    }
+    if (!authorize(auth.commandPermission(data), data.type, data, respond)) return;
+    console.log(`🎛️ Control command from ${user.username}:`, data);
+
+    const unit = socket.data.unit;
+    const topics = topicsForUnit(unit);
+    const audited = !UNAUDITED_COMMANDS.includes(data.type);
+    const previousValue = audited ? previousValueFor(unit, data) : null;
+
+    // The interlock may refuse the command or clamp it into the allowed range
+    const verdict = interlock.check(unit, data);
+    if (verdict.action === 'reject') {
+      audit(data.type, data, previousValue, { status: 'rejected', reason: verdict.reason });
+      respond({ status: 'rejected', reason: verdict.reason });
+      return;
+    }
+    const command = verdict.command;
+
+    // Mode changes select the strategy run by the server-side control loop
+    if (command.type === 'mode_change') {
+      try {
+        getControlLoop(unit).setStrategy(command.mode);
+      } catch (error) {
+        socket.emit('control-loop-error', { message: error.message });
+        audit(data.type, data, previousValue, { status: 'rejected', error: error.message });
+        respond({ status: 'rejected', reason: error.message });
+        return;
+      }
+    }
     
     // Send to appropriate destination
-    if (data.destination === 'matlab') {
-      publishToMQTT(MQTT_TOPICS.MATLAB_CONTROL, data);
-    } else if (data.destination === 'arduino') {
-      publishToMQTT(MQTT_TOPICS.ARDUINO_CONTROL, data);
+    const topic = command.destination === 'matlab' ? topics.MATLAB_CONTROL
+      : command.destination === 'arduino' ? topics.ARDUINO_CONTROL
+      : null;
+    if (!topic) {
+      respond({ status: 'rejected', reason: `Unknown destination: ${command.destination}` });
+      return;
+    }
+
+    // Operator actions are tracked until the device acknowledges them; telemetry is fire-and-forget
+    if (audited) {
+      const tracked = sendCommand(unit, topic, command, user);
+      const clamp = verdict.clamped ? { clamped: verdict.clamped, reason: verdict.reason } : {};
+      audit(data.type, data, previousValue, { status: 'pending', commandId: tracked.commandId, ...clamp });
+      respond({ ...tracked, ...clamp });
+    } else {
+      respond({ status: publishToMQTT(topic, command) ? 'sent' : 'not_published' });
     }
   });
 
   // Handle MPC configuration
-  socket.on('mpc-config', (config) => {
-    console.log('⚙️ MPC configuration:', config);
-    publishToMQTT(MQTT_TOPICS.MATLAB_CONTROL, {
+  socket.on('mpc-config', (config, callback) => {
+    const respond = responder(callback);
+    if (!authorize('mpc:configure', 'mpc-config', config, respond)) return;
+    console.log(`⚙️ MPC configuration from ${user.username}:`, config);
+
+    const controlLoop = getControlLoop(socket.data.unit);
+    const previousValue = { ...controlLoop.parameters };
+
+    // Only the validated tuning parameters reach the server loop and MATLAB, so both agree
+    const { horizon, sampleTime, qWeight, rWeight } = config !== null && typeof config === 'object' ? config : {};
+    const parameters = Object.fromEntries(Object.entries({ horizon, sampleTime, qWeight, rWeight })
+      .filter(([, value]) => value !== undefined));
+    try {
+      if (Object.keys(parameters).length === 0) {
+        throw new Error('No MPC parameters given (horizon, sampleTime, qWeight, rWeight)');
+      }
+      controlLoop.configure(parameters);
+    } catch (error) {
+      socket.emit('control-loop-error', { message: error.message });
+      audit('mpc_config', config, previousValue, { status: 'rejected', error: error.message });
+      respond({ status: 'rejected', reason: error.message });
+      return;
+    }
+
+    const command = sendCommand(socket.data.unit, topicsForUnit(socket.data.unit).MATLAB_CONTROL, {
       type: 'mpc_config',
-      config: config
+      config: parameters
+    }, user);
+    audit('mpc_config', config, previousValue, { status: 'applied', commandId: command.commandId });
+    respond(command);
+  });
+
+  // Enable or disable the server-side control loop
+  socket.on('control-loop-command', (command, callback) => {
+    const respond = responder(callback);
+    if (!isCommandPayload(command, 'action')) {
+      respond({ status: 'rejected', reason: 'Control loop command must be an object with a string action' });
+      return;
+    }
+    if (!authorize('controlLoop:toggle', 'control-loop-command', command, respond)) return;
+    console.log(`🔁 Control loop command from ${user.username}:`, command);
+    const controlLoop = getControlLoop(socket.data.unit);
+    const previousValue = { enabled: controlLoop.enabled };
+    if (command.action !== 'enable' && command.action !== 'disable') {
+      const reason = `Unknown control loop action: ${command.action}`;
+      audit('control_loop', command, previousValue, { status: 'rejected', reason });
+      respond({ status: 'rejected', reason });
+      return;
+    }
+
+    controlLoop.setEnabled(command.action === 'enable');
+    audit('control_loop', command, previousValue, { status: 'applied', enabled: controlLoop.enabled });
+    respond({ status: 'applied', enabled: controlLoop.enabled });
+  });
+
+  // Manual reset of a latched interlock trip
+  socket.on('interlock-reset', (payload, callback) => {
+    const respond = responder(callback);
+    if (!authorize('interlock:reset', 'interlock-reset', null, respond)) return;
+
+    const unit = socket.data.unit;
+    const previousValue = interlock.getStatus(unit).trip;
+    const result = interlock.reset(unit);
+    audit('interlock_reset', null, previousValue, { status: result.reset ? 'applied' : 'rejected', reason: result.reason || null });
+    respond(result);
+  });
+
+  // Alarm acknowledge / shelve / unshelve from the alarm panel
+  const ALARM_ACTIONS = {
+    'alarm-acknowledge': ['alarms:acknowledge', (request) => alarmManager.acknowledge(request.id, user)],
+    'alarm-shelve': ['alarms:shelve', (request) => alarmManager.shelve(request.id, user, Number(request.duration), request.reason)],
+    'alarm-unshelve': ['alarms:shelve', (request) => alarmManager.unshelve(request.id, user, request.reason)]
+  };
+
+  Object.entries(ALARM_ACTIONS).forEach(([event, [permission, handler]]) => {
+    socket.on(event, (request, callback) => {
+      const respond = responder(callback);
+      if (!authorize(permission, event, request, respond)) return;
+
+      try {
+        const alarm = handler(request || {});
+        audit(event.replace('-', '_'), request, null, { status: 'applied', state: alarm.state, shelvedUntil: alarm.shelvedUntil });
+        respond({ status: 'applied', alarm });
+      } catch (error) {
+        audit(event.replace('-', '_'), request, null, { status: 'rejected', reason: error.message });
+        respond({ status: 'rejected', reason: error.message });
+      }
     });
   });
 
   socket.on('disconnect', () => {
+    clearTimeout(expiryTimer);
     console.log('🔌 Web client disconnected:', socket.id);
   });
 });
 
 // Publish to MQTT
-function publishToMQTT(topic, message) {
+function publishToMQTT(topic, message, options = {}) {
   if (mqttClient && mqttClient.connected) {
-    mqttClient.publish(topic, JSON.stringify(message));
+    mqttClient.publish(topic, JSON.stringify(message), { qos: qosForTopic(topic), ...options });
     console.log(`📤 Published to ${topic}:`, message);
-  } else {
-    console.error('❌ MQTT client not connected');
+    return true;
   }
+  console.error('❌ MQTT client not connected');
+  return false;
 }
 
 // Routes
@@ -132,6 +625,468 @@ app.get('/api/status', (req, res) => {
   });
 });
 
+// Exchange credentials for a session token
+app.post('/api/auth/login', (req, res) => {
+  try {
+    const { username, password } = req.body || {};
+    const session = auth.login(username, password);
+    console.log(`🔐 ${username} logged in`);
+    auditLog.record({ actor: session.user, client: { address: req.ip }, action: 'login', result: { status: 'success' } });
+    res.json(session);
+  } catch (error) {
+    console.warn(`🔐 Failed login for ${req.body && req.body.username}`);
+    auditLog.record({
+      actor: { username: String((req.body && req.body.username) || ''), role: null },
+      client: { address: req.ip },
+      action: 'login',
+      result: { status: 'failed', error: error.message }
+    });
+    res.status(error.status || 401).json({ error: error.message });
+  }
+});
+
+app.get('/api/auth/me', requirePermission('telemetry:read'), (req, res) => {
+  res.json(req.user);
+});
+
+// User administration
+app.get('/api/users', requirePermission('users:manage'), (req, res) => {
+  res.json({ roles: AuthService.ROLES, users: auth.listUsers() });
+});
+
+app.post('/api/users', requirePermission('users:manage'), (req, res) => {
+  try {
+    const { username, password, role } = req.body || {};
+    const created = auth.createUser(username, password, role);
+    auditLog.record({ actor: req.user, client: { address: req.ip }, action: 'user_create', payload: { username, role }, result: { status: 'applied' } });
+    res.status(201).json(created);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+// Open sockets of a user whose account changed; the client signs in again or reconnects
+// with its new role
+function disconnectUser(username, reason) {
+  io.sockets.sockets.forEach(socket => {
+    if (socket.data.user && socket.data.user.username === username) {
+      socket.emit('authorization-error', { action: 'session', message: reason });
+      socket.disconnect(true);
+    }
+  });
+}
+
+app.put('/api/users/:username', requirePermission('users:manage'), (req, res) => {
+  try {
+    const { password, role } = req.body || {};
+    const previous = auth.listUsers().find(entry => entry.username === req.params.username);
+    const updated = auth.updateUser(req.params.username, { password, role });
+    disconnectUser(req.params.username, 'Account changed by an administrator');
+    auditLog.record({
+      actor: req.user,
+      client: { address: req.ip },
+      action: 'user_update',
+      payload: { username: req.params.username, role, passwordChanged: password !== undefined },
+      previousValue: previous ? { role: previous.role } : null,
+      result: { status: 'applied' }
+    });
+    res.json(updated);
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.delete('/api/users/:username', requirePermission('users:manage'), (req, res) => {
+  try {
+    auth.deleteUser(req.params.username);
+    disconnectUser(req.params.username, 'Account deleted');
+    auditLog.record({ actor: req.user, client: { address: req.ip }, action: 'user_delete', payload: { username: req.params.username }, result: { status: 'applied' } });
+    res.status(204).end();
+  } catch (error) {
+    res.status(error.status || 400).json({ error: error.message });
+  }
+});
+
+app.get('/api/control-loop', requirePermission('telemetry:read'), (req, res) => {
+  if (req.query.unit) {
+    if (!controlLoops.has(req.query.unit)) {
+      return res.status(404).json({ error: `No control loop for unit ${req.query.unit}` });
+    }
+    return res.json(controlLoops.get(req.query.unit).getStatus());
+  }
+  res.json(controlLoopStatuses());
+});
+
+// Latest HE-MPC hourly production plan of a unit
+app.get('/api/control-loop/plan', requirePermission('telemetry:read'), (req, res) => {
+  const unit = req.query.unit || config.fleet.defaultUnit;
+  if (!controlLoops.has(unit)) {
+    return res.status(404).json({ error: `No control loop for unit ${unit}` });
+  }
+  res.json({ unit, plan: controlLoops.get(unit).economicPlan });
+});
+
+// Estimated plant state of a unit with its covariance and the readings it fused
+app.get('/api/state-estimate', requirePermission('telemetry:read'), (req, res) => {
+  const unit = req.query.unit || config.fleet.defaultUnit;
+  if (!controlLoops.has(unit)) {
+    return res.status(404).json({ error: `No control loop for unit ${unit}` });
+  }
+  res.json({ unit, estimate: controlLoops.get(unit).estimator.getEstimate() });
+});
+
+// Stack degradation of a unit: reference voltage drift, steps, polarization fits and
+// remaining useful life; ?refresh=1 reanalyses instead of returning the cached report
+app.get('/api/health/stack', requirePermission('telemetry:read'), async (req, res) => {
+  const unit = req.query.unit || config.fleet.defaultUnit;
+  try {
+    const report = await stackHealth.report(unit, topicsForUnit(unit).ARDUINO_DATA, { refresh: req.query.refresh === '1' });
+    const estimate = controlLoops.has(unit) ? controlLoops.get(unit).estimator.getEstimate() : null;
+    res.json({
+      ...report,
+      estimatedDegradation: estimate && {
+        resistance: estimate.state.degradationResistance,
+        stdDev: estimate.stdDev.degradationResistance
+      }
+    });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// H2/O2 tank levels of a unit with flows and time to empty
+app.get('/api/storage', requirePermission('telemetry:read'), (req, res) => {
+  const unit = req.query.unit || config.fleet.defaultUnit;
+  if (!controlLoops.has(unit)) {
+    return res.status(404).json({ error: `No control loop for unit ${unit}` });
+  }
+  res.json({ unit, storage: controlLoops.get(unit).storage.getStatus() });
+});
+
+// Identified plant parameters of a unit: online RLS estimate, last batch fit and last approval
+app.get('/api/identification', requirePermission('telemetry:read'), (req, res) => {
+  const unit = req.query.unit || config.fleet.defaultUnit;
+  if (!controlLoops.has(unit)) {
+    return res.status(404).json({ error: `No control loop for unit ${unit}` });
+  }
+  const controlLoop = controlLoops.get(unit);
+  res.json({
+    unit,
+    online: controlLoop.identification.report('online'),
+    batch: controlLoop.identification.batchResult || null,
+    lastApproval: controlLoop.lastApproval
+  });
+});
+
+// Offline least-squares fit over the unit's recent raw telemetry
+app.post('/api/identification/batch', requirePermission('mpc:configure'), async (req, res) => {
+  const unit = (req.body && req.body.unit) || config.fleet.defaultUnit;
+  if (!controlLoops.has(unit)) {
+    return res.status(404).json({ error: `No control loop for unit ${unit}` });
+  }
+  const controlLoop = controlLoops.get(unit);
+  try {
+    const points = await historian.query({
+      topic: topicsForUnit(unit).ARDUINO_DATA,
+      from: Date.now() - config.identification.batchLookback,
+      limit: Math.ceil(config.identification.batchLookback / (config.identification.sampleTime * 1000))
+    });
+    if (points.length < config.identification.minSamples) {
+      return res.status(422).json({ error: `Only ${points.length} samples in the last ${Math.round(config.identification.batchLookback / 60000)} min` });
+    }
+    const result = SystemIdentification.batch(points, {
+      plantModel: controlLoop.algorithms.plantModel,
+      config: config.identification
+    });
+    controlLoop.identification.setBatchResult(result);
+    res.json({ unit, batch: result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Push identified parameters into the unit's prediction model after engineer review
+app.post('/api/identification/approve', requirePermission('mpc:configure'), (req, res) => {
+  const { unit = config.fleet.defaultUnit, source = 'online', parameters: names, reason } = req.body || {};
+  if (!controlLoops.has(unit)) {
+    return res.status(404).json({ error: `No control loop for unit ${unit}` });
+  }
+  const controlLoop = controlLoops.get(unit);
+  const candidate = controlLoop.identification.candidate(source);
+  if (!candidate) {
+    return res.status(400).json({ error: `No ${source} identification result to approve` });
+  }
+
+  const parameters = Object.fromEntries(Object.entries(candidate.parameters)
+    .filter(([name]) => !Array.isArray(names) || names.includes(name)));
+  if (Object.keys(parameters).length === 0) {
+    return res.status(400).json({ error: 'No approvable parameters in the identification result' });
+  }
+
+  const current = controlLoop.algorithms.plantModel.parameters;
+  const previousValue = Object.fromEntries(Object.keys(parameters).map(name => [name, current[name]]));
+  controlLoop.applyPlantParameters(parameters, {
+    source,
+    identifiedAt: candidate.createdAt,
+    approvedBy: req.user.username,
+    reason: reason || null
+  });
+  auditLog.record({
+    actor: req.user,
+    client: { address: req.ip },
+    unit,
+    action: 'model_parameters',
+    payload: { source, parameters, reason: reason || null },
+    previousValue,
+    result: { status: 'applied' }
+  });
+  res.json({ unit, parameters, previousValue });
+});
+
+// Registry of electrolyzer units with last-seen status
+app.get('/api/fleet', requirePermission('telemetry:read'), (req, res) => {
+  res.json({
+    enabled: config.fleet.enabled,
+    units: fleet.list().map(entry => ({
+      ...entry,
+      topics: topicsForUnit(entry.unit),
+      controlLoop: controlLoops.has(entry.unit) ? controlLoops.get(entry.unit).getStatus() : null
+    }))
+  });
+});
+
+// Effective configuration with credentials redacted
+app.get('/api/config', requirePermission('config:read'), (req, res) => {
+  res.json(redact(config));
+});
+
+// Historical telemetry: /api/history?topic=&from=&to=&downsample=&format=
+app.get('/api/history', requirePermission('telemetry:read'), async (req, res) => {
+  try {
+    const { topic, from, to, downsample, limit, format } = req.query;
+    const points = await historian.query({
+      topic,
+      from: Historian.parseTime(from),
+      to: Historian.parseTime(to),
+      downsample: Historian.parseDuration(downsample),
+      limit: limit ? Number(limit) : undefined
+    });
+
+    if (format === 'csv') {
+      res.type('text/csv').attachment('pem-history.csv').send(Historian.toCSV(points));
+    } else {
+      res.json({ topic: topic || null, count: points.length, points });
+    }
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Interlock state and limits per unit
+app.get('/api/interlock', requirePermission('telemetry:read'), (req, res) => {
+  res.json(req.query.unit ? interlock.getStatus(req.query.unit) : { units: interlock.list() });
+});
+
+app.post('/api/interlock/reset', requirePermission('interlock:reset'), (req, res) => {
+  const unit = (req.body && req.body.unit) || config.fleet.defaultUnit;
+  if (!fleet.has(unit)) {
+    return res.status(404).json({ error: `Unknown unit: ${unit}` });
+  }
+
+  const previousValue = interlock.getStatus(unit).trip;
+  const result = interlock.reset(unit);
+  auditLog.record({
+    actor: req.user,
+    client: { address: req.ip },
+    unit,
+    action: 'interlock_reset',
+    previousValue,
+    result: { status: result.reset ? 'applied' : 'rejected', reason: result.reason || null }
+  });
+  res.status(result.reset ? 200 : 409).json(result);
+});
+
+// Active, acknowledged, cleared and shelved alarms
+app.get('/api/alarms', requirePermission('telemetry:read'), (req, res) => {
+  res.json({ alarms: alarmManager.list({ unit: req.query.unit }) });
+});
+
+app.get('/api/alarms/definitions', requirePermission('telemetry:read'), (req, res) => {
+  res.json({ priorities: AlarmManager.PRIORITIES, definitions: alarmManager.getDefinitions() });
+});
+
+// Alarm event history: /api/alarms/history?unit=&from=&to=&limit=
+app.get('/api/alarms/history', requirePermission('telemetry:read'), async (req, res) => {
+  try {
+    const { unit, from, to, limit } = req.query;
+    const events = await alarmManager.history({
+      unit,
+      from: Historian.parseTime(from),
+      to: Historian.parseTime(to),
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json({ count: events.length, events });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+function alarmRoute(action, permission, handler) {
+  app.post(`/api/alarms/:id/${action}`, requirePermission(permission), (req, res) => {
+    try {
+      const alarm = handler(req.params.id, req.user, req.body || {});
+      auditLog.record({ actor: req.user, client: { address: req.ip }, unit: alarm.unit, action: `alarm_${action}`, payload: { id: req.params.id, ...req.body }, result: { status: 'applied', state: alarm.state } });
+      res.json(alarm);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
+
+alarmRoute('acknowledge', 'alarms:acknowledge', (id, user) => alarmManager.acknowledge(id, user));
+alarmRoute('shelve', 'alarms:shelve', (id, user, body) => alarmManager.shelve(id, user, Number(body.duration), body.reason));
+alarmRoute('unshelve', 'alarms:shelve', (id, user, body) => alarmManager.unshelve(id, user, body.reason));
+
+// Notification channels with delivery statistics
+app.get('/api/notifications', requirePermission('config:read'), (req, res) => {
+  res.json({ channels: notifier.getStatus() });
+});
+
+app.post('/api/notifications/:channel/test', requirePermission('notifications:test'), async (req, res) => {
+  try {
+    const result = await notifier.test(req.params.channel, req.user);
+    auditLog.record({ actor: req.user, client: { address: req.ip }, action: 'notification_test', payload: { channel: req.params.channel }, result: { status: result.delivered ? 'applied' : 'failed', attempts: result.attempts, reason: result.error || null } });
+    res.status(result.delivered ? 200 : 502).json(result);
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+// External data: current values with their source and staleness, and feed status
+app.get('/api/external-data', requirePermission('telemetry:read'), (req, res) => {
+  res.json({ data: externalData.snapshot(), sources: externalData.getStatus() });
+});
+
+// Tariff: the definition, the price at a time, and a price forecast for a period
+app.get('/api/tariff', requirePermission('telemetry:read'), (req, res) => {
+  try {
+    res.json({ tariff: tariff.toJSON(), price: tariff.priceAt(req.query.at ? new Date(req.query.at) : Date.now()) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/tariff/prices', requirePermission('telemetry:read'), (req, res) => {
+  const from = req.query.from ? new Date(req.query.from) : new Date();
+  const to = req.query.to ? new Date(req.query.to) : new Date(from.getTime() + 24 * 60 * 60 * 1000);
+  const step = req.query.step ? Number(req.query.step) * 60 * 1000 : undefined;
+  if (Number.isNaN(from.getTime()) || Number.isNaN(to.getTime())) {
+    return res.status(400).json({ error: 'from and to must be dates' });
+  }
+
+  try {
+    res.json({ from: from.toISOString(), to: to.toISOString(), prices: tariff.pricesBetween(from, to, step) });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Model registry: list, inspect, compare, register, import, promote and roll back
+app.get('/api/models', requirePermission('telemetry:read'), (req, res) => {
+  res.json({ production: modelRegistry.index.production, models: modelRegistry.list() });
+});
+
+// Production model with parameters, or with ?at= the version that was in production at that time
+app.get('/api/models/active', requirePermission('telemetry:read'), (req, res) => {
+  try {
+    if (req.query.at) {
+      return res.json(modelRegistry.activeAt(Historian.parseTime(req.query.at)));
+    }
+    res.json(modelRegistry.production());
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/models/promotions', requirePermission('telemetry:read'), (req, res) => {
+  res.json({ promotions: modelRegistry.promotions() });
+});
+
+app.get('/api/models/compare', requirePermission('telemetry:read'), (req, res) => {
+  try {
+    res.json(modelRegistry.compare(req.query.a, req.query.b));
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+app.get('/api/models/:version', requirePermission('telemetry:read'), (req, res) => {
+  try {
+    res.json(modelRegistry.get(req.params.version));
+  } catch (error) {
+    res.status(404).json({ error: error.message });
+  }
+});
+
+function modelRoute(route, permission, action, handler) {
+  app.post(route, requirePermission(permission), (req, res) => {
+    try {
+      const previous = modelRegistry.index.production;
+      const entry = handler(req, req.body || {});
+      auditLog.record({ actor: req.user, client: { address: req.ip }, action, payload: { version: entry.version, reason: req.body?.reason || null }, previousValue: previous, result: { status: 'applied', version: entry.version, dataHash: entry.dataHash } });
+
+      if (entry.status === 'production') {
+        const production = productionModel();
+        controlLoops.forEach(loop => loop.setNeuralModel(production));
+        io.emit('model-promoted', { version: entry.version, action, by: req.user.username });
+      }
+      res.status(action === 'model_register' || action === 'model_import' ? 201 : 200).json(entry);
+    } catch (error) {
+      res.status(400).json({ error: error.message });
+    }
+  });
+}
+
+modelRoute('/api/models', 'models:register', 'model_register', (req, body) => modelRegistry.register({
+  model: body.model,
+  networkConfig: body.networkConfig,
+  metrics: body.metrics,
+  dataHash: body.dataHash,
+  notes: body.notes,
+  source: body.source === 'imitation' ? 'imitation' : 'trained'
+}, req.user));
+modelRoute('/api/models/import', 'models:manage', 'model_import', (req, body) => modelRegistry.import(body, req.user));
+modelRoute('/api/models/rollback', 'models:manage', 'model_rollback', (req, body) => modelRegistry.rollback(req.user, body.reason));
+modelRoute('/api/models/:version/promote', 'models:manage', 'model_promote', (req, body) => modelRegistry.promote(req.params.version, req.user, body.reason));
+
+// Recent operator commands and their acknowledgement state
+app.get('/api/commands', requirePermission('telemetry:read'), (req, res) => {
+  res.json({ commands: commandTracker.list({ unit: req.query.unit }) });
+});
+
+// Audit trail: /api/audit?from=&to=&user=&action=&unit=&limit=
+app.get('/api/audit', requirePermission('audit:read'), async (req, res) => {
+  try {
+    const { from, to, user, action, unit, limit } = req.query;
+    const entries = await auditLog.query({
+      from: Historian.parseTime(from),
+      to: Historian.parseTime(to),
+      user,
+      action,
+      unit,
+      limit: limit ? parseInt(limit) : undefined
+    });
+    res.json({ count: entries.length, entries });
+  } catch (error) {
+    res.status(400).json({ error: error.message });
+  }
+});
+
+// Recompute the hash chain to detect edited or deleted entries
+app.get('/api/audit/verify', requirePermission('audit:read'), async (req, res) => {
+  res.json(await auditLog.verify());
+});
+
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.json({ 
@@ -139,15 +1094,31 @@ app.get('/health', (req, res) => {
     services: {
       mqtt: mqttClient?.connected || false,
       websocket: io.engine.clientsCount,
+      controlLoops: controlLoops.size,
+      units: fleet.list().length,
+      historian: historian.getStatus(),
+      audit: auditLog.getStatus(),
+      interlocksTripped: interlock.list().filter(status => status.tripped).map(status => status.unit),
+      activeAlarms: alarmManager.list().filter(alarm => alarm.state === 'active').length,
+      notificationsFailed: notifier.getStatus().reduce((total, channel) => total + channel.stats.failed, 0),
+      externalDataStale: Object.entries(externalData.snapshot()).filter(([, entry]) => entry.stale).map(([kind]) => kind),
       timestamp: new Date().toISOString()
     }
   });
 });
 
+// Periodic fleet status so overview pages see units going stale
+setInterval(() => {
+  io.emit('fleet-status', fleet.list());
+}, 2000);
+
 // Initialize services
+alarmManager.start();
+externalData.start();
 initializeMQTT();
+fleet.list().forEach(entry => getControlLoop(entry.unit));
 
-const PORT = process.env.PORT || 3000;
+const PORT = config.http.port;
 server.listen(PORT, () => {
   console.log(`🚀 PEM Electrolyzer Dashboard running on port ${PORT}`);
   console.log(`📊 Access at: http://localhost:${PORT}`);
@@ -0,0 +1,145 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const GENESIS_HASH = '0'.repeat(64);
+
+// Append-only audit trail of operator and controller actions. Every entry
+// carries the hash of the previous one, so editing or deleting a line breaks
+// the chain and is reported by verify().
+class AuditLog {
+  constructor(options = {}) {
+    this.file = options.file || path.join(__dirname, 'data', 'audit', 'audit.jsonl');
+    this.maxResults = options.maxResults || 1000;
+
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+
+    const last = this.readLastEntry();
+    this.sequence = last ? last.seq : 0;
+    this.lastHash = last ? last.hash : GENESIS_HASH;
+  }
+
+  readLastEntry() {
+    if (!fs.existsSync(this.file)) return null;
+
+    const lines = fs.readFileSync(this.file, 'utf8').split('\n').filter(Boolean);
+    for (let i = lines.length - 1; i >= 0; i--) {
+      try {
+        return JSON.parse(lines[i]);
+      } catch (error) {
+        continue; // Torn final write; verify() will flag it
+      }
+    }
+    return null;
+  }
+
+  // Append one entry; written synchronously so an acknowledged action is always on disk
+  record({ actor, client = null, unit = null, action, payload = null, previousValue = null, result }) {
+    const entry = {
+      seq: this.sequence + 1,
+      timestamp: new Date().toISOString(),
+      actor: {
+        username: actor.username,
+        role: actor.role
+      },
+      client,
+      unit,
+      action,
+      payload,
+      previousValue,
+      result,
+      prevHash: this.lastHash
+    };
+    entry.hash = AuditLog.hashEntry(entry);
+
+    fs.appendFileSync(this.file, JSON.stringify(entry) + '\n', { mode: 0o640 });
+
+    this.sequence = entry.seq;
+    this.lastHash = entry.hash;
+    return entry;
+  }
+
+  static hashEntry(entry) {
+    const { hash, ...content } = entry;
+    return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex');
+  }
+
+  async *entries() {
+    if (!fs.existsSync(this.file)) return;
+
+    const lines = readline.createInterface({ input: fs.createReadStream(this.file), crlfDelay: Infinity });
+    let lineNumber = 0;
+    for await (const line of lines) {
+      lineNumber++;
+      if (line) yield { line, lineNumber };
+    }
+  }
+
+  // Newest-last list of entries matching the filters
+  async query({ from, to, user, action, unit, limit = this.maxResults } = {}) {
+    const results = [];
+
+    for await (const { line } of this.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        continue;
+      }
+
+      const time = Date.parse(entry.timestamp);
+      if (from !== undefined && time < from) continue;
+      if (to !== undefined && time > to) continue;
+      if (user && entry.actor.username !== user) continue;
+      if (action && entry.action !== action) continue;
+      if (unit && entry.unit !== unit) continue;
+
+      results.push(entry);
+    }
+
+    return results.slice(-limit);
+  }
+
+  // Recompute the hash chain; reports the first entry that does not match
+  async verify() {
+    let previousHash = GENESIS_HASH;
+    let expectedSeq = 1;
+    let count = 0;
+
+    for await (const { line, lineNumber } of this.entries()) {
+      let entry;
+      try {
+        entry = JSON.parse(line);
+      } catch (error) {
+        return { valid: false, entries: count, brokenAt: lineNumber, reason: 'Unparseable entry' };
+      }
+
+      if (entry.seq !== expectedSeq) {
+        return { valid: false, entries: count, brokenAt: lineNumber, reason: `Expected sequence ${expectedSeq}, found ${entry.seq}` };
+      }
+      if (entry.prevHash !== previousHash) {
+        return { valid: false, entries: count, brokenAt: lineNumber, reason: 'Previous hash does not match' };
+      }
+      if (AuditLog.hashEntry(entry) !== entry.hash) {
+        return { valid: false, entries: count, brokenAt: lineNumber, reason: 'Entry hash does not match its content' };
+      }
+
+      previousHash = entry.hash;
+      expectedSeq++;
+      count++;
+    }
+
+    return { valid: true, entries: count, brokenAt: null, reason: null, lastHash: previousHash };
+  }
+
+  getStatus() {
+    return {
+      file: this.file,
+      entries: this.sequence,
+      lastHash: this.lastHash
+    };
+  }
+}
+
+module.exports = AuditLog;
@@ -0,0 +1,115 @@
+class AuditViewer {
+    constructor() {
+        this.entries = [];
+        this.verification = null;
+        this.visible = false;
+        this.refreshInterval = null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('audit-log-toggle')?.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        document.getElementById('audit-refresh')?.addEventListener('click', () => {
+            this.refresh();
+        });
+
+        ['audit-filter-user', 'audit-filter-action'].forEach(id => {
+            document.getElementById(id)?.addEventListener('change', () => this.refresh());
+        });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        const panel = document.getElementById('audit-log');
+        if (panel) {
+            panel.hidden = !this.visible;
+        }
+
+        clearInterval(this.refreshInterval);
+        if (this.visible) {
+            this.refresh();
+            this.refreshInterval = setInterval(() => this.refresh(), 10000);
+        }
+    }
+
+    async refresh() {
+        if (!window.authClient) return;
+
+        try {
+            const params = new URLSearchParams({ limit: 200 });
+            const user = document.getElementById('audit-filter-user')?.value;
+            const action = document.getElementById('audit-filter-action')?.value;
+            if (user) params.set('user', user);
+            if (action) params.set('action', action);
+
+            const [entriesResponse, verifyResponse] = await Promise.all([
+                window.authClient.fetch(`/api/audit?${params}`),
+                window.authClient.fetch('/api/audit/verify')
+            ]);
+            if (!entriesResponse.ok || !verifyResponse.ok) return;
+
+            this.entries = (await entriesResponse.json()).entries;
+            this.verification = await verifyResponse.json();
+
+            this.renderChainStatus();
+            this.renderTable();
+        } catch (error) {
+            console.error('Failed to load audit log:', error);
+        }
+    }
+
+    renderChainStatus() {
+        const element = document.getElementById('audit-chain-status');
+        if (!element || !this.verification) return;
+
+        const { valid, entries, brokenAt, reason } = this.verification;
+        element.className = `audit-chain-status ${valid ? 'valid' : 'broken'}`;
+        element.textContent = valid
+            ? `Hash chain intact (${entries} entries)`
+            : `Hash chain broken at line ${brokenAt}: ${reason}`;
+    }
+
+    renderTable() {
+        const body = document.getElementById('audit-table-body');
+        if (!body) return;
+
+        // Newest first
+        body.innerHTML = this.entries.slice().reverse().map(entry => `
+            <tr class="audit-${this.escape(entry.result?.status || '')}">
+                <td>${entry.seq}</td>
+                <td>${new Date(entry.timestamp).toLocaleString()}</td>
+                <td>${this.escape(entry.actor.username)} <small>${this.escape(entry.actor.role || '')}</small></td>
+                <td>${this.escape(entry.client?.address || '')}</td>
+                <td>${this.escape(entry.unit || '')}</td>
+                <td>${this.escape(entry.action)}</td>
+                <td><code>${this.escape(this.format(entry.payload))}</code></td>
+                <td><code>${this.escape(this.format(entry.previousValue))}</code></td>
+                <td><code>${this.escape(this.format(entry.result))}</code></td>
+            </tr>
+        `).join('');
+    }
+
+    format(value) {
+        if (value === null || value === undefined) return '-';
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+}
+
+// Initialize audit viewer when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.auditViewer = new AuditViewer();
+});
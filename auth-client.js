@@ -0,0 +1,152 @@
+class AuthClient {
+    constructor() {
+        this.storageKey = 'pem-auth-token';
+        this.token = sessionStorage.getItem(this.storageKey);
+        this.user = null;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+
+        if (!this.token) {
+            this.showLogin();
+        }
+    }
+
+    setupEventListeners() {
+        document.getElementById('login-form')?.addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.login(
+                document.getElementById('login-username').value,
+                document.getElementById('login-password').value
+            );
+        });
+
+        document.getElementById('logout-button')?.addEventListener('click', () => {
+            this.logout();
+        });
+    }
+
+    getToken() {
+        return this.token;
+    }
+
+    async login(username, password) {
+        try {
+            const response = await fetch('/api/auth/login', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ username, password })
+            });
+            const result = await response.json();
+
+            if (!response.ok) {
+                this.showLogin(result.error || 'Login failed');
+                return false;
+            }
+
+            this.token = result.token;
+            sessionStorage.setItem(this.storageKey, this.token);
+            this.setUser(result.user);
+            this.hideLogin();
+
+            // Reconnect so the socket is authenticated as the new user
+            if (window.mqttClient) {
+                window.mqttClient.reconnect();
+            }
+            return true;
+        } catch (error) {
+            console.error('Login request failed:', error);
+            this.showLogin('Server unreachable');
+            return false;
+        }
+    }
+
+    logout() {
+        this.token = null;
+        sessionStorage.removeItem(this.storageKey);
+        this.setUser(null);
+
+        if (window.mqttClient) {
+            window.mqttClient.disconnect();
+        }
+        this.showLogin();
+    }
+
+    setUser(user) {
+        this.user = user;
+
+        const userElement = document.getElementById('current-user');
+        if (userElement) {
+            userElement.textContent = user ? `${user.username} (${user.role})` : 'Signed out';
+        }
+
+        if (window.mpcDashboard) {
+            window.mpcDashboard.applyPermissions(user);
+        }
+        if (window.alarmPanel) {
+            window.alarmPanel.render();
+        }
+        if (window.modelRegistryPanel) {
+            window.modelRegistryPanel.renderTable();
+        }
+    }
+
+    can(permission) {
+        return Boolean(this.user) && this.user.permissions.includes(permission);
+    }
+
+    // Called when the server rejects the session (missing, expired or revoked token)
+    handleUnauthorized(message) {
+        this.token = null;
+        sessionStorage.removeItem(this.storageKey);
+        this.setUser(null);
+        this.showLogin(message);
+    }
+
+    // fetch() with the session token attached
+    async fetch(url, options = {}) {
+        const headers = { ...(options.headers || {}) };
+        if (this.token) {
+            headers.Authorization = `Bearer ${this.token}`;
+        }
+
+        const response = await fetch(url, { ...options, headers });
+        if (response.status === 401) {
+            this.handleUnauthorized('Session expired, please sign in again');
+        }
+        return response;
+    }
+
+    showLogin(message = '') {
+        const overlay = document.getElementById('login-overlay');
+        if (overlay) {
+            overlay.hidden = false;
+        }
+
+        const errorElement = document.getElementById('login-error');
+        if (errorElement) {
+            errorElement.textContent = message;
+        }
+        document.getElementById('login-password')?.focus();
+    }
+
+    hideLogin() {
+        const overlay = document.getElementById('login-overlay');
+        if (overlay) {
+            overlay.hidden = true;
+        }
+
+        const passwordInput = document.getElementById('login-password');
+        if (passwordInput) {
+            passwordInput.value = '';
+        }
+    }
+}
+
+// Initialize before the MQTT client so the socket can authenticate
+document.addEventListener('DOMContentLoaded', function() {
+    window.authClient = new AuthClient();
+});
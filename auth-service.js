@@ -0,0 +1,297 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Roles in increasing order of privilege
+const ROLES = ['viewer', 'operator', 'engineer', 'admin'];
+
+// Minimum role required for each action
+const PERMISSIONS = {
+  'telemetry:read': 'viewer',
+  'telemetry:report': 'viewer',
+  'system:command': 'operator',
+  'setpoint:write': 'operator',
+  'mode:change': 'operator',
+  'controlLoop:toggle': 'operator',
+  'alarms:acknowledge': 'operator',
+  'models:register': 'operator',
+  'mpc:configure': 'engineer',
+  'interlock:reset': 'engineer',
+  'alarms:shelve': 'engineer',
+  'config:read': 'engineer',
+  'audit:read': 'engineer',
+  'notifications:test': 'engineer',
+  'models:manage': 'engineer',
+  'users:manage': 'admin'
+};
+
+// Permission needed for each control-command type sent by the dashboard
+const COMMAND_PERMISSIONS = {
+  system_command: 'system:command',
+  setpoint: 'setpoint:write',
+  current_setpoint: 'setpoint:write',
+  mode_change: 'mode:change',
+  performance_data: 'telemetry:report',
+  control_log: 'telemetry:report'
+};
+
+class AuthError extends Error {
+  constructor(message, status = 401) {
+    super(message);
+    this.name = 'AuthError';
+    this.status = status;
+  }
+}
+
+// Local user store with scrypt password hashes and HMAC-signed (HS256 JWT) session tokens
+class AuthService {
+  constructor(options = {}) {
+    this.usersFile = options.usersFile || path.join(__dirname, 'data', 'users.json');
+    this.tokenTtl = options.tokenTtl || 8 * 60 * 60; // seconds
+    this.secret = options.tokenSecret || this.loadOrCreateSecret(options.secretFile ||
+      path.join(path.dirname(this.usersFile), 'auth-secret'));
+    this.users = this.loadUsers();
+
+    if (this.users.length === 0) {
+      this.bootstrapAdmin(options.adminPassword);
+    }
+  }
+
+  // ================= USER STORE =================
+
+  loadUsers() {
+    if (!fs.existsSync(this.usersFile)) return [];
+    return JSON.parse(fs.readFileSync(this.usersFile, 'utf8')).users || [];
+  }
+
+  saveUsers() {
+    fs.mkdirSync(path.dirname(this.usersFile), { recursive: true });
+    fs.writeFileSync(this.usersFile, JSON.stringify({ users: this.users }, null, 2), { mode: 0o600 });
+  }
+
+  loadOrCreateSecret(secretFile) {
+    if (fs.existsSync(secretFile)) {
+      return fs.readFileSync(secretFile, 'utf8').trim();
+    }
+    const secret = crypto.randomBytes(32).toString('hex');
+    fs.mkdirSync(path.dirname(secretFile), { recursive: true });
+    fs.writeFileSync(secretFile, secret, { mode: 0o600 });
+    return secret;
+  }
+
+  bootstrapAdmin(adminPassword) {
+    const password = adminPassword || crypto.randomBytes(9).toString('base64url');
+    this.createUser('admin', password, 'admin');
+
+    console.log('🔐 Created initial admin user "admin"');
+    if (!adminPassword) {
+      console.log(`🔐 Generated admin password: ${password} (change it after first login)`);
+    }
+  }
+
+  createUser(username, password, role) {
+    if (!/^[A-Za-z0-9_.-]{3,32}$/.test(username || '')) {
+      throw new AuthError('Username must be 3-32 letters, digits, _ . or -', 400);
+    }
+    if (!ROLES.includes(role)) {
+      throw new AuthError(`Role must be one of ${ROLES.join(', ')}`, 400);
+    }
+    if (typeof password !== 'string' || password.length < 8) {
+      throw new AuthError('Password must be at least 8 characters', 400);
+    }
+    if (this.users.some(user => user.username === username)) {
+      throw new AuthError(`User ${username} already exists`, 409);
+    }
+
+    const user = {
+      username,
+      role,
+      passwordHash: this.hashPassword(password),
+      createdAt: new Date().toISOString()
+    };
+    this.users.push(user);
+    this.saveUsers();
+    return this.publicUser(user);
+  }
+
+  updateUser(username, { password, role }) {
+    const user = this.users.find(entry => entry.username === username);
+    if (!user) throw new AuthError(`User ${username} not found`, 404);
+
+    if (role !== undefined) {
+      if (!ROLES.includes(role)) throw new AuthError(`Role must be one of ${ROLES.join(', ')}`, 400);
+      if (user.role === 'admin' && role !== 'admin' && this.adminCount() === 1) {
+        throw new AuthError('Cannot demote the last admin', 400);
+      }
+      user.role = role;
+    }
+    if (password !== undefined) {
+      if (typeof password !== 'string' || password.length < 8) {
+        throw new AuthError('Password must be at least 8 characters', 400);
+      }
+      user.passwordHash = this.hashPassword(password);
+    }
+
+    this.saveUsers();
+    return this.publicUser(user);
+  }
+
+  deleteUser(username) {
+    const user = this.users.find(entry => entry.username === username);
+    if (!user) throw new AuthError(`User ${username} not found`, 404);
+    if (user.role === 'admin' && this.adminCount() === 1) {
+      throw new AuthError('Cannot delete the last admin', 400);
+    }
+
+    this.users = this.users.filter(entry => entry.username !== username);
+    this.saveUsers();
+  }
+
+  adminCount() {
+    return this.users.filter(user => user.role === 'admin').length;
+  }
+
+  listUsers() {
+    return this.users.map(user => this.publicUser(user));
+  }
+
+  publicUser(user) {
+    return {
+      username: user.username,
+      role: user.role,
+      permissions: this.permissionsFor(user.role),
+      createdAt: user.createdAt
+    };
+  }
+
+  // ================= PASSWORDS =================
+
+  hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+    return `scrypt$${salt}$${hash}`;
+  }
+
+  verifyPassword(password, stored) {
+    const [scheme, salt, hash] = (stored || '').split('$');
+    if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+    const expected = Buffer.from(hash, 'hex');
+    const actual = crypto.scryptSync(String(password), salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+  }
+
+  // ================= TOKENS =================
+
+  login(username, password) {
+    const user = this.users.find(entry => entry.username === username);
+
+    // Hash even for unknown users so timing does not reveal valid usernames
+    const valid = this.verifyPassword(password, user ? user.passwordHash : this.hashPassword('invalid'));
+    if (!user || !valid) {
+      throw new AuthError('Invalid username or password');
+    }
+
+    return {
+      token: this.issueToken(user),
+      expiresIn: this.tokenTtl,
+      user: this.publicUser(user)
+    };
+  }
+
+  issueToken(user) {
+    const now = Math.floor(Date.now() / 1000);
+    const header = this.encode({ alg: 'HS256', typ: 'JWT' });
+    const payload = this.encode({ sub: user.username, role: user.role, iat: now, exp: now + this.tokenTtl });
+    return `${header}.${payload}.${this.sign(`${header}.${payload}`)}`;
+  }
+
+  // Returns the current user for a valid token; role changes apply immediately
+  verifyToken(token) {
+    if (!token) throw new AuthError('Authentication required');
+
+    const [header, payload, signature] = String(token).split('.');
+    if (!header || !payload || !signature) throw new AuthError('Invalid token');
+
+    const expected = Buffer.from(this.sign(`${header}.${payload}`));
+    const actual = Buffer.from(signature);
+    if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+      throw new AuthError('Invalid token');
+    }
+
+    const claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    if (claims.exp < Math.floor(Date.now() / 1000)) {
+      throw new AuthError('Token expired');
+    }
+
+    const user = this.users.find(entry => entry.username === claims.sub);
+    if (!user) throw new AuthError('Invalid token');
+
+    return this.publicUser(user);
+  }
+
+  // Expiry of a token already accepted by verifyToken, in epoch milliseconds
+  tokenExpiresAt(token) {
+    const claims = JSON.parse(Buffer.from(String(token).split('.')[1], 'base64url').toString('utf8'));
+    return claims.exp * 1000;
+  }
+
+  encode(object) {
+    return Buffer.from(JSON.stringify(object)).toString('base64url');
+  }
+
+  sign(data) {
+    return crypto.createHmac('sha256', this.secret).update(data).digest('base64url');
+  }
+
+  // ================= AUTHORIZATION =================
+
+  permissionsFor(role) {
+    const level = ROLES.indexOf(role);
+    return Object.keys(PERMISSIONS).filter(permission => ROLES.indexOf(PERMISSIONS[permission]) <= level);
+  }
+
+  can(user, permission) {
+    return Boolean(user) && this.permissionsFor(user.role).includes(permission);
+  }
+
+  // Unknown command types need the highest non-admin role
+  commandPermission(command) {
+    return COMMAND_PERMISSIONS[command && command.type] || 'mpc:configure';
+  }
+
+  // Express middleware: authenticate the bearer token and check a permission
+  requirePermission(permission) {
+    return (req, res, next) => {
+      try {
+        const header = req.headers.authorization || '';
+        req.user = this.verifyToken(header.startsWith('Bearer ') ? header.slice(7) : null);
+      } catch (error) {
+        return res.status(error.status || 401).json({ error: error.message });
+      }
+
+      if (!this.can(req.user, permission)) {
+        return res.status(403).json({ error: `Permission ${permission} required` });
+      }
+      next();
+    };
+  }
+
+  // socket.io middleware: reject connections without a valid token
+  socketMiddleware() {
+    return (socket, next) => {
+      try {
+        socket.data.user = this.verifyToken(socket.handshake.auth && socket.handshake.auth.token);
+        next();
+      } catch (error) {
+        next(error);
+      }
+    };
+  }
+}
+
+AuthService.ROLES = ROLES;
+AuthService.PERMISSIONS = PERMISSIONS;
+AuthService.AuthError = AuthError;
+
+module.exports = AuthService;
@@ -14,7 +14,15 @@ class ChartManager {
     init() {
         this.createProductionChart();
         this.createStackParamsChart();
+        this.createEstimateChart();
         this.createMPCComparisonChart();
+
+        document.getElementById('history-export')?.addEventListener('click', () => {
+            const option = document.getElementById('history-export-range')?.selectedOptions[0];
+            const topics = window.mqttClient && window.mqttClient.topics;
+            if (!option || !topics) return;
+            this.exportHistory(topics.ARDUINO_DATA, Date.now() - Number(option.value), undefined, option.dataset.downsample);
+        });
         
         // Start data simulation if no real data
         this.startDataSimulation();
@@ -167,6 +175,103 @@ class ChartManager {
         });
     }
 
+    // Raw readings against the state estimate, with a ±2σ band on temperature
+    createEstimateChart() {
+        const canvas = document.getElementById('estimate-chart');
+        if (!canvas) return;
+
+        this.charts.estimate = new Chart(canvas.getContext('2d'), {
+            type: 'line',
+            data: {
+                labels: [],
+                datasets: [
+                    {
+                        label: 'Temperature raw (°C)',
+                        data: [],
+                        borderColor: 'rgba(243, 156, 18, 0.5)',
+                        showLine: false,
+                        pointRadius: 2,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: 'Temperature estimate (°C)',
+                        data: [],
+                        borderColor: '#f39c12',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: '−2σ',
+                        data: [],
+                        borderColor: 'transparent',
+                        pointRadius: 0,
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: '+2σ',
+                        data: [],
+                        borderColor: 'transparent',
+                        backgroundColor: 'rgba(243, 156, 18, 0.15)',
+                        pointRadius: 0,
+                        fill: '-1',
+                        yAxisID: 'y1'
+                    },
+                    {
+                        label: 'Voltage raw (V)',
+                        data: [],
+                        borderColor: 'rgba(155, 89, 182, 0.5)',
+                        showLine: false,
+                        pointRadius: 2,
+                        yAxisID: 'y'
+                    },
+                    {
+                        label: 'Voltage estimate (V)',
+                        data: [],
+                        borderColor: '#9b59b6',
+                        borderWidth: 2,
+                        pointRadius: 0,
+                        yAxisID: 'y'
+                    }
+                ]
+            },
+            options: {
+                responsive: true,
+                maintainAspectRatio: false,
+                plugins: {
+                    legend: {
+                        position: 'top',
+                        labels: {
+                            filter: (item) => !item.text.includes('σ')
+                        }
+                    }
+                },
+                scales: {
+                    y: {
+                        position: 'left',
+                        title: {
+                            display: true,
+                            text: 'Voltage (V)'
+                        }
+                    },
+                    y1: {
+                        position: 'right',
+                        title: {
+                            display: true,
+                            text: 'Temperature (°C)'
+                        },
+                        grid: {
+                            drawOnChartArea: false
+                        }
+                    }
+                },
+                animation: {
+                    duration: 0
+                }
+            }
+        });
+    }
+
     createMPCComparisonChart() {
         // This will be used in the MPC comparison panel
         const container = document.querySelector('.mpc-performance-chart');
@@ -254,6 +359,34 @@ class ChartManager {
         }
     }
 
+    // Missing readings stay gaps (null) next to the continuous estimate
+    updateWithEstimate(estimate) {
+        if (!estimate) return;
+        const timestamp = new Date(estimate.timestamp).toLocaleTimeString();
+        const { state, stdDev, measured } = estimate;
+
+        this.updateChartData('estimate', timestamp, [
+            measured.temperature ?? null,
+            state.temperature,
+            state.temperature - 2 * stdDev.temperature,
+            state.temperature + 2 * stdDev.temperature,
+            measured.voltage ?? null,
+            state.voltage
+        ]);
+
+        const summary = document.getElementById('estimate-summary');
+        if (summary) {
+            const notes = [
+                estimate.missing.length > 0 ? `missing ${estimate.missing.join(', ')}` : '',
+                estimate.rejected.length > 0 ? `rejected ${estimate.rejected.join(', ')}` : ''
+            ].filter(Boolean);
+            summary.textContent =
+                `${estimate.mode.toUpperCase()} · membrane degradation ` +
+                `${(state.degradationResistance * 1000).toFixed(1)} ± ${(stdDev.degradationResistance * 2000).toFixed(1)} mΩ·cm²` +
+                (notes.length > 0 ? ` · ${notes.join('; ')}` : '');
+        }
+    }
+
     updateChartData(chartName, label, data) {
         const chart = this.charts[chartName];
         if (!chart) return;
@@ -327,6 +460,64 @@ class ChartManager {
         }
     }
 
+    // Backfill from the server historian so a refresh or unit switch keeps recent data. Points
+    // of all topics are merged in time order before they reach the charts.
+    async loadHistory(topics, span = 60 * 60 * 1000, downsample = '30s') {
+        try {
+            const from = Date.now() - span;
+            const results = await Promise.all([].concat(topics).map(async topic => {
+                const params = new URLSearchParams({ topic, from, downsample, limit: this.maxHistoryLength });
+                const response = await window.authClient.fetch(`/api/history?${params}`);
+                return response.ok ? (await response.json()).points : [];
+            }));
+            const points = results.flat().sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+
+            points.forEach(point => {
+                const label = new Date(point.timestamp).toLocaleTimeString();
+                const data = point.data;
+
+                if (data.h2ProductionRate !== undefined && data.o2ProductionRate !== undefined) {
+                    this.updateChartData('production', label, [
+                        data.h2ProductionRate * 3600,
+                        data.o2ProductionRate * 3600
+                    ]);
+                }
+
+                if (data.stackCurrent !== undefined && data.cellTemperature !== undefined && data.stackVoltage !== undefined) {
+                    this.updateChartData('stackParams', label, [
+                        data.stackCurrent,
+                        data.cellTemperature,
+                        data.stackVoltage
+                    ]);
+                }
+            });
+
+            console.log(`📈 Loaded ${points.length} historical points for ${[].concat(topics).join(', ')}`);
+        } catch (error) {
+            console.error('Failed to load chart history:', error);
+        }
+    }
+
+    // Fetched with the session header and saved from a blob, so the token never appears in a URL
+    async exportHistory(topic, from, to, downsample = '') {
+        // Unset parameters are left out: the server rejects a literal "undefined"
+        const params = new URLSearchParams(Object.entries({ topic, from, to, downsample, format: 'csv' })
+            .filter(([, value]) => value !== undefined && value !== null && value !== ''));
+        const response = await window.authClient.fetch(`/api/history?${params}`);
+        if (!response.ok) {
+            const result = await response.json();
+            window.mqttClient?.showNotification(`History export: ${result.error}`, 'error');
+            return;
+        }
+
+        const url = URL.createObjectURL(await response.blob());
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `pem-history-${new Date().toISOString().split('T')[0]}.csv`;
+        a.click();
+        URL.revokeObjectURL(url);
+    }
+
     // Utility methods
     exportChartData() {
         const data = {
@@ -0,0 +1,152 @@
+const crypto = require('crypto');
+
+const FINAL_STATES = ['applied', 'rejected', 'timed_out'];
+
+// Request/acknowledge protocol for device commands. Each command is published
+// with a commandId; the Arduino or MATLAB side answers on the unit's ack topic
+// with { commandId, status: 'applied' | 'rejected', reason }. Unanswered
+// commands are republished with the same ID until the retries run out, as long as
+// the canRetry hook still allows them.
+class CommandTracker {
+  constructor(options = {}) {
+    this.publish = options.publish;
+    this.onUpdate = options.onUpdate || (() => {});
+    // Veto or amend a retry: returns { allowed, reason, command } for the command summary
+    this.canRetry = options.canRetry || (() => ({ allowed: true }));
+    this.ackTimeout = options.ackTimeout || 3000;
+    this.maxRetries = options.maxRetries !== undefined ? options.maxRetries : 2;
+    this.historyLimit = options.historyLimit || 200;
+
+    this.pending = new Map();
+    this.history = [];
+  }
+
+  // Publish a command and start waiting for its acknowledgement
+  send(topic, command, meta = {}) {
+    const entry = {
+      commandId: crypto.randomUUID(),
+      topic,
+      command,
+      unit: meta.unit || null,
+      user: meta.user || null,
+      ackTopic: meta.ackTopic || null,
+      status: 'pending',
+      attempts: 0,
+      createdAt: Date.now(),
+      updatedAt: Date.now(),
+      reason: null,
+      timer: null
+    };
+
+    this.pending.set(entry.commandId, entry);
+    this.attempt(entry);
+    return this.summary(entry);
+  }
+
+  attempt(entry) {
+    entry.attempts++;
+    entry.updatedAt = Date.now();
+
+    const published = this.publish(entry.topic, {
+      ...entry.command,
+      commandId: entry.commandId,
+      ackTopic: entry.ackTopic,
+      attempt: entry.attempts
+    });
+
+    if (entry.attempts > 1) {
+      console.log(`🔁 Retrying command ${entry.commandId} (attempt ${entry.attempts})`);
+    }
+    entry.reason = published ? null : 'MQTT broker not connected';
+
+    entry.timer = setTimeout(() => this.handleTimeout(entry.commandId), this.ackTimeout);
+    this.onUpdate(this.summary(entry));
+  }
+
+  handleTimeout(commandId) {
+    const entry = this.pending.get(commandId);
+    if (!entry) return;
+
+    if (entry.attempts <= this.maxRetries) {
+      const verdict = this.canRetry(this.summary(entry));
+      if (!verdict.allowed) {
+        this.finish(entry, 'rejected', `Retry refused: ${verdict.reason}`);
+        return;
+      }
+      if (verdict.command) {
+        entry.command = verdict.command;
+      }
+      this.attempt(entry);
+      return;
+    }
+
+    this.finish(entry, 'timed_out', entry.reason || `No acknowledgement after ${entry.attempts} attempts`);
+  }
+
+  // Acknowledgement from a device; returns the resolved command or null if unknown
+  handleAck(ack, unit = null) {
+    const entry = ack && this.pending.get(ack.commandId);
+    if (!entry || (unit && entry.unit && entry.unit !== unit)) {
+      return null;
+    }
+
+    const status = ack.status === 'rejected' ? 'rejected' : 'applied';
+    return this.finish(entry, status, ack.reason || null);
+  }
+
+  finish(entry, status, reason) {
+    clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.status = status;
+    entry.reason = reason;
+    entry.updatedAt = Date.now();
+
+    this.pending.delete(entry.commandId);
+    this.history.push(entry);
+    if (this.history.length > this.historyLimit) {
+      this.history.shift();
+    }
+
+    const summary = this.summary(entry);
+    this.onUpdate(summary);
+    return summary;
+  }
+
+  // Withdraw a unit's pending commands the filter selects, e.g. on an interlock trip
+  cancel(unit, filter, reason) {
+    return Array.from(this.pending.values())
+      .filter(entry => entry.unit === unit && filter(this.summary(entry)))
+      .map(entry => this.finish(entry, 'rejected', reason));
+  }
+
+  summary(entry) {
+    return {
+      commandId: entry.commandId,
+      unit: entry.unit,
+      user: entry.user,
+      type: entry.command.type,
+      command: entry.command,
+      status: entry.status,
+      final: FINAL_STATES.includes(entry.status),
+      attempts: entry.attempts,
+      reason: entry.reason,
+      createdAt: new Date(entry.createdAt).toISOString(),
+      updatedAt: new Date(entry.updatedAt).toISOString(),
+      latency: FINAL_STATES.includes(entry.status) ? entry.updatedAt - entry.createdAt : null
+    };
+  }
+
+  list({ unit } = {}) {
+    const entries = [...this.history, ...this.pending.values()]
+      .filter(entry => !unit || entry.unit === unit)
+      .sort((a, b) => a.createdAt - b.createdAt);
+    return entries.map(entry => this.summary(entry));
+  }
+
+  stop() {
+    this.pending.forEach(entry => clearTimeout(entry.timer));
+    this.pending.clear();
+  }
+}
+
+module.exports = CommandTracker;
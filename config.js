@@ -0,0 +1,436 @@
+const fs = require('fs');
+const path = require('path');
+const SafetyLimits = require('./safety-limits');
+const ExternalData = require('./external-data');
+const TariffSchedule = require('./tariff-schedule');
+const StorageTanks = require('./storage-tanks');
+const StateEstimator = require('./state-estimator');
+const StackHealth = require('./stack-health');
+const SystemIdentification = require('./system-identification');
+
+// Topic names relative to the configured prefix
+const TOPIC_SUFFIXES = {
+  MATLAB_DATA: 'matlab/data',
+  MATLAB_CONTROL: 'matlab/control',
+  ARDUINO_DATA: 'arduino/data',
+  ARDUINO_CONTROL: 'arduino/control',
+  MPC_COMPARISON: 'mpc/comparison',
+  COMMAND_ACK: 'control/ack'
+};
+
+const DEFAULTS = {
+  http: {
+    port: 3000,
+    corsOrigin: null
+  },
+  auth: {
+    usersFile: path.join(__dirname, 'data', 'users.json'),
+    tokenSecret: null,
+    tokenTtl: 8 * 60 * 60,
+    adminPassword: null
+  },
+  mqtt: {
+    brokerUrl: 'mqtt://localhost:1883',
+    clientId: null,
+    username: null,
+    password: null,
+    topicPrefix: 'pem',
+    tls: {
+      ca: null,
+      cert: null,
+      key: null,
+      rejectUnauthorized: true
+    },
+    qos: {
+      MATLAB_DATA: 0,
+      MATLAB_CONTROL: 1,
+      ARDUINO_DATA: 0,
+      ARDUINO_CONTROL: 1,
+      MPC_COMPARISON: 0,
+      COMMAND_ACK: 1
+    }
+  },
+  fleet: {
+    enabled: false,
+    units: [],
+    defaultUnit: 'default',
+    staleAfter: 10000,
+    maxDiscoveredUnits: 16 // units not in `units` taken in from the broker before new ones are ignored
+  },
+  controlLoop: {
+    strategy: 'HEMPC',
+    sampleTime: 1.0,
+    neural: {},        // NeuralMPC networkConfig overrides: features, hiddenLayers, activations, outputSize, ensembleSize
+    autoRetrain: false, // retrain and hot-swap the neural model when tracking degrades, bypassing the registry
+    uncertainty: {
+      threshold: 10,   // A, ensemble spread above which DETERMINISTIC MPC takes over
+      oodMargin: 0.1   // fraction of the training range tolerated outside it
+    },
+    economic: {
+      economicHorizon: 24, // h planned by the HE-MPC economic layer (24-48)
+      solarCapacity: 5,    // kW of PV at 1000 W/m² feeding the stack
+      demandShare: 0.08    // share of the hospital O2 demand committed to this unit
+    }
+  },
+  commands: {
+    ackTimeout: 3000,
+    maxRetries: 2
+  },
+  safety: {
+    limits: SafetyLimits.DEFAULTS,
+    shutdownCommand: 'EMERGENCY_STOP'
+  },
+  historian: {
+    directory: path.join(__dirname, 'data', 'history')
+  },
+  audit: {
+    file: path.join(__dirname, 'data', 'audit', 'audit.jsonl')
+  },
+  alarms: {
+    directory: path.join(__dirname, 'data', 'alarms'),
+    maxShelveDuration: 8 * 60 * 60 * 1000,
+    definitions: {}
+  },
+  models: {
+    directory: path.join(__dirname, 'data', 'models')
+  },
+  notifications: {
+    alertTopic: null,
+    channels: []
+  },
+  externalData: {
+    refreshInterval: 300000,   // ms between file and HTTP reads
+    staleAfter: 900000,        // ms before data is flagged stale
+    cacheFile: path.join(__dirname, 'data', 'external-data.json'),
+    sources: {}                // tariff | solar | weather | o2Demand -> { type: file | http | mqtt, ... }
+  },
+  tariff: TariffSchedule.DEFAULTS,
+  storage: StorageTanks.DEFAULTS,
+  estimator: StateEstimator.DEFAULTS,
+  stackHealth: StackHealth.DEFAULTS,
+  identification: SystemIdentification.DEFAULTS
+};
+
+// Environment variable -> config path, with the parser applied to the raw string
+const ENV_OVERRIDES = {
+  PORT: ['http.port', Number],
+  CORS_ORIGIN: ['http.corsOrigin', String],
+  AUTH_USERS_FILE: ['auth.usersFile', String],
+  AUTH_TOKEN_SECRET: ['auth.tokenSecret', String],
+  AUTH_TOKEN_TTL: ['auth.tokenTtl', Number],
+  AUTH_ADMIN_PASSWORD: ['auth.adminPassword', String],
+  MQTT_BROKER_URL: ['mqtt.brokerUrl', String],
+  MQTT_CLIENT_ID: ['mqtt.clientId', String],
+  MQTT_USERNAME: ['mqtt.username', String],
+  MQTT_PASSWORD: ['mqtt.password', String],
+  MQTT_TOPIC_PREFIX: ['mqtt.topicPrefix', String],
+  MQTT_TLS_CA: ['mqtt.tls.ca', String],
+  MQTT_TLS_CERT: ['mqtt.tls.cert', String],
+  MQTT_TLS_KEY: ['mqtt.tls.key', String],
+  MQTT_TLS_REJECT_UNAUTHORIZED: ['mqtt.tls.rejectUnauthorized', (value) => value !== 'false'],
+  FLEET_ENABLED: ['fleet.enabled', (value) => value === 'true'],
+  FLEET_UNITS: ['fleet.units', (value) => value.split(',').map(unit => unit.trim()).filter(Boolean)],
+  CONTROL_STRATEGY: ['controlLoop.strategy', String],
+  CONTROL_SAMPLE_TIME: ['controlLoop.sampleTime', Number],
+  NEURAL_UNCERTAINTY_THRESHOLD: ['controlLoop.uncertainty.threshold', Number],
+  COMMAND_ACK_TIMEOUT: ['commands.ackTimeout', Number],
+  COMMAND_MAX_RETRIES: ['commands.maxRetries', Number],
+  HISTORY_DIR: ['historian.directory', String],
+  AUDIT_FILE: ['audit.file', String],
+  ALARMS_DIR: ['alarms.directory', String],
+  MODELS_DIR: ['models.directory', String],
+  EXTERNAL_DATA_CACHE: ['externalData.cacheFile', String],
+  ESTIMATOR_MODE: ['estimator.mode', String]
+};
+
+const QOS_SCHEMA = { type: 'number', enum: [0, 1, 2] };
+const UNIT_PATTERN = /^[A-Za-z0-9_-]+$/;
+
+const SCHEMA = {
+  'http.port': { type: 'number', integer: true, min: 1, max: 65535 },
+  'http.corsOrigin': { type: 'string', nullable: true },
+  'auth.usersFile': { type: 'string' },
+  'auth.tokenSecret': { type: 'string', nullable: true, secret: true },
+  'auth.tokenTtl': { type: 'number', integer: true, min: 60 },
+  'auth.adminPassword': { type: 'string', nullable: true, secret: true },
+  'mqtt.brokerUrl': { type: 'string', pattern: /^(mqtts?|wss?|tcp|tls):\/\/.+/ },
+  'mqtt.clientId': { type: 'string', nullable: true },
+  'mqtt.username': { type: 'string', nullable: true },
+  'mqtt.password': { type: 'string', nullable: true, secret: true },
+  'mqtt.topicPrefix': { type: 'string', pattern: /^[^#+]+$/ },
+  'mqtt.tls.ca': { type: 'string', nullable: true, file: true },
+  'mqtt.tls.cert': { type: 'string', nullable: true, file: true },
+  'mqtt.tls.key': { type: 'string', nullable: true, file: true, secret: true },
+  'mqtt.tls.rejectUnauthorized': { type: 'boolean' },
+  ...Object.fromEntries(Object.keys(TOPIC_SUFFIXES).map(name => [`mqtt.qos.${name}`, QOS_SCHEMA])),
+  'fleet.enabled': { type: 'boolean' },
+  'fleet.units': { type: 'object' },
+  'fleet.defaultUnit': { type: 'string', pattern: UNIT_PATTERN },
+  'fleet.staleAfter': { type: 'number', min: 1000 },
+  'fleet.maxDiscoveredUnits': { type: 'number', integer: true, min: 0 },
+  'controlLoop.strategy': { type: 'string', enum: ['HEMPC', 'DETERMINISTIC', 'STOCHASTIC', 'HYBRID', 'NEURAL', 'MANUAL'] },
+  'controlLoop.sampleTime': { type: 'number', min: 0.05, max: 3600 },
+  'controlLoop.neural': { type: 'object' },
+  'controlLoop.autoRetrain': { type: 'boolean' },
+  'controlLoop.uncertainty.threshold': { type: 'number', min: 0 },
+  'controlLoop.uncertainty.oodMargin': { type: 'number', min: 0 },
+  'controlLoop.economic.economicHorizon': { type: 'number', integer: true, min: 24, max: 48 },
+  'controlLoop.economic.solarCapacity': { type: 'number', min: 0 },
+  'controlLoop.economic.demandShare': { type: 'number', min: 0, max: 1 },
+  'commands.ackTimeout': { type: 'number', min: 100 },
+  'commands.maxRetries': { type: 'number', integer: true, min: 0, max: 10 },
+  ...Object.fromEntries(Object.entries(SafetyLimits.DEFAULTS).flatMap(([group, values]) =>
+    Object.keys(values).map(name => [`safety.limits.${group}.${name}`, { type: 'number', min: 0 }])
+  )),
+  'safety.shutdownCommand': { type: 'string', enum: ['EMERGENCY_STOP', 'STOP'] },
+  'historian.directory': { type: 'string' },
+  'audit.file': { type: 'string' },
+  'alarms.directory': { type: 'string' },
+  'alarms.maxShelveDuration': { type: 'number', min: 60000 },
+  'alarms.definitions': { type: 'object' },
+  'models.directory': { type: 'string' },
+  'notifications.alertTopic': { type: 'string', nullable: true, pattern: /^[^#+]+$/ },
+  'notifications.channels': { type: 'object' },
+  'externalData.refreshInterval': { type: 'number', integer: true, min: 1000 },
+  'externalData.staleAfter': { type: 'number', integer: true, min: 1000 },
+  'externalData.cacheFile': { type: 'string', nullable: true },
+  'externalData.sources': { type: 'object' },
+  'tariff': { type: 'object' },
+  ...Object.fromEntries(StorageTanks.GASES.flatMap(gas =>
+    Object.keys(StorageTanks.DEFAULTS[gas]).map(name => [`storage.${gas}.${name}`, { type: 'number', min: 0, nullable: name === 'demand' }])
+  )),
+  'storage.reserveHorizon': { type: 'number', min: 1 },
+  'estimator.mode': { type: 'string', enum: StateEstimator.MODES },
+  'estimator.window': { type: 'number', integer: true, min: 2, max: 200 },
+  'estimator.maxStep': { type: 'number', min: 0.01 },
+  'estimator.maxGap': { type: 'number', min: 1 },
+  'estimator.gate': { type: 'number', min: 1 },
+  ...Object.fromEntries(['processNoise', 'measurementNoise', 'initialUncertainty'].flatMap(group =>
+    Object.keys(StateEstimator.DEFAULTS[group]).map(name => [`estimator.${group}.${name}`, { type: 'number', min: 0 }])
+  )),
+  ...Object.fromEntries(Object.keys(StackHealth.DEFAULTS).map(name => [`stackHealth.${name}`, { type: 'number', min: 0 }])),
+  'stackHealth.sampleInterval': { type: 'number', integer: true, min: 1000 },
+  'stackHealth.minPoints': { type: 'number', integer: true, min: 3 },
+  ...Object.fromEntries(Object.keys(SystemIdentification.DEFAULTS.forgettingFactor).map(name =>
+    [`identification.forgettingFactor.${name}`, { type: 'number', min: 0.9, max: 1 }]
+  )),
+  'identification.sampleTime': { type: 'number', min: 0.01 },
+  'identification.thermalInterval': { type: 'number', min: 1 },
+  'identification.minSamples': { type: 'number', integer: true, min: 10 },
+  'identification.batchLookback': { type: 'number', integer: true, min: 60000 }
+};
+
+function getPath(object, keyPath) {
+  return keyPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+function setPath(object, keyPath, value) {
+  const keys = keyPath.split('.');
+  const last = keys.pop();
+  const target = keys.reduce((node, key) => {
+    if (typeof node[key] !== 'object' || node[key] === null) node[key] = {};
+    return node[key];
+  }, object);
+  target[last] = value;
+}
+
+function deepMerge(base, override) {
+  const result = { ...base };
+  Object.entries(override || {}).forEach(([key, value]) => {
+    if (value && typeof value === 'object' && !Array.isArray(value) &&
+        base[key] && typeof base[key] === 'object') {
+      result[key] = deepMerge(base[key], value);
+    } else {
+      result[key] = value;
+    }
+  });
+  return result;
+}
+
+function validate(config) {
+  const errors = [];
+
+  Object.entries(SCHEMA).forEach(([keyPath, rule]) => {
+    const value = getPath(config, keyPath);
+
+    if (value === null || value === undefined) {
+      if (!rule.nullable) errors.push(`${keyPath} is required`);
+      return;
+    }
+    if (typeof value !== rule.type || (rule.type === 'number' && Number.isNaN(value))) {
+      errors.push(`${keyPath} must be a ${rule.type}`);
+      return;
+    }
+    if (rule.integer && !Number.isInteger(value)) errors.push(`${keyPath} must be an integer`);
+    if (rule.min !== undefined && value < rule.min) errors.push(`${keyPath} must be >= ${rule.min}`);
+    if (rule.max !== undefined && value > rule.max) errors.push(`${keyPath} must be <= ${rule.max}`);
+    if (rule.enum && !rule.enum.includes(value)) errors.push(`${keyPath} must be one of ${rule.enum.join(', ')}`);
+    if (rule.pattern && !rule.pattern.test(value)) errors.push(`${keyPath} has an invalid format`);
+    if (rule.file && !fs.existsSync(value)) errors.push(`${keyPath} file not found: ${value}`);
+  });
+
+  if (!Array.isArray(config.fleet.units) ||
+      config.fleet.units.some(unit => typeof unit !== 'string' || !UNIT_PATTERN.test(unit))) {
+    errors.push('fleet.units must be a list of unit IDs (letters, digits, _ and -)');
+  }
+
+  const { current, temperature, voltage, purity } = config.safety.limits;
+  if (!(current.min < current.max)) errors.push('safety.limits.current.min must be below max');
+  if (!(temperature.warning <= temperature.critical && temperature.critical < temperature.trip)) {
+    errors.push('safety.limits.temperature must satisfy warning <= critical < trip');
+  }
+  if (!(voltage.warning < voltage.trip)) errors.push('safety.limits.voltage.warning must be below trip');
+  if (!(purity.trip < purity.warning)) errors.push('safety.limits.purity.trip must be below warning');
+
+  StorageTanks.GASES.forEach(gas => {
+    const { maxPressure, reservePressure, initialPressure } = config.storage[gas];
+    if (!(reservePressure < maxPressure)) errors.push(`storage.${gas}.reservePressure must be below maxPressure`);
+    if (initialPressure > maxPressure) errors.push(`storage.${gas}.initialPressure must not exceed maxPressure`);
+  });
+
+  if (!Array.isArray(config.notifications.channels)) {
+    errors.push('notifications.channels must be a list of channel definitions');
+  }
+
+  Object.entries(config.externalData.sources || {}).forEach(([kind, source]) => {
+    if (!ExternalData.KINDS.includes(kind)) {
+      errors.push(`externalData.sources.${kind} is not one of ${ExternalData.KINDS.join(', ')}`);
+    } else if (!source || !ExternalData.TYPES.includes(source.type)) {
+      errors.push(`externalData.sources.${kind}.type must be one of ${ExternalData.TYPES.join(', ')}`);
+    }
+  });
+
+  if (config.tariff && typeof config.tariff === 'object') {
+    TariffSchedule.validate(config.tariff).forEach(error => errors.push(`tariff ${error}`));
+  }
+
+  const unknownQos = Object.keys(config.mqtt.qos || {}).filter(name => !TOPIC_SUFFIXES[name]);
+  unknownQos.forEach(name => errors.push(`mqtt.qos.${name} is not a known topic`));
+
+  return errors;
+}
+
+// Load defaults, then the JSON config file, then environment overrides
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const configPath = options.configPath || env.PEM_CONFIG || path.join(__dirname, 'config.json');
+  let config = DEFAULTS;
+
+  if (fs.existsSync(configPath)) {
+    try {
+      config = deepMerge(config, JSON.parse(fs.readFileSync(configPath, 'utf8')));
+    } catch (error) {
+      throw new Error(`Invalid configuration file ${configPath}: ${error.message}`);
+    }
+  } else if (options.configPath || env.PEM_CONFIG) {
+    throw new Error(`Configuration file not found: ${configPath}`);
+  }
+
+  config = JSON.parse(JSON.stringify(config));
+  Object.entries(ENV_OVERRIDES).forEach(([variable, [keyPath, parse]]) => {
+    if (env[variable] !== undefined && env[variable] !== '') {
+      setPath(config, keyPath, parse(env[variable]));
+    }
+  });
+
+  const errors = validate(config);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+
+  config.mqtt.topics = config.fleet.enabled
+    ? resolveTopics(config.mqtt.topicPrefix, '{unit}')
+    : resolveTopics(config.mqtt.topicPrefix);
+  config.source = fs.existsSync(configPath) ? configPath : 'defaults';
+
+  return config;
+}
+
+// Full topic names, optionally for one unit of the fleet (pem/{unit}/arduino/data)
+function resolveTopics(prefix, unit = null) {
+  const base = unit ? `${prefix}/${unit}` : prefix;
+  return Object.fromEntries(
+    Object.entries(TOPIC_SUFFIXES).map(([name, suffix]) => [name, `${base}/${suffix}`])
+  );
+}
+
+// Subscription filters covering every unit in fleet mode
+function topicFilters(mqttConfig, fleetConfig) {
+  return fleetConfig.enabled
+    ? resolveTopics(mqttConfig.topicPrefix, '+')
+    : resolveTopics(mqttConfig.topicPrefix);
+}
+
+// Map an incoming topic back to { unit, name }, or null if it is not ours
+function parseTopic(topic, mqttConfig, fleetConfig) {
+  const prefix = `${mqttConfig.topicPrefix}/`;
+  if (!topic.startsWith(prefix)) return null;
+
+  let rest = topic.slice(prefix.length);
+  let unit = fleetConfig.defaultUnit;
+
+  if (fleetConfig.enabled) {
+    const separator = rest.indexOf('/');
+    if (separator <= 0) return null;
+    unit = rest.slice(0, separator);
+    rest = rest.slice(separator + 1);
+    if (!UNIT_PATTERN.test(unit)) return null;
+  }
+
+  const name = Object.keys(TOPIC_SUFFIXES).find(key => TOPIC_SUFFIXES[key] === rest);
+  return name ? { unit, name } : null;
+}
+
+// Topics for a unit, honouring whether fleet mode is enabled
+function unitTopics(mqttConfig, fleetConfig, unit) {
+  return fleetConfig.enabled
+    ? resolveTopics(mqttConfig.topicPrefix, unit)
+    : resolveTopics(mqttConfig.topicPrefix);
+}
+
+// Copy of the config with credentials and private keys masked
+function redact(config) {
+  const copy = JSON.parse(JSON.stringify(config));
+  Object.entries(SCHEMA).forEach(([keyPath, rule]) => {
+    if (rule.secret && getPath(copy, keyPath)) {
+      setPath(copy, keyPath, '********');
+    }
+  });
+  (copy.notifications.channels || []).forEach(channel => {
+    if (channel.auth && channel.auth.pass) channel.auth.pass = '********';
+    if (channel.headers && channel.headers.Authorization) channel.headers.Authorization = '********';
+  });
+  Object.values(copy.externalData.sources || {}).forEach(source => {
+    if (source && source.headers && source.headers.Authorization) source.headers.Authorization = '********';
+  });
+  return copy;
+}
+
+// Options for mqtt.connect built from the broker section
+function mqttConnectOptions(mqttConfig) {
+  const options = {};
+
+  if (mqttConfig.clientId) options.clientId = mqttConfig.clientId;
+  if (mqttConfig.username) options.username = mqttConfig.username;
+  if (mqttConfig.password) options.password = mqttConfig.password;
+
+  const { ca, cert, key, rejectUnauthorized } = mqttConfig.tls;
+  if (ca) options.ca = fs.readFileSync(ca);
+  if (cert) options.cert = fs.readFileSync(cert);
+  if (key) options.key = fs.readFileSync(key);
+  options.rejectUnauthorized = rejectUnauthorized;
+
+  return options;
+}
+
+module.exports = {
+  loadConfig,
+  redact,
+  resolveTopics,
+  topicFilters,
+  parseTopic,
+  unitTopics,
+  mqttConnectOptions,
+  DEFAULTS,
+  TOPIC_SUFFIXES
+};
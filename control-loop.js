@@ -0,0 +1,340 @@
+const MPCAlgorithms = require('./mpc-algorithms');
+const NeuralMPC = require('./neural-mpc');
+const StorageTanks = require('./storage-tanks');
+const StateEstimator = require('./state-estimator');
+const SystemIdentification = require('./system-identification');
+
+const STRATEGIES = ['HEMPC', 'DETERMINISTIC', 'STOCHASTIC', 'HYBRID', 'NEURAL', 'MANUAL'];
+
+// Headless control loop: runs the selected MPC strategy against the latest
+// Arduino telemetry and publishes current setpoints back to the stack.
+class ControlLoop {
+  constructor(options = {}) {
+    this.publish = options.publish || (() => {});
+    this.onUpdate = options.onUpdate || (() => {});
+    this.onPlan = options.onPlan || (() => {});
+    this.onEstimate = options.onEstimate || (() => {});
+    this.controlTopic = options.controlTopic;
+
+    this.strategy = options.strategy || 'HEMPC';
+    this.enabled = options.enabled !== undefined ? options.enabled : true;
+    this.staleTimeout = options.staleTimeout || 5000; // ms without telemetry before holding
+    this.parameters = {
+      horizon: 10,
+      sampleTime: 1.0,
+      qWeight: 10.0,
+      rWeight: 1.0,
+      ...options.parameters
+    };
+
+    this.safetyLimits = options.safetyLimits || {};
+    this.algorithms = new MPCAlgorithms();
+    this.algorithms.setSafetyLimits(this.safetyLimits);
+    this.algorithms.setTariff(options.tariff);
+    this.neuralMPC = null;
+    this.neuralOptions = {
+      networkConfig: options.neural || {},
+      uncertainty: options.uncertainty,
+      tariff: options.tariff,
+      backgroundUpdates: false,
+      autoRetrain: Boolean(options.autoRetrain)
+    };
+    this.neuralModel = null; // production registry entry for the NEURAL strategy
+    this.externalData = null; // latest provider snapshot for the NEURAL strategy's context
+
+    // H2/O2 buffer tanks, filled by measured production and drained by demand
+    this.storage = new StorageTanks(options.storage);
+    this.algorithms.setStorage(this.storage);
+
+    // Filtered plant state the controllers act on instead of the raw readings
+    this.estimator = new StateEstimator(options.estimator);
+
+    // Online identification of the prediction model; parameters apply only once approved
+    this.identification = new SystemIdentification({ plantModel: this.algorithms.plantModel, config: options.identification });
+    this.lastApproval = null;
+
+    this.telemetry = null;
+    this.telemetryReceivedAt = 0;
+    this.reference = 50;
+    this.lastControl = null;
+    this.lastResult = null;
+    this.economicPlan = null; // latest HE-MPC hourly production plan
+    this.computing = false;
+    this.timer = null;
+    this.stats = { cycles: 0, skipped: 0, errors: 0 };
+  }
+
+  start() {
+    this.stop();
+    this.timer = setInterval(() => this.tick(), this.parameters.sampleTime * 1000);
+    console.log(`🔁 Control loop started (${this.strategy}, Ts=${this.parameters.sampleTime}s)`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      console.log('⏹️ Control loop stopped');
+    }
+  }
+
+  handleTelemetry(data) {
+    this.updateStorage(data);
+    this.telemetry = data;
+    this.telemetryReceivedAt = Date.now();
+
+    // Predictions age the stack by the estimated membrane degradation
+    const estimate = this.estimator.update(data, this.telemetryReceivedAt);
+    this.algorithms.plantModel.setParameters({ degradationResistance: estimate.state.degradationResistance });
+    this.onEstimate(estimate);
+
+    this.identification.update(data, this.telemetryReceivedAt);
+
+    const setpoint = data.prodRateSet ?? data.prodRateSetpoint;
+    if (setpoint !== undefined) {
+      this.reference = setpoint;
+    }
+
+    if (this.lastControl === null && data.appliedCurrent !== undefined) {
+      this.lastControl = data.appliedCurrent;
+    }
+  }
+
+  // Estimated production since the previous sample (held constant, nothing across a telemetry gap)
+  // fills the tanks; a measured tank pressure replaces the integrated level
+  updateStorage(data) {
+    const now = Date.now();
+    const previous = this.estimator.getEstimate();
+    const dt = previous ? (now - this.telemetryReceivedAt) / 1000 : 0;
+    const producing = previous && dt * 1000 <= this.staleTimeout;
+
+    this.storage.update(dt, {
+      h2: { inflow: producing ? previous.state.h2ProductionRate : 0, outflow: this.storage.config.h2.demand },
+      o2: { inflow: producing ? previous.state.o2ProductionRate : 0, outflow: this.o2Demand() }
+    });
+    this.storage.measure('h2', data.h2TankPressure);
+    this.storage.measure('o2', data.o2TankPressure);
+  }
+
+  // O2 drawn from the tank (L/s): configured, or this unit's share of the hospital demand feed (L/min)
+  o2Demand() {
+    if (this.storage.config.o2.demand !== null && this.storage.config.o2.demand !== undefined) {
+      return this.storage.config.o2.demand;
+    }
+    const demand = this.externalData && this.externalData.o2Demand && this.externalData.o2Demand.value;
+    return (this.parameters.demandShare ?? 0.08) * (demand ? demand.demand : 120) / 60;
+  }
+
+  setStrategy(strategy) {
+    if (!STRATEGIES.includes(strategy)) {
+      throw new Error(`Unknown control strategy: ${strategy}`);
+    }
+
+    this.strategy = strategy;
+    if (strategy === 'NEURAL') {
+      this.ensureNeuralMPC();
+    }
+
+    console.log(`🎛️ Control loop strategy set to ${strategy}`);
+    this.emitStatus();
+  }
+
+  // Created on first use, also when NEURAL is the configured start-up strategy
+  ensureNeuralMPC() {
+    if (!this.neuralMPC) {
+      this.neuralMPC = new NeuralMPC(this.neuralOptions);
+      this.neuralMPC.safetyLimits = this.algorithms.safetyLimits;
+      if (this.neuralModel) {
+        this.neuralMPC.setModel(this.neuralModel);
+      }
+      if (this.externalData) {
+        this.neuralMPC.setExternalData(this.externalData);
+      }
+    }
+    return this.neuralMPC;
+  }
+
+  // Registry model used by the NEURAL strategy, applied now if it is already running
+  setNeuralModel(entry) {
+    this.neuralModel = entry;
+    if (this.neuralMPC && entry) {
+      this.neuralMPC.setModel(entry);
+    }
+    this.emitStatus();
+  }
+
+  // Tariff, solar, weather and O2 demand values from the external data providers
+  setExternalData(snapshot) {
+    this.externalData = snapshot;
+    if (this.neuralMPC) {
+      this.neuralMPC.setExternalData(snapshot);
+    }
+  }
+
+  // Approved plant parameters for the controllers' prediction model and the estimator
+  applyPlantParameters(parameters, approval = {}) {
+    this.algorithms.plantModel.setParameters(parameters);
+    this.estimator.plantModel.setParameters(parameters);
+    this.lastApproval = { ...approval, parameters, appliedAt: new Date().toISOString() };
+    console.log('🧮 Plant model parameters updated:', parameters);
+    this.emitStatus();
+  }
+
+  setEnabled(enabled) {
+    this.enabled = Boolean(enabled);
+    console.log(`🎛️ Control loop ${this.enabled ? 'enabled' : 'disabled'}`);
+    this.emitStatus();
+  }
+
+  configure(parameters = {}) {
+    const errors = this.algorithms.validateParameters(parameters);
+    if (errors.length > 0) {
+      throw new Error(errors.join(', '));
+    }
+
+    const previousSampleTime = this.parameters.sampleTime;
+    const defined = Object.entries(parameters).filter(([, value]) => value !== undefined && !Number.isNaN(value));
+    this.parameters = { ...this.parameters, ...Object.fromEntries(defined) };
+
+    if (this.timer && this.parameters.sampleTime !== previousSampleTime) {
+      this.start();
+    }
+
+    this.emitStatus();
+  }
+
+  async tick() {
+    if (!this.enabled || this.strategy === 'MANUAL') return;
+
+    // Never overlap computations when an algorithm is slower than the sample time
+    if (this.computing) {
+      this.stats.skipped++;
+      return;
+    }
+
+    if (!this.telemetry || Date.now() - this.telemetryReceivedAt > this.staleTimeout) {
+      this.stats.skipped++;
+      return;
+    }
+
+    this.computing = true;
+    const startTime = Date.now();
+
+    try {
+      const state = this.buildState(this.telemetry, this.estimator.getEstimate());
+      const previousControl = this.lastControl ?? state.current;
+      const computed = await this.compute(state, previousControl);
+
+      // Every strategy, NEURAL included, is held above the O2 reserve floor and within the limits
+      const result = { ...computed, control: this.algorithms.applyConstraints(computed.control, state) };
+      const reserveCurrent = this.algorithms.reserveCurrent();
+      const reserveProtection = reserveCurrent > this.algorithms.safetyLimits.limits.current.min &&
+        result.control <= reserveCurrent + 1e-6;
+
+      this.lastControl = result.control;
+      if (result.economicPlan && result.economicPlan !== this.economicPlan) {
+        this.economicPlan = result.economicPlan;
+        this.onPlan(this.economicPlan);
+      }
+      this.lastResult = {
+        ...result,
+        reference: this.reference,
+        reserveProtection,
+        computationTime: Date.now() - startTime,
+        timestamp: new Date().toISOString()
+      };
+      this.stats.cycles++;
+
+      this.publish(this.controlTopic, {
+        type: 'current_setpoint',
+        current: Math.round(result.control * 10) / 10,
+        source: 'control-loop',
+        algorithm: result.algorithm,
+        ...(result.modelVersion ? { modelVersion: result.modelVersion } : {}),
+        timestamp: this.lastResult.timestamp
+      });
+
+      this.onUpdate(this.getStatus());
+
+    } catch (error) {
+      this.stats.errors++;
+      console.error('❌ Control loop error:', error);
+    } finally {
+      this.computing = false;
+    }
+  }
+
+  compute(state, previousControl) {
+    if (this.strategy === 'NEURAL') {
+      return this.ensureNeuralMPC().computeControl(state, this.reference, previousControl);
+    }
+
+    return this.algorithms.algorithms[this.strategy](state, this.reference, previousControl, {
+      ...this.parameters,
+      forecast: this.economicForecast(),
+      storage: this.storage.planStorage()
+    });
+  }
+
+  // Solar and O2 demand outlook for the HE-MPC economic layer from the external data feeds;
+  // a daily solar forecast (kWh/m²) sets the peak of a clear-sky day (12 h half-sine)
+  economicForecast() {
+    const solar = this.externalData && this.externalData.solar && this.externalData.solar.value;
+    const demand = this.externalData && this.externalData.o2Demand && this.externalData.o2Demand.value;
+    return {
+      ...(solar && solar.forecast !== undefined ? { solarPeak: solar.forecast * 1000 * Math.PI / 24 } : {}),
+      ...(demand ? { o2Demand: demand.demand } : {})
+    };
+  }
+
+  // The estimated state with its standard deviations, or the raw readings before the first estimate
+  buildState(data, estimate) {
+    if (estimate) {
+      return { ...this.algorithms.plantModel.normalizeState(estimate.state), stdDev: estimate.stdDev };
+    }
+    return this.algorithms.plantModel.normalizeState({
+      h2ProductionRate: data.h2ProductionRate,
+      o2ProductionRate: data.o2ProductionRate,
+      current: data.stackCurrent ?? data.appliedCurrent,
+      temperature: data.cellTemperature ?? data.temperature,
+      voltage: data.stackVoltage,
+      purity: data.o2Purity
+    });
+  }
+
+  emitStatus() {
+    this.onUpdate(this.getStatus());
+  }
+
+  getStatus() {
+    return {
+      running: Boolean(this.timer),
+      enabled: this.enabled,
+      strategy: this.strategy,
+      parameters: this.parameters,
+      reference: this.reference,
+      telemetryAge: this.telemetry ? Date.now() - this.telemetryReceivedAt : null,
+      lastResult: this.lastResult && {
+        control: this.lastResult.control,
+        algorithm: this.lastResult.algorithm,
+        reference: this.lastResult.reference,
+        computationTime: this.lastResult.computationTime,
+        solver: this.lastResult.solver,
+        modelVersion: this.lastResult.modelVersion,
+        confidence: this.lastResult.confidence,
+        uncertainty: this.lastResult.uncertainty,
+        fallback: this.lastResult.fallback,
+        reserveProtection: this.lastResult.reserveProtection,
+        timestamp: this.lastResult.timestamp
+      },
+      neuralModelVersion: this.neuralModel ? this.neuralModel.version : null,
+      storage: this.storage.getStatus(),
+      identification: { ...this.identification.report('online'), lastApproval: this.lastApproval },
+      stats: { ...this.stats }
+    };
+  }
+}
+
+ControlLoop.STRATEGIES = STRATEGIES;
+
+module.exports = ControlLoop;
@@ -0,0 +1,120 @@
+// HE-MPC economic plan: the hourly production the scheduling layer hands to the tracking
+// layer, against the electricity price and the O2 in storage, with its projected cost.
+class EconomicPlanChart {
+    constructor() {
+        this.plan = null;
+        this.chart = null;
+
+        this.init();
+    }
+
+    init() {
+        // The plan may have arrived over the socket before the page finished loading
+        if (window.mqttClient && window.mqttClient.economicPlan) {
+            this.update(window.mqttClient.economicPlan);
+        } else {
+            this.renderSummary();
+        }
+    }
+
+    update(plan) {
+        this.plan = plan;
+        this.renderSummary();
+        this.renderChart();
+    }
+
+    renderSummary() {
+        const summary = document.getElementById('economic-plan-summary');
+        if (!summary) return;
+
+        if (!this.plan) {
+            summary.textContent = 'No economic plan yet (HE-MPC computes one when it runs)';
+            return;
+        }
+
+        const plan = this.plan;
+        const current = plan.hours[0];
+        summary.innerHTML = `
+            <div>Now: <strong>${current.production.toFixed(0)}%</strong> at KSh ${current.price.toFixed(2)}/kWh (${current.period})</div>
+            <div>Projected ${plan.horizon} h cost: <strong>KSh ${plan.totalCost.toFixed(0)}</strong>,
+                saving KSh ${plan.savings.toFixed(0)} against constant production</div>
+            ${plan.shortfall ? '<div class="plan-shortfall">O₂ commitment exceeds what the unit can produce; storage falls below the reserve</div>' : ''}
+            <div class="plan-meta">Planned ${new Date(plan.createdAt).toLocaleTimeString()} · solver ${plan.status}</div>
+        `;
+    }
+
+    renderChart() {
+        const canvas = document.getElementById('economic-plan-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        if (!this.chart) {
+            this.chart = new Chart(canvas.getContext('2d'), {
+                type: 'bar',
+                data: {
+                    labels: [],
+                    datasets: [
+                        {
+                            type: 'bar',
+                            label: 'Planned production (%)',
+                            data: [],
+                            backgroundColor: 'rgba(39, 174, 96, 0.6)',
+                            yAxisID: 'production'
+                        },
+                        {
+                            type: 'line',
+                            label: 'Price (KSh/kWh)',
+                            data: [],
+                            borderColor: '#e74c3c',
+                            borderWidth: 2,
+                            pointRadius: 0,
+                            stepped: true,
+                            yAxisID: 'price'
+                        },
+                        {
+                            type: 'line',
+                            label: 'O₂ storage (m³)',
+                            data: [],
+                            borderColor: '#3498db',
+                            borderWidth: 2,
+                            borderDash: [4, 4],
+                            pointRadius: 0,
+                            yAxisID: 'storage'
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    plugins: {
+                        tooltip: {
+                            callbacks: {
+                                afterBody: (items) => {
+                                    const hour = this.plan && this.plan.hours[items[0].dataIndex];
+                                    return hour ? `Cost: KSh ${hour.cost.toFixed(1)} (${hour.gridEnergy.toFixed(2)} kWh from grid)` : '';
+                                }
+                            }
+                        }
+                    },
+                    scales: {
+                        production: { position: 'left', min: 0, max: 100, title: { display: true, text: 'Production (%)' } },
+                        price: { position: 'right', beginAtZero: true, grid: { drawOnChartArea: false }, title: { display: true, text: 'KSh/kWh' } },
+                        storage: { display: false, beginAtZero: true }
+                    }
+                }
+            });
+        }
+
+        const hours = this.plan ? this.plan.hours : [];
+        this.chart.data.labels = hours.map(hour => new Date(hour.time).toLocaleTimeString([], { weekday: 'short', hour: '2-digit' }));
+        this.chart.data.datasets[0].data = hours.map(hour => hour.production);
+        this.chart.data.datasets[1].data = hours.map(hour => hour.price);
+        this.chart.data.datasets[2].data = hours.map(hour => hour.storage / 1000);
+        this.chart.update('none');
+    }
+}
+
+// Initialize economic plan chart when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.economicPlanChart = new EconomicPlanChart();
+});
@@ -0,0 +1,326 @@
+const fs = require('fs');
+const path = require('path');
+const axios = require('axios');
+
+// Values each kind of external data provides, with the defaults used when a feed omits them
+const KINDS = {
+  tariff: {
+    required: 'rate',
+    fields: { rate: 'number', type: 'string', description: 'string' },
+    defaults: { type: 'standard', description: 'Provider tariff' }
+  },
+  solar: {
+    required: 'irradiance',
+    fields: { irradiance: 'number', forecast: 'number' },
+    defaults: {}
+  },
+  weather: {
+    required: 'temperature',
+    fields: { temperature: 'number', humidity: 'number', cloudCover: 'number', description: 'string' },
+    defaults: { description: '' }
+  },
+  o2Demand: {
+    required: 'demand',
+    fields: { demand: 'number', isEmergency: 'boolean', hospital: 'string' },
+    defaults: { isEmergency: false }
+  }
+};
+
+const SOURCE_DEFAULTS = {
+  format: null,     // csv or json; from the file extension or HTTP content type when not set
+  fields: {},       // value name -> column or property name in the feed
+  refreshInterval: null,
+  staleAfter: null
+};
+
+// Readers per source type; each returns the raw text or parsed data of one refresh
+const PROVIDERS = {
+  file(source) {
+    if (!source.path) {
+      throw new Error(`External data source ${source.kind}: file needs a path`);
+    }
+    return async () => {
+      const text = await fs.promises.readFile(source.path, 'utf8');
+      const format = source.format || (path.extname(source.path).toLowerCase() === '.csv' ? 'csv' : 'json');
+      return ExternalData.parse(text, format);
+    };
+  },
+
+  http(source) {
+    if (!source.url) {
+      throw new Error(`External data source ${source.kind}: http needs a url`);
+    }
+    return async () => {
+      const response = await axios.get(source.url, {
+        headers: source.headers || {},
+        timeout: source.timeout || 5000,
+        responseType: 'text',
+        transformResponse: [data => data]
+      });
+      const contentType = String(response.headers['content-type'] || '');
+      const format = source.format || (contentType.includes('csv') ? 'csv' : 'json');
+      return ExternalData.parse(response.data, format);
+    };
+  },
+
+  // Pushed by the broker; handleMessage() stores each message
+  mqtt(source) {
+    if (!source.topic) {
+      throw new Error(`External data source ${source.kind}: mqtt needs a topic`);
+    }
+    return null;
+  }
+};
+
+// Tariffs, solar irradiance, weather and hospital O2 demand from files, local HTTP
+// endpoints or MQTT topics. Each source is refreshed on its own schedule; the last
+// good data is cached (also on disk, for restarts) and flagged stale once it is older
+// than staleAfter. Kinds without a source keep NeuralMPC's built-in patterns.
+class ExternalData {
+  constructor(options = {}) {
+    this.refreshInterval = options.refreshInterval || 300000;
+    this.staleAfter = options.staleAfter || 900000;
+    this.cacheFile = options.cacheFile || null;
+    this.onUpdate = options.onUpdate || (() => {});
+    this.timers = [];
+    this.lastSnapshot = null;
+
+    const cache = this.loadCache();
+    this.sources = Object.entries(options.sources || {}).map(([kind, config]) => this.buildSource(kind, config, cache[kind]));
+  }
+
+  buildSource(kind, config, cached) {
+    if (!KINDS[kind]) {
+      throw new Error(`Unknown external data kind ${kind}; expected one of ${Object.keys(KINDS).join(', ')}`);
+    }
+    if (!PROVIDERS[config.type]) {
+      throw new Error(`External data source ${kind}: type must be one of ${Object.keys(PROVIDERS).join(', ')}`);
+    }
+
+    const source = { ...SOURCE_DEFAULTS, ...config, kind };
+    source.read = PROVIDERS[config.type](source);
+    source.name = `${config.type}:${config.path || config.url || config.topic}`;
+    source.state = {
+      records: cached && cached.name === source.name ? cached.records : null,
+      fetchedAt: cached && cached.name === source.name ? cached.fetchedAt : null,
+      error: null,
+      refreshes: 0,
+      failures: 0
+    };
+    return source;
+  }
+
+  start() {
+    this.stop();
+    this.sources.filter(source => source.read).forEach(source => {
+      this.refresh(source);
+      this.timers.push(setInterval(() => this.refresh(source), source.refreshInterval || this.refreshInterval));
+    });
+
+    // Schedules and time series select a new record as the clock moves, and values age
+    this.timers.push(setInterval(() => this.publishIfChanged(), 60000));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearInterval(timer));
+    this.timers = [];
+  }
+
+  async refresh(source) {
+    try {
+      this.store(source, await source.read());
+    } catch (error) {
+      source.state.failures++;
+      if (source.state.error !== error.message) {
+        console.error(`❌ External data ${source.kind} (${source.name}): ${error.message}`);
+      }
+      source.state.error = error.message;
+      this.publishIfChanged();
+    }
+  }
+
+  // MQTT messages for a source topic; returns true when the message was consumed
+  handleMessage(topic, data) {
+    const source = this.sources.find(item => item.type === 'mqtt' && item.topic === topic);
+    if (!source) return false;
+
+    try {
+      this.store(source, data);
+    } catch (error) {
+      source.state.failures++;
+      source.state.error = error.message;
+      console.error(`❌ External data ${source.kind} (${source.name}): ${error.message}`);
+    }
+    return true;
+  }
+
+  // Keep data only if it yields a usable value now
+  store(source, records) {
+    ExternalData.resolve(source, records, Date.now());
+
+    source.state.records = records;
+    source.state.fetchedAt = new Date().toISOString();
+    source.state.error = null;
+    source.state.refreshes++;
+    this.saveCache();
+    this.publishIfChanged();
+  }
+
+  topics() {
+    return this.sources.filter(source => source.type === 'mqtt').map(source => source.topic);
+  }
+
+  // Current value per configured kind with its provenance and staleness
+  snapshot(now = Date.now()) {
+    return Object.fromEntries(this.sources.map(source => {
+      const { records, fetchedAt, error } = source.state;
+      let value = null;
+      let resolveError = null;
+      if (records !== null) {
+        try {
+          value = ExternalData.resolve(source, records, now);
+        } catch (failure) {
+          resolveError = failure.message;
+        }
+      }
+
+      // Age of the data itself when the feed is timestamped, otherwise of the last refresh
+      const asOf = value && value.timestamp ? Date.parse(value.timestamp) : Date.parse(fetchedAt);
+      const age = Number.isFinite(asOf) ? now - asOf : null;
+
+      return [source.kind, {
+        value,
+        source: source.name,
+        fetchedAt,
+        age,
+        stale: value === null || age === null || age > (source.staleAfter || this.staleAfter),
+        error: error || resolveError
+      }];
+    }));
+  }
+
+  publishIfChanged() {
+    const snapshot = this.snapshot();
+    const signature = JSON.stringify(Object.values(snapshot).map(({ value, stale, error }) => [value, stale, error]));
+    if (signature !== this.lastSnapshot) {
+      this.lastSnapshot = signature;
+      this.onUpdate(snapshot);
+    }
+  }
+
+  getStatus() {
+    return this.sources.map(source => ({
+      kind: source.kind,
+      source: source.name,
+      fetchedAt: source.state.fetchedAt,
+      refreshes: source.state.refreshes,
+      failures: source.state.failures,
+      error: source.state.error
+    }));
+  }
+
+  loadCache() {
+    if (!this.cacheFile || !fs.existsSync(this.cacheFile)) return {};
+    try {
+      return JSON.parse(fs.readFileSync(this.cacheFile, 'utf8'));
+    } catch (error) {
+      console.error('❌ Ignoring unreadable external data cache:', error.message);
+      return {};
+    }
+  }
+
+  saveCache() {
+    if (!this.cacheFile) return;
+
+    const cache = Object.fromEntries(this.sources
+      .filter(source => source.state.records !== null)
+      .map(source => [source.kind, { name: source.name, records: source.state.records, fetchedAt: source.state.fetchedAt }]));
+    try {
+      fs.mkdirSync(path.dirname(this.cacheFile), { recursive: true });
+      const temporary = `${this.cacheFile}.tmp`;
+      fs.writeFileSync(temporary, JSON.stringify(cache));
+      fs.renameSync(temporary, this.cacheFile);
+    } catch (error) {
+      console.error('❌ Failed to write external data cache:', error.message);
+    }
+  }
+
+  // The record in effect at a time: the latest timestamped record not after it, the
+  // record for its hour of day in an hourly schedule, or a single current record
+  static resolve(source, records, now) {
+    const list = Array.isArray(records) ? records : [records];
+    if (list.length === 0 || list.some(record => !record || typeof record !== 'object')) {
+      throw new Error('Feed must contain records');
+    }
+
+    let record;
+    if (list.every(record => record.timestamp !== undefined)) {
+      record = list
+        .filter(item => Date.parse(item.timestamp) <= now)
+        .sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp))
+        .pop();
+    } else if (list.every(record => record.hour !== undefined)) {
+      const hour = new Date(now).getHours();
+      record = list.find(item => Number(item.hour) === hour);
+    } else {
+      record = list[list.length - 1];
+    }
+    if (!record) {
+      throw new Error('No record in effect at this time');
+    }
+
+    const kind = KINDS[source.kind];
+    const value = { ...kind.defaults };
+    Object.entries(kind.fields).forEach(([field, type]) => {
+      const raw = record[source.fields[field] || field];
+      if (raw === undefined || raw === '') return;
+
+      if (type === 'number') {
+        const number = Number(raw);
+        if (Number.isFinite(number)) value[field] = number;
+      } else if (type === 'boolean') {
+        value[field] = raw === true || raw === 'true' || raw === '1' || raw === 1;
+      } else {
+        value[field] = String(raw);
+      }
+    });
+
+    if (typeof value[kind.required] !== 'number') {
+      throw new Error(`Record has no numeric ${source.fields[kind.required] || kind.required}`);
+    }
+    if (record.timestamp !== undefined) {
+      value.timestamp = new Date(record.timestamp).toISOString();
+    }
+    return value;
+  }
+
+  static parse(text, format) {
+    if (typeof text !== 'string') return text;
+    return format === 'csv' ? ExternalData.parseCSV(text) : JSON.parse(text);
+  }
+
+  // Header row plus data rows; fields may be double-quoted
+  static parseCSV(text) {
+    const rows = text.split(/\r?\n/).filter(line => line.trim() !== '').map(line => {
+      const cells = [];
+      const pattern = /\s*(?:"((?:[^"]|"")*)"|([^,]*))\s*(,|$)/g;
+      let match;
+      while ((match = pattern.exec(line)) !== null) {
+        cells.push(match[1] !== undefined ? match[1].replace(/""/g, '"') : match[2].trim());
+        if (match[3] === '') break;
+      }
+      return cells;
+    });
+
+    const [header, ...data] = rows;
+    if (!header) {
+      throw new Error('CSV feed is empty');
+    }
+    return data.map(cells => Object.fromEntries(header.map((name, i) => [name, cells[i] ?? ''])));
+  }
+}
+
+ExternalData.KINDS = Object.keys(KINDS);
+ExternalData.TYPES = Object.keys(PROVIDERS);
+
+module.exports = ExternalData;
@@ -0,0 +1,190 @@
+// Declarative input features for NeuralMPC: which signals to use, their lagged
+// values and per-column scalers fitted from training data. The fitted pipeline is
+// saved with the model so predictions use exactly the scaling it was trained with.
+
+// Base features; each reads a plant input (control-loop or telemetry field names) and the external context
+const FEATURES = {
+    production: (input) => input.production ?? input.h2ProductionRate,
+    temperature: (input) => input.temperature ?? input.cellTemperature,
+    voltage: (input) => input.voltage ?? input.stackVoltage,
+    current: (input) => input.current ?? input.stackCurrent,
+    purity: (input) => input.purity ?? input.o2Purity,
+    reference: (input) => input.reference,
+    electricityCost: (input, context) => context.electricityCost,
+    priceOutlook: (input, context) => context.priceOutlook,
+    solarIrradiance: (input, context) => context.solarIrradiance,
+    o2Demand: (input, context) => context.o2Demand,
+    hourOfDay: (input, context) => context.hourOfDay,
+    hourSin: (input, context) => Math.sin(2 * Math.PI * context.hourOfDay / 24),
+    hourCos: (input, context) => Math.cos(2 * Math.PI * context.hourOfDay / 24),
+    emergency: (input, context) => (context.isEmergency ? 1 : 0)
+};
+
+const SCALERS = ['standard', 'minmax', 'none'];
+
+const DEFAULT_FEATURES = [
+    'production', 'temperature', 'voltage', 'current', 'purity', 'reference',
+    'electricityCost', 'solarIrradiance', 'o2Demand', 'hourOfDay'
+];
+
+class FeaturePipeline {
+    constructor(options = {}) {
+        this.features = (options.features || DEFAULT_FEATURES).map(spec => FeaturePipeline.normalizeSpec(spec));
+        const names = this.features.map(feature => feature.name);
+        if (new Set(names).size !== names.length) {
+            throw new Error('Each feature may only be listed once; use lags for its history');
+        }
+        this.scalers = options.scalers || null;          // one per column once fitted
+        this.outputScaler = options.outputScaler || null;
+        this.ranges = options.ranges || null;            // training min/max per column, for out-of-distribution checks
+        this.recent = [];                                 // latest raw rows for lagged features
+    }
+
+    // 'temperature' or { name: 'temperature', scaler: 'standard', lags: [1, 5] }
+    static normalizeSpec(spec) {
+        const feature = typeof spec === 'string' ? { name: spec } : { ...spec };
+        feature.scaler = feature.scaler || 'standard';
+        feature.lags = feature.lags || [];
+
+        if (!FEATURES[feature.name]) {
+            throw new Error(`Unknown feature ${feature.name}; expected one of ${Object.keys(FEATURES).join(', ')}`);
+        }
+        if (!SCALERS.includes(feature.scaler)) {
+            throw new Error(`Feature ${feature.name}: scaler must be one of ${SCALERS.join(', ')}`);
+        }
+        if (!Array.isArray(feature.lags) || feature.lags.some(lag => !Number.isInteger(lag) || lag < 1)) {
+            throw new Error(`Feature ${feature.name}: lags must be positive integers`);
+        }
+        return feature;
+    }
+
+    get maxLag() {
+        return Math.max(0, ...this.features.flatMap(feature => feature.lags));
+    }
+
+    // Column names, e.g. temperature, temperature[t-1]
+    columns() {
+        return this.features.flatMap(feature => [
+            feature.name,
+            ...feature.lags.map(lag => `${feature.name}[t-${lag}]`)
+        ]);
+    }
+
+    get size() {
+        return this.columns().length;
+    }
+
+    get fitted() {
+        return Array.isArray(this.scalers) && this.scalers.length === this.size;
+    }
+
+    // Base feature values for one time step
+    read(input, context = {}) {
+        return this.features.map(feature => {
+            const value = Number(FEATURES[feature.name](input, context));
+            return Number.isFinite(value) ? value : NaN;
+        });
+    }
+
+    // Unscaled column vector at position index of a chronological list of rows;
+    // lags reaching before the first row repeat the oldest one
+    vectorAt(rows, index) {
+        const vector = [];
+        this.features.forEach((feature, i) => {
+            vector.push(rows[index][i]);
+            feature.lags.forEach(lag => vector.push(rows[Math.max(0, index - lag)][i]));
+        });
+        return vector;
+    }
+
+    // Fit column scalers and ranges from unscaled vectors and the output scaler from target sequences
+    fit(vectors, targets) {
+        const columnFeatures = this.features.flatMap(feature => [feature, ...feature.lags.map(() => feature)]);
+        const columnValues = columnFeatures.map((feature, column) => vectors.map(vector => vector[column]).filter(Number.isFinite));
+
+        this.scalers = columnFeatures.map((feature, column) => FeaturePipeline.fitScaler(feature.scaler, columnValues[column]));
+        this.outputScaler = FeaturePipeline.fitScaler('standard', targets.flat().filter(Number.isFinite));
+        this.ranges = columnValues.map(values =>
+            values.length > 0 ? { min: Math.min(...values), max: Math.max(...values) } : null);
+        return this;
+    }
+
+    static fitScaler(type, values) {
+        if (values.length === 0 || type === 'none') {
+            return { type: 'none', offset: 0, scale: 1 };
+        }
+        if (type === 'minmax') {
+            const min = Math.min(...values);
+            const max = Math.max(...values);
+            return { type, offset: min, scale: max - min || 1 };
+        }
+        const mean = values.reduce((sum, value) => sum + value, 0) / values.length;
+        const std = Math.sqrt(values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / values.length);
+        return { type, offset: mean, scale: std || 1 };
+    }
+
+    // Scaled network input; missing values map to the column centre
+    transform(vector) {
+        if (!this.fitted) {
+            throw new Error('Feature pipeline has not been fitted');
+        }
+        return vector.map((value, column) => {
+            const { offset, scale } = this.scalers[column];
+            return Number.isFinite(value) ? (value - offset) / scale : 0;
+        });
+    }
+
+    scaleTarget(values) {
+        const { offset, scale } = this.outputScaler;
+        return values.map(value => (value - offset) / scale);
+    }
+
+    unscaleTarget(values) {
+        const { offset, scale } = this.outputScaler;
+        return values.map(value => value * scale + offset);
+    }
+
+    // Columns of an unscaled vector outside the training range widened by margin × its span
+    outOfRange(vector, margin = 0.1) {
+        if (!this.ranges) return [];
+
+        const columns = this.columns();
+        return vector.flatMap((value, column) => {
+            const range = this.ranges[column];
+            if (!range || !Number.isFinite(value)) return [];
+
+            const tolerance = margin * (range.max - range.min);
+            return value < range.min - tolerance || value > range.max + tolerance
+                ? [{ feature: columns[column], value, min: range.min, max: range.max }]
+                : [];
+        });
+    }
+
+    // Unscaled vector for the newest observation, remembering it for lagged features
+    observe(input, context) {
+        this.recent.push(this.read(input, context));
+        if (this.recent.length > this.maxLag + 1) {
+            this.recent.shift();
+        }
+        return this.vectorAt(this.recent, this.recent.length - 1);
+    }
+
+    toJSON() {
+        return {
+            features: this.features,
+            scalers: this.scalers,
+            outputScaler: this.outputScaler,
+            ranges: this.ranges
+        };
+    }
+}
+
+FeaturePipeline.FEATURES = Object.keys(FEATURES);
+FeaturePipeline.DEFAULT_FEATURES = DEFAULT_FEATURES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = FeaturePipeline;
+} else {
+    window.FeaturePipeline = FeaturePipeline;
+}
@@ -0,0 +1,102 @@
+// Telemetry fields surfaced on the fleet overview
+const SUMMARY_FIELDS = [
+  'h2ProductionRate',
+  'o2ProductionRate',
+  'stackCurrent',
+  'stackVoltage',
+  'cellTemperature',
+  'o2Purity',
+  'appliedCurrent',
+  'prodRateSet',
+  'mode',
+  'state'
+];
+
+// Registry of electrolyzer units discovered from MQTT traffic
+class FleetRegistry {
+  constructor(options = {}) {
+    this.staleAfter = options.staleAfter || 10000;
+    // Units seen on the broker but absent from the configuration are capped, each one
+    // costs a control loop and a registry entry that are never evicted
+    this.maxDiscovered = options.maxDiscovered !== undefined ? options.maxDiscovered : Infinity;
+    this.units = new Map();
+    this.configured = new Set(options.units || []);
+    this.refused = 0;
+
+    this.configured.forEach(unit => this.register(unit));
+  }
+
+  // Whether messages from a unit are taken in; counts refusals of new units over the cap
+  accepts(unitId) {
+    if (this.units.has(unitId) || this.units.size - this.configured.size < this.maxDiscovered) {
+      return true;
+    }
+    this.refused++;
+    return false;
+  }
+
+  register(unitId) {
+    if (!this.units.has(unitId)) {
+      this.units.set(unitId, {
+        unit: unitId,
+        firstSeen: null,
+        lastSeen: null,
+        lastSeenByTopic: {},
+        summary: {}
+      });
+      console.log(`🏭 Registered electrolyzer unit ${unitId}`);
+    }
+    return this.units.get(unitId);
+  }
+
+  // Record a message from a unit; returns true when the unit is newly discovered
+  touch(unitId, topicName, data, timestamp = Date.now()) {
+    const isNew = !this.units.has(unitId);
+    const entry = this.register(unitId);
+
+    entry.firstSeen = entry.firstSeen || timestamp;
+    entry.lastSeen = timestamp;
+    entry.lastSeenByTopic[topicName] = timestamp;
+
+    if (topicName === 'ARDUINO_DATA' || topicName === 'MATLAB_DATA') {
+      SUMMARY_FIELDS.forEach(field => {
+        if (data[field] !== undefined) {
+          entry.summary[field] = data[field];
+        }
+      });
+      if (data.temperature !== undefined && entry.summary.cellTemperature === undefined) {
+        entry.summary.cellTemperature = data.temperature;
+      }
+    }
+
+    return isNew;
+  }
+
+  status(entry, now = Date.now()) {
+    if (!entry.lastSeen) return 'offline';
+    return now - entry.lastSeen > this.staleAfter ? 'stale' : 'online';
+  }
+
+  get(unitId) {
+    const entry = this.units.get(unitId);
+    if (!entry) return null;
+
+    return {
+      ...entry,
+      lastSeenByTopic: { ...entry.lastSeenByTopic },
+      summary: { ...entry.summary },
+      status: this.status(entry),
+      lastSeenAgo: entry.lastSeen ? Date.now() - entry.lastSeen : null
+    };
+  }
+
+  has(unitId) {
+    return this.units.has(unitId);
+  }
+
+  list() {
+    return Array.from(this.units.keys()).sort().map(unitId => this.get(unitId));
+  }
+}
+
+module.exports = FleetRegistry;
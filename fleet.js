@@ -0,0 +1,134 @@
+class FleetOverview {
+    constructor() {
+        this.units = [];
+        this.selectedUnit = null;
+        this.visible = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('unit-selector')?.addEventListener('change', (e) => {
+            if (window.mqttClient) {
+                window.mqttClient.selectUnit(e.target.value);
+            }
+        });
+
+        document.getElementById('fleet-overview-toggle')?.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        // Clicking a unit card switches the dashboard to that unit
+        document.getElementById('fleet-grid')?.addEventListener('click', (e) => {
+            const card = e.target.closest('[data-unit]');
+            if (card && window.mqttClient) {
+                window.mqttClient.selectUnit(card.dataset.unit);
+            }
+        });
+    }
+
+    update(units) {
+        this.units = units;
+        this.updateSelector();
+        this.updateTotals();
+        this.renderGrid();
+    }
+
+    setSelectedUnit(unit) {
+        this.selectedUnit = unit;
+        this.updateSelector();
+        this.renderGrid();
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        const panel = document.getElementById('fleet-overview');
+        if (panel) {
+            panel.hidden = !this.visible;
+        }
+    }
+
+    updateSelector() {
+        const selector = document.getElementById('unit-selector');
+        if (!selector) return;
+
+        const options = this.units.map(entry =>
+            `<option value="${this.escape(entry.unit)}">${this.escape(entry.unit)} (${this.escape(entry.status)})</option>`
+        ).join('');
+
+        if (selector.innerHTML !== options) {
+            selector.innerHTML = options;
+        }
+        if (this.selectedUnit) {
+            selector.value = this.selectedUnit;
+        }
+    }
+
+    updateTotals() {
+        const online = this.units.filter(entry => entry.status === 'online');
+        const totalH2 = online.reduce((sum, entry) => sum + (entry.summary.h2ProductionRate || 0) * 3600, 0);
+        const totalO2 = online.reduce((sum, entry) => sum + (entry.summary.o2ProductionRate || 0) * 3600, 0);
+
+        this.updateElement('fleet-online', `${online.length}/${this.units.length}`);
+        this.updateElement('fleet-h2-total', totalH2.toFixed(1));
+        this.updateElement('fleet-o2-total', totalO2.toFixed(1));
+    }
+
+    renderGrid() {
+        const grid = document.getElementById('fleet-grid');
+        if (!grid) return;
+
+        grid.innerHTML = this.units.map(entry => {
+            const summary = entry.summary;
+            const format = (value, digits, scale = 1) =>
+                value !== undefined ? (value * scale).toFixed(digits) : '-';
+
+            return `
+                <div class="fleet-card ${this.escape(entry.status)} ${entry.unit === this.selectedUnit ? 'selected' : ''}" data-unit="${this.escape(entry.unit)}">
+                    <div class="fleet-card-header">
+                        <strong>${this.escape(entry.unit)}</strong>
+                        <span class="fleet-status ${this.escape(entry.status)}">${this.escape(entry.status.toUpperCase())}</span>
+                    </div>
+                    <div class="fleet-card-metrics">
+                        <div><label>H₂</label>${format(summary.h2ProductionRate, 1, 3600)} L/h</div>
+                        <div><label>Current</label>${format(summary.stackCurrent, 1)} A</div>
+                        <div><label>Voltage</label>${format(summary.stackVoltage, 1)} V</div>
+                        <div><label>Temp</label>${format(summary.cellTemperature, 1)} °C</div>
+                        <div><label>O₂ Purity</label>${format(summary.o2Purity, 2)} %</div>
+                        <div><label>Mode</label>${this.escape(summary.mode || '-')}</div>
+                    </div>
+                    <div class="fleet-card-footer">${this.formatLastSeen(entry.lastSeenAgo)}</div>
+                </div>
+            `;
+        }).join('');
+    }
+
+    // Unit IDs and modes arrive from the broker, so anyone who can publish controls them
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
+    formatLastSeen(ago) {
+        if (ago === null || ago === undefined) return 'Never seen';
+        if (ago < 60000) return `Last seen ${Math.round(ago / 1000)}s ago`;
+        return `Last seen ${Math.round(ago / 60000)} min ago`;
+    }
+
+    updateElement(id, content) {
+        const element = document.getElementById(id);
+        if (element) {
+            element.textContent = content;
+        }
+    }
+}
+
+// Initialize fleet overview when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.fleetOverview = new FleetOverview();
+});
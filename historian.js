@@ -0,0 +1,215 @@
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+
+const SEGMENT_DURATION = 60 * 60 * 1000; // one file per hour
+const DURATION_UNITS = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+
+// Averages numeric fields per topic over fixed time buckets. Records arrive roughly in
+// time order, so a bucket is emitted once a record more than a bucket past its end shows up.
+class BucketAverager {
+  constructor(bucketSize, emit) {
+    this.bucketSize = bucketSize;
+    this.emit = emit;
+    this.open = new Map();
+  }
+
+  add(record) {
+    const bucketStart = Math.floor(record.t / this.bucketSize) * this.bucketSize;
+    const key = `${record.topic}|${bucketStart}`;
+
+    if (!this.open.has(key)) {
+      this.flush(bucketStart - this.bucketSize);
+      this.open.set(key, { t: bucketStart, topic: record.topic, sums: {}, counts: {}, latest: {} });
+    }
+
+    const bucket = this.open.get(key);
+    Object.entries(record.data || {}).forEach(([field, value]) => {
+      if (typeof value === 'number' && Number.isFinite(value)) {
+        bucket.sums[field] = (bucket.sums[field] || 0) + value;
+        bucket.counts[field] = (bucket.counts[field] || 0) + 1;
+      } else {
+        bucket.latest[field] = value;
+      }
+    });
+  }
+
+  // Emit buckets starting before `before` (all of them by default), oldest first
+  flush(before = Infinity) {
+    Array.from(this.open.entries())
+      .filter(([, bucket]) => bucket.t < before)
+      .sort(([, a], [, b]) => a.t - b.t)
+      .forEach(([key, bucket]) => {
+        this.open.delete(key);
+        const data = { ...bucket.latest };
+        Object.keys(bucket.sums).forEach(field => {
+          data[field] = bucket.sums[field] / bucket.counts[field];
+        });
+        this.emit({ t: bucket.t, topic: bucket.topic, data });
+      });
+  }
+}
+
+// Append-only time-series store for MQTT telemetry. Each hour of messages is
+// written to its own JSON-lines segment so queries only open the files they need.
+class Historian {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, 'data', 'history');
+    this.maxPoints = options.maxPoints || 10000;
+    this.stream = null;
+    this.segmentStart = null;
+    this.recorded = 0;
+
+    fs.mkdirSync(this.directory, { recursive: true });
+  }
+
+  record(topic, data, timestamp = Date.now()) {
+    const segmentStart = Math.floor(timestamp / SEGMENT_DURATION) * SEGMENT_DURATION;
+
+    if (segmentStart !== this.segmentStart) {
+      this.rotate(segmentStart);
+    }
+
+    this.stream.write(JSON.stringify({ t: timestamp, topic, data }) + '\n');
+    this.recorded++;
+  }
+
+  rotate(segmentStart) {
+    if (this.stream) {
+      this.stream.end();
+    }
+
+    this.segmentStart = segmentStart;
+    this.stream = fs.createWriteStream(this.segmentPath(segmentStart), { flags: 'a' });
+    this.stream.on('error', (error) => {
+      console.error('❌ Historian write error:', error);
+    });
+  }
+
+  segmentPath(segmentStart) {
+    const name = new Date(segmentStart).toISOString().slice(0, 13);
+    return path.join(this.directory, `${name}.jsonl`);
+  }
+
+  segmentStartFromName(fileName) {
+    const match = /^(\d{4}-\d{2}-\d{2}T\d{2})\.jsonl$/.exec(fileName);
+    return match ? Date.parse(`${match[1]}:00:00Z`) : null;
+  }
+
+  // Segments overlapping [from, to], oldest first
+  segmentsBetween(from, to) {
+    return fs.readdirSync(this.directory)
+      .map(fileName => ({ fileName, start: this.segmentStartFromName(fileName) }))
+      .filter(segment => segment.start !== null &&
+        segment.start + SEGMENT_DURATION > from && segment.start <= to)
+      .sort((a, b) => a.start - b.start)
+      .map(segment => path.join(this.directory, segment.fileName));
+  }
+
+  // Streams the segments in range, averaging into buckets as it goes when downsampling, and
+  // keeps only the newest `limit` points in memory
+  async query({ topic, from, to = Date.now(), downsample = null, limit = this.maxPoints } = {}) {
+    if (!Number.isInteger(limit) || limit <= 0) {
+      throw new Error(`Invalid limit: ${limit}`);
+    }
+
+    const start = from !== undefined && from !== null ? from : to - SEGMENT_DURATION;
+    const points = [];
+    const keep = (record) => {
+      points.push(record);
+      if (points.length >= 2 * limit) {
+        points.splice(0, points.length - limit);
+      }
+    };
+    const buckets = downsample ? new BucketAverager(downsample, keep) : null;
+
+    for (const file of this.segmentsBetween(start, to)) {
+      const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+
+      for await (const line of lines) {
+        if (!line) continue;
+
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (error) {
+          continue; // Partially written line from an interrupted process
+        }
+
+        if (record.t < start || record.t > to) continue;
+        if (topic && record.topic !== topic) continue;
+
+        if (buckets) {
+          buckets.add(record);
+        } else {
+          keep(record);
+        }
+      }
+    }
+
+    if (buckets) {
+      buckets.flush();
+      points.sort((a, b) => a.t - b.t);
+    }
+
+    return points.slice(-limit).map(record => ({
+      timestamp: new Date(record.t).toISOString(),
+      topic: record.topic,
+      data: record.data
+    }));
+  }
+
+  // Accepts epoch milliseconds or any Date-parsable string
+  static parseTime(value) {
+    if (value === undefined || value === '') return undefined;
+    const numeric = Number(value);
+    const time = Number.isFinite(numeric) ? numeric : Date.parse(value);
+    if (Number.isNaN(time)) {
+      throw new Error(`Invalid time: ${value}`);
+    }
+    return time;
+  }
+
+  // Accepts milliseconds or a duration such as 30s, 5m, 1h
+  static parseDuration(value) {
+    if (value === undefined || value === '') return null;
+    const match = /^(\d+(?:\.\d+)?)(ms|s|m|h|d)?$/.exec(String(value).trim());
+    if (!match || Number(match[1]) <= 0) {
+      throw new Error(`Invalid downsample interval: ${value}`);
+    }
+    return Number(match[1]) * DURATION_UNITS[match[2] || 'ms'];
+  }
+
+  static toCSV(points) {
+    const fields = Array.from(new Set(points.flatMap(point => Object.keys(point.data || {}))));
+    const escape = (value) => {
+      if (value === undefined || value === null) return '';
+      const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+      return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    };
+
+    const rows = points.map(point =>
+      [point.timestamp, point.topic, ...fields.map(field => point.data?.[field])].map(escape).join(',')
+    );
+
+    return [['timestamp', 'topic', ...fields].join(','), ...rows].join('\n');
+  }
+
+  getStatus() {
+    return {
+      directory: this.directory,
+      recorded: this.recorded,
+      segments: fs.readdirSync(this.directory).filter(name => name.endsWith('.jsonl')).length
+    };
+  }
+
+  close() {
+    if (this.stream) {
+      this.stream.end();
+      this.stream = null;
+      this.segmentStart = null;
+    }
+  }
+}
+
+module.exports = Historian;
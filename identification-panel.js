@@ -0,0 +1,161 @@
+// Calibration of the MPC prediction model: parameters identified online (RLS) or by a batch
+// fit over recent history, compared with the ones in use, and approval to apply them.
+const IDENTIFICATION_LABELS = {
+    heatCapacity: 'Heat capacity (J/K)',
+    heatTransferCoefficient: 'Heat transfer (W/K)',
+    productionTimeConstant: 'Production time constant (s)',
+    faradaicEfficiency: 'Faradaic efficiency',
+    contactResistance: 'Contact resistance (Ω·cm²)'
+};
+
+class IdentificationPanel {
+    constructor() {
+        this.online = null;
+        this.batch = null;
+        this.lastApproval = null;
+        this.source = 'online';
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('identification-source')?.addEventListener('change', (event) => {
+            this.source = event.target.value;
+            this.render();
+        });
+
+        document.getElementById('identification-batch')?.addEventListener('click', () => {
+            this.runBatch();
+        });
+
+        document.getElementById('identification-approve')?.addEventListener('click', () => {
+            this.approve();
+        });
+
+        const status = window.mqttClient && window.mqttClient.systemData.controlLoop;
+        if (status && status.identification) {
+            this.update(status.identification);
+        }
+    }
+
+    update(identification) {
+        this.online = identification;
+        this.lastApproval = identification.lastApproval || null;
+        if (this.source === 'online') {
+            this.render();
+        }
+    }
+
+    unitQuery() {
+        return window.mqttClient && window.mqttClient.unit ? { unit: window.mqttClient.unit } : {};
+    }
+
+    async refresh() {
+        if (!window.authClient) return;
+
+        const params = new URLSearchParams(this.unitQuery());
+        try {
+            const response = await window.authClient.fetch(`/api/identification?${params}`);
+            if (!response.ok) return;
+            const result = await response.json();
+            this.online = result.online;
+            this.batch = result.batch;
+            this.lastApproval = result.lastApproval;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load identification results:', error);
+        }
+    }
+
+    async post(url, body) {
+        const response = await window.authClient.fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ ...this.unitQuery(), ...body })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            window.mqttClient?.showNotification(`Model calibration: ${result.error}`, 'error');
+            return null;
+        }
+        return result;
+    }
+
+    async runBatch() {
+        const result = await this.post('/api/identification/batch', {});
+        if (result) {
+            this.batch = result.batch;
+            this.source = 'batch';
+            const select = document.getElementById('identification-source');
+            if (select) select.value = 'batch';
+            this.render();
+        }
+    }
+
+    async approve() {
+        const report = this.report();
+        const names = report ? Object.keys(report.parameters) : [];
+        if (names.length === 0) {
+            window.mqttClient?.showNotification('No identified parameters pass the checks yet', 'warning');
+            return;
+        }
+
+        const reason = prompt(`Apply ${this.source} estimates of ${names.join(', ')} to the prediction model. Reason:`);
+        if (reason === null) return;
+
+        const result = await this.post('/api/identification/approve', { source: this.source, parameters: names, reason });
+        if (result) {
+            window.mqttClient?.showNotification(`Prediction model updated: ${Object.keys(result.parameters).join(', ')}`, 'success');
+            this.refresh();
+        }
+    }
+
+    report() {
+        return this.source === 'batch' ? this.batch : this.online;
+    }
+
+    render() {
+        const table = document.getElementById('identification-table');
+        const meta = document.getElementById('identification-meta');
+        const report = this.report();
+
+        if (meta) {
+            const approval = this.lastApproval
+                ? ` · last applied ${new Date(this.lastApproval.appliedAt).toLocaleString()} by ${this.lastApproval.approvedBy} (${this.lastApproval.source})`
+                : '';
+            meta.textContent = report
+                ? `${report.source === 'batch' ? `Batch fit over ${report.samples} samples` : `Online since ${new Date(report.since).toLocaleString()}`}${approval}`
+                : (this.source === 'batch' ? 'No batch fit yet' : 'Waiting for telemetry') + approval;
+        }
+        if (!table) return;
+
+        if (!report) {
+            table.innerHTML = '';
+            return;
+        }
+
+        const format = (value) => (typeof value === 'number' && isFinite(value) ? Number(value.toPrecision(4)).toString() : '—');
+        const percent = (value) => (value === null || value === undefined ? '—' : `${value.toFixed(1)}%`);
+        const rows = Object.values(report.submodels).flatMap(submodel =>
+            Object.keys(submodel.parameters).map((name, index) => `
+                <tr class="${submodel.approvable ? 'approvable' : ''}">
+                    <td>${IDENTIFICATION_LABELS[name] || name}</td>
+                    <td>${format(submodel.current[name])}</td>
+                    <td>${format(submodel.parameters[name])} ± ${format(submodel.stdDev[name])}</td>
+                    ${index === 0 ? `
+                    <td rowspan="${Object.keys(submodel.parameters).length}">${percent(submodel.currentFit)} → ${percent(submodel.fit)}</td>
+                    <td rowspan="${Object.keys(submodel.parameters).length}">${submodel.issues.length ? submodel.issues.join('; ') : 'OK'}</td>` : ''}
+                </tr>`)
+        );
+
+        table.innerHTML = `
+            <thead><tr><th>Parameter</th><th>In use</th><th>Identified</th><th>Fit (in use → identified)</th><th>Checks</th></tr></thead>
+            <tbody>${rows.join('')}</tbody>
+        `;
+    }
+}
+
+// Initialize identification panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.identificationPanel = new IdentificationPanel();
+});
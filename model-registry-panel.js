@@ -0,0 +1,239 @@
+class ModelRegistryPanel {
+    constructor() {
+        this.models = [];
+        this.production = null;
+        this.selected = new Set();
+        this.visible = false;
+
+        this.init();
+    }
+
+    init() {
+        this.setupEventListeners();
+    }
+
+    setupEventListeners() {
+        document.getElementById('model-registry-toggle')?.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        document.getElementById('model-refresh')?.addEventListener('click', () => {
+            this.refresh();
+        });
+
+        document.getElementById('model-compare')?.addEventListener('click', () => {
+            this.compare();
+        });
+
+        document.getElementById('model-rollback')?.addEventListener('click', () => {
+            this.rollback();
+        });
+
+        document.getElementById('model-active-at')?.addEventListener('change', (e) => {
+            this.lookupActiveAt(e.target.value);
+        });
+
+        document.getElementById('model-import')?.addEventListener('change', (e) => {
+            if (e.target.files.length > 0) {
+                this.importFile(e.target.files[0]);
+                e.target.value = '';
+            }
+        });
+
+        document.getElementById('model-table-body')?.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-model-promote]');
+            if (button) {
+                this.promote(Number(button.dataset.modelPromote));
+            }
+        });
+
+        document.getElementById('model-table-body')?.addEventListener('change', (e) => {
+            if (!e.target.matches('[data-model-select]')) return;
+
+            const version = Number(e.target.dataset.modelSelect);
+            if (e.target.checked) {
+                this.selected.add(version);
+            } else {
+                this.selected.delete(version);
+            }
+            // Compare exactly two versions
+            if (this.selected.size > 2) {
+                this.selected.delete(this.selected.values().next().value);
+                this.renderTable();
+            }
+        });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        const panel = document.getElementById('model-registry');
+        if (panel) {
+            panel.hidden = !this.visible;
+        }
+        if (this.visible) {
+            this.refresh();
+        }
+    }
+
+    async refresh() {
+        if (!window.authClient || !this.visible) return;
+
+        try {
+            const response = await window.authClient.fetch('/api/models');
+            if (!response.ok) return;
+
+            const result = await response.json();
+            this.models = result.models;
+            this.production = result.production;
+            this.renderTable();
+        } catch (error) {
+            console.error('Failed to load model registry:', error);
+        }
+    }
+
+    async post(url, body = {}) {
+        const response = await window.authClient.fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            window.mqttClient?.showNotification(`Model registry: ${result.error}`, 'error');
+            return null;
+        }
+        return result;
+    }
+
+    async promote(version) {
+        const reason = prompt(`Promote model v${version} to production. Reason:`);
+        if (reason === null) return;
+
+        if (await this.post(`/api/models/${version}/promote`, { reason })) {
+            this.refresh();
+        }
+    }
+
+    async rollback() {
+        const reason = prompt('Roll back to the previous production model. Reason:');
+        if (reason === null) return;
+
+        if (await this.post('/api/models/rollback', { reason })) {
+            this.refresh();
+        }
+    }
+
+    async importFile(file) {
+        try {
+            const data = JSON.parse(await file.text());
+            const entry = await this.post('/api/models/import', data);
+            if (entry) {
+                window.mqttClient?.showNotification(`Imported model as v${entry.version}`, 'success');
+                this.refresh();
+            }
+        } catch (error) {
+            window.mqttClient?.showNotification(`Import failed: ${error.message}`, 'error');
+        }
+    }
+
+    async compare() {
+        const element = document.getElementById('model-comparison');
+        if (!element) return;
+
+        if (this.selected.size !== 2) {
+            element.textContent = 'Select two models to compare';
+            return;
+        }
+
+        const [a, b] = Array.from(this.selected).sort((x, y) => x - y);
+        const response = await window.authClient.fetch(`/api/models/compare?a=${a}&b=${b}`);
+        if (!response.ok) return;
+
+        const result = await response.json();
+        const metricRows = Object.entries(result.metrics).map(([key, value]) => `
+            <tr>
+                <td>${this.escape(key)}</td>
+                <td>${this.escape(this.format(value.a))}</td>
+                <td>${this.escape(this.format(value.b))}</td>
+                <td>${value.delta === null ? '' : this.format(value.delta)}</td>
+            </tr>
+        `).join('');
+        const configRows = Object.entries(result.networkConfig).map(([key, value]) => `
+            <tr>
+                <td>${this.escape(key)}</td>
+                <td>${this.escape(this.format(value.a))}</td>
+                <td>${this.escape(this.format(value.b))}</td>
+                <td></td>
+            </tr>
+        `).join('');
+
+        element.innerHTML = `
+            <p>v${a} vs v${b} — ${result.sameTrainingData ? 'same training data' : 'different training data'}</p>
+            <table class="model-table">
+                <thead><tr><th></th><th>v${a}</th><th>v${b}</th><th>Δ</th></tr></thead>
+                <tbody>${metricRows}${configRows || ''}</tbody>
+            </table>
+        `;
+    }
+
+    async lookupActiveAt(value) {
+        const element = document.getElementById('model-active-at-result');
+        if (!element || !value) return;
+
+        const response = await window.authClient.fetch(`/api/models/active?at=${encodeURIComponent(new Date(value).toISOString())}`);
+        if (!response.ok) return;
+
+        const entry = await response.json();
+        element.textContent = entry
+            ? `v${entry.version} (in production since ${new Date(entry.since).toLocaleString()}, promoted by ${entry.promotedBy || 'unknown'})`
+            : 'No model was in production';
+    }
+
+    renderTable() {
+        const body = document.getElementById('model-table-body');
+        if (!body) return;
+
+        const canManage = window.authClient?.can('models:manage');
+
+        body.innerHTML = this.models.map(entry => {
+            const metrics = entry.metrics || {};
+            const promote = canManage && entry.version !== this.production
+                ? `<button class="btn-primary" data-model-promote="${entry.version}">Promote</button>`
+                : '';
+
+            return `
+                <tr class="model-row ${entry.status}">
+                    <td><input type="checkbox" data-model-select="${entry.version}" ${this.selected.has(entry.version) ? 'checked' : ''}></td>
+                    <td>v${entry.version}</td>
+                    <td>${entry.status}</td>
+                    <td>${new Date(entry.createdAt).toLocaleString()}</td>
+                    <td>${this.escape(entry.createdBy || '-')}</td>
+                    <td>${entry.source}</td>
+                    <td>${this.format(metrics.validationLoss)}</td>
+                    <td>${this.format(metrics.trainLoss)}</td>
+                    <td>${metrics.samples ?? '-'}</td>
+                    <td><code>${this.escape((entry.dataHash || '-').slice(0, 16))}</code></td>
+                    <td>${this.escape(entry.notes || '')}</td>
+                    <td>${promote}</td>
+                </tr>
+            `;
+        }).join('') || '<tr><td colspan="12">No registered models</td></tr>';
+    }
+
+    format(value) {
+        if (value === null || value === undefined) return '-';
+        if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toExponential(3);
+        return typeof value === 'object' ? JSON.stringify(value) : String(value);
+    }
+
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+}
+
+// Initialize model registry panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.modelRegistryPanel = new ModelRegistryPanel();
+});
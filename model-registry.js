@@ -0,0 +1,285 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const FeaturePipeline = require('./feature-pipeline');
+const NeuralNetwork = require('./neural-network');
+
+const ACTIVATIONS = NeuralNetwork.ACTIVATIONS;
+
+// Versioned store of NeuralMPC models. Each version keeps its parameters, the
+// network configuration, validation metrics and a hash of the data it was trained
+// on; promotions are recorded so the model in control at any time can be looked up.
+class ModelRegistry {
+  constructor(options = {}) {
+    this.directory = options.directory || path.join(__dirname, 'data', 'models');
+    this.indexFile = path.join(this.directory, 'index.json');
+
+    fs.mkdirSync(this.directory, { recursive: true });
+    this.index = this.loadIndex();
+  }
+
+  loadIndex() {
+    if (!fs.existsSync(this.indexFile)) {
+      return { nextVersion: 1, production: null, versions: [], promotions: [] };
+    }
+    return JSON.parse(fs.readFileSync(this.indexFile, 'utf8'));
+  }
+
+  saveIndex() {
+    const temporary = `${this.indexFile}.tmp`;
+    fs.writeFileSync(temporary, JSON.stringify(this.index, null, 2));
+    fs.renameSync(temporary, this.indexFile);
+  }
+
+  parametersFile(version) {
+    return path.join(this.directory, `model-v${version}.json`);
+  }
+
+  // Shapes must chain input -> hidden* -> output
+  static validateModel(model) {
+    if (!model || typeof model.weights !== 'object' || typeof model.biases !== 'object') {
+      throw new Error('Model must contain weights and biases');
+    }
+    if (model.activation && !ACTIVATIONS.includes(model.activation)) {
+      throw new Error(`Model activation must be one of ${ACTIVATIONS.join(', ')}`);
+    }
+    if (model.outputActivation && !ACTIVATIONS.includes(model.outputActivation)) {
+      throw new Error(`Model output activation must be one of ${ACTIVATIONS.join(', ')}`);
+    }
+
+    const hidden = Object.keys(model.biases).filter(key => key.startsWith('hidden')).length;
+    if (model.activations && (!Array.isArray(model.activations) || model.activations.length !== hidden ||
+        model.activations.some(activation => !ACTIVATIONS.includes(activation)))) {
+      throw new Error(`Model activations must list one of ${ACTIVATIONS.join(', ')} per hidden layer`);
+    }
+    const layers = [];
+    for (let i = 0; i < hidden; i++) {
+      layers.push([i === 0 ? 'input-hidden0' : `hidden${i - 1}-hidden${i}`, `hidden${i}`]);
+    }
+    layers.push([`hidden${hidden - 1}-output`, 'output']);
+
+    let inputs = null;
+    layers.forEach(([weightKey, biasKey]) => {
+      const W = model.weights[weightKey];
+      const b = model.biases[biasKey];
+      if (!Array.isArray(W) || !Array.isArray(b) || W.length === 0 || W.length !== b.length) {
+        throw new Error(`Model layer ${weightKey} is missing or does not match bias ${biasKey}`);
+      }
+      const columns = W[0].length;
+      if ((inputs !== null && columns !== inputs) || W.some(row => !Array.isArray(row) || row.length !== columns)) {
+        throw new Error(`Model layer ${weightKey} has inconsistent dimensions`);
+      }
+      if (W.some(row => row.some(value => !Number.isFinite(value))) || b.some(value => !Number.isFinite(value))) {
+        throw new Error(`Model layer ${weightKey} contains non-numeric values`);
+      }
+      inputs = W.length;
+    });
+
+    const inputSize = model.weights['input-hidden0'][0].length;
+    if (model.ensemble !== undefined) {
+      if (!Array.isArray(model.ensemble)) {
+        throw new Error('Model ensemble must be a list of { weights, biases } members');
+      }
+      const shapeOf = (weights) => JSON.stringify(layers.map(([weightKey]) => [weights[weightKey]?.length, weights[weightKey]?.[0]?.length]));
+      model.ensemble.forEach((member, i) => {
+        ModelRegistry.validateModel({ weights: member.weights, biases: member.biases });
+        if (shapeOf(member.weights) !== shapeOf(model.weights)) {
+          throw new Error(`Model ensemble member ${i + 1} does not match the model's shape`);
+        }
+      });
+    }
+    if (model.noiseVariance !== undefined && (!Array.isArray(model.noiseVariance) ||
+        model.noiseVariance.length !== model.biases.output.length || model.noiseVariance.some(value => !Number.isFinite(value) || value < 0))) {
+      throw new Error('Model noise variance must list one non-negative value per output');
+    }
+    if (model.pipeline) {
+      let pipeline;
+      try {
+        pipeline = new FeaturePipeline(model.pipeline);
+      } catch (error) {
+        throw new Error(`Model feature pipeline is invalid: ${error.message}`);
+      }
+      if (!pipeline.fitted || pipeline.size !== inputSize) {
+        throw new Error(`Model feature pipeline must be fitted for ${inputSize} inputs`);
+      }
+    }
+
+    return { inputSize, outputSize: model.biases.output.length, hiddenLayers: hidden, ensembleSize: 1 + (model.ensemble || []).length };
+  }
+
+  // Stored parameters; fields a model does not have are left out so older hashes still verify
+  static parameters(model) {
+    return {
+      weights: model.weights,
+      biases: model.biases,
+      activation: model.activation || 'relu',
+      activations: model.activations,
+      outputActivation: model.outputActivation,
+      ensemble: model.ensemble,
+      noiseVariance: model.noiseVariance,
+      pipeline: model.pipeline
+    };
+  }
+
+  static hashParameters(model) {
+    return crypto.createHash('sha256')
+      .update(JSON.stringify(ModelRegistry.parameters(model)))
+      .digest('hex');
+  }
+
+  register({ model, networkConfig = null, metrics = null, dataHash = null, notes = '', source = 'trained' }, user) {
+    const shape = ModelRegistry.validateModel(model);
+    const version = this.index.nextVersion;
+
+    const parameters = ModelRegistry.parameters(model);
+    fs.writeFileSync(this.parametersFile(version), JSON.stringify(parameters));
+
+    const entry = {
+      version,
+      createdAt: new Date().toISOString(),
+      createdBy: user ? user.username : null,
+      source,
+      status: 'candidate',
+      dataHash,
+      parameterHash: ModelRegistry.hashParameters(parameters),
+      networkConfig,
+      shape,
+      metrics,
+      notes: String(notes || '').slice(0, 500)
+    };
+
+    this.index.versions.push(entry);
+    this.index.nextVersion++;
+    this.saveIndex();
+
+    console.log(`🧠 Registered model v${version} (${source}) by ${entry.createdBy || 'unknown'}`);
+    return { ...entry };
+  }
+
+  // Accepts a NeuralMPC export ({ model, config }) or a registry export ({ model, networkConfig, metrics })
+  import(data, user) {
+    if (!data || !data.model) {
+      throw new Error('Import must contain a model');
+    }
+    return this.register({
+      model: data.model,
+      networkConfig: data.networkConfig || data.config || null,
+      metrics: data.metrics || data.model.metrics || null,
+      dataHash: data.dataHash || data.model.metrics?.dataHash || null,
+      notes: data.notes || `Imported${data.exportTime ? ` from export of ${data.exportTime}` : ''}`,
+      source: 'import'
+    }, user);
+  }
+
+  entry(version) {
+    const entry = this.index.versions.find(item => item.version === Number(version));
+    if (!entry) {
+      throw new Error(`Unknown model version: ${version}`);
+    }
+    return entry;
+  }
+
+  // Metadata plus parameters; the parameter hash is checked against the registry
+  get(version) {
+    const entry = this.entry(version);
+    const model = JSON.parse(fs.readFileSync(this.parametersFile(entry.version), 'utf8'));
+    if (ModelRegistry.hashParameters(model) !== entry.parameterHash) {
+      throw new Error(`Model v${entry.version} parameters do not match their recorded hash`);
+    }
+    return { ...entry, model };
+  }
+
+  list() {
+    return this.index.versions.slice().reverse().map(entry => ({ ...entry }));
+  }
+
+  compare(a, b) {
+    const first = this.entry(a);
+    const second = this.entry(b);
+
+    const metricKeys = new Set([...Object.keys(first.metrics || {}), ...Object.keys(second.metrics || {})]);
+    const metrics = {};
+    metricKeys.forEach(key => {
+      const valueA = first.metrics?.[key];
+      const valueB = second.metrics?.[key];
+      metrics[key] = {
+        a: valueA ?? null,
+        b: valueB ?? null,
+        delta: typeof valueA === 'number' && typeof valueB === 'number' ? valueB - valueA : null
+      };
+    });
+
+    const configKeys = new Set([...Object.keys(first.networkConfig || {}), ...Object.keys(second.networkConfig || {})]);
+    const networkConfig = {};
+    configKeys.forEach(key => {
+      const valueA = first.networkConfig?.[key];
+      const valueB = second.networkConfig?.[key];
+      if (JSON.stringify(valueA) !== JSON.stringify(valueB)) {
+        networkConfig[key] = { a: valueA ?? null, b: valueB ?? null };
+      }
+    });
+
+    return {
+      a: { ...first },
+      b: { ...second },
+      sameTrainingData: Boolean(first.dataHash) && first.dataHash === second.dataHash,
+      metrics,
+      networkConfig
+    };
+  }
+
+  promote(version, user, reason = null, action = 'promote') {
+    const entry = this.entry(version);
+    const previous = this.index.production;
+    if (previous === entry.version) {
+      throw new Error(`Model v${entry.version} is already in production`);
+    }
+
+    this.index.versions.forEach(item => {
+      if (item.version === previous) item.status = 'retired';
+    });
+    entry.status = 'production';
+    entry.promotedAt = new Date().toISOString();
+    entry.promotedBy = user ? user.username : null;
+
+    this.index.production = entry.version;
+    this.index.promotions.push({
+      action,
+      version: entry.version,
+      previous,
+      at: entry.promotedAt,
+      by: entry.promotedBy,
+      reason
+    });
+    this.saveIndex();
+
+    console.log(`🧠 Model v${entry.version} ${action === 'rollback' ? 'restored' : 'promoted'} to production`);
+    return { ...entry };
+  }
+
+  // Return to the model that was in production before the current one
+  rollback(user, reason = null) {
+    const current = this.index.production;
+    const last = this.index.promotions.slice().reverse().find(promotion => promotion.version === current);
+    if (!last || last.previous === null) {
+      throw new Error('No earlier production model to roll back to');
+    }
+    return this.promote(last.previous, user, reason, 'rollback');
+  }
+
+  production() {
+    return this.index.production === null ? null : this.get(this.index.production);
+  }
+
+  // Version in production at a given time (ms), or null before the first promotion
+  activeAt(timestamp) {
+    const promotion = this.index.promotions.filter(item => Date.parse(item.at) <= timestamp).pop();
+    return promotion ? { ...this.entry(promotion.version), since: promotion.at, promotedBy: promotion.by } : null;
+  }
+
+  promotions() {
+    return this.index.promotions.slice();
+  }
+}
+
+module.exports = ModelRegistry;
@@ -1,3 +1,8 @@
+const PlantModel = typeof require === 'function' ? require('./pem-plant-model') : window.PEMPlantModel;
+const QPSolverClass = typeof require === 'function' ? require('./qp-solver') : window.QPSolver;
+const SafetyLimitsClass = typeof require === 'function' ? require('./safety-limits') : window.SafetyLimits;
+const TariffEngine = typeof require === 'function' ? require('./tariff-schedule') : window.TariffSchedule;
+
 class MPCAlgorithms {
     constructor() {
         this.algorithms = {
@@ -7,16 +12,40 @@ class MPCAlgorithms {
             HYBRID: this.HybridMPC.bind(this)
         };
         
+        // Physics-based plant model used for multi-state prediction
+        this.plantModel = new PlantModel();
+        this.qpSolver = new QPSolverClass();
+
         this.modelParameters = {
-            // PEM Electrolyzer model parameters
-            A_MATRIX: 0.95,
-            B_MATRIX: 0.8,
-            C_MATRIX: 1.0,
-            MAX_CURRENT: 200,
-            MIN_CURRENT: 100,
-            MAX_TEMPERATURE: 80,
-            MIN_O2_PURITY: 99.0
+            MAX_CURRENT_RATE: 10, // A per sample
+            CONSTRAINT_PENALTY: 1e4
         };
+        this.setSafetyLimits();
+        this.setTariff();
+        this.storage = null;
+    }
+
+    // Buffer tanks whose O2 reserve bounds every controller's output from below
+    setStorage(storage) {
+        this.storage = storage || null;
+    }
+
+    // Electricity tariff priced by the HE-MPC economic layer
+    setTariff(tariff) {
+        this.tariff = tariff instanceof TariffEngine ? tariff : new TariffEngine(tariff);
+    }
+
+    // PEM Electrolyzer operating limits, shared with the server interlock
+    setSafetyLimits(limits = {}) {
+        this.safetyLimits = new SafetyLimitsClass(limits);
+        const { current, temperature, purity } = this.safetyLimits.limits;
+
+        Object.assign(this.modelParameters, {
+            MAX_CURRENT: current.max,
+            MIN_CURRENT: current.min,
+            MAX_TEMPERATURE: temperature.trip,
+            MIN_O2_PURITY: purity.trip
+        });
     }
 
     // Hierarchical Economic MPC (HE-MPC)
@@ -35,7 +64,7 @@ class MPCAlgorithms {
             const economicSetpoint = this.upperLayerEconomicOptimization(currentState, reference, parameters);
             
             // Lower layer: Tracking control
-            const control = this.lowerLayerTrackingMPC(
+            const control = await this.lowerLayerTrackingMPC(
                 currentState, 
                 economicSetpoint, 
                 previousControl, 
@@ -45,7 +74,9 @@ class MPCAlgorithms {
             return {
                 control,
                 economicSetpoint,
+                economicPlan: this.economicPlan,
                 horizon,
+                predictedTrajectory: this.plantModel.predict(currentState, control, sampleTime, horizon),
                 computationTime: Date.now(),
                 algorithm: 'HEMPC'
             };
@@ -62,34 +93,30 @@ class MPCAlgorithms {
             horizon = 10,
             sampleTime = 0.1,
             qWeight = 10.0,
-            rWeight = 1.0
+            rWeight = 1.0,
+            sWeight = 100.0,
+            maxRateOfChange = this.modelParameters.MAX_CURRENT_RATE,
+            sqpIterations = 2
         } = parameters;
 
         try {
-            // Standard MPC formulation
-            let optimalControl = previousControl;
-            let minCost = Number.MAX_VALUE;
-
-            // Simple gradient-based optimization
-            const controlRange = this.modelParameters.MAX_CURRENT - this.modelParameters.MIN_CURRENT;
-            const stepSize = controlRange / 20;
+            const lastControl = previousControl ?? this.plantModel.normalizeState(currentState).current;
 
-            for (let u = this.modelParameters.MIN_CURRENT; u <= this.modelParameters.MAX_CURRENT; u += stepSize) {
-                const cost = this.evaluateMPCCost(currentState, u, reference, horizon, qWeight, rWeight);
-                
-                if (cost < minCost) {
-                    minCost = cost;
-                    optimalControl = u;
-                }
-            }
+            // Constrained QP over the full control move sequence
+            const plan = this.solveTrackingQP(currentState, reference, lastControl, {
+                horizon, sampleTime, qWeight, rWeight, sWeight, maxRateOfChange, sqpIterations
+            });
 
             // Apply constraints
-            optimalControl = this.applyConstraints(optimalControl, currentState);
+            const optimalControl = this.applyConstraints(plan.controlSequence[0], currentState);
 
             return {
                 control: optimalControl,
-                cost: minCost,
+                controlSequence: plan.controlSequence,
+                predictedTrajectory: plan.predictedTrajectory,
+                cost: plan.cost,
                 horizon,
+                solver: plan.solver,
                 computationTime: Date.now(),
                 algorithm: 'DETERMINISTIC'
             };
@@ -141,6 +168,7 @@ class MPCAlgorithms {
                 control: finalControl,
                 scenarios,
                 scenarioCosts,
+                predictedTrajectory: this.plantModel.predict(currentState, finalControl, sampleTime, horizon),
                 computationTime: Date.now(),
                 algorithm: 'STOCHASTIC'
             };
@@ -158,6 +186,7 @@ class MPCAlgorithms {
             sampleTime = 0.1,
             qWeight = 10.0,
             rWeight = 1.0,
+            sWeight = 100.0,
             discreteOptions = [100, 150, 200] // Example discrete current levels
         } = parameters;
 
@@ -175,7 +204,9 @@ class MPCAlgorithms {
                 const stepSize = 5;
 
                 for (let u = start; u <= end; u += stepSize) {
-                    const cost = this.evaluateMPCCost(currentState, u, reference, horizon, qWeight, rWeight);
+                    const cost = this.evaluateMPCCost(currentState, u, reference, {
+                        horizon, sampleTime, qWeight, rWeight, sWeight, previousControl
+                    });
                     
                     if (cost < minCost) {
                         minCost = cost;
@@ -189,6 +220,7 @@ class MPCAlgorithms {
                 control: bestControl,
                 discreteOption: bestDiscreteOption,
                 cost: minCost,
+                predictedTrajectory: this.plantModel.predict(currentState, bestControl, sampleTime, horizon),
                 computationTime: Date.now(),
                 algorithm: 'HYBRID'
             };
@@ -201,70 +233,401 @@ class MPCAlgorithms {
 
     // Upper layer: Economic optimization for HE-MPC
     upperLayerEconomicOptimization(currentState, reference, parameters) {
-        // Simplified economic optimization
-        // In practice, this would consider electricity prices, demand patterns, etc.
-        
-        const timeOfDay = new Date().getHours();
-        let economicAdjustment = 0;
+        // parameters.timestamp evaluates the decision at another time (imitation learning)
+        const timestamp = parameters.timestamp ?? Date.now();
 
-        // Time-based economic adjustments
-        if (timeOfDay >= 0 && timeOfDay < 6) {
-            // Night hours - lower electricity costs
-            economicAdjustment = 0.1; // Increase production
-        } else if (timeOfDay >= 18 && timeOfDay < 24) {
-            // Evening peak - higher electricity costs
-            economicAdjustment = -0.1; // Decrease production
-        }
+        // The hourly production plan decides this hour's setpoint
+        const plan = this.currentEconomicPlan(reference, timestamp, parameters);
+        const planned = plan.hours.find(hour => Date.parse(hour.time) <= timestamp && timestamp < Date.parse(hour.time) + 3600000) || plan.hours[0];
+        let economicAdjustment = 0;
 
         // State-based adjustments
-        if (currentState.temperature > 75) {
+        const limits = this.safetyLimits.limits;
+        if (currentState.temperature > limits.temperature.warning) {
             economicAdjustment -= 0.05; // Reduce due to high temperature
         }
 
-        if (currentState.purity < 99.3) {
+        if (currentState.purity < limits.purity.warning) {
             economicAdjustment -= 0.1; // Reduce due to purity concerns
         }
 
-        const economicSetpoint = reference * (1 + economicAdjustment);
+        const economicSetpoint = planned.production * (1 + economicAdjustment);
         return Math.max(0, Math.min(100, economicSetpoint));
     }
 
+    // The cached plan while it still covers this hour with the same inputs, otherwise a new one
+    currentEconomicPlan(reference, timestamp, parameters) {
+        const start = new Date(timestamp).setMinutes(0, 0, 0);
+        // Storage moves every tick; replan only once it has moved by 2% of the tank
+        const storage = parameters.storage && {
+            ...parameters.storage,
+            level: Math.round(parameters.storage.level / (parameters.storage.capacity * 0.02))
+        };
+        const key = JSON.stringify([
+            start, Math.round(reference), parameters.economicHorizon, parameters.forecast, storage,
+            parameters.solarCapacity, parameters.demandShare
+        ]);
+        if (!this.economicPlan || this.economicPlanKey !== key) {
+            this.economicPlan = this.planProduction(reference, start, parameters);
+            this.economicPlanKey = key;
+        }
+        return this.economicPlan;
+    }
+
+    // Hourly price, solar irradiance (W/m²) and hospital O2 demand (L/min) over the plan horizon.
+    // parameters.forecast may give hourly solar and o2Demand lists, a constant o2Demand, or the
+    // day's solar peak for a clear-sky profile.
+    economicForecast(start, hours, parameters = {}) {
+        const forecast = parameters.forecast || {};
+        const prices = this.tariff.pricesBetween(start, start + hours * 3600000);
+        const valueAt = (series, h, fallback) => {
+            if (Array.isArray(series)) return series[Math.min(h, series.length - 1)] ?? fallback;
+            return typeof series === 'number' ? series : fallback;
+        };
+
+        return prices.map((price, h) => {
+            const hourOfDay = new Date(price.timestamp).getHours() + 0.5;
+            const clearSky = (forecast.solarPeak ?? 800) * Math.max(0, Math.sin(Math.PI * (hourOfDay - 6) / 12));
+            return {
+                time: price.timestamp,
+                price: price.rate,
+                period: price.type,
+                solar: valueAt(forecast.solar, h, clearSky),
+                o2Demand: valueAt(forecast.o2Demand, h, 120)
+            };
+        });
+    }
+
+    // Economic scheduling layer: hourly production (% of rated) over 24-48 h minimizing
+    // grid energy cost, with solar offsetting grid power, while the committed share of
+    // the hospital's O2 demand is met from production and storage.
+    planProduction(reference, start, parameters = {}) {
+        const {
+            economicHorizon = 24,
+            solarCapacity = 5,          // kW of PV at 1000 W/m²
+            demandShare = 0.08,         // share of the hospital O2 demand this unit supplies
+            referenceWeight = 0.01,     // KSh per %² away from the operator reference
+            rampWeight = 0.02           // KSh per %² change between hours
+        } = parameters;
+        // L of O2; the horizon ends with at least terminalLevel so the plan does not just drain the tank
+        const storage = { level: 2500, reserve: 1000, capacity: 5000, ...parameters.storage };
+        const terminalLevel = Math.max(storage.reserve, Math.min(storage.capacity, storage.terminalLevel ?? storage.level));
+        const H = Math.max(1, Math.round(economicHorizon));
+        const hours = this.economicForecast(start, H, parameters);
+
+        // Stack power (kW) at steady state, and its chord over the operating range for the optimization
+        const { MIN_CURRENT, MAX_CURRENT } = this.modelParameters;
+        const rated = this.plantModel.parameters.ratedCurrent;
+        const pMin = MIN_CURRENT / rated * 100;
+        const pMax = MAX_CURRENT / rated * 100;
+        const kW = p => {
+            const state = this.plantModel.steadyState(this.plantModel.currentForProduction(p));
+            return state.voltage * state.current / 1000;
+        };
+        const slope = (kW(pMax) - kW(pMin)) / (pMax - pMin);
+        const intercept = kW(pMin) - slope * pMin;
+
+        // O2 (m³ per hour) per % production, committed demand and solar power (kW) per hour
+        const o2PerPercent = this.plantModel.oxygenProduction(rated) * 3600 / 1000 / 100;
+        const demand = hours.map(hour => demandShare * hour.o2Demand * 60 / 1000);
+        const solar = hours.map(hour => solarCapacity * hour.solar / 1000);
+
+        // Variables: production fraction x_h = p_h / 100, then grid energy g_h (kWh) >= stack
+        // energy - solar and >= 0, so solar makes production free only up to what it covers.
+        // The objective is normalized so the solver is well scaled.
+        const n = 2 * H;
+        const P = Array.from({ length: n }, () => new Array(n).fill(0));
+        const q = new Array(n).fill(0);
+        for (let h = 0; h < H; h++) {
+            P[h][h] += 2e4 * referenceWeight;
+            q[h] -= 200 * referenceWeight * reference;
+            if (h > 0) {
+                P[h][h] += 2e4 * rampWeight;
+                P[h - 1][h - 1] += 2e4 * rampWeight;
+                P[h][h - 1] -= 2e4 * rampWeight;
+                P[h - 1][h] -= 2e4 * rampWeight;
+            }
+            q[H + h] = hours[h].price;
+        }
+        const scale = Math.max(...P.map((row, i) => row[i]));
+        P.forEach(row => row.forEach((value, j) => { row[j] = value / scale; }));
+        q.forEach((value, i) => { q[i] = value / scale; });
+
+        // Storage at the end of hour h is level0 + Σ_k≤h (o2 x_k - demand_k), kept between the
+        // reserve and capacity. Where even full (or minimum) production cannot do that, the bound
+        // is relaxed to what is reachable and the plan reports the shortfall.
+        const A = [];
+        const l = [];
+        const u = [];
+        const level0 = storage.level / 1000;
+        const o2PerFraction = o2PerPercent * 100;
+        let committed = 0;
+        for (let h = 0; h < H; h++) {
+            A.push(this.unitRow(n, h));
+            l.push(pMin / 100);
+            u.push(pMax / 100);
+
+            committed += demand[h];
+            const produced = Array.from({ length: n }, (_, k) => (k <= h ? o2PerFraction : 0));
+            const highest = o2PerFraction * (h + 1) * pMax / 100;
+            const lowest = o2PerFraction * (h + 1) * pMin / 100;
+            A.push(produced);
+            l.push(Math.min((h === H - 1 ? terminalLevel : storage.reserve) / 1000 - level0 + committed, highest));
+            u.push(Math.max(storage.capacity / 1000 - level0 + committed, lowest));
+
+            const grid = new Array(n).fill(0);
+            grid[H + h] = 1;
+            grid[h] = -100 * slope;
+            A.push(grid);
+            l.push(intercept - solar[h]);
+            u.push(Infinity);
+
+            A.push(this.unitRow(n, H + h));
+            l.push(0);
+            u.push(Infinity);
+        }
+
+        const warm = this.economicWarmStart && this.economicWarmStart.x.length === n ? this.economicWarmStart : {};
+        const solution = this.qpSolver.solve({ P, q, A, l, u, warmStart: warm });
+        this.economicWarmStart = { x: solution.x, y: solution.y };
+        const production = solution.x.slice(0, H).map(x => Math.max(pMin, Math.min(pMax, 100 * x)));
+
+        // Projected hour by hour: energy from the grid, its cost and the O2 in storage. The
+        // baseline produces the same O2 at a constant rate, so savings come from shifting alone.
+        let level = storage.level;
+        let totalCost = 0;
+        let baselineCost = 0;
+        const flat = production.reduce((sum, p) => sum + p, 0) / H;
+        const flatPower = kW(flat);
+        const planned = hours.map((hour, h) => {
+            const gridEnergy = Math.max(0, kW(production[h]) - solar[h]);
+            const cost = gridEnergy * hour.price;
+            level += (o2PerPercent * production[h] - demand[h]) * 1000;
+            totalCost += cost;
+            baselineCost += Math.max(0, flatPower - solar[h]) * hour.price;
+            return {
+                ...hour,
+                production: production[h],
+                gridEnergy,
+                cost,
+                o2Committed: demand[h] * 1000,
+                storage: level
+            };
+        });
+
+        return {
+            createdAt: new Date().toISOString(),
+            start: new Date(start).toISOString(),
+            horizon: H,
+            reference,
+            hours: planned,
+            totalCost,
+            baselineCost,
+            savings: baselineCost - totalCost,
+            storage,
+            shortfall: planned.some(hour => hour.storage < storage.reserve - 1),
+            status: solution.status,
+            iterations: solution.iterations
+        };
+    }
+
     // Lower layer: Tracking MPC for HE-MPC
     lowerLayerTrackingMPC(currentState, reference, previousControl, parameters) {
         // Fast tracking control without economic computations
         return this.DeterministicMPC(currentState, reference, previousControl, {
             ...parameters,
             horizon: 5, // Shorter horizon for faster computation
-            qWeight: parameters.qWeight * 2 // Higher tracking weight
+            qWeight: (parameters.qWeight ?? 10.0) * 2 // Higher tracking weight
         }).then(result => result.control);
     }
 
-    // Cost function evaluation
-    evaluateMPCCost(currentState, control, reference, horizon, qWeight, rWeight) {
-        let totalCost = 0;
-        let state = currentState.production || 0; // Use production as state for tracking
+    // Sequential QP: linearize the plant model around the current plan and solve
+    // the finite-horizon tracking problem with input, rate and state constraints
+    solveTrackingQP(currentState, reference, previousControl, parameters) {
+        const { horizon, sampleTime, qWeight, rWeight, sWeight, maxRateOfChange, sqpIterations } = parameters;
+        const { MIN_CURRENT, MAX_CURRENT, MAX_TEMPERATURE, MIN_O2_PURITY } = this.modelParameters;
+        const N = horizon;
+
+        let controls = new Array(N).fill(Math.max(MIN_CURRENT, Math.min(MAX_CURRENT, previousControl)));
+        let solution = null;
+        let totalIterations = 0;
+
+        for (let pass = 0; pass < sqpIterations; pass++) {
+            const { nominal, jacobian } = this.linearizePrediction(currentState, controls, sampleTime);
+
+            // Quadratic cost: Σ w_k (p_k - r)² + rWeight Σ (u_k - u_{k-1})²
+            const P = Array.from({ length: N }, () => new Array(N).fill(0));
+            const q = new Array(N).fill(0);
+
+            for (let k = 0; k < N; k++) {
+                const weight = k === N - 1 ? qWeight + sWeight : qWeight;
+                const row = jacobian.production[k];
+                const offset = nominal[k].production - this.dotProduct(row, controls) - reference;
+
+                for (let i = 0; i < N; i++) {
+                    q[i] += 2 * weight * offset * row[i];
+                    for (let j = 0; j < N; j++) {
+                        P[i][j] += 2 * weight * row[i] * row[j];
+                    }
+                }
+            }
 
-        for (let k = 0; k < horizon; k++) {
-            // State prediction
-            state = this.modelParameters.A_MATRIX * state + this.modelParameters.B_MATRIX * control;
-            
-            // Tracking error cost
-            const trackingError = state - reference;
-            totalCost += qWeight * trackingError * trackingError;
+            for (let k = 0; k < N; k++) {
+                P[k][k] += 2 * rWeight * (k < N - 1 ? 2 : 1);
+                if (k > 0) {
+                    P[k][k - 1] -= 2 * rWeight;
+                    P[k - 1][k] -= 2 * rWeight;
+                }
+            }
+            q[0] -= 2 * rWeight * previousControl;
+
+            // Constraint rows: input bounds, move limits, temperature and purity
+            const A = [];
+            const lower = [];
+            const upper = [];
+
+            for (let k = 0; k < N; k++) {
+                A.push(this.unitRow(N, k));
+                lower.push(MIN_CURRENT);
+                upper.push(MAX_CURRENT);
+            }
+
+            for (let k = 0; k < N; k++) {
+                const row = this.unitRow(N, k);
+                if (k > 0) row[k - 1] = -1;
+                const base = k === 0 ? previousControl : 0;
+                A.push(row);
+                lower.push(base - maxRateOfChange);
+                upper.push(base + maxRateOfChange);
+            }
+
+            for (let k = 0; k < N; k++) {
+                const temperatureRow = jacobian.temperature[k];
+                A.push(temperatureRow);
+                lower.push(-Infinity);
+                upper.push(MAX_TEMPERATURE - nominal[k].temperature + this.dotProduct(temperatureRow, controls));
 
-            // Control effort cost (except first step)
-            if (k > 0) {
-                totalCost += rWeight * control * control;
+                const purityRow = jacobian.purity[k];
+                A.push(purityRow);
+                lower.push(MIN_O2_PURITY - nominal[k].purity + this.dotProduct(purityRow, controls));
+                upper.push(Infinity);
             }
+
+            solution = this.qpSolver.solve({
+                P, q, A, l: lower, u: upper,
+                warmStart: solution ? { x: solution.x, y: solution.y } : { x: controls }
+            });
+            totalIterations += solution.iterations;
+
+            // Remove residual bound and rate violations left by the ADMM tolerance
+            let last = previousControl;
+            controls = solution.x.map(u => {
+                const limited = Math.max(last - maxRateOfChange, Math.min(last + maxRateOfChange, u));
+                last = Math.max(MIN_CURRENT, Math.min(MAX_CURRENT, limited));
+                return last;
+            });
         }
 
+        return {
+            controlSequence: controls,
+            predictedTrajectory: this.plantModel.predict(currentState, controls, sampleTime),
+            cost: this.evaluateMPCCost(currentState, controls, reference, {
+                horizon, sampleTime, qWeight, rWeight, sWeight, previousControl
+            }),
+            solver: {
+                type: 'ADMM',
+                status: solution.status,
+                converged: solution.converged,
+                iterations: totalIterations,
+                sqpIterations,
+                primalResidual: solution.primalResidual,
+                dualResidual: solution.dualResidual
+            }
+        };
+    }
+
+    // Finite-difference sensitivities of the predicted outputs to each control move
+    linearizePrediction(currentState, controls, sampleTime) {
+        const nominal = this.plantModel.predict(currentState, controls, sampleTime);
+        const N = controls.length;
+        const delta = 1.0;
+        const jacobian = {
+            production: Array.from({ length: N }, () => new Array(N).fill(0)),
+            temperature: Array.from({ length: N }, () => new Array(N).fill(0)),
+            purity: Array.from({ length: N }, () => new Array(N).fill(0))
+        };
+
+        for (let j = 0; j < N; j++) {
+            const perturbed = [...controls];
+            perturbed[j] += delta;
+            const trajectory = this.plantModel.predict(currentState, perturbed, sampleTime);
+
+            for (let k = j; k < N; k++) {
+                jacobian.production[k][j] = (trajectory[k].production - nominal[k].production) / delta;
+                jacobian.temperature[k][j] = (trajectory[k].temperature - nominal[k].temperature) / delta;
+                jacobian.purity[k][j] = (trajectory[k].purity - nominal[k].purity) / delta;
+            }
+        }
+
+        return { nominal, jacobian };
+    }
+
+    unitRow(size, index) {
+        const row = new Array(size).fill(0);
+        row[index] = 1;
+        return row;
+    }
+
+    dotProduct(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    // Cost function evaluation over the plant model prediction
+    evaluateMPCCost(currentState, control, reference, parameters = {}) {
+        const {
+            horizon = 10,
+            sampleTime = 0.1,
+            qWeight = 10.0,
+            rWeight = 1.0,
+            sWeight = 100.0,
+            previousControl = Array.isArray(control) ? control[0] : control
+        } = parameters;
+
+        const controls = Array.isArray(control) ? control : new Array(horizon).fill(control);
+        const trajectory = this.plantModel.predict(currentState, controls, sampleTime);
+        let totalCost = 0;
+        let lastControl = previousControl;
+
+        trajectory.forEach((state, k) => {
+            // Tracking error cost on production (% of rated output)
+            const trackingError = state.production - reference;
+            totalCost += qWeight * trackingError * trackingError;
+
+            // Move suppression on control changes
+            const move = controls[k] - lastControl;
+            totalCost += rWeight * move * move;
+            lastControl = controls[k];
+
+            // Soft state constraints
+            totalCost += this.constraintPenalty(state);
+        });
+
         // Terminal cost
-        const terminalError = state - reference;
-        totalCost += parameters.sWeight || 100 * terminalError * terminalError;
+        const terminalError = trajectory[trajectory.length - 1].production - reference;
+        totalCost += sWeight * terminalError * terminalError;
 
         return totalCost;
     }
 
+    // Quadratic penalty on predicted temperature and purity violations
+    constraintPenalty(state) {
+        const temperatureExcess = Math.max(0, state.temperature - this.modelParameters.MAX_TEMPERATURE);
+        const purityDeficit = Math.max(0, this.modelParameters.MIN_O2_PURITY - state.purity);
+
+        return this.modelParameters.CONSTRAINT_PENALTY *
+            (temperatureExcess * temperatureExcess + purityDeficit * purityDeficit);
+    }
+
     // Uncertainty modeling for stochastic MPC
     addUncertainty(state, uncertaintyLevel) {
         if (typeof state === 'number') {
@@ -272,29 +635,37 @@ class MPCAlgorithms {
             return state + uncertainty;
         }
 
-        // For state objects, add uncertainty to key parameters
+        // For state objects, perturb the full plant state
+        const x = this.plantModel.normalizeState(state);
+        const h2ProductionRate = x.h2ProductionRate * (1 + (Math.random() - 0.5) * 2 * uncertaintyLevel);
+
         return {
             ...state,
-            production: state.production ? state.production + (Math.random() - 0.5) * 2 * uncertaintyLevel * state.production : 0,
-            temperature: state.temperature ? state.temperature + (Math.random() - 0.5) * 2 * uncertaintyLevel : 65
+            ...x,
+            h2ProductionRate,
+            o2ProductionRate: h2ProductionRate / 2,
+            production: this.plantModel.productionPercent(h2ProductionRate),
+            temperature: x.temperature + (Math.random() - 0.5) * 2 * uncertaintyLevel * 10,
+            purity: Math.min(100, x.purity + (Math.random() - 0.5) * 2 * uncertaintyLevel)
         };
     }
 
     // Robustness margin for stochastic control
     applyRobustnessMargin(control, currentState) {
+        const limits = this.safetyLimits.limits;
         let margin = 0;
 
         // Increase margin for critical conditions
-        if (currentState.temperature > 75) {
+        if (currentState.temperature > limits.temperature.warning) {
             margin -= 10; // Reduce current for high temperature
         }
 
-        if (currentState.purity < 99.3) {
+        if (currentState.purity < limits.purity.warning) {
             margin -= 5; // Reduce current for purity concerns
         }
 
         // Voltage considerations
-        if (currentState.voltage > 42) {
+        if (currentState.voltage > limits.voltage.warning) {
             margin -= 8; // Reduce current for high voltage
         }
 
@@ -304,35 +675,17 @@ class MPCAlgorithms {
         );
     }
 
-    // Safety constraints application
+    // Safety constraints application: the O2 reserve floor, then derating and absolute
+    // current limits, which win over the reserve when the stack itself is at risk
     applyConstraints(control, currentState) {
-        let constrainedControl = control;
-
-        // Temperature constraints
-        if (currentState.temperature > 75) {
-            constrainedControl = Math.min(constrainedControl, 150);
-        }
-        if (currentState.temperature > 78) {
-            constrainedControl = Math.min(constrainedControl, 120);
-        }
-
-        // Voltage constraints
-        if (currentState.voltage > 42) {
-            constrainedControl = Math.min(constrainedControl, 160);
-        }
-
-        // Purity constraints
-        if (currentState.purity < 99.3) {
-            constrainedControl = Math.min(constrainedControl, 140);
-        }
-
-        // Absolute limits
-        constrainedControl = Math.max(
-            this.modelParameters.MIN_CURRENT,
-            Math.min(this.modelParameters.MAX_CURRENT, constrainedControl)
-        );
+        return this.safetyLimits.clampCurrent(Math.max(control, this.reserveCurrent()), currentState);
+    }
 
-        return constrainedControl;
+    // Stack current (A) producing enough O2 to keep the tank above its hospital reserve
+    reserveCurrent() {
+        if (!this.storage) return 0;
+        const perAmp = this.plantModel.oxygenProduction(1);
+        return this.storage.requiredO2Production() / perAmp;
     }
 
     // Fallback control for error conditions
@@ -410,6 +763,16 @@ class MPCAlgorithms {
     validateParameters(parameters) {
         const errors = [];
 
+        ['horizon', 'sampleTime', 'qWeight', 'rWeight', 'economicHorizon'].forEach(name => {
+            if (parameters[name] !== undefined && !Number.isFinite(parameters[name])) {
+                errors.push(`${name} must be a number`);
+            }
+        });
+
+        if (parameters.sampleTime !== undefined && (parameters.sampleTime < 0.05 || parameters.sampleTime > 3600)) {
+            errors.push('Sample time must be between 0.05 and 3600 s');
+        }
+
         if (parameters.horizon && (parameters.horizon < 1 || parameters.horizon > 50)) {
             errors.push('Horizon must be between 1 and 50');
         }
@@ -422,6 +785,10 @@ class MPCAlgorithms {
             errors.push('R weight must be positive');
         }
 
+        if (parameters.economicHorizon && (parameters.economicHorizon < 24 || parameters.economicHorizon > 48)) {
+            errors.push('Economic horizon must be between 24 and 48 hours');
+        }
+
         return errors;
     }
 }
@@ -56,7 +56,9 @@ class MPCComparator {
                 efficiency: this.calculateEfficiencyMetric(data),
                 computation: this.calculateComputationMetric(data),
                 stability: this.calculateStabilityMetric(data),
-                robustness: this.calculateRobustnessMetric(data)
+                robustness: this.calculateRobustnessMetric(data),
+                solver: data.solver || null,
+                plannedTrajectory: data.controlSequence || null
             };
         });
 
@@ -124,10 +126,10 @@ class MPCComparator {
 
     updateComparisonTable() {
         const strategies = [
-            { key: 'hempc', name: 'HE-MPC', row: 'hempc-row' },
-            { key: 'deterministic', name: 'Deterministic MPC', row: 'deterministic-row' },
-            { key: 'stochastic', name: 'Stochastic MPC', row: 'stochastic-row' },
-            { key: 'hybrid', name: 'Hybrid MPC', row: 'hybrid-row' }
+            { key: 'hempc', prefix: 'hempc', name: 'HE-MPC', row: 'hempc-row' },
+            { key: 'deterministic', prefix: 'det', name: 'Deterministic MPC', row: 'deterministic-row' },
+            { key: 'stochastic', prefix: 'stoch', name: 'Stochastic MPC', row: 'stochastic-row' },
+            { key: 'hybrid', prefix: 'hybrid', name: 'Hybrid MPC', row: 'hybrid-row' }
         ];
 
         strategies.forEach(strategy => {
@@ -135,35 +137,59 @@ class MPCComparator {
             if (!metrics) return;
 
             // Update cost
-            const costElement = document.getElementById(`${strategy.key}-cost`);
+            const costElement = document.getElementById(`${strategy.prefix}-cost`);
             if (costElement) {
                 costElement.textContent = `$${metrics.cost.toFixed(2)}`;
                 this.applyPerformanceColor(costElement, metrics.cost, 15, 5, true); // Lower is better
             }
 
             // Update production
-            const productionElement = document.getElementById(`${strategy.key}-production`);
+            const productionElement = document.getElementById(`${strategy.prefix}-production`);
             if (productionElement) {
                 productionElement.textContent = `${metrics.production.toFixed(1)} L/h`;
                 this.applyPerformanceColor(productionElement, metrics.production, 10, 35, false); // Higher is better
             }
 
             // Update efficiency
-            const efficiencyElement = document.getElementById(`${strategy.key}-efficiency`);
+            const efficiencyElement = document.getElementById(`${strategy.prefix}-efficiency`);
             if (efficiencyElement) {
                 efficiencyElement.textContent = `${metrics.efficiency.toFixed(1)}%`;
                 this.applyPerformanceColor(efficiencyElement, metrics.efficiency, 60, 80, false); // Higher is better
             }
 
             // Update computation time
-            const computationElement = document.getElementById(`${strategy.key}-computation`);
+            const computationElement = document.getElementById(`${strategy.prefix}-computation`);
             if (computationElement) {
                 computationElement.textContent = `${metrics.computation.toFixed(1)} ms`;
                 this.applyPerformanceColor(computationElement, metrics.computation, 10, 50, true); // Lower is better
+
+                // QP solver statistics and planned move sequence
+                if (metrics.solver) {
+                    computationElement.textContent += ` (${metrics.solver.iterations} it)`;
+                    computationElement.title = this.formatSolverSummary(metrics);
+                    if (!metrics.solver.converged) {
+                        computationElement.classList.remove('performance-good', 'performance-medium');
+                        computationElement.classList.add('performance-poor');
+                    }
+                }
             }
         });
     }
 
+    formatSolverSummary(metrics) {
+        const { solver, plannedTrajectory } = metrics;
+        const lines = [
+            `QP solver: ${solver.type || 'QP'} - ${solver.status}`,
+            `Iterations: ${solver.iterations}`
+        ];
+
+        if (plannedTrajectory) {
+            lines.push(`Planned current: ${plannedTrajectory.map(u => u.toFixed(0)).join(' → ')} A`);
+        }
+
+        return lines.join('\n');
+    }
+
     applyPerformanceColor(element, value, lowThreshold, highThreshold, lowerIsBetter) {
         // Remove existing color classes
         element.classList.remove('performance-good', 'performance-medium', 'performance-poor');
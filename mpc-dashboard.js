@@ -1,5 +1,7 @@
 class MPCDashboard {
     constructor() {
+        this.unit = null;
+        this.user = null;
         this.currentMode = 'HEMPC';
         this.mpcParameters = {
             horizon: 10,
@@ -9,6 +11,10 @@ class MPCDashboard {
         };
         this.performanceMetrics = {};
         this.controlHistory = [];
+
+        // Replaced by the server's configured limits on the first interlock update
+        this.safetyLimits = new SafetyLimits();
+        this.interlock = null;
         
         this.init();
     }
@@ -17,6 +23,17 @@ class MPCDashboard {
         this.setupEventListeners();
         this.loadDefaultParameters();
         this.initializePerformanceTracking();
+        this.applyPermissions(window.authClient ? window.authClient.user : null);
+    }
+
+    // Hide controls the signed-in user's role may not operate (the server enforces this too)
+    applyPermissions(user) {
+        this.user = user;
+        const permissions = user ? user.permissions : [];
+
+        document.querySelectorAll('[data-permission]').forEach(element => {
+            element.hidden = !permissions.includes(element.dataset.permission);
+        });
     }
 
     setupEventListeners() {
@@ -45,6 +62,12 @@ class MPCDashboard {
             this.emergencyStop();
         });
 
+        document.getElementById('interlock-reset')?.addEventListener('click', () => {
+            if (window.mqttClient) {
+                window.mqttClient.sendInterlockReset();
+            }
+        });
+
         // Real-time data updates from MQTT
         if (window.mqttClient) {
             // We'll handle updates through the MQTT client callbacks
@@ -58,7 +81,8 @@ class MPCDashboard {
         document.querySelectorAll('.mode-btn').forEach(btn => {
             btn.classList.remove('active');
         });
-        document.querySelector(`[data-mode="${mode}"]`).classList.add('active');
+        const button = document.querySelector(`[data-mode="${mode}"]`);
+        button.classList.add('active');
 
         // Send mode change command
         if (window.mqttClient) {
@@ -66,7 +90,7 @@ class MPCDashboard {
                 destination: 'arduino',
                 type: 'mode_change',
                 mode: mode
-            });
+            }, button);
         }
 
         this.logControlAction(`Switched to ${mode} mode`);
@@ -83,7 +107,7 @@ class MPCDashboard {
 
         // Send to MATLAB for MPC configuration
         if (window.mqttClient) {
-            window.mqttClient.sendMPCConfig(this.mpcParameters);
+            window.mqttClient.sendMPCConfig(this.mpcParameters, document.getElementById('apply-params'));
         }
 
         this.logControlAction('Applied MPC parameters', this.mpcParameters);
@@ -95,7 +119,7 @@ class MPCDashboard {
                 destination: 'arduino',
                 type: 'system_command',
                 command: 'START'
-            });
+            }, document.getElementById('start-system'));
         }
         this.logControlAction('System start commanded');
     }
@@ -106,7 +130,7 @@ class MPCDashboard {
                 destination: 'arduino',
                 type: 'system_command',
                 command: 'STOP'
-            });
+            }, document.getElementById('stop-system'));
         }
         this.logControlAction('System stop commanded');
     }
@@ -117,7 +141,7 @@ class MPCDashboard {
                 destination: 'arduino',
                 type: 'system_command',
                 command: 'EMERGENCY_STOP'
-            });
+            }, document.getElementById('emergency-stop'));
         }
         this.logControlAction('EMERGENCY STOP activated');
     }
@@ -150,56 +174,61 @@ class MPCDashboard {
     }
 
     updateSafetyIndicators(data) {
+        const limits = this.safetyLimits.limits;
         const indicators = {
             temperature: {
-                value: data.temperature,
-                max: 80,
-                warning: 75,
+                value: data.cellTemperature ?? data.temperature,
+                min: 0,
+                max: limits.temperature.trip,
                 element: 'temp-indicator'
             },
             purity: {
                 value: data.o2Purity,
-                min: 99.0,
-                warning: 99.3,
+                min: limits.purity.trip,
+                max: 100,
                 element: 'purity-indicator'
             },
             voltage: {
                 value: data.stackVoltage,
-                max: 45,
-                warning: 42,
+                min: 0,
+                max: limits.voltage.trip,
                 element: 'voltage-indicator'
             }
         };
 
+        const colors = {
+            good: 'var(--success-color)',
+            warning: 'var(--warning-color)',
+            critical: 'var(--danger-color)'
+        };
+
         Object.entries(indicators).forEach(([key, config]) => {
             if (config.value === undefined) return;
 
             const element = document.getElementById(config.element);
             if (!element) return;
 
-            let percentage, status;
-            
-            if (config.min !== undefined) {
-                // For purity (higher is better)
-                percentage = ((config.value - config.min) / (100 - config.min)) * 100;
-                status = config.value >= config.warning ? 'good' : 'warning';
-            } else {
-                // For temperature and voltage (lower is better)
-                percentage = (config.value / config.max) * 100;
-                status = config.value <= config.warning ? 'good' : 'warning';
-            }
-
+            const percentage = ((config.value - config.min) / (config.max - config.min)) * 100;
             element.style.width = `${Math.min(100, Math.max(0, percentage))}%`;
-            element.style.background = status === 'good' ? 'var(--success-color)' : 'var(--warning-color)';
-
-            // Critical condition
-            if ((config.min && config.value < config.min) || 
-                (config.max && config.value > config.max)) {
-                element.style.background = 'var(--danger-color)';
-            }
+            element.style.background = colors[this.safetyLimits.indicatorStatus(key, config.value)];
         });
     }
 
+    // Server interlock state: limits in force and whether the unit is latched off
+    updateInterlockStatus(status) {
+        this.safetyLimits = new SafetyLimits(status.limits);
+        this.interlock = status;
+
+        const banner = document.getElementById('interlock-banner');
+        if (!banner) return;
+
+        banner.hidden = !status.tripped;
+        const reason = document.getElementById('interlock-reason');
+        if (reason && status.trip) {
+            reason.textContent = `${status.trip.reason} (tripped ${new Date(status.trip.at).toLocaleTimeString()})`;
+        }
+    }
+
     updateControlParameters(data) {
         // Update slider positions
         if (data.prodRateSet !== undefined) {
@@ -276,6 +305,7 @@ class MPCDashboard {
         if (window.mqttClient && this.performanceMetrics.lastUpdate) {
             const report = {
                 type: 'performance_report',
+                unit: this.unit,
                 mode: this.currentMode,
                 metrics: this.performanceMetrics,
                 timestamp: new Date().toISOString()
@@ -318,6 +348,15 @@ class MPCDashboard {
         };
     }
 
+    // Performance history belongs to one unit, so start fresh when switching
+    switchUnit(unit) {
+        if (this.unit !== unit) {
+            this.controlHistory = [];
+            this.performanceMetrics = {};
+        }
+        this.unit = unit;
+    }
+
     resetPerformanceTracking() {
         this.controlHistory = [];
         this.performanceMetrics = {};
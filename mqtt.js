@@ -5,12 +5,30 @@ class MQTTClient {
         this.reconnectAttempts = 0;
         this.maxReconnectAttempts = 5;
         this.reconnectInterval = 3000;
+
+        // Electrolyzer unit being watched and its topic names
+        this.unit = null;
+        this.topics = null;
+        this.fleet = [];
+        this.externalData = null; // latest snapshot from the server's external data providers
+        this.tariff = null;       // tariff definition from the server configuration
+        this.economicPlan = null; // HE-MPC hourly production plan of the selected unit
+        this.stateEstimate = null; // filtered plant state of the selected unit
+
+        // Operator commands by commandId, with the element that issued them
+        this.commands = new Map();
+        this.maxCommandHistory = 8;
+
+        // Server events other components subscribed to; attached again to every new socket
+        this.listeners = new Map();
         
         // Data storage
         this.systemData = {
             matlab: null,
             arduino: null,
             mpcComparison: null,
+            controlLoop: null,
+            interlock: null,
             historical: []
         };
         
@@ -24,7 +42,16 @@ class MQTTClient {
 
     connect() {
         try {
-            this.socket = io();
+            const token = window.authClient ? window.authClient.getToken() : null;
+            if (!token) {
+                console.log('🔐 Waiting for sign-in before connecting');
+                return;
+            }
+
+            this.socket = io({ auth: { token } });
+            this.listeners.forEach((callbacks, event) => {
+                callbacks.forEach(callback => this.socket.on(event, callback));
+            });
             
             this.socket.on('connect', () => {
                 console.log('✅ Connected to server');
@@ -41,6 +68,24 @@ class MQTTClient {
                 this.handleReconnection();
             });
 
+            // The server refuses the handshake when the session token is missing or invalid
+            this.socket.on('connect_error', (error) => {
+                console.error('Connection refused:', error.message);
+                if (window.authClient && /token|authentication/i.test(error.message)) {
+                    window.authClient.handleUnauthorized(error.message);
+                }
+            });
+
+            this.socket.on('auth-user', (user) => {
+                if (window.authClient) {
+                    window.authClient.setUser(user);
+                }
+            });
+
+            this.socket.on('authorization-error', (error) => {
+                this.showNotification(`Not permitted: ${error.action} (${error.message})`, 'error');
+            });
+
             this.socket.on('mqtt-data', (data) => {
                 this.handleMQTTData(data);
             });
@@ -57,6 +102,83 @@ class MQTTClient {
                 this.handleMPCComparison(data);
             });
 
+            this.socket.on('unit-selected', (selection) => {
+                this.handleUnitSelected(selection);
+            });
+
+            this.socket.on('fleet-status', (units) => {
+                this.fleet = units;
+                if (window.fleetOverview) {
+                    window.fleetOverview.update(units);
+                }
+            });
+
+            this.socket.on('control-loop-update', (status) => {
+                this.handleControlLoopStatus(status);
+            });
+
+            this.socket.on('interlock-status', (status) => {
+                this.handleInterlockStatus(status);
+            });
+
+            this.socket.on('alarm-list', (alarms) => {
+                if (window.alarmPanel) {
+                    window.alarmPanel.setAlarms(alarms);
+                }
+            });
+
+            this.socket.on('alarm-event', (event) => {
+                if (window.alarmPanel) {
+                    window.alarmPanel.handleEvent(event);
+                }
+            });
+
+            this.socket.on('external-data', (snapshot) => {
+                this.externalData = snapshot;
+                if (window.neuralMPC) {
+                    window.neuralMPC.setExternalData(snapshot);
+                }
+            });
+
+            this.socket.on('state-estimate', (estimate) => {
+                this.stateEstimate = estimate;
+                if (estimate && window.charts) {
+                    window.charts.updateWithEstimate(estimate);
+                }
+            });
+
+            this.socket.on('economic-plan', (plan) => {
+                this.economicPlan = plan;
+                if (window.economicPlanChart) {
+                    window.economicPlanChart.update(plan);
+                }
+            });
+
+            this.socket.on('tariff', (tariff) => {
+                this.tariff = tariff;
+                if (window.neuralMPC) {
+                    window.neuralMPC.setTariff(tariff);
+                }
+            });
+
+            this.socket.on('model-promoted', (promotion) => {
+                this.showNotification(`Model v${promotion.version} now in production (${promotion.by})`, 'info');
+                if (window.neuralMPC) {
+                    window.neuralMPC.loadProductionModel();
+                }
+                if (window.modelRegistryPanel) {
+                    window.modelRegistryPanel.refresh();
+                }
+            });
+
+            this.socket.on('command-status', (status) => {
+                this.handleCommandStatus(status);
+            });
+
+            this.socket.on('control-loop-error', (error) => {
+                this.showNotification('Control loop: ' + error.message, 'error');
+            });
+
             this.socket.on('error', (error) => {
                 console.error('WebSocket error:', error);
                 this.showNotification('Connection error: ' + error.message, 'error');
@@ -82,7 +204,7 @@ class MQTTClient {
     }
 
     handleMQTTData(data) {
-        const { topic, data: messageData } = data;
+        const { topic, name, data: messageData } = data;
         
         // Store historical data (limit to 1000 points)
         if (this.systemData.historical.length > 1000) {
@@ -95,8 +217,16 @@ class MQTTClient {
             data: messageData
         });
 
-        // Update specific handlers based on topic
-        if (topic.includes('matlab')) {
+        // Update specific handlers based on the topic name resolved by the server
+        if (name) {
+            if (name === 'MATLAB_DATA') {
+                this.handleMatlabData(messageData);
+            } else if (name === 'ARDUINO_DATA') {
+                this.handleArduinoData(messageData);
+            } else if (name === 'MPC_COMPARISON') {
+                this.handleMPCComparison(messageData);
+            }
+        } else if (topic.includes('matlab')) {
             this.handleMatlabData(messageData);
         } else if (topic.includes('arduino')) {
             this.handleArduinoData(messageData);
@@ -149,6 +279,139 @@ class MQTTClient {
         }
     }
 
+    handleUnitSelected({ unit, topics }) {
+        const switched = this.unit !== null && this.unit !== unit;
+        this.unit = unit;
+        this.topics = topics;
+
+        // Data from the previous unit no longer applies
+        this.systemData.matlab = null;
+        this.systemData.arduino = null;
+        this.systemData.mpcComparison = null;
+        this.systemData.historical = [];
+
+        if (window.charts) {
+            window.charts.resetCharts();
+            window.charts.loadHistory([topics.ARDUINO_DATA, topics.MATLAB_DATA]);
+        }
+
+        if (window.mpcDashboard) {
+            window.mpcDashboard.switchUnit(unit);
+        }
+
+        if (window.fleetOverview) {
+            window.fleetOverview.setSelectedUnit(unit);
+        }
+
+        if (window.stackHealthPanel) {
+            window.stackHealthPanel.refresh();
+        }
+
+        if (window.identificationPanel) {
+            window.identificationPanel.refresh();
+        }
+
+        if (switched) {
+            this.showNotification(`Now monitoring unit ${unit}`, 'info');
+        }
+    }
+
+    selectUnit(unit) {
+        if (!this.isConnected) {
+            this.showNotification('Not connected to server', 'error');
+            return false;
+        }
+
+        this.socket.emit('select-unit', unit);
+        return true;
+    }
+
+    handleControlLoopStatus(status) {
+        this.systemData.controlLoop = status;
+
+        const statusElement = document.querySelector('#controller-status .status-value');
+        if (statusElement) {
+            const active = status.running && status.enabled && status.strategy !== 'MANUAL';
+            statusElement.textContent = active ? `Server ${status.strategy}` : 'Idle';
+            statusElement.className = `status-value ${active ? 'connected' : 'disconnected'}`;
+        }
+
+        const toggleButton = document.getElementById('toggle-control-loop');
+        if (toggleButton) {
+            toggleButton.innerHTML = status.enabled
+                ? '<i class="fas fa-pause"></i> Pause Server Control'
+                : '<i class="fas fa-play"></i> Resume Server Control';
+        }
+
+        const decisionElement = document.getElementById('control-loop-decision');
+        if (decisionElement && status.lastResult) {
+            decisionElement.textContent =
+                `${status.lastResult.algorithm}: ${status.lastResult.control.toFixed(1)}A ` +
+                `(ref ${status.lastResult.reference}%, ${status.lastResult.computationTime} ms)` +
+                (typeof status.lastResult.confidence === 'number' ? `, confidence ${(status.lastResult.confidence * 100).toFixed(0)}%` : '') +
+                (status.lastResult.fallback ? ` — neural fallback: ${status.lastResult.fallback}` : '') +
+                (status.lastResult.reserveProtection ? ' — held up to protect the O₂ reserve' : '');
+        }
+
+        if (window.storagePanel && status.storage) {
+            window.storagePanel.update(status.storage);
+        }
+
+        if (window.identificationPanel && status.identification) {
+            window.identificationPanel.update(status.identification);
+        }
+    }
+
+    handleInterlockStatus(status) {
+        const wasTripped = this.systemData.interlock?.tripped;
+        this.systemData.interlock = status;
+
+        if (window.mpcDashboard) {
+            window.mpcDashboard.updateInterlockStatus(status);
+        }
+
+        if (status.tripped && !wasTripped) {
+            this.showNotification(`Safety interlock tripped: ${status.trip.reason}`, 'error');
+        } else if (!status.tripped && wasTripped) {
+            this.showNotification('Safety interlock reset', 'success');
+        }
+    }
+
+    sendInterlockReset() {
+        if (!this.isConnected) {
+            this.showNotification('Not connected to server', 'error');
+            return false;
+        }
+
+        this.socket.emit('interlock-reset', null, (response) => {
+            if (response && !response.reset) {
+                this.showNotification(`Interlock reset refused: ${response.reason}`, 'error');
+            }
+        });
+        return true;
+    }
+
+    sendAlarmAction(event, request, callback) {
+        if (!this.isConnected) {
+            this.showNotification('Not connected to server', 'error');
+            return false;
+        }
+
+        this.socket.emit(event, request, callback);
+        return true;
+    }
+
+    sendControlLoopCommand(action) {
+        if (!this.isConnected) {
+            this.showNotification('Not connected to server', 'error');
+            return false;
+        }
+
+        this.socket.emit('control-loop-command', { action });
+        console.log('📤 Sent control loop command:', action);
+        return true;
+    }
+
     updateDashboardWithMatlabData(data) {
         // Update production rates
         if (data.h2ProductionRate !== undefined) {
@@ -215,14 +478,7 @@ class MQTTClient {
             if (sliderValue) sliderValue.textContent = `${data.prodRateSet}%`;
         }
 
-        // Update safety parameters
-        if (data.o2Purity !== undefined) {
-            this.updateSafetyIndicator('purity', data.o2Purity);
-        }
-
-        if (data.temperature !== undefined) {
-            this.updateSafetyIndicator('temperature', data.temperature);
-        }
+        // Safety indicators are drawn by MPCDashboard from the shared limit set
     }
 
     updateSystemState(state) {
@@ -255,31 +511,6 @@ class MQTTClient {
         }
     }
 
-    updateSafetyIndicator(type, value) {
-        const indicators = {
-            purity: { element: 'purity-indicator', min: 99.0, max: 100.0 },
-            temperature: { element: 'temp-indicator', min: 60, max: 80 }
-        };
-
-        const indicator = indicators[type];
-        if (!indicator) return;
-
-        const element = document.getElementById(indicator.element);
-        if (element) {
-            const percentage = ((value - indicator.min) / (indicator.max - indicator.min)) * 100;
-            element.style.width = `${Math.min(100, Math.max(0, percentage))}%`;
-            
-            // Color coding
-            if (percentage > 80) {
-                element.style.background = 'var(--success-color)';
-            } else if (percentage > 60) {
-                element.style.background = 'var(--warning-color)';
-            } else {
-                element.style.background = 'var(--danger-color)';
-            }
-        }
-    }
-
     updateConnectionStatus(connected) {
         const statusElement = document.querySelector('#mqtt-status .status-value');
         if (statusElement) {
@@ -312,14 +543,16 @@ class MQTTClient {
         }
     }
 
-    sendControlCommand(command) {
+    sendControlCommand(command, source = null) {
         if (!this.isConnected) {
             this.showNotification('Not connected to server', 'error');
             return false;
         }
 
         try {
-            this.socket.emit('control-command', command);
+            this.socket.emit('control-command', command, (response) => {
+                this.trackCommand(response, command, source);
+            });
             console.log('📤 Sent control command:', command);
             return true;
         } catch (error) {
@@ -329,16 +562,17 @@ class MQTTClient {
         }
     }
 
-    sendMPCConfig(config) {
+    sendMPCConfig(config, source = null) {
         if (!this.isConnected) {
             this.showNotification('Not connected to server', 'error');
             return false;
         }
 
         try {
-            this.socket.emit('mpc-config', config);
+            this.socket.emit('mpc-config', config, (response) => {
+                this.trackCommand(response, { type: 'mpc_config', config }, source);
+            });
             console.log('📤 Sent MPC config:', config);
-            this.showNotification('MPC configuration updated', 'success');
             return true;
         } catch (error) {
             console.error('Failed to send MPC config:', error);
@@ -347,6 +581,102 @@ class MQTTClient {
         }
     }
 
+    // Server reply to a command: a tracked command ID, or an immediate refusal
+    trackCommand(response, command, source) {
+        if (response && response.clamped) {
+            this.showNotification(`${this.describeCommand(command)}: ${response.reason}`, 'warning');
+        }
+
+        if (!response || !response.commandId) {
+            if (response && (response.status === 'denied' || response.status === 'rejected')) {
+                this.setCommandState(source, response.status);
+                this.showNotification(`${this.describeCommand(command)}: ${response.reason || response.status}`, 'error');
+            }
+            return;
+        }
+
+        const entry = this.commands.get(response.commandId) || { status: response };
+        entry.label = this.describeCommand(command);
+        entry.source = source;
+        this.commands.set(response.commandId, entry);
+
+        this.setCommandState(source, entry.status.status);
+        this.renderCommandStatus();
+    }
+
+    // Progress of any command on this unit, including other operators' commands
+    handleCommandStatus(status) {
+        if (status.unit && this.unit && status.unit !== this.unit) return;
+
+        const entry = this.commands.get(status.commandId) || {
+            label: `${this.describeCommand(status.command)}${status.user ? ` (${status.user.username})` : ''}`,
+            source: null
+        };
+        entry.status = status;
+        this.commands.set(status.commandId, entry);
+
+        // Keep the most recent commands only
+        while (this.commands.size > this.maxCommandHistory) {
+            this.commands.delete(this.commands.keys().next().value);
+        }
+
+        this.setCommandState(entry.source, status.status);
+        this.renderCommandStatus();
+
+        if (status.final && status.status !== 'applied' && entry.source) {
+            const reason = status.reason ? `: ${status.reason}` : '';
+            this.showNotification(`${entry.label} ${status.status.replace('_', ' ')}${reason}`, 'error');
+        }
+    }
+
+    describeCommand(command) {
+        switch (command && command.type) {
+            case 'system_command':
+                return { START: 'Start', STOP: 'Stop', EMERGENCY_STOP: 'Emergency stop' }[command.command] || command.command;
+            case 'mode_change':
+                return `Mode ${command.mode}`;
+            case 'setpoint':
+                return `Production ${command.prodRate}%`;
+            case 'current_setpoint':
+                return `Current ${command.current}A`;
+            case 'mpc_config':
+                return 'MPC parameters';
+            default:
+                return command ? command.type : 'Command';
+        }
+    }
+
+    setCommandState(element, state) {
+        if (element) {
+            element.dataset.commandState = state;
+        }
+    }
+
+    renderCommandStatus() {
+        const list = document.getElementById('command-status-list');
+        if (!list) return;
+
+        list.innerHTML = Array.from(this.commands.values()).reverse().map(entry => {
+            const status = entry.status;
+            const retries = status.attempts > 1 ? ` · ${status.attempts} attempts` : '';
+            const latency = status.latency !== null && status.latency !== undefined ? ` · ${status.latency} ms` : '';
+
+            return `
+                <li class="command-status ${this.escape(status.status)}" title="${this.escape(status.reason || '')}">
+                    <span>${this.escape(entry.label)}</span>
+                    <span class="command-state">${this.escape(status.status.replace('_', ' '))}${retries}${latency}</span>
+                </li>
+            `;
+        }).join('');
+    }
+
+    // Command labels and reasons carry device and broker text
+    escape(text) {
+        return String(text).replace(/[&<>"']/g, char => ({
+            '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+        })[char]);
+    }
+
     showNotification(message, type = 'info') {
         // Create notification element
         const notification = document.createElement('div');
@@ -361,7 +691,7 @@ class MQTTClient {
 
         notification.innerHTML = `
             <i class="${icons[type] || icons.info}"></i>
-            <span>${message}</span>
+            <span>${this.escape(message)}</span>
             <button class="notification-close" onclick="this.parentElement.remove()">
                 <i class="fas fa-times"></i>
             </button>
@@ -385,32 +715,8 @@ class MQTTClient {
         }, 5000);
     }
 
+    // System, mode and parameter buttons are wired up by MPCDashboard
     setupEventListeners() {
-        // System control buttons
-        document.getElementById('start-system')?.addEventListener('click', () => {
-            this.sendControlCommand({
-                destination: 'arduino',
-                type: 'system_command',
-                command: 'START'
-            });
-        });
-
-        document.getElementById('stop-system')?.addEventListener('click', () => {
-            this.sendControlCommand({
-                destination: 'arduino', 
-                type: 'system_command',
-                command: 'STOP'
-            });
-        });
-
-        document.getElementById('emergency-stop')?.addEventListener('click', () => {
-            this.sendControlCommand({
-                destination: 'arduino',
-                type: 'system_command', 
-                command: 'EMERGENCY_STOP'
-            });
-        });
-
         // Production slider
         const productionSlider = document.getElementById('production-slider');
         const sliderValue = document.getElementById('slider-value');
@@ -426,7 +732,7 @@ class MQTTClient {
                     destination: 'arduino',
                     type: 'setpoint',
                     prodRate: parseInt(e.target.value)
-                });
+                }, e.target);
             });
         }
 
@@ -445,50 +751,26 @@ class MQTTClient {
                     destination: 'arduino',
                     type: 'current_setpoint',
                     current: parseInt(e.target.value)
-                });
+                }, e.target);
             });
         }
 
-        // MPC mode buttons
-        const modeButtons = document.querySelectorAll('.mode-btn');
-        modeButtons.forEach(button => {
-            button.addEventListener('click', (e) => {
-                const mode = e.target.dataset.mode;
-                
-                // Update UI
-                modeButtons.forEach(btn => btn.classList.remove('active'));
-                e.target.classList.add('active');
-                
-                // Send mode change command
-                this.sendControlCommand({
-                    destination: 'arduino',
-                    type: 'mode_change',
-                    mode: mode
-                });
-            });
-        });
-
-        // MPC parameters apply
-        document.getElementById('apply-params')?.addEventListener('click', () => {
-            this.applyMPCParameters();
+        // Server-side control loop toggle
+        document.getElementById('toggle-control-loop')?.addEventListener('click', () => {
+            const enabled = this.systemData.controlLoop?.enabled;
+            this.sendControlLoopCommand(enabled ? 'disable' : 'enable');
         });
     }
 
-    applyMPCParameters() {
-        const horizon = document.getElementById('horizon-length').value;
-        const sampleTime = document.getElementById('sample-time').value;
-        const qWeight = document.getElementById('q-weight').value;
-        const rWeight = document.getElementById('r-weight').value;
-
-        const config = {
-            horizon: parseInt(horizon),
-            sampleTime: parseFloat(sampleTime),
-            qWeight: parseFloat(qWeight),
-            rWeight: parseFloat(rWeight),
-            timestamp: new Date().toISOString()
-        };
-
-        this.sendMPCConfig(config);
+    // Subscribe to a server event; survives sign-in and reconnects, unlike listeners on the socket itself
+    on(event, callback) {
+        if (!this.listeners.has(event)) {
+            this.listeners.set(event, new Set());
+        }
+        this.listeners.get(event).add(callback);
+        if (this.socket) {
+            this.socket.on(event, callback);
+        }
     }
 
     // Data access methods
@@ -504,12 +786,22 @@ class MQTTClient {
         return this.isConnected && this.systemData.matlab && this.systemData.arduino;
     }
 
+    // Reconnect with the current session token
+    reconnect() {
+        this.disconnect();
+        this.reconnectAttempts = 0;
+        this.connect();
+    }
+
     // Cleanup
     disconnect() {
         if (this.socket) {
+            this.socket.removeAllListeners();
             this.socket.disconnect();
+            this.socket = null;
         }
         this.isConnected = false;
+        this.updateConnectionStatus(false);
     }
 }
 
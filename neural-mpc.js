@@ -1,25 +1,76 @@
+const NeuralNetworkClass = typeof require === 'function' ? require('./neural-network') : window.NeuralNetwork;
+const FeaturePipelineClass = typeof require === 'function' ? require('./feature-pipeline') : window.FeaturePipeline;
+const TariffScheduleClass = typeof require === 'function' ? require('./tariff-schedule') : window.TariffSchedule;
+
+// External data kinds the server's providers can supply, and where each is kept
+const PROVIDED_DATA = {
+    tariff: 'currentTariff',
+    solar: 'currentSolar',
+    weather: 'currentWeather',
+    o2Demand: 'currentO2Demand'
+};
+
 class NeuralMPC {
-    constructor() {
+    constructor(options = {}) {
         this.isInitialized = false;
         this.model = null;
         this.trainingData = [];
         this.performanceHistory = [];
+        this.safetyLimits = null; // Shared SafetyLimits, created on first use
         
         // Neural network parameters
         this.networkConfig = {
-            inputSize: 10,  // Expanded to include real-world features
+            features: FeaturePipelineClass.DEFAULT_FEATURES, // names or { name, scaler, lags }
             hiddenLayers: [64, 32],
-            outputSize: 1, // Optimal control
+            activations: ['relu', 'relu'],  // per hidden layer: relu, tanh, sigmoid or linear
+            outputActivation: 'linear',
+            outputSize: 1,       // control moves predicted; the first one is applied
             learningRate: 0.001,
-            epochs: 100
+            epochs: 100,
+            batchSize: 32,
+            validationSplit: 0.2,
+            patience: 10,        // epochs without validation improvement before stopping
+            minDelta: 1e-5,
+            beta1: 0.9,          // Adam moment decay rates
+            beta2: 0.999,
+            epsilon: 1e-8,
+            ensembleSize: 5,     // networks in the deep ensemble used for predictive uncertainty
+            ...options.networkConfig
+        };
+
+        // Above these the deterministic MPC takes over from the network
+        this.uncertaintyConfig = {
+            threshold: 10,       // A, standard deviation of the ensemble's first move
+            oodMargin: 0.1,      // tolerance outside the training range, as a fraction of that range
+            ...options.uncertainty
         };
+        this.validateNetworkConfig(this.networkConfig);
+        this.pipeline = new FeaturePipelineClass({ features: this.networkConfig.features });
+        this.tariff = new TariffScheduleClass(options.tariff);
+
+        this.isTraining = false;
+        this.imitation = null;      // teacher rollout in progress: { teacher, episode, episodes, cancelled }
+        this.dataStatus = {};       // provider snapshot: { kind: { value, source, fetchedAt, age, stale, error } }
+        this.trainingHistory = [];   // per-epoch train/validation loss of the last run
+        this.trainingWorker = null;
+        this.trainingJob = null;     // { id, resolve, validation } of the run in progress
+        this.trainingJobs = 0;
+        this.lossChart = null;
+
+        // Periodic performance checks and external-data refreshes are for the dashboard; the
+        // server's control loop turns them off and feeds external data itself
+        this.backgroundUpdates = options.backgroundUpdates ?? (typeof window !== 'undefined');
+        this.timers = [];
+        this.plantModel = null;
+        // Retraining on poor tracking swaps the model in place; on the server models change
+        // only through registry promotion
+        this.autoRetrain = options.autoRetrain ?? (typeof window !== 'undefined');
 
         // Real-world data sources
         this.dataSources = {
             realTime: [],
             historical: [],
             external: {
-                kplcTariffs: null,
                 solarIrradiance: null,
                 hospitalDemand: null,
                 weather: null,
@@ -37,8 +88,10 @@ class NeuralMPC {
         await this.loadRealWorldData();
         await this.loadModel();
         this.setupRealTimeDataCollection();
-        this.startPerformanceMonitoring();
-        this.startRealTimeUpdates();
+        if (this.backgroundUpdates) {
+            this.startPerformanceMonitoring();
+            this.startRealTimeUpdates();
+        }
         
         console.log('✅ Neural MPC initialized with real-world data integration');
     }
@@ -46,60 +99,73 @@ class NeuralMPC {
     // ================= REAL-WORLD DATA INTEGRATION =================
 
     async loadRealWorldData() {
+        // The server's tariff may have arrived over the socket before the page finished loading
+        if (typeof window !== 'undefined' && window.mqttClient && window.mqttClient.tariff) {
+            this.tariff = new TariffScheduleClass(window.mqttClient.tariff);
+        }
         await this.loadKPLCTariffs();
         await this.loadSolarIrradianceData();
         await this.loadHospitalO2Demand();
         await this.loadWeatherData();
+
+        // A provider snapshot may have arrived over the socket before the page finished loading
+        if (typeof window !== 'undefined' && window.mqttClient && window.mqttClient.externalData) {
+            this.dataStatus = window.mqttClient.externalData;
+        }
+        this.applyExternalData();
         this.updateDashboardWithExternalData();
     }
 
-    // 1. KPLC Time-of-Use Tariffs (Real Kenyan Data)
+    // Values from the server's external data providers (file, HTTP or MQTT feeds). Kinds
+    // without a provider, or whose feed has never delivered, keep the built-in patterns below.
+    setExternalData(snapshot = {}) {
+        this.dataStatus = snapshot;
+        this.applyExternalData();
+        this.updateDashboardWithExternalData();
+    }
+
+    applyExternalData() {
+        Object.entries(this.dataStatus).forEach(([kind, entry]) => {
+            if (PROVIDED_DATA[kind] && entry.value) {
+                this.dataSources.external[PROVIDED_DATA[kind]] = {
+                    ...entry.value,
+                    source: entry.source,
+                    stale: entry.stale,
+                    isSimulated: false
+                };
+            }
+        });
+    }
+
+    // 1. KPLC Time-of-Use Tariffs (Real Kenyan Data): calendars, seasons, tiers and
+    // surcharges come from the tariff engine
     async loadKPLCTariffs() {
         try {
-            const tariffs = {
-                offPeak: {
-                    hours: [0, 1, 2, 3, 4, 5, 22, 23],
-                    rate: 8.50,
-                    description: "Off-Peak (Night)"
-                },
-                standard: {
-                    hours: [6, 7, 8, 9, 16, 17, 18, 19, 20, 21],
-                    rate: 12.50,
-                    description: "Standard"
-                },
-                peak: {
-                    hours: [10, 11, 12, 13, 14, 15],
-                    rate: 21.68,
-                    description: "Peak (Day)"
-                }
-            };
-
-            this.dataSources.external.kplcTariffs = tariffs;
             this.updateCurrentTariff();
-            console.log('✅ Loaded KPLC tariff data');
+            console.log(`✅ Loaded KPLC tariff data (${this.dataSources.external.currentTariff.version})`);
 
         } catch (error) {
             console.error('Error loading KPLC tariffs:', error);
         }
     }
 
-    updateCurrentTariff() {
-        const now = new Date();
-        const currentHour = now.getHours();
-        const tariffs = this.dataSources.external.kplcTariffs;
+    // Tariff definition from the server configuration
+    setTariff(tariff) {
+        this.tariff = new TariffScheduleClass(tariff);
+        this.updateCurrentTariff();
+        this.applyExternalData();
+        this.updateDashboardWithExternalData();
+    }
 
-        let currentTariff = 'standard';
-        if (tariffs.offPeak.hours.includes(currentHour)) {
-            currentTariff = 'offPeak';
-        } else if (tariffs.peak.hours.includes(currentHour)) {
-            currentTariff = 'peak';
-        }
+    updateCurrentTariff() {
+        this.dataSources.external.currentTariff = this.tariff.priceAt(Date.now());
+    }
 
-        this.dataSources.external.currentTariff = {
-            type: currentTariff,
-            rate: tariffs[currentTariff].rate,
-            description: tariffs[currentTariff].description
-        };
+    // Current price relative to the mean of the tariff forecast for the next 24 h
+    priceOutlook(rate, timestamp = Date.now()) {
+        const forecast = this.tariff.pricesBetween(timestamp, timestamp + 24 * 60 * 60 * 1000);
+        const mean = forecast.reduce((sum, price) => sum + price.rate, 0) / forecast.length;
+        return mean > 0 ? rate / mean - 1 : 0;
     }
 
     // 2. Solar Irradiance Data (Kenya Meteorological Department)
@@ -247,10 +313,12 @@ class NeuralMPC {
 
     async loadModel() {
         try {
-            const savedModel = localStorage.getItem('neural_mpc_model');
-            if (savedModel) {
-                this.model = this.parseModel(JSON.parse(savedModel));
-                console.log('✅ Loaded neural MPC model from cache');
+            const savedModel = typeof localStorage !== 'undefined' ? localStorage.getItem('neural_mpc_model') : null;
+            if (this.model) {
+                // Already set through setModel() while external data was loading
+            } else if (savedModel && this.usesPipeline(JSON.parse(savedModel))) {
+                this.adoptModel(this.parseModel(JSON.parse(savedModel)));
+                console.log(`✅ Loaded neural MPC model${this.model.version ? ` v${this.model.version}` : ''} from cache`);
             } else {
                 this.model = this.initializeModel();
                 console.log('✅ Initialized new neural MPC model');
@@ -262,51 +330,101 @@ class NeuralMPC {
             this.model = this.initializeModel();
             this.isInitialized = true;
         }
+
+        await this.loadProductionModel();
     }
 
-    initializeModel() {
-        return {
-            weights: this.initializeWeights(),
-            biases: this.initializeBiases(),
-            activation: 'relu',
-            trained: false
-        };
+    // Browser: switch to the registry's production model when it differs from the cached one
+    async loadProductionModel() {
+        if (typeof window === 'undefined' || !window.authClient || !window.authClient.getToken()) return;
+
+        try {
+            const response = await window.authClient.fetch('/api/models/active');
+            if (!response.ok) return;
+
+            const entry = await response.json();
+            if (entry && entry.version && entry.version !== this.model?.version) {
+                this.setModel(entry);
+            }
+        } catch (error) {
+            console.error('Failed to load production model:', error);
+        }
     }
 
-    initializeWeights() {
-        const weights = {};
-        const { inputSize, hiddenLayers, outputSize } = this.networkConfig;
-        
-        weights['input-hidden0'] = this.randomMatrix(hiddenLayers[0], inputSize);
-        
-        for (let i = 0; i < hiddenLayers.length - 1; i++) {
-            weights[`hidden${i}-hidden${i+1}`] = this.randomMatrix(hiddenLayers[i+1], hiddenLayers[i]);
+    // Adopt a registry entry ({ version, model, metrics }) for prediction
+    setModel(entry) {
+        if (!this.usesPipeline(entry.model)) {
+            console.warn(`⚠️ Model v${entry.version} has no fitted feature pipeline and cannot be used`);
+            return;
         }
-        
-        weights[`hidden${hiddenLayers.length-1}-output`] = this.randomMatrix(outputSize, hiddenLayers[hiddenLayers.length-1]);
-        
-        return weights;
+        this.adoptModel({
+            ...entry.model,
+            trained: true,
+            metrics: entry.metrics || null,
+            version: entry.version
+        });
+        this.saveModel();
+        this.updateTrainingDashboard();
+        console.log(`🧠 Neural MPC now using model v${entry.version}`);
     }
 
-    initializeBiases() {
-        const biases = {};
-        const { hiddenLayers, outputSize } = this.networkConfig;
-        
-        hiddenLayers.forEach((size, i) => {
-            biases[`hidden${i}`] = new Array(size).fill(0.1);
+    validateNetworkConfig(config) {
+        const { hiddenLayers, activations, outputSize } = config;
+        if (!Array.isArray(hiddenLayers) || hiddenLayers.length === 0 || hiddenLayers.some(size => !Number.isInteger(size) || size < 1)) {
+            throw new Error('networkConfig.hiddenLayers must be a list of positive layer sizes');
+        }
+        if (!Array.isArray(activations) || activations.length !== hiddenLayers.length) {
+            throw new Error('networkConfig.activations must name one activation per hidden layer');
+        }
+        if (!Number.isInteger(outputSize) || outputSize < 1) {
+            throw new Error('networkConfig.outputSize must be a positive integer');
+        }
+        if (!Number.isInteger(config.ensembleSize) || config.ensembleSize < 1) {
+            throw new Error('networkConfig.ensembleSize must be a positive integer');
+        }
+        [...activations, config.outputActivation].forEach(activation => {
+            if (!NeuralNetworkClass.ACTIVATIONS.includes(activation)) {
+                throw new Error(`Unknown activation ${activation}; expected one of ${NeuralNetworkClass.ACTIVATIONS.join(', ')}`);
+            }
         });
-        
-        biases['output'] = new Array(outputSize).fill(0.1);
-        
-        return biases;
     }
 
-    randomMatrix(rows, cols) {
-        const matrix = [];
-        for (let i = 0; i < rows; i++) {
-            matrix.push(new Array(cols).fill(0).map(() => (Math.random() - 0.5) * 2 / Math.sqrt(cols)));
+    // Models carry their own fitted feature pipeline; older ones without it cannot be used
+    usesPipeline(model) {
+        if (!model || !model.pipeline || !model.weights || !model.weights['input-hidden0']) return false;
+        try {
+            const pipeline = new FeaturePipelineClass(model.pipeline);
+            return pipeline.fitted && model.weights['input-hidden0'][0].length === pipeline.size;
+        } catch (error) {
+            return false;
         }
-        return matrix;
+    }
+
+    adoptModel(model) {
+        this.model = model;
+        this.pipeline = new FeaturePipelineClass(model.pipeline);
+    }
+
+    // Fresh, untrained model for a feature pipeline and the configured architecture
+    initializeModel(pipeline = new FeaturePipelineClass({ features: this.networkConfig.features }), config = this.networkConfig) {
+        this.pipeline = pipeline;
+        return {
+            ...NeuralNetworkClass.initialize(pipeline.size, config.hiddenLayers, config.outputSize, config.activations, config.outputActivation),
+            pipeline: pipeline.toJSON(),
+            trained: false
+        };
+    }
+
+    // Parameters sent to the worker and the registry
+    modelParameters(model = this.model) {
+        const { weights, biases, activation, activations, outputActivation, ensemble, noiseVariance, pipeline } = model;
+        return { weights, biases, activation, activations, outputActivation, ensemble, noiseVariance, pipeline };
+    }
+
+    // Unscaled control sequence of every ensemble member for one scaled input
+    memberSequences(model, pipeline, features) {
+        return [model, ...(model.ensemble || []).map(member => ({ ...model, ...member }))]
+            .map(member => pipeline.unscaleTarget(new NeuralNetworkClass(member).output(features)));
     }
 
     // ================= ENHANCED PREDICTION WITH REAL-WORLD CONTEXT =================
@@ -315,35 +433,34 @@ class NeuralMPC {
         if (!this.isInitialized) {
             throw new Error('Neural MPC not initialized');
         }
+        if (!this.model.trained) {
+            throw new Error('Neural MPC model not trained');
+        }
 
         try {
-            // Enhanced input with real-world context
-            const enhancedInput = this.enhanceInputWithContext(input);
-            const normalizedInput = this.normalizeInput(enhancedInput);
-            
-            let activation = normalizedInput;
-            
-            // Forward pass through network
-            for (let i = 0; i < this.networkConfig.hiddenLayers.length; i++) {
-                const layerKey = i === 0 ? 'input-hidden0' : `hidden${i-1}-hidden${i}`;
-                const biasKey = `hidden${i}`;
-                
-                activation = this.matrixVectorMultiply(this.model.weights[layerKey], activation);
-                activation = this.vectorAdd(activation, this.model.biases[biasKey]);
-                activation = this.applyActivation(activation, this.model.activation);
-            }
-            
-            const outputLayerKey = `hidden${this.networkConfig.hiddenLayers.length-1}-output`;
-            let output = this.matrixVectorMultiply(this.model.weights[outputLayerKey], activation);
-            output = this.vectorAdd(output, this.model.biases.output);
-            
-            const control = this.denormalizeOutput(output[0]);
-            
+            // Plant state and real-world context through the model's fitted feature pipeline
+            const context = this.getCurrentContext();
+            const vector = this.pipeline.observe(input, context);
+            const sequences = this.memberSequences(this.model, this.pipeline, this.pipeline.transform(vector));
+
+            // Predictive variance per control move: ensemble disagreement plus the noise
+            // variance measured on held-out data when the model was trained
+            const { mean: sequence, variance: spread } = this.ensembleStatistics(sequences);
+            const noise = this.model.noiseVariance;
+            const variance = noise ? spread.map((value, step) => value + (noise[step] || 0)) : spread;
+            const calibrated = Boolean(noise) || sequences.length > 1;
+            const uncertainty = calibrated ? Math.sqrt(variance[0]) : null;
+            const outOfDistribution = this.pipeline.outOfRange(vector, this.uncertaintyConfig.oodMargin);
+
             return {
-                control,
-                confidence: this.calculateConfidence(output),
+                control: sequence[0],
+                sequence,
+                variance: calibrated ? variance : null,
+                uncertainty,
+                outOfDistribution,
+                confidence: this.calculateConfidence(uncertainty, outOfDistribution),
                 timestamp: Date.now(),
-                contextUsed: this.getCurrentContext()
+                contextUsed: context
             };
             
         } catch (error) {
@@ -352,83 +469,55 @@ class NeuralMPC {
         }
     }
 
-    // NEW: Enhance input with real-world context
-    enhanceInputWithContext(systemInput) {
-        const context = this.getCurrentContext();
-        
-        return [
-            systemInput.production / 0.05,                    // System state
-            (systemInput.temperature - 60) / 20,
-            (systemInput.voltage - 35) / 10,
-            (systemInput.current - 100) / 100,
-            (systemInput.purity - 99) / 1,
-            systemInput.reference / 100,
-            context.electricityCost / 25,                    // Real-world context
-            context.solarIrradiance / 1000,
-            context.o2Demand / 200,
-            context.hourOfDay / 24
-        ];
-    }
-
     getCurrentContext() {
         const now = new Date();
+        const electricityCost = this.dataSources.external.currentTariff?.rate || 12.50;
         
         return {
-            electricityCost: this.dataSources.external.currentTariff?.rate || 12.50,
+            electricityCost,
+            priceOutlook: this.priceOutlook(electricityCost, now.getTime()),
             solarIrradiance: this.dataSources.external.currentSolar?.irradiance || 0,
             o2Demand: this.dataSources.external.currentO2Demand?.demand || 120,
             hourOfDay: now.getHours(),
             isEmergency: this.dataSources.external.currentO2Demand?.isEmergency || false,
-            tariffType: this.dataSources.external.currentTariff?.type || 'standard'
+            tariffType: this.dataSources.external.currentTariff?.type || 'standard',
+            staleData: Object.keys(this.dataStatus).filter(kind => this.dataStatus[kind].stale)
         };
     }
 
-    normalizeInput(input) {
-        return input.map(x => Math.max(0, Math.min(1, x)));
-    }
-
-    denormalizeOutput(output) {
-        return 100 + output * 100;
-    }
-
-    calculateConfidence(output) {
-        return Math.min(1, Math.abs(output) * 2);
+    // 1 for a certain prediction, falling linearly to 0 at the fallback threshold; 0 for
+    // inputs outside the training data. Models trained before uncertainty was recorded
+    // have no variance to measure, so only the range check applies to them.
+    calculateConfidence(uncertainty, outOfDistribution = []) {
+        if (outOfDistribution.length > 0) return 0;
+        if (uncertainty === null) return 1;
+        return Math.max(0, 1 - uncertainty / this.uncertaintyConfig.threshold);
     }
 
-    matrixVectorMultiply(matrix, vector) {
-        return matrix.map(row => 
-            row.reduce((sum, weight, i) => sum + weight * vector[i], 0)
-        );
-    }
-
-    vectorAdd(vector1, vector2) {
-        return vector1.map((val, i) => val + vector2[i]);
-    }
-
-    applyActivation(vector, activation) {
-        switch (activation) {
-            case 'relu':
-                return vector.map(x => Math.max(0, x));
-            case 'sigmoid':
-                return vector.map(x => 1 / (1 + Math.exp(-x)));
-            default:
-                return vector;
+    // Why the network's decision should not be used, or null
+    fallbackReason(prediction) {
+        if (prediction.outOfDistribution.length > 0) {
+            return `outside training data: ${prediction.outOfDistribution.map(item => item.feature).join(', ')}`;
         }
+        if (prediction.uncertainty !== null && prediction.uncertainty > this.uncertaintyConfig.threshold) {
+            return `uncertainty ±${prediction.uncertainty.toFixed(1)}A above ${this.uncertaintyConfig.threshold}A`;
+        }
+        return null;
     }
 
     // ================= REAL-TIME DATA COLLECTION =================
 
     setupRealTimeDataCollection() {
-        if (window.mqttClient) {
-            window.mqttClient.socket.on('arduino-update', (data) => {
+        if (typeof window !== 'undefined' && window.mqttClient) {
+            window.mqttClient.on('arduino-update', (data) => {
                 this.collectTrainingDataFromArduino(data);
             });
             
-            window.mqttClient.socket.on('matlab-update', (data) => {
+            window.mqttClient.on('matlab-update', (data) => {
                 this.collectTrainingDataFromMatlab(data);
             });
 
-            window.mqttClient.socket.on('mpc-comparison', (data) => {
+            window.mqttClient.on('mpc-comparison', (data) => {
                 this.collectMPCPerformanceData(data);
             });
         }
@@ -436,14 +525,16 @@ class NeuralMPC {
 
     collectTrainingDataFromArduino(arduinoData) {
         const context = this.getCurrentContext();
+        // Dropped readings take the server's state estimate for this sample, not constants
+        const estimate = (window.mqttClient && window.mqttClient.stateEstimate && window.mqttClient.stateEstimate.state) || {};
         
         const trainingSample = {
             input: {
-                production: arduinoData.h2ProductionRate || 0,
-                temperature: arduinoData.cellTemperature || 65,
-                voltage: arduinoData.stackVoltage || 38,
-                current: arduinoData.stackCurrent || 150,
-                purity: arduinoData.o2Purity || 99.5,
+                production: arduinoData.h2ProductionRate ?? estimate.h2ProductionRate ?? 0,
+                temperature: arduinoData.cellTemperature ?? estimate.temperature ?? 65,
+                voltage: arduinoData.stackVoltage ?? estimate.voltage ?? 38,
+                current: arduinoData.stackCurrent ?? estimate.current ?? 150,
+                purity: arduinoData.o2Purity ?? estimate.purity ?? 99.5,
                 reference: arduinoData.prodRateSetpoint || 50
             },
             target: arduinoData.appliedCurrent || 150,
@@ -460,7 +551,7 @@ class NeuralMPC {
         this.maintainTrainingDataSize();
         
         // Auto-train with new context-aware data
-        if (this.trainingData.length % 50 === 0) {
+        if (this.trainingData.length % 50 === 0 && !this.isTraining) {
             this.train(this.trainingData.slice(-100));
         }
     }
@@ -486,49 +577,508 @@ class NeuralMPC {
 
     // ================= TRAINING =================
 
-    async train(trainingData) {
+    // Train a copy of the model in a background worker and swap it into predict()
+    // only if it does at least as well as the current model on held-out data.
+    async train(trainingData, options = {}) {
         if (!trainingData || trainingData.length === 0) {
-            return;
+            return null;
+        }
+        if (this.isTraining || this.imitation) {
+            console.warn('Neural MPC training already in progress');
+            return null;
+        }
+
+        // provenance: where the targets came from, recorded in the model metrics
+        const { provenance = null, ...overrides } = options;
+        const config = { ...this.networkConfig, ...overrides };
+        this.validateNetworkConfig(config);
+
+        // Fit a fresh pipeline to this data; the candidate model carries it with its weights
+        const pipeline = new FeaturePipelineClass({ features: config.features });
+        const { history, samples: raw } = this.prepareSamples(trainingData, pipeline, config.outputSize);
+        if (raw.length < 2) {
+            return null;
         }
+        pipeline.fit(raw.map(sample => sample.vector), raw.map(sample => sample.targets));
+
+        const prepared = raw.map(sample => ({
+            x: pipeline.transform(sample.vector),
+            y: pipeline.scaleTarget(sample.targets),
+            index: sample.index
+        }));
+        const dataHash = this.hashSamples(prepared);
+        const samples = NeuralNetworkClass.shuffle(prepared);
+
+        const validationSize = Math.max(1, Math.round(samples.length * config.validationSplit));
+        const validation = samples.slice(0, validationSize);
+        const training = samples.slice(validationSize);
+        const targetsByIndex = new Map(raw.map(sample => [sample.index, sample.targets]));
+        const heldOut = {
+            history,
+            indices: validation.map(sample => sample.index),
+            targets: validation.map(sample => targetsByIndex.get(sample.index))
+        };
 
-        console.log(`🧠 Training neural MPC with ${trainingData.length} context-aware samples...`);
+        console.log(`🧠 Training neural MPC on ${training.length} samples (${validation.length} held out, ${pipeline.size} features)...`);
+
+        this.isTraining = true;
+        this.trainingHistory = [];
+        this.updateTrainingDashboard();
+
+        const id = ++this.trainingJobs;
+        const request = {
+            type: 'train',
+            id,
+            model: this.startingModel(pipeline, config),
+            training: training.map(({ x, y }) => ({ x, y })),
+            validation: validation.map(({ x, y }) => ({ x, y })),
+            config
+        };
+
+        return new Promise(resolve => {
+            this.trainingJob = { id, resolve, pipeline, heldOut, dataHash, config, provenance };
+
+            const worker = this.getTrainingWorker();
+            if (worker) {
+                worker.postMessage(request);
+            } else {
+                this.trainInProcess(request);
+            }
+        });
+    }
+
+    // Web Worker in the browser, worker_threads on the server; null where neither is available
+    getTrainingWorker() {
+        if (this.trainingWorker) return this.trainingWorker;
 
         try {
-            const learningRate = this.networkConfig.learningRate;
-            const epochs = this.networkConfig.epochs;
-
-            for (let epoch = 0; epoch < epochs; epoch++) {
-                let totalError = 0;
-
-                for (const sample of trainingData) {
-                    const enhancedInput = this.enhanceInputWithContext(sample.input);
-                    const prediction = await this.predict(sample.input);
-                    const error = sample.target - prediction.control;
-                    
-                    this.updateWeights(enhancedInput, error, learningRate);
-                    totalError += error * error;
-                }
+            if (typeof Worker !== 'undefined') {
+                this.trainingWorker = new Worker('neural-training-worker.js');
+                this.trainingWorker.onmessage = (event) => this.handleTrainingMessage(event.data);
+                this.trainingWorker.onerror = (event) => this.handleTrainingMessage({ type: 'error', id: this.trainingJob?.id, message: event.message });
+            } else if (typeof require === 'function') {
+                const { Worker: ThreadWorker } = require('worker_threads');
+                this.trainingWorker = new ThreadWorker(require('path').join(__dirname, 'neural-training-worker.js'));
+                this.trainingWorker.on('message', (message) => this.handleTrainingMessage(message));
+                this.trainingWorker.on('error', (error) => this.handleTrainingMessage({ type: 'error', id: this.trainingJob?.id, message: error.message }));
+                this.trainingWorker.on('exit', () => { this.trainingWorker = null; });
+                this.trainingWorker.unref();
+            }
+        } catch (error) {
+            console.warn('Training worker unavailable, training in process:', error.message);
+            this.trainingWorker = null;
+        }
+        return this.trainingWorker;
+    }
+
+    // Fallback when workers are unavailable, using the same protocol as the worker
+    async trainInProcess(request) {
+        try {
+            const model = JSON.parse(JSON.stringify(request.model));
+            const result = await NeuralNetworkClass.trainEnsemble(model, request.training, request.validation, request.config, {
+                onProgress: (progress) => this.handleTrainingMessage({ type: 'progress', id: request.id, ...progress }),
+                isCancelled: () => this.trainingJob?.cancelled === true
+            });
+            this.handleTrainingMessage(result.cancelled
+                ? { type: 'cancelled', id: request.id, history: result.history }
+                : { type: 'done', id: request.id, model: result.model, metrics: result.metrics, history: result.history });
+        } catch (error) {
+            this.handleTrainingMessage({ type: 'error', id: request.id, message: error.message });
+        }
+    }
+
+    handleTrainingMessage(message) {
+        const job = this.trainingJob;
+        if (!job || message.id !== job.id) return;
 
-                if (epoch % 20 === 0) {
-                    console.log(`Epoch ${epoch}, Average Error: ${(totalError / trainingData.length).toFixed(4)}`);
+        switch (message.type) {
+            case 'progress':
+                // The loss chart follows the ensemble member currently training
+                if (message.epoch === 0) {
+                    this.trainingHistory = [];
                 }
+                this.trainingHistory.push({
+                    epoch: message.epoch,
+                    member: message.member,
+                    members: message.members,
+                    trainLoss: message.trainLoss,
+                    validationLoss: message.validationLoss
+                });
+                this.onTrainingProgress(message);
+                return;
+            case 'done':
+                this.finishTraining(this.acceptCandidate(message));
+                return;
+            case 'cancelled':
+                console.log('⏹️ Neural MPC training cancelled, keeping the current model');
+                this.finishTraining(null);
+                return;
+            case 'error':
+                console.error('Neural MPC training error:', message.message);
+                this.finishTraining(null);
+                return;
+        }
+    }
+
+    onTrainingProgress(progress) {
+        if (progress.epoch % 20 === 0) {
+            console.log(`Member ${progress.member + 1}/${progress.members}, epoch ${progress.epoch}, train loss ${progress.trainLoss.toFixed(5)}, validation loss ${progress.validationLoss.toFixed(5)}`);
+        }
+        this.updateTrainingDashboard();
+    }
+
+    // Hot-swap the trained weights if they are finite and no worse on the held-out
+    // samples; compared as control RMSE in amps since each model has its own scaling
+    acceptCandidate(result) {
+        const { pipeline, heldOut, provenance } = this.trainingJob;
+        const candidate = {
+            ...this.modelParameters(result.model),
+            pipeline: pipeline.toJSON()
+        };
+        const evaluation = this.evaluateModel(candidate, heldOut);
+        candidate.noiseVariance = evaluation.noiseVariance;
+        const candidateRmse = evaluation.rmse;
+        const currentRmse = this.model.trained ? this.evaluateModel(this.model, heldOut).rmse : Infinity;
+
+        if (!Number.isFinite(candidateRmse) || candidateRmse > currentRmse) {
+            console.warn(`⚠️ Trained model rejected: validation RMSE ${candidateRmse.toFixed(2)}A vs current ${currentRmse.toFixed(2)}A`);
+            return null;
+        }
+
+        this.adoptModel({
+            ...candidate,
+            trained: true,
+            version: null,
+            parentVersion: this.model.version || this.model.parentVersion || null,
+            metrics: {
+                ...result.metrics,
+                validationRmse: candidateRmse,
+                validationMaxError: evaluation.maxError,
+                uncertaintyCoverage: evaluation.coverage,
+                inferenceMs: evaluation.inferenceMs,
+                ...(provenance && provenance.teacherMs ? { ...provenance, speedup: provenance.teacherMs / evaluation.inferenceMs } : provenance),
+                dataHash: this.trainingJob.dataHash,
+                trainedAt: new Date().toISOString()
             }
+        });
+        this.saveModel();
+        this.registerModel(this.trainingJob.config);
 
-            this.model.trained = true;
-            this.saveModel();
-            console.log('✅ Neural MPC training completed with real-world context');
+        console.log(`✅ Neural MPC model updated: validation RMSE ${candidateRmse.toFixed(2)}A at epoch ${result.metrics.bestEpoch}` +
+            (result.metrics.stoppedEarly ? ' (early stop)' : ''));
+        return this.model.metrics;
+    }
+
+    // Control-sequence RMSE and worst error (A) of a model on held-out samples, built with
+    // the model's own pipeline, and its mean inference time per decision. The residual
+    // variance the ensemble spread does not explain becomes the model's noise variance.
+    evaluateModel(model, heldOut) {
+        const pipeline = new FeaturePipelineClass(model.pipeline);
+        const rows = heldOut.history.map(sample => pipeline.read(sample.input, sample.context));
+
+        const start = this.now();
+        const members = heldOut.indices.map(index =>
+            this.memberSequences(model, pipeline, pipeline.transform(pipeline.vectorAt(rows, index))));
+        const inferenceMs = (this.now() - start) / Math.max(1, members.length);
+
+        const predictions = members.map(outputs => this.ensembleStatistics(outputs));
+        const steps = predictions.length > 0 ? predictions[0].mean.length : 0;
+        const squaredError = new Array(steps).fill(0);
+        const spread = new Array(steps).fill(0);
+        const counts = new Array(steps).fill(0);
+        let maxError = 0;
+
+        predictions.forEach((prediction, i) => {
+            heldOut.targets[i].forEach((target, step) => {
+                if (step < steps) {
+                    const error = prediction.mean[step] - target;
+                    squaredError[step] += error ** 2;
+                    spread[step] += prediction.variance[step];
+                    maxError = Math.max(maxError, Math.abs(error));
+                    counts[step]++;
+                }
+            });
+        });
+
+        const count = counts.reduce((sum, value) => sum + value, 0);
+        const noiseVariance = squaredError.map((sum, step) => Math.max(0, (sum - spread[step]) / Math.max(1, counts[step])));
+
+        // Share of first moves inside the predicted 95% band, to check the variance is calibrated
+        const covered = predictions.filter((prediction, i) =>
+            Math.abs(heldOut.targets[i][0] - prediction.mean[0]) <= 1.96 * Math.sqrt(prediction.variance[0] + noiseVariance[0])).length;
+
+        return {
+            rmse: count > 0 ? Math.sqrt(squaredError.reduce((sum, value) => sum + value, 0) / count) : Infinity,
+            maxError: count > 0 ? maxError : Infinity,
+            noiseVariance,
+            coverage: predictions.length > 0 ? covered / predictions.length : null,
+            inferenceMs
+        };
+    }
+
+    // Mean and variance across ensemble members of each control move
+    ensembleStatistics(sequences) {
+        const mean = sequences[0].map((_, step) =>
+            sequences.reduce((sum, member) => sum + member[step], 0) / sequences.length);
+        const variance = mean.map((value, step) =>
+            sequences.reduce((sum, member) => sum + (member[step] - value) ** 2, 0) / sequences.length);
+        return { mean, variance };
+    }
+
+    // High-resolution clock (ms) where available
+    now() {
+        return typeof performance !== 'undefined' ? performance.now() : Date.now();
+    }
 
+    // Continue from the current weights when the architecture is unchanged, otherwise start
+    // fresh; every ensemble member gets its own random initialization
+    startingModel(pipeline, config) {
+        const current = this.model;
+        const sameArchitecture = current && current.trained &&
+            this.usesPipeline(current) &&
+            JSON.stringify(new FeaturePipelineClass(current.pipeline).columns()) === JSON.stringify(pipeline.columns()) &&
+            JSON.stringify(new NeuralNetworkClass(current).layerKeys().map(layer => current.biases[layer.bias].length)) ===
+                JSON.stringify([...config.hiddenLayers, config.outputSize]) &&
+            JSON.stringify(current.activations) === JSON.stringify(config.activations) &&
+            current.outputActivation === config.outputActivation &&
+            (current.ensemble || []).length === config.ensembleSize - 1;
+
+        if (sameArchitecture) {
+            const { weights, biases, activations, outputActivation, ensemble } = current;
+            return { weights, biases, activations, outputActivation, ensemble };
+        }
+
+        const initialize = () => NeuralNetworkClass.initialize(pipeline.size, config.hiddenLayers, config.outputSize, config.activations, config.outputActivation);
+        const members = Array.from({ length: config.ensembleSize - 1 }, () => {
+            const { weights, biases } = initialize();
+            return { weights, biases };
+        });
+        return { ...initialize(), ensemble: members.length > 0 ? members : undefined };
+    }
+
+    finishTraining(metrics) {
+        const job = this.trainingJob;
+        this.trainingJob = null;
+        this.isTraining = false;
+        this.updateTrainingDashboard();
+        job.resolve(metrics);
+    }
+
+    cancelTraining() {
+        if (this.imitation) {
+            this.imitation.cancelled = true;
+            return true;
+        }
+
+        const job = this.trainingJob;
+        if (!job) return false;
+
+        job.cancelled = true;
+        if (this.trainingWorker) {
+            this.trainingWorker.postMessage({ type: 'cancel', id: job.id });
+        }
+        return true;
+    }
+
+    // Record a freshly trained model in the server registry as a candidate
+    async registerModel(config) {
+        if (typeof window === 'undefined' || !window.authClient || !window.authClient.can('models:register')) return;
+
+        const { epochs, hiddenLayers, activations, outputActivation, outputSize, ensembleSize, learningRate, batchSize, validationSplit, patience } = config;
+        try {
+            const response = await window.authClient.fetch('/api/models', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    model: this.modelParameters(),
+                    networkConfig: {
+                        features: this.pipeline.columns(),
+                        inputSize: this.pipeline.size,
+                        hiddenLayers, activations, outputActivation, outputSize, ensembleSize,
+                        learningRate, epochs, batchSize, validationSplit, patience
+                    },
+                    metrics: this.model.metrics,
+                    dataHash: this.model.metrics.dataHash,
+                    source: this.model.metrics.teacher ? 'imitation' : 'trained',
+                    notes: [
+                        this.model.metrics.teacher ? `Imitation of ${this.model.metrics.teacher}` : 'Trained on dashboard',
+                        this.model.parentVersion ? `retrained from v${this.model.parentVersion}` : null
+                    ].filter(Boolean).join(', ')
+                })
+            });
+            if (!response.ok) return;
+
+            const entry = await response.json();
+            this.model.version = entry.version;
+            this.saveModel();
+            if (window.modelRegistryPanel) {
+                window.modelRegistryPanel.refresh();
+            }
         } catch (error) {
-            console.error('Neural MPC training error:', error);
+            console.error('Failed to register trained model:', error);
         }
     }
 
-    updateWeights(input, error, learningRate) {
-        Object.keys(this.model.weights).forEach(layerKey => {
-            this.model.weights[layerKey] = this.model.weights[layerKey].map(row =>
-                row.map(weight => weight + learningRate * error * (Math.random() - 0.5))
-            );
+    // FNV-1a (64-bit) over the prepared samples, identifying the exact training data
+    hashSamples(samples) {
+        let hash = 0xcbf29ce484222325n;
+        const text = JSON.stringify(samples.map(sample => [sample.x, sample.y]));
+        for (let i = 0; i < text.length; i++) {
+            hash ^= BigInt(text.charCodeAt(i));
+            hash = (hash * 0x100000001b3n) & 0xffffffffffffffffn;
+        }
+        return hash.toString(16).padStart(16, '0');
+    }
+
+    // Unscaled feature vectors and control-move targets from chronological samples, using
+    // the context recorded with each. Targets are the sample's own move sequence when it
+    // has one, otherwise the moves applied over the next outputSize samples.
+    prepareSamples(trainingData, pipeline, outputSize) {
+        const context = this.getCurrentContext();
+        const history = trainingData
+            .filter(sample => sample && sample.input)
+            .map(sample => ({ ...sample, context: sample.context || context }));
+        const rows = history.map(sample => pipeline.read(sample.input, sample.context));
+
+        const samples = [];
+        history.forEach((sample, index) => {
+            const targets = Array.isArray(sample.targets)
+                ? sample.targets.slice(0, outputSize)
+                : history.slice(index, index + outputSize).map(item => item.target);
+
+            if (targets.length === outputSize && targets.every(Number.isFinite)) {
+                samples.push({ index, vector: pipeline.vectorAt(rows, index), targets });
+            }
         });
+        return { history, samples };
+    }
+
+    // Stop the background worker (server shutdown, tests)
+    dispose() {
+        this.timers.forEach(timer => clearInterval(timer));
+        this.timers = [];
+        this.cancelTraining();
+        if (this.trainingWorker) {
+            this.trainingWorker.terminate();
+            this.trainingWorker = null;
+        }
+    }
+
+    // ================= IMITATION LEARNING =================
+
+    // Explicit (approximate) MPC: roll out one of the MPCAlgorithms controllers from
+    // sampled operating points, references and contexts, then train the network on its
+    // decisions. The teacher's cost per decision is recorded to report the speedup.
+    async imitate(options = {}) {
+        const { teacher = 'HEMPC', episodes = 40, steps = 15, parameters = {}, ...trainOptions } = options;
+        if (this.isTraining || this.imitation) {
+            console.warn('Neural MPC training already in progress');
+            return null;
+        }
+
+        const Algorithms = typeof MPCAlgorithms !== 'undefined' ? MPCAlgorithms : require('./mpc-algorithms');
+        const algorithms = new Algorithms();
+        const controller = algorithms.algorithms[teacher];
+        if (!controller) {
+            throw new Error(`Unknown teacher ${teacher}; expected one of ${Object.keys(algorithms.algorithms).join(', ')}`);
+        }
+        if (this.safetyLimits) {
+            algorithms.setSafetyLimits(this.safetyLimits.limits);
+        }
+        algorithms.setTariff(this.tariff);
+
+        const config = { ...this.networkConfig, ...trainOptions };
+        const warmUp = new FeaturePipelineClass({ features: config.features }).maxLag;
+        const teacherParameters = { sampleTime: 1.0, ...parameters };
+        const { min, max } = algorithms.safetyLimits.limits.current;
+
+        console.log(`🎓 Rolling out ${teacher} for ${episodes} episodes to train neural MPC...`);
+        this.imitation = { teacher, episode: 0, episodes, cancelled: false };
+        this.updateTrainingDashboard();
+
+        const data = [];
+        let teacherTime = 0;
+        let teacherCalls = 0;
+        try {
+            for (let episode = 0; episode < episodes && !this.imitation.cancelled; episode++) {
+                const context = this.sampleContext();
+                const reference = 20 + Math.random() * 80;
+                const timestamp = context.timestamp;
+
+                const initial = algorithms.plantModel.steadyState(min + Math.random() * (max - min));
+                let state = algorithms.plantModel.normalizeState({ ...initial, temperature: initial.temperature + (Math.random() - 0.5) * 10 });
+                let previousControl = state.current;
+
+                // Early steps only provide history for lagged features; late ones only future moves
+                const rollout = [];
+                for (let step = 0; step < warmUp + steps + config.outputSize - 1; step++) {
+                    const start = this.now();
+                    const result = await controller(state, reference, previousControl, { ...teacherParameters, timestamp });
+                    teacherTime += this.now() - start;
+                    teacherCalls++;
+
+                    rollout.push({ input: { ...state, reference }, context, control: result.control });
+                    previousControl = result.control;
+                    state = algorithms.plantModel.step(state, result.control, teacherParameters.sampleTime);
+                }
+
+                rollout.forEach((sample, step) => data.push({
+                    input: sample.input,
+                    context: sample.context,
+                    targets: step >= warmUp ? rollout.slice(step, step + config.outputSize).map(item => item.control) : [],
+                    source: 'imitation'
+                }));
+
+                this.imitation.episode = episode + 1;
+                this.updateTrainingDashboard();
+                // Let the dashboard and socket handlers run between episodes
+                await new Promise(resolve => setTimeout(resolve, 0));
+            }
+        } catch (error) {
+            this.imitation = null;
+            this.updateTrainingDashboard();
+            throw error;
+        }
+
+        const { cancelled } = this.imitation;
+        this.imitation = null;
+        if (cancelled) {
+            console.log('⏹️ Imitation learning cancelled, keeping the current model');
+            this.updateTrainingDashboard();
+            return null;
+        }
+
+        return this.train(data, {
+            ...trainOptions,
+            provenance: {
+                teacher,
+                teacherParameters,
+                teacherMs: teacherTime / teacherCalls,
+                imitationEpisodes: episodes
+            }
+        });
+    }
+
+    // Random operating context in the coming week with the same tariff, solar and demand
+    // patterns as the live data
+    sampleContext() {
+        const timestamp = new Date().setMinutes(0, 0, 0) + Math.floor(Math.random() * 7 * 24) * 60 * 60 * 1000;
+        const hourOfDay = new Date(timestamp).getHours();
+        const price = this.tariff.priceAt(timestamp);
+        const o2Demand = Math.round(60 + Math.random() * 240);
+
+        return {
+            timestamp,
+            electricityCost: price.rate,
+            priceOutlook: this.priceOutlook(price.rate, timestamp),
+            solarIrradiance: hourOfDay >= 6 && hourOfDay <= 18
+                ? (5 + Math.random() * 1.5) * Math.max(0, 1 - Math.abs(hourOfDay - 12) / 6) * 1000
+                : 0,
+            o2Demand,
+            hourOfDay,
+            isEmergency: o2Demand > 180,
+            tariffType: price.type
+        };
     }
 
     // ================= MPC CONTROL INTERFACE =================
@@ -538,31 +1088,48 @@ class NeuralMPC {
             throw new Error('Neural MPC not initialized');
         }
 
+        // No fitted model yet: the deterministic controller keeps the stack in range
+        if (!this.model.trained) {
+            return this.fallbackControl(currentState, previousControl, reference);
+        }
+
         const startTime = Date.now();
 
         try {
             const context = this.getCurrentContext();
             
-            // Economic optimization based on real-world factors
-            const economicReference = this.calculateEconomicSetpoint(reference, context);
+            // Economic optimization based on real-world factors; a model imitating an
+            // MPC controller already learned that controller's own economic layer
+            const teacher = this.model.metrics?.teacher || null;
+            const economicReference = teacher ? reference : this.calculateEconomicSetpoint(reference, context);
             
             const result = await this.predict({
                 ...currentState,
                 reference: economicReference
             });
+
+            // Unfamiliar inputs or a disagreeing ensemble hand the decision to the deterministic MPC
+            const fallback = this.fallbackReason(result);
+            const deterministic = fallback ? await this.fallbackControl(currentState, previousControl, reference) : null;
             
             const computationTime = Date.now() - startTime;
 
-            const constrainedControl = this.applySafetyConstraints(result.control, currentState);
-
             const controlResult = {
-                control: constrainedControl,
+                control: deterministic ? deterministic.control : this.applySafetyConstraints(result.control, currentState),
                 confidence: result.confidence,
+                uncertainty: result.uncertainty,
+                outOfDistribution: result.outOfDistribution,
+                fallback,
+                neuralControl: result.control,
+                sequence: result.sequence,
                 computationTime,
-                algorithm: 'NEURAL_MPC',
+                algorithm: deterministic ? deterministic.algorithm : 'NEURAL_MPC',
+                modelVersion: this.model.version || null,
+                teacher,
                 context: result.contextUsed,
                 economicReference: economicReference,
                 originalReference: reference,
+                energyCost: this.hourlyEnergyCost(currentState),
                 factors: {
                     electricityCost: context.electricityCost,
                     solarAvailability: context.solarIrradiance,
@@ -577,17 +1144,17 @@ class NeuralMPC {
 
         } catch (error) {
             console.error('Neural MPC control computation failed:', error);
-            return this.fallbackControl(currentState, previousControl);
+            return this.fallbackControl(currentState, previousControl, reference);
         }
     }
 
     calculateEconomicSetpoint(reference, context) {
         let economicSetpoint = reference;
 
-        // Adjust based on electricity cost
-        if (context.tariffType === 'peak') {
+        // Adjust based on electricity cost against the coming day's prices
+        if (context.priceOutlook > 0.2) {
             economicSetpoint = Math.max(20, reference - 30);
-        } else if (context.tariffType === 'offPeak') {
+        } else if (context.priceOutlook < -0.2) {
             economicSetpoint = Math.min(80, reference + 30);
         }
 
@@ -605,19 +1172,22 @@ class NeuralMPC {
     }
 
     applySafetyConstraints(control, currentState) {
-        let safeControl = control;
-
-        if (currentState.temperature > 75) safeControl = Math.min(safeControl, 150);
-        if (currentState.temperature > 78) safeControl = Math.min(safeControl, 120);
-        if (currentState.voltage > 42) safeControl = Math.min(safeControl, 160);
-        if (currentState.purity < 99.3) safeControl = Math.min(safeControl, 140);
-
-        return Math.max(100, Math.min(200, safeControl));
+        if (!this.safetyLimits) {
+            const Limits = typeof SafetyLimits !== 'undefined' ? SafetyLimits : require('./safety-limits');
+            this.safetyLimits = new Limits();
+        }
+        return this.safetyLimits.clampCurrent(control, currentState);
     }
 
-    fallbackControl(currentState, previousControl) {
-        const mpcAlgorithms = new MPCAlgorithms();
-        return mpcAlgorithms.DeterministicMPC(currentState, 50, previousControl);
+    fallbackControl(currentState, previousControl, reference = 50) {
+        if (!this.fallbackAlgorithms) {
+            const Algorithms = typeof MPCAlgorithms !== 'undefined' ? MPCAlgorithms : require('./mpc-algorithms');
+            this.fallbackAlgorithms = new Algorithms();
+        }
+        if (this.safetyLimits) {
+            this.fallbackAlgorithms.setSafetyLimits(this.safetyLimits.limits);
+        }
+        return this.fallbackAlgorithms.DeterministicMPC(currentState, reference, previousControl);
     }
 
     // ================= DASHBOARD INTEGRATION =================
@@ -630,16 +1200,22 @@ class NeuralMPC {
         this.createExternalDataPanel();
         
         // Update displays
+        const tariff = this.dataSources.external.currentTariff;
+        const dayType = tariff?.holiday || { saturday: 'Saturday', sunday: 'Sunday', weekday: 'Weekday' }[tariff?.dayType];
         this.updateElement('current-tariff', `
             <div class="tariff-display ${context.tariffType}">
-                <strong>${this.dataSources.external.currentTariff?.description}</strong>
+                <strong>${tariff?.description}</strong>
                 <div>KSh ${context.electricityCost}/kWh</div>
+                ${dayType ? `<div class="tariff-day">${dayType}${tariff.season ? ` · ${tariff.season}` : ''}</div>` : ''}
             </div>
+            ${this.dataBadge('tariff')}
         `);
 
+        const forecast = this.dataSources.external.currentSolar?.forecast;
         this.updateElement('solar-forecast', `
             <div>Solar: ${context.solarIrradiance.toFixed(0)} W/m²</div>
-            <div>${this.dataSources.external.currentSolar?.forecast} kWh/m²/day</div>
+            ${forecast !== undefined ? `<div>${forecast} kWh/m²/day</div>` : ''}
+            ${this.dataBadge('solar')}
         `);
 
         this.updateElement('o2-demand', `
@@ -647,6 +1223,7 @@ class NeuralMPC {
                 O₂ Demand: ${context.o2Demand} L/min
                 ${context.isEmergency ? '🚨 EMERGENCY' : ''}
             </div>
+            ${this.dataBadge('o2Demand')}
         `);
 
         this.updateElement('optimal-recommendation', `
@@ -661,19 +1238,50 @@ class NeuralMPC {
         `);
     }
 
+    // Where a displayed value comes from: a provider feed (flagged when stale) or the built-in pattern
+    dataBadge(kind) {
+        const entry = this.dataStatus[kind];
+        if (!entry) {
+            return '<span class="data-badge">built-in</span>';
+        }
+        if (!entry.value) {
+            return `<span class="data-badge stale" title="${entry.error || ''}">feed unavailable, built-in</span>`;
+        }
+        const age = entry.age !== null ? `, ${Math.round(entry.age / 60000)} min old` : '';
+        return `<span class="data-badge ${entry.stale ? 'stale' : 'live'}" title="${entry.source}">` +
+            `${entry.stale ? 'stale ' : ''}${entry.source.split(':')[0]}${age}</span>`;
+    }
+
+    // Running cost of the stack's present draw (V·I) at the tariff in effect now, per hour
+    hourlyEnergyCost(state) {
+        const voltage = state.voltage ?? state.stackVoltage;
+        const current = state.current ?? state.stackCurrent;
+        if (!Number.isFinite(voltage) || !Number.isFinite(current)) return null;
+        return this.tariff.energyCost(voltage * current / 1000);
+    }
+
     updateDashboardWithMPCDecision(controlResult) {
         this.updateElement('neural-mpc-decision', `
             <div class="mpc-decision">
                 <strong>Neural MPC Decision</strong>
-                <div>Control: ${controlResult.control.toFixed(1)}A</div>
-                <div>Confidence: ${(controlResult.confidence * 100).toFixed(1)}%</div>
+                <div>Control: ${controlResult.control.toFixed(1)}A${controlResult.fallback ? ' (deterministic MPC)' : ''}</div>
+                <div>Confidence: ${(controlResult.confidence * 100).toFixed(0)}%
+                    ${controlResult.uncertainty !== null
+                        ? `(±${controlResult.uncertainty.toFixed(1)}A, fallback above ±${this.uncertaintyConfig.threshold}A)`
+                        : '(no variance recorded, range check only)'}</div>
+                ${controlResult.fallback ? `<div class="mpc-fallback">Fallback: ${controlResult.fallback}</div>` : ''}
                 <div>Economic Ref: ${controlResult.economicReference}%</div>
-                <div>Cost: KSh ${(controlResult.factors.electricityCost * 2).toFixed(2)}/h</div>
+                <div>Model: ${controlResult.modelVersion ? `v${controlResult.modelVersion}` : 'local (unregistered)'}${controlResult.teacher ? ` (imitates ${controlResult.teacher})` : ''}</div>
+                <div>Cost: ${controlResult.energyCost !== null
+                    ? `${this.tariff.currency} ${controlResult.energyCost.toFixed(2)}/h`
+                    : '—'}</div>
             </div>
         `);
     }
 
     createExternalDataPanel() {
+        if (typeof document === 'undefined') return;
+
         if (!document.getElementById('external-data-panel')) {
             const panelHTML = `
                 <div class="external-data-panel" id="external-data-panel">
@@ -696,6 +1304,23 @@ class NeuralMPC {
                             <div id="neural-mpc-decision">Ready...</div>
                         </div>
                     </div>
+                    <div class="neural-training">
+                        <label>Training Loss</label>
+                        <div id="neural-training-status">Not trained yet</div>
+                        <button class="btn-primary" id="neural-training-cancel" hidden>Cancel training</button>
+                        <div class="neural-imitation">
+                            <select id="neural-teacher">
+                                <option value="HEMPC">HE-MPC</option>
+                                <option value="DETERMINISTIC">Deterministic (QP)</option>
+                                <option value="STOCHASTIC">Stochastic</option>
+                                <option value="HYBRID">Hybrid</option>
+                            </select>
+                            <button class="btn-primary" id="neural-imitate">Learn from MPC</button>
+                        </div>
+                        <div class="neural-loss-chart">
+                            <canvas id="neural-loss-chart"></canvas>
+                        </div>
+                    </div>
                 </div>
             `;
             
@@ -703,11 +1328,99 @@ class NeuralMPC {
             const controlPanel = document.querySelector('.mpc-control');
             if (controlPanel) {
                 controlPanel.insertAdjacentHTML('afterbegin', panelHTML);
+                document.getElementById('neural-training-cancel')?.addEventListener('click', () => this.cancelTraining());
+                document.getElementById('neural-imitate')?.addEventListener('click', () => {
+                    this.imitate({ teacher: document.getElementById('neural-teacher').value });
+                });
             }
         }
     }
 
+    // Train/validation loss curves of the last training run
+    updateTrainingDashboard() {
+        if (typeof document === 'undefined') return;
+
+        const metrics = this.model?.metrics;
+        const last = this.trainingHistory[this.trainingHistory.length - 1];
+        const cancelButton = document.getElementById('neural-training-cancel');
+        if (cancelButton) {
+            cancelButton.hidden = !this.isTraining && !this.imitation;
+        }
+        const imitateButton = document.getElementById('neural-imitate');
+        if (imitateButton) {
+            imitateButton.disabled = this.isTraining || Boolean(this.imitation);
+        }
+
+        if (this.imitation) {
+            this.updateElement('neural-training-status',
+                `Running ${this.imitation.teacher} for training data... episode ${this.imitation.episode}/${this.imitation.episodes}`);
+        } else if (this.isTraining) {
+            this.updateElement('neural-training-status', last
+                ? `Training in background... network ${last.member + 1}/${last.members}, epoch ${last.epoch + 1}/${this.networkConfig.epochs}, validation loss ${last.validationLoss.toFixed(5)}`
+                : 'Training in background...');
+        } else if (metrics && Number.isFinite(metrics.validationLoss) && Number.isFinite(metrics.trainLoss)) {
+            this.updateElement('neural-training-status', `
+                ${this.model.version ? `Model v${this.model.version} · ` : ''}
+                Validation loss ${metrics.validationLoss.toFixed(5)} (train ${metrics.trainLoss.toFixed(5)})
+                at epoch ${metrics.bestEpoch + 1}/${metrics.epochs}${metrics.stoppedEarly ? ', stopped early' : ''}
+                ${Number.isFinite(metrics.validationRmse) ? `· RMSE ${metrics.validationRmse.toFixed(2)}A` : ''}
+                ${Number.isFinite(metrics.uncertaintyCoverage) ? `· ${(metrics.uncertaintyCoverage * 100).toFixed(0)}% of held-out moves within the predicted 95% band (${metrics.ensembleSize} networks)` : ''}
+                ${metrics.teacher ? `<br>Imitates ${metrics.teacher}: max error ${metrics.validationMaxError.toFixed(2)}A,
+                    ${metrics.speedup.toFixed(0)}× faster (${metrics.inferenceMs.toFixed(3)} ms vs ${metrics.teacherMs.toFixed(1)} ms)` : ''}
+                · ${metrics.samples} samples · ${new Date(metrics.trainedAt).toLocaleString()}
+            `);
+        } else if (this.model?.version) {
+            this.updateElement('neural-training-status', `Model v${this.model.version} (no training metrics recorded)`);
+        }
+
+        const canvas = document.getElementById('neural-loss-chart');
+        if (!canvas || typeof Chart === 'undefined' || this.trainingHistory.length === 0) return;
+
+        if (!this.lossChart) {
+            this.lossChart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: [],
+                    datasets: [
+                        {
+                            label: 'Training loss',
+                            data: [],
+                            borderColor: '#3498db',
+                            borderWidth: 2,
+                            pointRadius: 0,
+                            tension: 0.2
+                        },
+                        {
+                            label: 'Validation loss',
+                            data: [],
+                            borderColor: '#e67e22',
+                            borderWidth: 2,
+                            pointRadius: 0,
+                            tension: 0.2
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    scales: {
+                        x: { title: { display: true, text: 'Epoch' } },
+                        y: { type: 'logarithmic', title: { display: true, text: 'MSE (normalized)' } }
+                    }
+                }
+            });
+        }
+
+        this.lossChart.data.labels = this.trainingHistory.map(entry => entry.epoch + 1);
+        this.lossChart.data.datasets[0].data = this.trainingHistory.map(entry => entry.trainLoss);
+        this.lossChart.data.datasets[1].data = this.trainingHistory.map(entry => entry.validationLoss);
+        this.lossChart.update('none');
+    }
+
     updateElement(id, content) {
+        if (typeof document === 'undefined') return;
+
         const element = document.getElementById(id);
         if (element) {
             element.innerHTML = content;
@@ -722,18 +1435,19 @@ class NeuralMPC {
     // ================= PERFORMANCE MONITORING =================
 
     startPerformanceMonitoring() {
-        setInterval(() => {
+        this.timers.push(setInterval(() => {
             this.evaluatePerformance();
-        }, 30000);
+        }, 30000));
     }
 
     startRealTimeUpdates() {
-        setInterval(() => {
+        this.timers.push(setInterval(() => {
             this.updateCurrentTariff();
             this.dataSources.external.currentSolar = this.getCurrentSolarForecast();
             this.dataSources.external.currentO2Demand = this.calculateCurrentO2Demand();
+            this.applyExternalData();
             this.updateDashboardWithExternalData();
-        }, 60000);
+        }, 60000));
     }
 
     evaluatePerformance() {
@@ -745,14 +1459,28 @@ class NeuralMPC {
 
         console.log(`📊 Neural MPC Performance - Tracking Error: ${avgTrackingError.toFixed(3)}, Computation: ${avgComputationTime.toFixed(1)}ms`);
 
-        if (avgTrackingError > 5.0) {
+        if (avgTrackingError > 5.0 && !this.isTraining) {
+            if (!this.autoRetrain) {
+                console.warn('⚠️ Neural MPC tracking degraded; retrain and promote a model through the registry');
+                return;
+            }
             console.log('🔄 Performance degradation detected, triggering retraining...');
             this.train(this.trainingData.slice(-200));
         }
     }
 
+    // Production as % of rated output, the unit of the reference
+    productionPercent(state) {
+        if (Number.isFinite(state.production)) return state.production;
+        if (!this.plantModel) {
+            const PlantModel = typeof PEMPlantModel !== 'undefined' ? PEMPlantModel : require('./pem-plant-model');
+            this.plantModel = new PlantModel();
+        }
+        return this.plantModel.productionPercent(state.h2ProductionRate);
+    }
+
     recordPerformance(controlResult, currentState, reference) {
-        const trackingError = Math.abs((currentState.h2ProductionRate * 3600) - reference);
+        const trackingError = Math.abs(this.productionPercent(currentState) - reference);
         
         this.performanceHistory.push({
             trackingError,
@@ -771,6 +1499,8 @@ class NeuralMPC {
     // ================= UTILITY METHODS =================
 
     saveModel() {
+        if (typeof localStorage === 'undefined') return;
+
         try {
             localStorage.setItem('neural_mpc_model', JSON.stringify(this.model));
         } catch (error) {
@@ -799,6 +1529,7 @@ class NeuralMPC {
             avgConfidence: recent.reduce((sum, p) => sum + (p.confidence || 0), 0) / recent.length,
             totalSamples: this.trainingData.length,
             modelTrained: this.model.trained,
+            training: this.model.metrics || null,
             contextAware: true
         };
     }
@@ -817,6 +1548,7 @@ class NeuralMPC {
             trainingData: this.trainingData.slice(-100), // Last 100 samples
             performanceHistory: this.performanceHistory.slice(-100),
             config: this.networkConfig,
+            version: this.model.version || null,
             dataSources: this.dataSources.external,
             exportTime: new Date().toISOString()
         };
@@ -880,6 +1612,29 @@ const neuralMPCStyles = `
     animation: blink 1s infinite;
 }
 
+.neural-training {
+    margin-top: 10px;
+    padding: 8px;
+    background: #f8f9fa;
+    border-radius: 4px;
+}
+
+.neural-training label {
+    font-size: 0.8em;
+    color: #7f8c8d;
+    font-weight: bold;
+}
+
+#neural-training-status {
+    font-size: 0.85em;
+    margin: 4px 0;
+}
+
+.neural-loss-chart {
+    position: relative;
+    height: 160px;
+}
+
 .recommendation, .mpc-decision {
     background: #2c3e50;
     color: white;
@@ -899,15 +1654,16 @@ const neuralMPCStyles = `
 }
 `;
 
-// Inject styles
-const styleSheet = document.createElement('style');
-styleSheet.textContent = neuralMPCStyles;
-document.head.appendChild(styleSheet);
+// Inject styles and initialize when DOM loads (browser only)
+if (typeof document !== 'undefined') {
+    const styleSheet = document.createElement('style');
+    styleSheet.textContent = neuralMPCStyles;
+    document.head.appendChild(styleSheet);
 
-// Initialize when DOM loads
-document.addEventListener('DOMContentLoaded', function() {
-    window.neuralMPC = new NeuralMPC();
-});
+    document.addEventListener('DOMContentLoaded', function() {
+        window.neuralMPC = new NeuralMPC();
+    });
+}
 
 // Export for Node.js if needed
 if (typeof module !== 'undefined' && module.exports) {
@@ -0,0 +1,323 @@
+// Feed-forward network math shared by NeuralMPC and the training worker:
+// forward pass, backpropagation and mini-batch Adam training with early stopping,
+// and deep ensembles of such networks for predictive uncertainty.
+const ACTIVATIONS = ['relu', 'tanh', 'sigmoid', 'linear'];
+
+class NeuralNetwork {
+    constructor(model) {
+        this.model = model;
+    }
+
+    // Weight and bias keys of each layer, input to output
+    layerKeys() {
+        const hidden = Object.keys(this.model.biases).filter(key => key.startsWith('hidden')).length;
+        const layers = [];
+        for (let i = 0; i < hidden; i++) {
+            layers.push({ weights: i === 0 ? 'input-hidden0' : `hidden${i-1}-hidden${i}`, bias: `hidden${i}` });
+        }
+        layers.push({ weights: `hidden${hidden-1}-output`, bias: 'output' });
+        return layers;
+    }
+
+    // Activation of layer i: per-layer list, else the shared hidden activation; the output layer is linear by default
+    activationFor(i, layerCount) {
+        if (i === layerCount - 1) {
+            return this.model.outputActivation || 'linear';
+        }
+        return (this.model.activations && this.model.activations[i]) || this.model.activation || 'relu';
+    }
+
+    // Forward pass keeping every layer's output for backpropagation
+    forward(input) {
+        const layers = this.layerKeys();
+        const activations = [input];
+
+        layers.forEach((layer, i) => {
+            let z = this.matrixVectorMultiply(this.model.weights[layer.weights], activations[i]);
+            z = this.vectorAdd(z, this.model.biases[layer.bias]);
+            activations.push(this.applyActivation(z, this.activationFor(i, layers.length)));
+        });
+
+        return { activations };
+    }
+
+    output(input) {
+        const { activations } = this.forward(input);
+        return activations[activations.length - 1];
+    }
+
+    // Gradients of 0.5 * squared error for one sample, accumulated into grads
+    backward(activations, target, grads) {
+        const layers = this.layerKeys();
+        const output = activations[activations.length - 1];
+        const outputActivation = this.activationFor(layers.length - 1, layers.length);
+        let delta = output.map((value, i) => (value - target[i]) * this.activationDerivative(value, outputActivation));
+
+        for (let l = layers.length - 1; l >= 0; l--) {
+            const { weights, bias } = layers[l];
+            const input = activations[l];
+            const W = this.model.weights[weights];
+
+            delta.forEach((d, i) => {
+                grads.biases[bias][i] += d;
+                const row = grads.weights[weights][i];
+                for (let j = 0; j < input.length; j++) {
+                    row[j] += d * input[j];
+                }
+            });
+
+            if (l > 0) {
+                delta = input.map((a, j) => {
+                    let sum = 0;
+                    for (let i = 0; i < delta.length; i++) sum += W[i][j] * delta[i];
+                    return sum * this.activationDerivative(a, this.activationFor(l - 1, layers.length));
+                });
+            }
+        }
+
+        return output.reduce((sum, value, i) => sum + (value - target[i]) ** 2, 0) / output.length;
+    }
+
+    matrixVectorMultiply(matrix, vector) {
+        return matrix.map(row =>
+            row.reduce((sum, weight, i) => sum + weight * vector[i], 0)
+        );
+    }
+
+    vectorAdd(vector1, vector2) {
+        return vector1.map((val, i) => val + vector2[i]);
+    }
+
+    applyActivation(vector, activation) {
+        switch (activation) {
+            case 'relu':
+                return vector.map(x => Math.max(0, x));
+            case 'sigmoid':
+                return vector.map(x => 1 / (1 + Math.exp(-x)));
+            case 'tanh':
+                return vector.map(x => Math.tanh(x));
+            default:
+                return vector;
+        }
+    }
+
+    // Derivative expressed through the activation's output
+    activationDerivative(a, activation) {
+        switch (activation) {
+            case 'relu':
+                return a > 0 ? 1 : 0;
+            case 'sigmoid':
+                return a * (1 - a);
+            case 'tanh':
+                return 1 - a * a;
+            default:
+                return 1;
+        }
+    }
+
+    // Mean squared error over { x, y } samples
+    evaluateLoss(samples) {
+        if (samples.length === 0) return 0;
+        return samples.reduce((sum, sample) => {
+            const output = this.output(sample.x);
+            return sum + output.reduce((err, value, i) => err + (value - sample.y[i]) ** 2, 0) / output.length;
+        }, 0) / samples.length;
+    }
+
+    zeroGradients() {
+        const zeros = (value) => Array.isArray(value[0])
+            ? value.map(row => new Array(row.length).fill(0))
+            : new Array(value.length).fill(0);
+        return {
+            weights: Object.fromEntries(Object.entries(this.model.weights).map(([key, W]) => [key, zeros(W)])),
+            biases: Object.fromEntries(Object.entries(this.model.biases).map(([key, b]) => [key, zeros(b)]))
+        };
+    }
+
+    createOptimizer() {
+        return { t: 0, m: this.zeroGradients(), v: this.zeroGradients() };
+    }
+
+    // Adam update of weights and biases from gradients summed over a batch
+    adamStep(optimizer, grads, batchSize, config) {
+        optimizer.t++;
+        const { learningRate, beta1, beta2, epsilon } = config;
+        const correction1 = 1 - beta1 ** optimizer.t;
+        const correction2 = 1 - beta2 ** optimizer.t;
+
+        const update = (params, g, m, v) => {
+            for (let i = 0; i < params.length; i++) {
+                const gradient = g[i] / batchSize;
+                m[i] = beta1 * m[i] + (1 - beta1) * gradient;
+                v[i] = beta2 * v[i] + (1 - beta2) * gradient * gradient;
+                params[i] -= learningRate * (m[i] / correction1) / (Math.sqrt(v[i] / correction2) + epsilon);
+            }
+        };
+
+        ['weights', 'biases'].forEach(group => {
+            Object.keys(this.model[group]).forEach(key => {
+                const params = this.model[group][key];
+                if (Array.isArray(params[0])) {
+                    params.forEach((row, r) => update(row, grads[group][key][r], optimizer.m[group][key][r], optimizer.v[group][key][r]));
+                } else {
+                    update(params, grads[group][key], optimizer.m[group][key], optimizer.v[group][key]);
+                }
+            });
+        });
+    }
+
+    cloneParameters() {
+        return JSON.parse(JSON.stringify({ weights: this.model.weights, biases: this.model.biases }));
+    }
+
+    // Mini-batch Adam on the training set with early stopping on the validation set.
+    // Trains this.model in place and leaves it at the best validation epoch.
+    async train(training, validation, config, hooks = {}) {
+        const onProgress = hooks.onProgress || (() => {});
+        const isCancelled = hooks.isCancelled || (() => false);
+
+        // An empty validation set scores every epoch 0 and early stopping never sees an improvement
+        if (training.length === 0 || validation.length === 0) {
+            throw new Error(`Training needs samples in both sets (${training.length} training, ${validation.length} validation)`);
+        }
+
+        const history = [];
+        const optimizer = this.createOptimizer();
+        let best = { loss: this.evaluateLoss(validation), epoch: -1, parameters: this.cloneParameters() };
+        let stoppedEarly = false;
+
+        for (let epoch = 0; epoch < config.epochs; epoch++) {
+            NeuralNetwork.shuffle(training);
+
+            let trainLoss = 0;
+            for (let start = 0; start < training.length; start += config.batchSize) {
+                const batch = training.slice(start, start + config.batchSize);
+                const grads = this.zeroGradients();
+                batch.forEach(sample => {
+                    trainLoss += this.backward(this.forward(sample.x).activations, sample.y, grads);
+                });
+                this.adamStep(optimizer, grads, batch.length, config);
+            }
+            trainLoss /= training.length;
+
+            const validationLoss = this.evaluateLoss(validation);
+            history.push({ epoch, trainLoss, validationLoss });
+            onProgress({ epoch, epochs: config.epochs, trainLoss, validationLoss });
+
+            if (validationLoss < best.loss - config.minDelta) {
+                best = { loss: validationLoss, epoch, parameters: this.cloneParameters() };
+            } else if (epoch - best.epoch >= config.patience) {
+                stoppedEarly = true;
+                break;
+            }
+
+            // Yield between epochs so cancel requests (and the UI, when not in a worker) get through
+            await new Promise(resolve => setTimeout(resolve, 0));
+            if (isCancelled()) {
+                return { cancelled: true, history };
+            }
+        }
+
+        this.model.weights = best.parameters.weights;
+        this.model.biases = best.parameters.biases;
+
+        return {
+            cancelled: false,
+            history,
+            metrics: {
+                trainLoss: this.evaluateLoss(training),
+                validationLoss: best.loss,
+                bestEpoch: best.epoch,
+                epochs: history.length,
+                stoppedEarly,
+                samples: training.length + validation.length
+            }
+        };
+    }
+
+    // Deep ensemble: the model plus its model.ensemble members ({ weights, biases }, same
+    // shapes and activations). Extra members train on bootstrap resamples so that their
+    // disagreement reflects how well the data pins down the prediction. All members stop
+    // early on the one held-out validation set, which no bootstrap resample draws from.
+    static async trainEnsemble(model, training, validation, config, hooks = {}) {
+        const members = [model, ...(model.ensemble || []).map(member => ({ ...model, ...member, ensemble: undefined }))];
+        const isCancelled = hooks.isCancelled || (() => false);
+        const history = [];
+        const results = [];
+
+        for (let member = 0; member < members.length; member++) {
+            const network = new NeuralNetwork(members[member]);
+            const samples = member === 0
+                ? training.slice()
+                : training.map(() => training[Math.floor(Math.random() * training.length)]);
+
+            const result = await network.train(samples, validation, config, {
+                onProgress: (progress) => (hooks.onProgress || (() => {}))({ ...progress, member, members: members.length }),
+                isCancelled
+            });
+            history.push(...result.history.map(entry => ({ ...entry, member })));
+            if (result.cancelled) {
+                return { cancelled: true, history };
+            }
+            results.push(result.metrics);
+        }
+
+        const mean = (key) => results.reduce((sum, metrics) => sum + metrics[key], 0) / results.length;
+        const trained = {
+            ...members[0],
+            ensemble: members.length > 1 ? members.slice(1).map(({ weights, biases }) => ({ weights, biases })) : undefined
+        };
+        return {
+            cancelled: false,
+            model: trained,
+            history,
+            metrics: {
+                ...results[0],
+                trainLoss: mean('trainLoss'),
+                validationLoss: mean('validationLoss'),
+                ensembleSize: members.length
+            }
+        };
+    }
+
+    // Random weights (scaled by fan-in) and small biases for the given layer sizes
+    static initialize(inputSize, hiddenLayers, outputSize, activations, outputActivation = 'linear') {
+        const random = (rows, cols) => Array.from({ length: rows }, () =>
+            Array.from({ length: cols }, () => (Math.random() - 0.5) * 2 / Math.sqrt(cols)));
+
+        const weights = {};
+        const biases = {};
+        const sizes = [inputSize, ...hiddenLayers];
+        hiddenLayers.forEach((size, i) => {
+            weights[i === 0 ? 'input-hidden0' : `hidden${i-1}-hidden${i}`] = random(size, sizes[i]);
+            biases[`hidden${i}`] = new Array(size).fill(0.1);
+        });
+        weights[`hidden${hiddenLayers.length-1}-output`] = random(outputSize, hiddenLayers[hiddenLayers.length - 1]);
+        biases.output = new Array(outputSize).fill(0);
+
+        [...activations, outputActivation].forEach(activation => {
+            if (!ACTIVATIONS.includes(activation)) {
+                throw new Error(`Unknown activation ${activation}; expected one of ${ACTIVATIONS.join(', ')}`);
+            }
+        });
+        return { weights, biases, activations: activations.slice(), outputActivation };
+    }
+
+    static shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = Math.floor(Math.random() * (i + 1));
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+NeuralNetwork.ACTIVATIONS = ACTIVATIONS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = NeuralNetwork;
+} else {
+    // self is window on the page and the global scope inside the training worker
+    self.NeuralNetwork = NeuralNetwork;
+}
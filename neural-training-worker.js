@@ -0,0 +1,45 @@
+// Background NeuralMPC training. Runs as a Web Worker in the browser and as a
+// worker_threads worker on the server; the message protocol is the same:
+//   in:  { type: 'train', id, model, training, validation, config } | { type: 'cancel', id }
+//   out: { type: 'progress' | 'done' | 'cancelled' | 'error', id, ... }
+const isNodeWorker = typeof importScripts === 'undefined';
+const port = isNodeWorker ? require('worker_threads').parentPort : self;
+const Network = isNodeWorker ? require('./neural-network') : (importScripts('neural-network.js'), self.NeuralNetwork);
+
+const cancelled = new Set();
+
+async function train({ id, model, training, validation, config }) {
+    try {
+        const result = await Network.trainEnsemble(model, training, validation, config, {
+            onProgress: (progress) => port.postMessage({ type: 'progress', id, ...progress }),
+            isCancelled: () => cancelled.has(id)
+        });
+
+        if (result.cancelled) {
+            port.postMessage({ type: 'cancelled', id, history: result.history });
+        } else {
+            port.postMessage({ type: 'done', id, model: result.model, metrics: result.metrics, history: result.history });
+        }
+    } catch (error) {
+        port.postMessage({ type: 'error', id, message: error.message });
+    } finally {
+        cancelled.delete(id);
+    }
+}
+
+function handleMessage(message) {
+    switch (message.type) {
+        case 'train':
+            train(message);
+            break;
+        case 'cancel':
+            cancelled.add(message.id);
+            break;
+    }
+}
+
+if (isNodeWorker) {
+    port.on('message', handleMessage);
+} else {
+    port.onmessage = (event) => handleMessage(event.data);
+}
@@ -0,0 +1,243 @@
+const nodemailer = require('nodemailer');
+const axios = require('axios');
+
+const PRIORITIES = ['low', 'medium', 'high', 'critical'];
+const EVENT_TYPES = ['raised', 'cleared', 'acknowledged', 'shelved', 'unshelved', 'escalated'];
+
+const CHANNEL_DEFAULTS = {
+  enabled: true,
+  minPriority: 'high',
+  events: ['raised', 'escalated'],
+  units: null,
+  rateLimit: { max: 10, interval: 60000 },   // at most max notifications per interval (ms)
+  retry: { attempts: 3, delay: 2000 }        // delay doubles after every failed attempt
+};
+
+// Senders per channel type; each returns a function that delivers one notification or throws
+const TRANSPORTS = {
+  smtp(channel) {
+    if (!channel.host || !channel.from || !channel.to) {
+      throw new Error(`Notification channel ${channel.name}: smtp needs host, from and to`);
+    }
+    const transporter = nodemailer.createTransport({
+      host: channel.host,
+      port: channel.port || 25,
+      secure: Boolean(channel.secure),
+      ignoreTLS: !channel.secure && !channel.starttls,
+      auth: channel.auth && channel.auth.user ? channel.auth : undefined,
+      tls: { rejectUnauthorized: channel.rejectUnauthorized !== false }
+    });
+
+    const send = (notification) => transporter.sendMail({
+      from: channel.from,
+      to: channel.to,
+      subject: notification.subject,
+      text: notification.text
+    });
+    send.close = () => transporter.close();
+    return send;
+  },
+
+  webhook(channel) {
+    if (!channel.url) {
+      throw new Error(`Notification channel ${channel.name}: webhook needs a url`);
+    }
+    return (notification) => axios.post(channel.url, notification.payload, {
+      headers: channel.headers || {},
+      timeout: channel.timeout || 5000
+    });
+  },
+
+  mqtt(channel, options) {
+    return (notification) => {
+      const topic = (channel.topic || options.alertTopic).replace('{unit}', notification.payload.alarm.unit);
+      if (!options.publish(topic, notification.payload, { qos: channel.qos ?? 1, retain: Boolean(channel.retain) })) {
+        throw new Error('MQTT broker not connected');
+      }
+    };
+  }
+};
+
+// Fans alarm events out to email, webhook and MQTT channels, each with its own
+// priority filter, rate limit and retry policy. Delivery never blocks the caller.
+class Notifier {
+  constructor(options = {}) {
+    this.publish = options.publish || (() => false);
+    this.alertTopic = options.alertTopic || 'pem/alerts/{unit}';
+    this.timers = new Set();
+
+    this.channels = (options.channels || []).map((config, index) => this.buildChannel(config, index));
+  }
+
+  buildChannel(config, index) {
+    const name = config.name || `${config.type}-${index + 1}`;
+    const channel = {
+      ...CHANNEL_DEFAULTS,
+      ...config,
+      name,
+      rateLimit: { ...CHANNEL_DEFAULTS.rateLimit, ...config.rateLimit },
+      retry: { ...CHANNEL_DEFAULTS.retry, ...config.retry }
+    };
+
+    if (!TRANSPORTS[channel.type]) {
+      throw new Error(`Notification channel ${name}: type must be one of ${Object.keys(TRANSPORTS).join(', ')}`);
+    }
+    if (!PRIORITIES.includes(channel.minPriority)) {
+      throw new Error(`Notification channel ${name}: minPriority must be one of ${PRIORITIES.join(', ')}`);
+    }
+    if (!Array.isArray(channel.events) || channel.events.some(type => !EVENT_TYPES.includes(type))) {
+      throw new Error(`Notification channel ${name}: events must be a list of ${EVENT_TYPES.join(', ')}`);
+    }
+    if (!(channel.rateLimit.max >= 1 && channel.rateLimit.interval > 0)) {
+      throw new Error(`Notification channel ${name}: rateLimit needs max >= 1 and a positive interval`);
+    }
+    if (!(channel.retry.attempts >= 1 && channel.retry.delay >= 0)) {
+      throw new Error(`Notification channel ${name}: retry needs attempts >= 1 and a non-negative delay`);
+    }
+
+    channel.send = TRANSPORTS[channel.type](channel, { publish: this.publish, alertTopic: this.alertTopic });
+    channel.sentAt = [];
+    channel.suppressed = 0;
+    channel.stats = { sent: 0, failed: 0, retried: 0, suppressed: 0 };
+    channel.lastError = null;
+    channel.lastSentAt = null;
+    return channel;
+  }
+
+  // Alarm manager event hook
+  notify(event) {
+    const { alarm } = event;
+    if (alarm.shelvedUntil && event.type !== 'shelved') return;
+
+    this.channels.forEach(channel => {
+      if (!this.accepts(channel, event)) return;
+      if (!this.withinRateLimit(channel)) {
+        channel.suppressed++;
+        channel.stats.suppressed++;
+        return;
+      }
+
+      const notification = this.format(event, channel.suppressed);
+      channel.suppressed = 0;
+      this.deliver(channel, notification, 1);
+    });
+  }
+
+  accepts(channel, event) {
+    return channel.enabled &&
+      channel.events.includes(event.type) &&
+      PRIORITIES.indexOf(event.alarm.priority) >= PRIORITIES.indexOf(channel.minPriority) &&
+      (!channel.units || channel.units.includes(event.alarm.unit));
+  }
+
+  // Sliding window of send times
+  withinRateLimit(channel, now = Date.now()) {
+    channel.sentAt = channel.sentAt.filter(time => now - time < channel.rateLimit.interval);
+    if (channel.sentAt.length >= channel.rateLimit.max) return false;
+    channel.sentAt.push(now);
+    return true;
+  }
+
+  async deliver(channel, notification, attempt) {
+    try {
+      await channel.send(notification);
+      channel.stats.sent++;
+      channel.lastSentAt = new Date().toISOString();
+      return { delivered: true, attempts: attempt };
+    } catch (error) {
+      channel.lastError = { message: error.message, at: new Date().toISOString() };
+
+      if (attempt >= channel.retry.attempts) {
+        channel.stats.failed++;
+        console.error(`❌ Notification via ${channel.name} failed after ${attempt} attempts: ${error.message}`);
+        return { delivered: false, attempts: attempt, error: error.message };
+      }
+
+      channel.stats.retried++;
+      console.warn(`⚠️ Notification via ${channel.name} failed (attempt ${attempt}), retrying: ${error.message}`);
+      await this.wait(channel.retry.delay * 2 ** (attempt - 1));
+      return this.deliver(channel, notification, attempt + 1);
+    }
+  }
+
+  wait(ms) {
+    return new Promise(resolve => {
+      const timer = setTimeout(() => {
+        this.timers.delete(timer);
+        resolve();
+      }, ms);
+      this.timers.add(timer);
+    });
+  }
+
+  format(event, suppressed = 0) {
+    const { alarm } = event;
+    const subject = `[${alarm.priority.toUpperCase()}] ${alarm.unit}: ${alarm.description} ${event.type}`;
+    const lines = [
+      `Alarm ${event.type}: ${alarm.description}`,
+      `Unit: ${alarm.unit}`,
+      `Code: ${alarm.code}`,
+      `Priority: ${alarm.priority}${alarm.escalated ? ' (escalated)' : ''}`,
+      `State: ${alarm.state}`,
+      `Value: ${typeof alarm.value === 'number' ? alarm.value.toFixed(2) : '-'} (setpoint ${alarm.setpoint ?? '-'})`,
+      `Time: ${event.timestamp}`
+    ];
+    if (event.user) lines.push(`By: ${event.user}${event.reason ? ` (${event.reason})` : ''}`);
+    if (suppressed > 0) lines.push(`${suppressed} earlier notification(s) were suppressed by the rate limit`);
+
+    return {
+      subject,
+      text: lines.join('\n'),
+      payload: { ...event, suppressed }
+    };
+  }
+
+  // Send a synthetic alarm through one channel, bypassing filters and rate limits
+  async test(name, user = null) {
+    const channel = this.channels.find(entry => entry.name === name);
+    if (!channel) {
+      throw new Error(`Unknown notification channel: ${name}`);
+    }
+
+    return this.deliver(channel, this.format({
+      type: 'raised',
+      timestamp: new Date().toISOString(),
+      user: user ? user.username : null,
+      reason: 'Test notification',
+      alarm: {
+        id: 'system:NOTIFICATION_TEST',
+        unit: 'system',
+        code: 'NOTIFICATION_TEST',
+        description: 'Notification channel test',
+        priority: channel.minPriority,
+        state: 'active'
+      }
+    }), 1);
+  }
+
+  getStatus() {
+    return this.channels.map(channel => ({
+      name: channel.name,
+      type: channel.type,
+      enabled: channel.enabled,
+      minPriority: channel.minPriority,
+      events: channel.events,
+      units: channel.units,
+      rateLimit: channel.rateLimit,
+      retry: channel.retry,
+      stats: { ...channel.stats },
+      lastSentAt: channel.lastSentAt,
+      lastError: channel.lastError
+    }));
+  }
+
+  stop() {
+    this.timers.forEach(timer => clearTimeout(timer));
+    this.timers.clear();
+    this.channels.forEach(channel => channel.send.close && channel.send.close());
+  }
+}
+
+Notifier.EVENT_TYPES = EVENT_TYPES;
+
+module.exports = Notifier;
@@ -0,0 +1,263 @@
+class PEMPlantModel {
+    constructor(parameters = {}) {
+        this.constants = {
+            FARADAY: 96485.33,          // C/mol
+            GAS_CONSTANT: 8.314,        // J/(mol K)
+            MOLAR_VOLUME: 24.06,        // L/mol at 20°C, 1 atm
+            THERMONEUTRAL_VOLTAGE: 1.481 // V per cell
+        };
+
+        this.parameters = {
+            // Stack geometry
+            cellCount: 20,
+            cellArea: 100,                    // cm²
+            membraneThickness: 0.0178,        // cm (Nafion 117)
+            membraneWaterContent: 21,         // λ, fully hydrated
+
+            // Electrochemistry
+            anodeExchangeCurrent: 1e-6,       // A/cm²
+            cathodeExchangeCurrent: 0.1,      // A/cm²
+            anodeTransferCoefficient: 0.6,
+            cathodeTransferCoefficient: 0.5,
+            limitingCurrentDensity: 3.0,      // A/cm²
+            contactResistance: 0.05,          // Ω cm²
+            degradationResistance: 0,         // Ω cm², grows as the membrane ages
+            faradaicEfficiency: 0.99,
+
+            // Operating pressures
+            cathodePressure: 30,              // bar
+            anodePressure: 1,                 // bar
+
+            // Lumped thermal balance
+            heatCapacity: 40000,              // J/K
+            heatTransferCoefficient: 35,      // W/K to coolant and ambient
+            ambientTemperature: 25,           // °C
+
+            // H2 crossover into the O2 stream
+            crossoverPermeability: 1e-11,     // mol/(cm s bar) at reference temperature
+            crossoverActivationEnergy: 21000, // J/mol
+            crossoverReferenceTemperature: 65,// °C
+
+            // Gas-side dynamics
+            productionTimeConstant: 2,        // s, gas hold-up in separators
+            purityTimeConstant: 30,           // s, separator mixing
+
+            // Rated operating point used for the production percentage
+            ratedCurrent: 200,                // A
+            ...parameters
+        };
+    }
+
+    // ================= ELECTROCHEMISTRY =================
+
+    // Cell polarization curve at the given stack current (A) and temperature (°C)
+    cellVoltage(current, temperature) {
+        const p = this.parameters;
+        const { FARADAY, GAS_CONSTANT } = this.constants;
+        const T = temperature + 273.15;
+        const density = Math.max(0, current) / p.cellArea;
+
+        // Nernst equation with temperature-corrected standard potential
+        const standardPotential = 1.229 - 0.9e-3 * (T - 298.15);
+        const reversible = standardPotential +
+            (GAS_CONSTANT * T / (2 * FARADAY)) * Math.log(p.cathodePressure * Math.sqrt(p.anodePressure));
+
+        // Butler-Volmer activation overpotential at each electrode
+        const anodeActivation = (GAS_CONSTANT * T / (2 * p.anodeTransferCoefficient * FARADAY)) *
+            Math.asinh(density / (2 * p.anodeExchangeCurrent));
+        const cathodeActivation = (GAS_CONSTANT * T / (2 * p.cathodeTransferCoefficient * FARADAY)) *
+            Math.asinh(density / (2 * p.cathodeExchangeCurrent));
+
+        // Ohmic losses through the membrane plus contact and ageing resistance
+        const ohmic = density * this.areaSpecificResistance(temperature);
+
+        // Mass transport losses approaching the limiting current density
+        const utilisation = Math.min(density / p.limitingCurrentDensity, 0.999);
+        const concentration = -(GAS_CONSTANT * T / (2 * FARADAY)) * Math.log(1 - utilisation);
+
+        const activation = anodeActivation + cathodeActivation;
+
+        return {
+            reversible,
+            activation,
+            ohmic,
+            concentration,
+            total: reversible + activation + ohmic + concentration
+        };
+    }
+
+    // Membrane conductivity after Springer et al., in Ω cm²
+    areaSpecificResistance(temperature) {
+        const p = this.parameters;
+        const T = temperature + 273.15;
+        const conductivity = (0.005139 * p.membraneWaterContent - 0.00326) *
+            Math.exp(1268 * (1 / 303 - 1 / T));
+
+        return p.membraneThickness / conductivity + p.contactResistance + p.degradationResistance;
+    }
+
+    stackVoltage(current, temperature) {
+        return this.parameters.cellCount * this.cellVoltage(current, temperature).total;
+    }
+
+    // ================= PRODUCTION (FARADAY'S LAW) =================
+
+    // Hydrogen production in L/s
+    hydrogenProduction(current) {
+        const p = this.parameters;
+        const molarRate = p.faradaicEfficiency * p.cellCount * Math.max(0, current) / (2 * this.constants.FARADAY);
+        return molarRate * this.constants.MOLAR_VOLUME;
+    }
+
+    // Oxygen production in L/s
+    oxygenProduction(current) {
+        return this.hydrogenProduction(current) / 2;
+    }
+
+    // Production as a percentage of the rated hydrogen output
+    productionPercent(h2ProductionRate) {
+        return (h2ProductionRate / this.hydrogenProduction(this.parameters.ratedCurrent)) * 100;
+    }
+
+    // Current needed for a given production percentage at steady state
+    currentForProduction(percent) {
+        return (percent / 100) * this.parameters.ratedCurrent;
+    }
+
+    // ================= GAS PURITY =================
+
+    // O2 purity (%) given hydrogen crossover through the membrane
+    steadyStatePurity(current, temperature) {
+        const p = this.parameters;
+        const { FARADAY, GAS_CONSTANT } = this.constants;
+        const T = temperature + 273.15;
+        const Tref = p.crossoverReferenceTemperature + 273.15;
+
+        const permeability = p.crossoverPermeability *
+            Math.exp(-(p.crossoverActivationEnergy / GAS_CONSTANT) * (1 / T - 1 / Tref));
+        const crossover = p.cellCount * p.cellArea * permeability * p.cathodePressure / p.membraneThickness;
+        const oxygen = p.faradaicEfficiency * p.cellCount * Math.max(0, current) / (4 * FARADAY);
+
+        if (oxygen + crossover <= 0) {
+            return 0;
+        }
+
+        return (oxygen / (oxygen + crossover)) * 100;
+    }
+
+    // ================= THERMAL BALANCE =================
+
+    // Net heat flow into the stack in W
+    netHeatFlow(current, temperature) {
+        const p = this.parameters;
+        const cell = this.cellVoltage(current, temperature);
+        const generated = p.cellCount * Math.max(0, current) *
+            Math.max(0, cell.total - this.constants.THERMONEUTRAL_VOLTAGE);
+        const removed = p.heatTransferCoefficient * (temperature - p.ambientTemperature);
+
+        return generated - removed;
+    }
+
+    // ================= STATE PREDICTION =================
+
+    // Build a full model state from telemetry or partial controller state
+    normalizeState(state = {}) {
+        const current = state.current ?? state.stackCurrent ?? state.appliedCurrent ?? 150;
+        const temperature = state.temperature ?? state.cellTemperature ?? 65;
+        const h2ProductionRate = state.h2ProductionRate ??
+            (state.production !== undefined
+                ? (state.production / 100) * this.hydrogenProduction(this.parameters.ratedCurrent)
+                : this.hydrogenProduction(current));
+
+        return {
+            current,
+            temperature,
+            h2ProductionRate,
+            o2ProductionRate: state.o2ProductionRate ?? h2ProductionRate / 2,
+            production: this.productionPercent(h2ProductionRate),
+            voltage: state.voltage ?? state.stackVoltage ?? this.stackVoltage(current, temperature),
+            purity: state.purity ?? state.o2Purity ?? this.steadyStatePurity(current, temperature)
+        };
+    }
+
+    // Advance the plant by dt seconds with a constant current
+    step(state, current, dt) {
+        const p = this.parameters;
+        const x = this.normalizeState(state);
+
+        const temperature = x.temperature + (dt * this.netHeatFlow(current, x.temperature)) / p.heatCapacity;
+
+        const productionGain = 1 - Math.exp(-dt / p.productionTimeConstant);
+        const h2ProductionRate = x.h2ProductionRate +
+            productionGain * (this.hydrogenProduction(current) - x.h2ProductionRate);
+
+        const purityGain = 1 - Math.exp(-dt / p.purityTimeConstant);
+        const purity = x.purity + purityGain * (this.steadyStatePurity(current, temperature) - x.purity);
+
+        return {
+            current,
+            temperature,
+            h2ProductionRate,
+            o2ProductionRate: h2ProductionRate / 2,
+            production: this.productionPercent(h2ProductionRate),
+            voltage: this.stackVoltage(current, temperature),
+            purity
+        };
+    }
+
+    // Predict the state trajectory for a control sequence (or a constant control)
+    predict(state, controls, dt, horizon) {
+        const steps = Array.isArray(controls) ? controls.length : horizon;
+        const trajectory = [];
+        let x = this.normalizeState(state);
+
+        for (let k = 0; k < steps; k++) {
+            const u = Array.isArray(controls) ? controls[k] : controls;
+            x = this.step(x, u, dt);
+            trajectory.push(x);
+        }
+
+        return trajectory;
+    }
+
+    // Steady-state operating point for a constant current
+    steadyState(current) {
+        const p = this.parameters;
+        let temperature = p.ambientTemperature + 40;
+
+        // Fixed-point iteration on the thermal balance
+        for (let i = 0; i < 50; i++) {
+            const cell = this.cellVoltage(current, temperature);
+            const generated = p.cellCount * Math.max(0, current) *
+                Math.max(0, cell.total - this.constants.THERMONEUTRAL_VOLTAGE);
+            temperature = p.ambientTemperature + generated / p.heatTransferCoefficient;
+        }
+
+        const h2ProductionRate = this.hydrogenProduction(current);
+
+        return {
+            current,
+            temperature,
+            h2ProductionRate,
+            o2ProductionRate: h2ProductionRate / 2,
+            production: this.productionPercent(h2ProductionRate),
+            voltage: this.stackVoltage(current, temperature),
+            purity: this.steadyStatePurity(current, temperature)
+        };
+    }
+
+    setParameters(parameters) {
+        this.parameters = { ...this.parameters, ...parameters };
+    }
+
+    getParameters() {
+        return { ...this.parameters };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = PEMPlantModel;
+} else {
+    window.PEMPlantModel = PEMPlantModel;
+}
@@ -0,0 +1,171 @@
+// Operator-splitting (ADMM) solver for convex quadratic programs of the form
+//   minimize 1/2 x'Px + q'x   subject to   l <= Ax <= u
+// following the OSQP iteration with a fixed step size and a cached Cholesky factor.
+class QPSolver {
+    constructor(options = {}) {
+        this.options = {
+            maxIterations: 4000,
+            rho: 0.1,
+            sigma: 1e-6,
+            alpha: 1.6,
+            epsAbs: 1e-4,
+            epsRel: 1e-4,
+            checkInterval: 5,
+            ...options
+        };
+    }
+
+    solve(problem) {
+        const { P, q, A, l, u, warmStart = {} } = problem;
+        const { maxIterations, rho, sigma, alpha, epsAbs, epsRel, checkInterval } = this.options;
+        const n = q.length;
+        const m = A.length;
+
+        // KKT matrix P + σI + ρA'A is constant, so factor it once
+        const At = this.transpose(A, n);
+        const K = P.map((row, i) => row.map((value, j) => {
+            let sum = value + (i === j ? sigma : 0);
+            for (let r = 0; r < m; r++) {
+                sum += rho * A[r][i] * A[r][j];
+            }
+            return sum;
+        }));
+        const L = this.cholesky(K);
+
+        if (!L) {
+            return this.result('non_convex', new Array(n).fill(0), new Array(m).fill(0), 0, Infinity, Infinity, problem);
+        }
+
+        let x = warmStart.x ? [...warmStart.x] : new Array(n).fill(0);
+        let z = this.project(this.multiply(A, x), l, u);
+        let y = warmStart.y ? [...warmStart.y] : new Array(m).fill(0);
+        let primalResidual = Infinity;
+        let dualResidual = Infinity;
+
+        for (let iteration = 1; iteration <= maxIterations; iteration++) {
+            const rhs = new Array(n);
+            const ascent = z.map((zi, i) => rho * zi - y[i]);
+            const AtAscent = this.multiply(At, ascent);
+            for (let i = 0; i < n; i++) {
+                rhs[i] = sigma * x[i] - q[i] + AtAscent[i];
+            }
+
+            const xTilde = this.choleskySolve(L, rhs);
+            const zTilde = this.multiply(A, xTilde);
+
+            const xNext = xTilde.map((value, i) => alpha * value + (1 - alpha) * x[i]);
+            const zRelaxed = zTilde.map((value, i) => alpha * value + (1 - alpha) * z[i]);
+            const zNext = this.project(zRelaxed.map((value, i) => value + y[i] / rho), l, u);
+
+            y = y.map((yi, i) => yi + rho * (zRelaxed[i] - zNext[i]));
+            x = xNext;
+            z = zNext;
+
+            if (iteration % checkInterval === 0 || iteration === maxIterations) {
+                const Ax = this.multiply(A, x);
+                const Px = this.multiply(P, x);
+                const Aty = this.multiply(At, y);
+
+                primalResidual = this.normInf(Ax.map((value, i) => value - z[i]));
+                dualResidual = this.normInf(Px.map((value, i) => value + q[i] + Aty[i]));
+
+                const primalTolerance = epsAbs + epsRel * Math.max(this.normInf(Ax), this.normInf(z));
+                const dualTolerance = epsAbs + epsRel * Math.max(this.normInf(Px), this.normInf(Aty), this.normInf(q));
+
+                if (primalResidual <= primalTolerance && dualResidual <= dualTolerance) {
+                    return this.result('solved', x, y, iteration, primalResidual, dualResidual, problem);
+                }
+            }
+        }
+
+        return this.result('max_iterations', x, y, maxIterations, primalResidual, dualResidual, problem);
+    }
+
+    result(status, x, y, iterations, primalResidual, dualResidual, problem) {
+        const Px = this.multiply(problem.P, x);
+        const objective = 0.5 * this.dot(x, Px) + this.dot(problem.q, x);
+
+        return {
+            x,
+            y,
+            status,
+            converged: status === 'solved',
+            iterations,
+            primalResidual,
+            dualResidual,
+            objective
+        };
+    }
+
+    // ================= LINEAR ALGEBRA =================
+
+    cholesky(matrix) {
+        const n = matrix.length;
+        const L = Array.from({ length: n }, () => new Array(n).fill(0));
+
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = matrix[i][j];
+                for (let k = 0; k < j; k++) {
+                    sum -= L[i][k] * L[j][k];
+                }
+
+                if (i === j) {
+                    if (sum <= 0) return null;
+                    L[i][i] = Math.sqrt(sum);
+                } else {
+                    L[i][j] = sum / L[j][j];
+                }
+            }
+        }
+
+        return L;
+    }
+
+    choleskySolve(L, b) {
+        const n = b.length;
+        const y = new Array(n);
+
+        for (let i = 0; i < n; i++) {
+            let sum = b[i];
+            for (let k = 0; k < i; k++) sum -= L[i][k] * y[k];
+            y[i] = sum / L[i][i];
+        }
+
+        const x = new Array(n);
+        for (let i = n - 1; i >= 0; i--) {
+            let sum = y[i];
+            for (let k = i + 1; k < n; k++) sum -= L[k][i] * x[k];
+            x[i] = sum / L[i][i];
+        }
+
+        return x;
+    }
+
+    transpose(matrix, columns) {
+        return Array.from({ length: columns }, (_, j) => matrix.map(row => row[j]));
+    }
+
+    multiply(matrix, vector) {
+        return matrix.map(row => row.reduce((sum, value, i) => sum + value * vector[i], 0));
+    }
+
+    project(vector, lower, upper) {
+        return vector.map((value, i) => Math.max(lower[i], Math.min(upper[i], value)));
+    }
+
+    dot(a, b) {
+        return a.reduce((sum, value, i) => sum + value * b[i], 0);
+    }
+
+    normInf(vector) {
+        return vector.reduce((max, value) => Math.max(max, Math.abs(value)), 0);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QPSolver;
+} else {
+    window.QPSolver = QPSolver;
+}
@@ -0,0 +1,184 @@
+const SafetyLimits = require('./safety-limits');
+const PEMPlantModel = require('./pem-plant-model');
+
+// Commands that move the stack towards a safe state and are never blocked
+const SAFE_COMMANDS = ['STOP', 'EMERGENCY_STOP'];
+
+// Server-side interlock: watches every unit's telemetry against the configured
+// limits, filters outgoing commands and trips a latched safe shutdown. It runs
+// whether or not any dashboard is open.
+class SafetyInterlock {
+  constructor(options = {}) {
+    this.safetyLimits = new SafetyLimits(options.limits);
+    this.plantModel = new PEMPlantModel();
+    this.shutdownCommand = options.shutdownCommand || 'EMERGENCY_STOP';
+    this.onTrip = options.onTrip || (() => {});
+    this.onUpdate = options.onUpdate || (() => {});
+
+    this.units = new Map();
+  }
+
+  unitState(unit) {
+    if (!this.units.has(unit)) {
+      this.units.set(unit, {
+        unit,
+        plant: {},
+        violations: [],
+        tripped: false,
+        trip: null,
+        lastEvaluated: null,
+        stats: { clamped: 0, rejected: 0, trips: 0 }
+      });
+    }
+    return this.units.get(unit);
+  }
+
+  // Latest plant values from telemetry, keeping earlier values for fields a message omits
+  handleTelemetry(unit, data) {
+    const entry = this.unitState(unit);
+    Object.assign(entry.plant, SafetyLimits.readPlant(data));
+
+    const previousLevel = this.worstLevel(entry.violations);
+    entry.violations = this.safetyLimits.evaluate(entry.plant);
+    entry.lastEvaluated = Date.now();
+
+    const trips = entry.violations.filter(violation => violation.level === 'trip');
+    if (trips.length > 0 && !entry.tripped) {
+      this.trip(unit, trips.map(violation => violation.message).join('; '));
+    } else if (this.worstLevel(entry.violations) !== previousLevel) {
+      this.onUpdate(this.getStatus(unit));
+    }
+  }
+
+  worstLevel(violations) {
+    return ['trip', 'critical', 'warning'].find(level => violations.some(v => v.level === level)) || 'normal';
+  }
+
+  // Latch the unit and command a safe shutdown
+  trip(unit, reason) {
+    const entry = this.unitState(unit);
+    entry.tripped = true;
+    entry.trip = { reason, at: new Date().toISOString(), plant: { ...entry.plant } };
+    entry.stats.trips++;
+
+    console.error(`🛑 Safety interlock tripped on ${unit}: ${reason}`);
+    this.onTrip(unit, {
+      destination: 'arduino',
+      type: 'system_command',
+      command: this.shutdownCommand,
+      source: 'interlock',
+      reason
+    });
+    this.onUpdate(this.getStatus(unit));
+  }
+
+  // Manual reset, only once the trip condition has cleared
+  reset(unit) {
+    const entry = this.unitState(unit);
+    if (!entry.tripped) {
+      return { reset: false, reason: 'Interlock is not tripped' };
+    }
+
+    const active = entry.violations.filter(violation => violation.level === 'trip');
+    if (active.length > 0) {
+      return { reset: false, reason: `Trip condition still present: ${active.map(v => v.message).join('; ')}` };
+    }
+
+    entry.tripped = false;
+    entry.trip = null;
+    console.log(`✅ Safety interlock reset on ${unit}`);
+    this.onUpdate(this.getStatus(unit));
+    return { reset: true };
+  }
+
+  // Decide what to do with an outgoing command: allow, clamp (with a modified copy) or reject
+  check(unit, command) {
+    const entry = this.unitState(unit);
+    const { current } = this.safetyLimits.limits;
+
+    if (!command || command.type === 'performance_data' || command.type === 'control_log' || command.type === 'mpc_config') {
+      return { action: 'allow', command };
+    }
+    if (command.type === 'system_command' && SAFE_COMMANDS.includes(command.command)) {
+      return { action: 'allow', command };
+    }
+    if (entry.tripped) {
+      return this.reject(entry, `Interlock tripped: ${entry.trip.reason}. Reset required`);
+    }
+
+    const trips = entry.violations.filter(violation => violation.level === 'trip');
+    if (command.type === 'system_command' && command.command === 'START' && trips.length > 0) {
+      return this.reject(entry, `Cannot start: ${trips.map(v => v.message).join('; ')}`);
+    }
+
+    if (command.type === 'current_setpoint') {
+      const requested = Number(command.current);
+      if (!Number.isFinite(requested)) {
+        return this.reject(entry, 'Current setpoint is not a number');
+      }
+      const allowed = this.safetyLimits.clampCurrent(requested, entry.plant);
+      if (allowed !== requested) {
+        return this.clamp(entry, { ...command, current: allowed }, 'current', requested, allowed,
+          `Current limited to ${allowed}A (range ${current.min}-${this.safetyLimits.maxCurrent(entry.plant)}A)`);
+      }
+    }
+
+    if (command.type === 'setpoint') {
+      const requested = Number(command.prodRate);
+      if (!Number.isFinite(requested)) {
+        return this.reject(entry, 'Production setpoint is not a number');
+      }
+      const allowed = Math.min(Math.max(0, requested), this.maxProduction(entry.plant));
+      if (allowed !== requested) {
+        return this.clamp(entry, { ...command, prodRate: allowed }, 'prodRate', requested, allowed,
+          `Production limited to ${allowed}%`);
+      }
+    }
+
+    return { action: 'allow', command };
+  }
+
+  // Production (% of rated) reachable at the highest allowed current
+  maxProduction(plant) {
+    const maxCurrent = this.safetyLimits.maxCurrent(plant);
+    return Math.min(100, Math.floor(this.plantModel.productionPercent(this.plantModel.hydrogenProduction(maxCurrent))));
+  }
+
+  clamp(entry, command, field, requested, allowed, reason) {
+    entry.stats.clamped++;
+    console.warn(`⚠️ Interlock clamped ${command.type} on ${entry.unit}: ${reason}`);
+    return { action: 'clamp', command, reason, clamped: { field, requested, allowed } };
+  }
+
+  reject(entry, reason) {
+    entry.stats.rejected++;
+    console.warn(`⛔ Interlock rejected command on ${entry.unit}: ${reason}`);
+    return { action: 'reject', command: null, reason };
+  }
+
+  isTripped(unit) {
+    return this.units.has(unit) && this.units.get(unit).tripped;
+  }
+
+  getStatus(unit) {
+    const entry = this.unitState(unit);
+    return {
+      unit,
+      tripped: entry.tripped,
+      trip: entry.trip,
+      level: entry.tripped ? 'trip' : this.worstLevel(entry.violations),
+      violations: entry.violations,
+      plant: { ...entry.plant },
+      maxCurrent: this.safetyLimits.maxCurrent(entry.plant),
+      limits: this.safetyLimits.getLimits(),
+      lastEvaluated: entry.lastEvaluated ? new Date(entry.lastEvaluated).toISOString() : null,
+      stats: { ...entry.stats }
+    };
+  }
+
+  list() {
+    return Array.from(this.units.keys()).sort().map(unit => this.getStatus(unit));
+  }
+}
+
+module.exports = SafetyInterlock;
@@ -0,0 +1,129 @@
+// Single definition of the PEM stack operating limits, shared by the server
+// interlock, the MPC algorithms and the dashboard indicators.
+const DEFAULT_SAFETY_LIMITS = {
+    current: {
+        min: 100,   // A
+        max: 200    // A
+    },
+    temperature: {
+        warning: 75,    // °C - derate current
+        critical: 78,   // °C - derate further
+        trip: 80        // °C - safe shutdown
+    },
+    voltage: {
+        warning: 42,    // V stack voltage - derate current
+        trip: 45        // V - safe shutdown
+    },
+    purity: {
+        warning: 99.3,  // % O2 - derate current
+        trip: 99.0      // % - safe shutdown
+    },
+    // Maximum current (A) while a warning level is exceeded
+    derating: {
+        temperatureWarning: 150,
+        temperatureCritical: 120,
+        voltageWarning: 160,
+        purityWarning: 140
+    }
+};
+
+class SafetyLimits {
+    constructor(limits = {}) {
+        this.limits = SafetyLimits.merge(DEFAULT_SAFETY_LIMITS, limits);
+    }
+
+    static merge(base, override) {
+        const result = { ...base };
+        Object.entries(override || {}).forEach(([key, value]) => {
+            result[key] = value && typeof value === 'object' && !Array.isArray(value)
+                ? { ...base[key], ...value }
+                : value;
+        });
+        return result;
+    }
+
+    // Highest current allowed for the given plant state (derating applied)
+    maxCurrent(state = {}) {
+        const { current, temperature, voltage, purity, derating } = this.limits;
+        let maxCurrent = current.max;
+
+        if (state.temperature > temperature.warning) maxCurrent = Math.min(maxCurrent, derating.temperatureWarning);
+        if (state.temperature > temperature.critical) maxCurrent = Math.min(maxCurrent, derating.temperatureCritical);
+        if (state.voltage > voltage.warning) maxCurrent = Math.min(maxCurrent, derating.voltageWarning);
+        if (state.purity < purity.warning) maxCurrent = Math.min(maxCurrent, derating.purityWarning);
+
+        return Math.max(current.min, maxCurrent);
+    }
+
+    clampCurrent(control, state = {}) {
+        return Math.max(this.limits.current.min, Math.min(this.maxCurrent(state), control));
+    }
+
+    // Limit violations for a plant state, worst first
+    evaluate(state = {}) {
+        const { temperature, voltage, purity } = this.limits;
+        const violations = [];
+        const check = (variable, value, level, exceeded, limit, unit) => {
+            if (value !== undefined && value !== null && exceeded) {
+                violations.push({ variable, value, limit, level, message: `${variable} ${value.toFixed(2)}${unit} beyond ${level} limit ${limit}${unit}` });
+            }
+        };
+
+        check('temperature', state.temperature, 'trip', state.temperature > temperature.trip, temperature.trip, '°C');
+        check('voltage', state.voltage, 'trip', state.voltage > voltage.trip, voltage.trip, 'V');
+        check('purity', state.purity, 'trip', state.purity < purity.trip, purity.trip, '%');
+
+        if (!violations.some(v => v.variable === 'temperature')) {
+            check('temperature', state.temperature, 'critical', state.temperature > temperature.critical, temperature.critical, '°C');
+        }
+        if (!violations.some(v => v.variable === 'temperature')) {
+            check('temperature', state.temperature, 'warning', state.temperature > temperature.warning, temperature.warning, '°C');
+        }
+        if (!violations.some(v => v.variable === 'voltage')) {
+            check('voltage', state.voltage, 'warning', state.voltage > voltage.warning, voltage.warning, 'V');
+        }
+        if (!violations.some(v => v.variable === 'purity')) {
+            check('purity', state.purity, 'warning', state.purity < purity.warning, purity.warning, '%');
+        }
+
+        return violations;
+    }
+
+    // good / warning / critical classification for the dashboard indicators
+    indicatorStatus(variable, value) {
+        const limit = this.limits[variable];
+        if (!limit || value === undefined || value === null) return null;
+
+        if (variable === 'purity') {
+            if (value < limit.trip) return 'critical';
+            return value < limit.warning ? 'warning' : 'good';
+        }
+        if (value > limit.trip) return 'critical';
+        return value > limit.warning ? 'warning' : 'good';
+    }
+
+    // Limit-relevant plant values from a telemetry message; fields it lacks are omitted
+    static readPlant(data = {}) {
+        const reading = {
+            current: data.stackCurrent ?? data.appliedCurrent ?? data.current,
+            temperature: data.cellTemperature ?? data.temperature,
+            voltage: data.stackVoltage ?? data.voltage,
+            purity: data.o2Purity ?? data.purity
+        };
+        return Object.fromEntries(Object.entries(reading).filter(([, value]) =>
+            typeof value === 'number' && Number.isFinite(value)));
+    }
+
+    getLimits() {
+        return JSON.parse(JSON.stringify(this.limits));
+    }
+}
+
+SafetyLimits.DEFAULTS = DEFAULT_SAFETY_LIMITS;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SafetyLimits;
+} else {
+    window.SafetyLimits = SafetyLimits;
+}
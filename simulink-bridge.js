@@ -32,7 +32,7 @@ class SimulinkBridge {
     setupDataHandlers() {
         // Handle incoming MATLAB/Simulink data
         if (window.mqttClient) {
-            window.mqttClient.socket.on('matlab-update', (data) => {
+            window.mqttClient.on('matlab-update', (data) => {
                 this.handleSimulinkData(data);
             });
         }
@@ -0,0 +1,184 @@
+// Stack ageing for maintenance planning: reference voltage drift, step changes, polarization
+// fits and remaining useful life of the selected unit, from /api/health/stack.
+const HEALTH_STATUS_LABELS = {
+    'healthy': 'Healthy',
+    'degrading': 'Degrading',
+    'plan-replacement': 'Plan replacement',
+    'end-of-life': 'End of life',
+    'insufficient-data': 'Insufficient data'
+};
+
+class StackHealthPanel {
+    constructor() {
+        this.report = null;
+        this.chart = null;
+        this.visible = false;
+
+        this.init();
+    }
+
+    init() {
+        document.getElementById('stack-health-toggle')?.addEventListener('click', () => {
+            this.toggle();
+        });
+
+        document.getElementById('stack-health-refresh')?.addEventListener('click', () => {
+            this.refresh(true);
+        });
+    }
+
+    toggle() {
+        this.visible = !this.visible;
+        const panel = document.getElementById('stack-health');
+        if (panel) {
+            panel.hidden = !this.visible;
+        }
+        if (this.visible) {
+            this.refresh();
+        }
+    }
+
+    async refresh(reanalyse = false) {
+        if (!window.authClient || !this.visible) return;
+
+        const params = new URLSearchParams();
+        if (window.mqttClient && window.mqttClient.unit) params.set('unit', window.mqttClient.unit);
+        if (reanalyse) params.set('refresh', '1');
+
+        try {
+            const response = await window.authClient.fetch(`/api/health/stack?${params}`);
+            const result = await response.json();
+            if (!response.ok) {
+                window.mqttClient?.showNotification(`Stack health: ${result.error}`, 'error');
+                return;
+            }
+            this.report = result;
+            this.render();
+        } catch (error) {
+            console.error('Failed to load stack health:', error);
+        }
+    }
+
+    render() {
+        const report = this.report;
+        const meta = document.getElementById('stack-health-meta');
+        if (meta) {
+            meta.textContent = `${report.unit} · ${report.samples} samples · analysed ${new Date(report.analysedAt).toLocaleString()}`;
+        }
+
+        this.renderSummary(report);
+        this.renderChart(report);
+        this.renderDetails(report);
+    }
+
+    renderSummary(report) {
+        const summary = document.getElementById('stack-health-summary');
+        if (!summary) return;
+
+        const card = (value, label, className = '') =>
+            `<div class="health-card ${className}"><div class="health-value">${value}</div><div class="health-label">${label}</div></div>`;
+        const rul = report.remainingLife;
+        const cards = [card(HEALTH_STATUS_LABELS[report.status] || report.status, 'Status', report.status)];
+
+        if (report.referenceVoltage !== undefined && report.referenceVoltage !== null) {
+            cards.push(
+                card(`${report.referenceCellVoltage.toFixed(3)} V`, `Cell voltage at ${report.referenceCurrent} A, ${report.referenceTemperature} °C (EOL ${(report.eolVoltage / report.cellCount).toFixed(2)} V)`),
+                card(report.driftPerCellMicrovoltsPerHour !== null
+                    ? `${report.driftPerCellMicrovoltsPerHour.toFixed(1)} µV/h`
+                    : '—', `Drift per cell${report.driftUncertainty !== null ? ` (± ${(2 * report.driftUncertainty / report.cellCount).toFixed(1)})` : ''}`),
+                card(rul && rul.hours !== null ? this.formatHours(rul.hours) : '—',
+                    rul && rul.endOfLife ? `Remaining life, EOL ${new Date(rul.endOfLife).toLocaleDateString()}` : (rul && rul.note) || 'Remaining life')
+            );
+        }
+        if (report.estimatedDegradation) {
+            cards.push(card(`${(report.estimatedDegradation.resistance * 1000).toFixed(1)} mΩ·cm²`, 'Live degradation estimate'));
+        }
+
+        summary.innerHTML = cards.join('') + (report.message ? `<div class="health-label">${report.message}</div>` : '');
+    }
+
+    renderChart(report) {
+        const canvas = document.getElementById('stack-health-chart');
+        if (!canvas || typeof Chart === 'undefined') return;
+
+        if (!this.chart) {
+            this.chart = new Chart(canvas.getContext('2d'), {
+                type: 'line',
+                data: {
+                    labels: [],
+                    datasets: [
+                        {
+                            label: 'Stack voltage at reference (V)',
+                            data: [],
+                            borderColor: '#9b59b6',
+                            borderWidth: 2,
+                            pointRadius: 2
+                        },
+                        {
+                            label: 'End of life (V)',
+                            data: [],
+                            borderColor: '#e74c3c',
+                            borderDash: [6, 4],
+                            borderWidth: 1,
+                            pointRadius: 0
+                        }
+                    ]
+                },
+                options: {
+                    responsive: true,
+                    maintainAspectRatio: false,
+                    animation: false,
+                    scales: {
+                        y: { title: { display: true, text: 'Voltage (V)' } }
+                    }
+                }
+            });
+        }
+
+        const points = report.referenceVoltages || [];
+        this.chart.data.labels = points.map(point => new Date(point.time).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit' }));
+        this.chart.data.datasets[0].data = points.map(point => point.voltage);
+        this.chart.data.datasets[1].data = points.map(() => report.eolVoltage);
+        this.chart.update('none');
+    }
+
+    renderDetails(report) {
+        const details = document.getElementById('stack-health-details');
+        if (!details) return;
+
+        const steps = report.steps || [];
+        const curves = (report.polarization && report.polarization.curves) || [];
+        details.innerHTML = `
+            <h3>Step changes</h3>
+            ${steps.length === 0 ? '<p>None detected</p>' : `<ul>${steps.map(step =>
+                `<li>${new Date(step.time).toLocaleString()}: ${step.size > 0 ? '+' : ''}${step.size.toFixed(2)} V (${step.kind})</li>`).join('')}</ul>`}
+            <h3>Polarization curve fits</h3>
+            ${curves.length === 0 ? '<p>No day spanned enough current for its own fit</p>' : `
+            <table class="model-table">
+                <thead><tr><th>Day</th><th>Samples</th><th>Tafel term (V)</th><th>Resistance (Ω)</th><th>Temperature (V/°C)</th><th>V at ${report.referenceCurrent} A</th><th>RMS (V)</th></tr></thead>
+                <tbody>${curves.map(curve => `
+                    <tr>
+                        <td>${new Date(curve.start).toLocaleDateString()}</td>
+                        <td>${curve.samples}</td>
+                        <td>${curve.tafel.toFixed(3)}</td>
+                        <td>${curve.resistance.toFixed(4)}</td>
+                        <td>${curve.temperatureCoefficient.toFixed(3)}</td>
+                        <td>${curve.referenceVoltage.toFixed(2)}</td>
+                        <td>${curve.rms.toFixed(3)}</td>
+                    </tr>`).join('')}
+                </tbody>
+            </table>`}
+        `;
+    }
+
+    formatHours(hours) {
+        if (hours < 48) return `${hours.toFixed(0)} h`;
+        if (hours < 24 * 60) return `${(hours / 24).toFixed(0)} days`;
+        return `${(hours / (24 * 365)).toFixed(1)} years`;
+    }
+}
+
+// Initialize stack health panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.stackHealthPanel = new StackHealthPanel();
+});
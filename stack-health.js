@@ -0,0 +1,309 @@
+const PEMPlantModel = require('./pem-plant-model');
+
+const HOUR = 60 * 60 * 1000;
+const MAX_LIFE_HOURS = 20 * 365 * 24; // drift too small to project a life from
+
+const DEFAULTS = {
+  lookback: 30 * 24 * HOUR,     // ms of history analysed
+  sampleInterval: 60000,        // ms the telemetry is averaged over before fitting
+  window: 6 * HOUR,             // ms per reference-voltage point
+  curveWindow: 24 * HOUR,       // ms per polarization curve fit
+  minPoints: 10,                // samples a window needs
+  minCurrent: 20,               // A; idle samples carry no polarization information
+  curveCurrentSpan: 40,         // A of current range a window needs for its own curve fit
+  referenceCurrent: 150,        // A at which the voltage drift is tracked
+  referenceTemperature: 65,     // °C the voltage is corrected to
+  eolCellVoltage: 2.1,          // V per cell at the reference current marking end of life
+  rulWarning: 2000,             // h of remaining life below which the stack needs planning
+  stepThreshold: 0.3,           // V stack, smallest reference-voltage jump reported as a step
+  cacheTtl: 10 * 60 * 1000      // ms an analysis is reused
+};
+
+// Least squares for a few parameters through the normal equations
+function leastSquares(rows, targets) {
+  const n = rows[0].length;
+  const A = Array.from({ length: n }, () => new Array(n + 1).fill(0));
+  rows.forEach((row, k) => {
+    for (let i = 0; i < n; i++) {
+      for (let j = 0; j < n; j++) A[i][j] += row[i] * row[j];
+      A[i][n] += row[i] * targets[k];
+    }
+  });
+
+  for (let col = 0; col < n; col++) {
+    let pivot = col;
+    for (let row = col + 1; row < n; row++) {
+      if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+    }
+    if (Math.abs(A[pivot][col]) < 1e-12) return null;
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    for (let row = 0; row < n; row++) {
+      if (row === col) continue;
+      const factor = A[row][col] / A[col][col];
+      for (let j = col; j <= n; j++) A[row][j] -= factor * A[col][j];
+    }
+  }
+  return A.map((row, i) => row[n] / row[i]);
+}
+
+function linearTrend(points) {
+  const count = points.length;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / count;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / count;
+  const sxx = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (count < 3 || sxx === 0) return null;
+
+  const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / sxx;
+  const intercept = meanY - slope * meanX;
+  const residual = points.reduce((sum, p) => sum + (p.y - intercept - slope * p.x) ** 2, 0);
+  const slopeError = Math.sqrt(residual / (count - 2) / sxx);
+  return { slope, intercept, slopeError };
+}
+
+const median = (values) => {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+};
+
+// Stack ageing from historical telemetry: the polarization curve fitted over time, the
+// stack voltage at a reference current and temperature with its drift and step changes,
+// and the remaining useful life until that voltage reaches end of life.
+class StackHealth {
+  constructor(options = {}) {
+    this.historian = options.historian;
+    this.config = { ...DEFAULTS, ...options.config };
+    this.plantModel = new PEMPlantModel();
+    this.cellCount = this.plantModel.parameters.cellCount;
+    this.cache = new Map(); // unit -> { analysedAt, report }
+    this.inflight = new Map(); // unit -> analysis promise shared by concurrent callers
+  }
+
+  // Cached report of a unit's telemetry topic unless it is older than cacheTtl; a refresh
+  // while an analysis is running waits for that one instead of starting another
+  async report(unit, topic, { refresh = false } = {}) {
+    const cached = this.cache.get(unit);
+    if (!refresh && cached && Date.now() - cached.analysedAt < this.config.cacheTtl) {
+      return cached.report;
+    }
+
+    if (!this.inflight.has(unit)) {
+      this.inflight.set(unit, this.analyseHistory(unit, topic).finally(() => this.inflight.delete(unit)));
+    }
+    return this.inflight.get(unit);
+  }
+
+  // The historian averages into sampleInterval buckets while streaming, so memory stays
+  // at one point per bucket however dense the raw telemetry is
+  async analyseHistory(unit, topic) {
+    const to = Date.now();
+    const points = await this.historian.query({
+      topic,
+      from: to - this.config.lookback,
+      to,
+      downsample: this.config.sampleInterval,
+      limit: Math.ceil(this.config.lookback / this.config.sampleInterval)
+    });
+
+    const report = { unit, ...this.analyse(this.samples(points), to) };
+    this.cache.set(unit, { analysedAt: to, report });
+    return report;
+  }
+
+  samples(points) {
+    return points
+      .map(point => ({
+        t: Date.parse(point.timestamp),
+        current: point.data.stackCurrent ?? point.data.appliedCurrent,
+        voltage: point.data.stackVoltage,
+        temperature: point.data.cellTemperature ?? point.data.temperature ?? this.config.referenceTemperature
+      }))
+      .filter(sample => Number.isFinite(sample.current) && Number.isFinite(sample.voltage) &&
+        Number.isFinite(sample.temperature) && sample.current >= this.config.minCurrent);
+  }
+
+  // Stack voltage model V = E + b ln(I) + R I + k (T - Tref), linear in its parameters
+  curveRow(sample) {
+    return [Math.log(sample.current), sample.current, sample.temperature - this.config.referenceTemperature];
+  }
+
+  fitCurve(samples) {
+    // Without a temperature spread its coefficient is not identifiable and stays at zero
+    const temperatures = samples.map(sample => sample.temperature);
+    const columns = Math.max(...temperatures) - Math.min(...temperatures) >= 1 ? 4 : 3;
+    const fit = leastSquares(samples.map(sample => [1, ...this.curveRow(sample)].slice(0, columns)), samples.map(sample => sample.voltage));
+    if (!fit) return null;
+    const parameters = columns === 4 ? fit : [...fit, 0];
+
+    const [offset, tafel, resistance, temperatureCoefficient] = parameters;
+    const rms = Math.sqrt(samples.reduce((sum, sample) =>
+      sum + (sample.voltage - offset - this.curveRow(sample).reduce((v, x, i) => v + x * parameters[i + 1], 0)) ** 2, 0) / samples.length);
+    return { offset, tafel, resistance, temperatureCoefficient, rms };
+  }
+
+  // One curve shape for the whole period, the plant model's polarization curve scaled by a
+  // plus extra resistance r, with its own offset per window so ageing and steps move the
+  // offsets without bending the shape
+  fitShape(windows) {
+    const rows = [];
+    const targets = [];
+    windows.forEach(([, windowSamples], w) => {
+      windowSamples.forEach(sample => {
+        const offsets = new Array(windows.length).fill(0);
+        offsets[w] = 1;
+        rows.push([this.plantModel.stackVoltage(sample.current, sample.temperature), sample.current, ...offsets]);
+        targets.push(sample.voltage);
+      });
+    });
+
+    const parameters = leastSquares(rows, targets);
+    if (!parameters) return null;
+
+    const [scale, resistance, ...offsets] = parameters;
+    const rms = Math.sqrt(rows.reduce((sum, row, k) =>
+      sum + (targets[k] - row.reduce((v, x, i) => v + x * parameters[i], 0)) ** 2, 0) / rows.length);
+    return { scale, resistance, offsets, rms };
+  }
+
+  currentSpan(samples) {
+    const currents = samples.map(sample => sample.current);
+    return Math.max(...currents) - Math.min(...currents);
+  }
+
+  voltageAt(curve, current) {
+    return curve.offset + curve.tafel * Math.log(current) + curve.resistance * current;
+  }
+
+  groupByWindow(samples, size) {
+    const windows = new Map();
+    samples.forEach(sample => {
+      const start = Math.floor(sample.t / size) * size;
+      if (!windows.has(start)) windows.set(start, []);
+      windows.get(start).push(sample);
+    });
+    return Array.from(windows.entries()).sort(([a], [b]) => a - b);
+  }
+
+  analyse(samples, now = Date.now()) {
+    const config = this.config;
+    const eolVoltage = config.eolCellVoltage * this.cellCount;
+    const base = {
+      analysedAt: new Date(now).toISOString(),
+      samples: samples.length,
+      referenceCurrent: config.referenceCurrent,
+      referenceTemperature: config.referenceTemperature,
+      eolVoltage,
+      cellCount: this.cellCount
+    };
+
+    if (samples.length < config.minPoints) {
+      return { ...base, status: 'insufficient-data', message: 'Not enough telemetry with the stack under load' };
+    }
+
+    // Shape of the polarization curve fitted across the windows, or the plant model's as is
+    // when the stack ran at too few currents within them; each window sits on it at its own offset
+    const windows = this.groupByWindow(samples, config.window).filter(([, windowSamples]) => windowSamples.length >= config.minPoints);
+    const spanned = windows.filter(([, windowSamples]) => this.currentSpan(windowSamples) >= config.curveCurrentSpan / 2).length;
+    const fitted = windows.length > 0 && spanned >= Math.min(3, windows.length) ? this.fitShape(windows) : null;
+    const shapeVoltage = fitted
+      ? (current, temperature) => fitted.scale * this.plantModel.stackVoltage(current, temperature) + fitted.resistance * current
+      : (current, temperature) => this.plantModel.stackVoltage(current, temperature);
+
+    const curves = this.groupByWindow(samples, config.curveWindow)
+      .filter(([, windowSamples]) => windowSamples.length >= config.minPoints && this.currentSpan(windowSamples) >= config.curveCurrentSpan)
+      .map(([start, windowSamples]) => {
+        const curve = this.fitCurve(windowSamples);
+        return curve && { start: new Date(start).toISOString(), samples: windowSamples.length, ...curve, referenceVoltage: this.voltageAt(curve, config.referenceCurrent) };
+      })
+      .filter(Boolean);
+
+    const referenceVoltages = windows
+      .map(([start, windowSamples], w) => {
+        const offset = fitted ? fitted.offsets[w] : windowSamples.reduce((sum, sample) =>
+          sum + sample.voltage - shapeVoltage(sample.current, sample.temperature), 0) / windowSamples.length;
+        return {
+          time: new Date(start + config.window / 2).toISOString(),
+          t: start + config.window / 2,
+          voltage: offset + shapeVoltage(config.referenceCurrent, config.referenceTemperature),
+          samples: windowSamples.length
+        };
+      });
+
+    const steps = this.detectSteps(referenceVoltages);
+    const lastStep = steps.length > 0 ? Date.parse(steps[steps.length - 1].time) : -Infinity;
+    const sinceStep = referenceVoltages.filter(point => point.t >= lastStep);
+    const trend = linearTrend(sinceStep.map(point => ({ x: (point.t - now) / HOUR, y: point.voltage })));
+
+    const latest = referenceVoltages[referenceVoltages.length - 1];
+    const currentVoltage = trend ? trend.intercept : latest && latest.voltage;
+    const drift = trend ? trend.slope : null; // V/h
+    const rul = this.remainingLife(currentVoltage, eolVoltage, trend);
+
+    let status = 'healthy';
+    if (currentVoltage >= eolVoltage) status = 'end-of-life';
+    else if (rul.hours !== null && rul.hours < config.rulWarning) status = 'plan-replacement';
+    else if (drift !== null && drift > 0 && trend.slope > 2 * trend.slopeError) status = 'degrading';
+    else if (!trend) status = 'insufficient-data';
+
+    return {
+      ...base,
+      status,
+      referenceVoltage: currentVoltage,
+      referenceCellVoltage: currentVoltage / this.cellCount,
+      driftMicrovoltsPerHour: drift !== null ? drift * 1e6 : null,
+      driftPerCellMicrovoltsPerHour: drift !== null ? drift * 1e6 / this.cellCount : null,
+      driftUncertainty: trend ? trend.slopeError * 1e6 : null,
+      remainingLife: rul,
+      steps,
+      polarization: {
+        shape: fitted ? 'fitted' : 'plant-model',
+        overall: fitted && { scale: fitted.scale, resistance: fitted.resistance, rms: fitted.rms },
+        curves
+      },
+      referenceVoltages: referenceVoltages.map(({ time, voltage, samples: count }) => ({ time, voltage, samples: count }))
+    };
+  }
+
+  // Jumps between consecutive reference voltages beyond both the threshold and five
+  // robust standard deviations of the window-to-window scatter
+  detectSteps(points) {
+    if (points.length < 4) return [];
+    const differences = points.slice(1).map((point, i) => point.voltage - points[i].voltage);
+    const center = median(differences);
+    const spread = 1.4826 * median(differences.map(difference => Math.abs(difference - center)));
+    const threshold = Math.max(this.config.stepThreshold, 5 * spread);
+
+    return differences
+      .map((difference, i) => ({ difference, point: points[i + 1] }))
+      .filter(({ difference }) => Math.abs(difference - center) > threshold)
+      .map(({ difference, point }) => ({
+        time: point.time,
+        size: difference,
+        kind: difference > 0 ? 'loss' : 'recovery'
+      }));
+  }
+
+  // Hours until the reference voltage reaches end of life at the fitted drift, with the
+  // range from the drift's two standard errors
+  remainingLife(voltage, eolVoltage, trend) {
+    if (voltage === undefined || voltage === null) return { hours: null, endOfLife: null, range: null };
+    if (voltage >= eolVoltage) return { hours: 0, endOfLife: new Date().toISOString(), range: [0, 0] };
+    const margin = eolVoltage - voltage;
+    if (!trend || !(margin / trend.slope > 0 && margin / trend.slope < MAX_LIFE_HOURS)) {
+      return { hours: null, endOfLife: null, range: null, note: 'No measurable upward voltage drift' };
+    }
+
+    const hours = margin / trend.slope;
+    const fastest = trend.slope + 2 * trend.slopeError;
+    const slowest = trend.slope - 2 * trend.slopeError;
+    return {
+      hours,
+      endOfLife: new Date(Date.now() + hours * HOUR).toISOString(),
+      range: [margin / fastest, slowest > 0 && margin / slowest < MAX_LIFE_HOURS ? margin / slowest : null]
+    };
+  }
+}
+
+StackHealth.DEFAULTS = DEFAULTS;
+
+module.exports = StackHealth;
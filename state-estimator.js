@@ -0,0 +1,347 @@
+const EstimatorPlantModel = typeof require === 'function' ? require('./pem-plant-model') : window.PEMPlantModel;
+
+// Plant state estimation from noisy, gappy Arduino telemetry. An extended Kalman filter
+// on the physics model fuses whichever sensors reported; membrane degradation, which no
+// sensor measures, is a random-walk state observed through the stack voltage. The
+// optional moving-horizon mode re-fits the last samples with the filter as arrival cost.
+const STATES = ['temperature', 'h2ProductionRate', 'purity', 'degradationResistance'];
+
+// Telemetry field -> measured quantity; the first field present wins
+const MEASUREMENTS = {
+    temperature: ['cellTemperature', 'temperature'],
+    h2ProductionRate: ['h2ProductionRate'],
+    voltage: ['stackVoltage'],
+    purity: ['o2Purity']
+};
+
+const DEFAULT_ESTIMATOR = {
+    mode: 'ekf',                   // ekf | mhe
+    window: 20,                    // samples re-fitted by the MHE
+    maxStep: 1,                    // s per prediction step
+    maxGap: 600,                   // s without telemetry before the filter restarts
+    gate: 5,                       // standard deviations before a reading is rejected as an outlier
+    processNoise: {                // standard deviation growth per second
+        temperature: 0.05,         // °C
+        h2ProductionRate: 0.002,   // L/s
+        purity: 0.01,              // %
+        degradationResistance: 1e-5 // Ω cm²
+    },
+    measurementNoise: {            // sensor standard deviation
+        temperature: 0.5,
+        h2ProductionRate: 0.005,
+        voltage: 0.2,              // V
+        purity: 0.05
+    },
+    initialUncertainty: {
+        temperature: 5,
+        h2ProductionRate: 0.05,
+        purity: 0.5,
+        degradationResistance: 0.05
+    }
+};
+
+// Small dense matrix helpers (state dimension is 4)
+const transpose = (A) => A[0].map((_, j) => A.map(row => row[j]));
+const multiply = (A, B) => A.map(row => B[0].map((_, j) => row.reduce((sum, value, k) => sum + value * B[k][j], 0)));
+const add = (A, B) => A.map((row, i) => row.map((value, j) => value + B[i][j]));
+const identity = (n) => Array.from({ length: n }, (_, i) => Array.from({ length: n }, (_, j) => (i === j ? 1 : 0)));
+const diagonal = (values) => values.map((value, i) => values.map((_, j) => (i === j ? value : 0)));
+
+// Gauss-Jordan inverse with partial pivoting
+function invert(matrix) {
+    const n = matrix.length;
+    const A = matrix.map((row, i) => [...row, ...identity(n)[i]]);
+    for (let col = 0; col < n; col++) {
+        let pivot = col;
+        for (let row = col + 1; row < n; row++) {
+            if (Math.abs(A[row][col]) > Math.abs(A[pivot][col])) pivot = row;
+        }
+        if (Math.abs(A[pivot][col]) < 1e-300) throw new Error('Singular matrix');
+        [A[col], A[pivot]] = [A[pivot], A[col]];
+        const scale = A[col][col];
+        A[col] = A[col].map(value => value / scale);
+        for (let row = 0; row < n; row++) {
+            if (row !== col) {
+                const factor = A[row][col];
+                A[row] = A[row].map((value, j) => value - factor * A[col][j]);
+            }
+        }
+    }
+    return A.map(row => row.slice(n));
+}
+
+class StateEstimator {
+    constructor(options = {}) {
+        this.config = {
+            ...DEFAULT_ESTIMATOR,
+            ...options,
+            processNoise: { ...DEFAULT_ESTIMATOR.processNoise, ...options.processNoise },
+            measurementNoise: { ...DEFAULT_ESTIMATOR.measurementNoise, ...options.measurementNoise },
+            initialUncertainty: { ...DEFAULT_ESTIMATOR.initialUncertainty, ...options.initialUncertainty }
+        };
+        this.plantModel = new EstimatorPlantModel(options.plantParameters);
+        this.reset();
+    }
+
+    reset() {
+        this.x = null;
+        this.P = null;
+        this.current = null;
+        this.updatedAt = null;
+        this.history = []; // MHE window: { prior, covariance, current, dt, measured }
+        this.stats = { samples: 0, dropouts: 0, rejected: 0, restarts: 0 };
+        this.lastEstimate = null;
+    }
+
+    // ================= MODEL =================
+
+    // One model step from the state vector with the given current
+    transition(x, current, dt) {
+        this.plantModel.parameters.degradationResistance = Math.max(0, x[3]);
+        const next = this.plantModel.step({ temperature: x[0], h2ProductionRate: x[1], purity: x[2], current }, current, dt);
+        return [next.temperature, next.h2ProductionRate, next.purity, x[3]];
+    }
+
+    // Expected sensor readings for a state vector
+    observe(x, current) {
+        this.plantModel.parameters.degradationResistance = Math.max(0, x[3]);
+        return {
+            temperature: x[0],
+            h2ProductionRate: x[1],
+            voltage: this.plantModel.stackVoltage(current, x[0]),
+            purity: x[2]
+        };
+    }
+
+    // Finite-difference Jacobian of fn at x; fn returns a vector
+    jacobian(fn, x) {
+        const base = fn(x);
+        const columns = x.map((value, j) => {
+            const delta = 1e-6 * Math.max(1, Math.abs(value)) + (j === 3 ? 1e-6 : 0);
+            const perturbed = [...x];
+            perturbed[j] += delta;
+            return fn(perturbed).map((output, i) => (output - base[i]) / delta);
+        });
+        return base.map((_, i) => columns.map(column => column[i]));
+    }
+
+    // Measured values present and finite in a telemetry message
+    readMeasurements(data) {
+        const measured = {};
+        Object.entries(MEASUREMENTS).forEach(([name, fields]) => {
+            const field = fields.find(key => Number.isFinite(data[key]));
+            if (field) measured[name] = data[field];
+        });
+        return measured;
+    }
+
+    // ================= FILTER =================
+
+    // First estimate straight from the readings, with the model filling the gaps
+    initialize(measured, current) {
+        const steady = this.plantModel.steadyState(current);
+        this.x = [
+            measured.temperature ?? steady.temperature,
+            measured.h2ProductionRate ?? this.plantModel.hydrogenProduction(current),
+            measured.purity ?? steady.purity,
+            this.plantModel.parameters.degradationResistance
+        ];
+        this.P = diagonal(STATES.map(state => this.config.initialUncertainty[state] ** 2));
+    }
+
+    predict(dt, current) {
+        let remaining = dt;
+        while (remaining > 1e-9) {
+            const h = Math.min(this.config.maxStep, remaining);
+            const F = this.jacobian(x => this.transition(x, current, h), this.x);
+            const Q = diagonal(STATES.map(state => this.config.processNoise[state] ** 2 * h));
+            this.x = this.transition(this.x, current, h);
+            this.P = add(multiply(multiply(F, this.P), transpose(F)), Q);
+            remaining -= h;
+        }
+    }
+
+    // Measurement update with the readings that passed the outlier gate
+    correct(measured, current) {
+        const expected = this.observe(this.x, current);
+        const rejected = [];
+        const accepted = Object.keys(measured).filter(name => {
+            const H = this.jacobian(x => [this.observe(x, current)[name]], this.x)[0];
+            const variance = H.reduce((sum, h, i) => sum + h * H.reduce((s, hj, j) => s + this.P[i][j] * hj, 0), 0) +
+                this.config.measurementNoise[name] ** 2;
+            if (Math.abs(measured[name] - expected[name]) > this.config.gate * Math.sqrt(variance)) {
+                rejected.push(name);
+                return false;
+            }
+            return true;
+        });
+
+        const innovations = {};
+        if (accepted.length > 0) {
+            const Hfull = this.jacobian(x => {
+                const y = this.observe(x, current);
+                return accepted.map(name => y[name]);
+            }, this.x);
+            const R = diagonal(accepted.map(name => this.config.measurementNoise[name] ** 2));
+            const S = add(multiply(multiply(Hfull, this.P), transpose(Hfull)), R);
+            const K = multiply(multiply(this.P, transpose(Hfull)), invert(S));
+            const y = accepted.map(name => [measured[name] - expected[name]]);
+            accepted.forEach((name, i) => { innovations[name] = y[i][0]; });
+
+            this.x = add(this.x.map(value => [value]), multiply(K, y)).map(row => row[0]);
+            this.x[3] = Math.max(0, this.x[3]);
+
+            // Joseph form keeps P symmetric and positive definite
+            const IKH = add(identity(STATES.length), multiply(K, Hfull).map(row => row.map(value => -value)));
+            this.P = add(multiply(multiply(IKH, this.P), transpose(IKH)), multiply(multiply(K, R), transpose(K)));
+        }
+
+        return { accepted, rejected, innovations };
+    }
+
+    // ================= MOVING HORIZON =================
+
+    // Re-fit the window start by Gauss-Newton on the readings in the window, the filter's
+    // estimate at the window start acting as arrival cost, and roll the fit forward
+    refitWindow() {
+        const window = this.history;
+        if (window.length < 2) return;
+
+        const { prior, covariance } = window[0];
+        const arrival = this.choleskyUpper(invert(covariance));
+        const rollout = (x0) => {
+            const residuals = arrival.map(row => row.reduce((sum, value, j) => sum + value * (x0[j] - prior[j]), 0));
+            let x = x0;
+            window.forEach((sample, k) => {
+                if (k > 0) {
+                    let remaining = sample.dt;
+                    while (remaining > 1e-9) {
+                        const h = Math.min(this.config.maxStep, remaining);
+                        x = this.transition(x, sample.current, h);
+                        remaining -= h;
+                    }
+                }
+                const y = this.observe(x, sample.current);
+                Object.keys(sample.measured).forEach(name => {
+                    residuals.push((sample.measured[name] - y[name]) / this.config.measurementNoise[name]);
+                });
+            });
+            return { residuals, end: x };
+        };
+
+        let x0 = [...prior];
+        for (let iteration = 0; iteration < 5; iteration++) {
+            const r = rollout(x0).residuals;
+            const J = this.jacobian(x => rollout(x).residuals, x0);
+            const Jt = transpose(J);
+            const step = multiply(invert(add(multiply(Jt, J), diagonal(x0.map(() => 1e-9)))), multiply(Jt, r.map(value => [value])));
+            x0 =x0.map((value, i) => value - step[i][0]);
+            x0[3] = Math.max(0, x0[3]);
+            if (step.every(([value], i) => Math.abs(value) < 1e-6 * Math.max(1, Math.abs(x0[i])))) break;
+        }
+
+        this.x = rollout(x0).end;
+    }
+
+    // Upper-triangular factor U with U'U = A, for weighting the arrival cost
+    choleskyUpper(A) {
+        const n = A.length;
+        const L = Array.from({ length: n }, () => new Array(n).fill(0));
+        for (let i = 0; i < n; i++) {
+            for (let j = 0; j <= i; j++) {
+                let sum = A[i][j];
+                for (let k = 0; k < j; k++) sum -= L[i][k] * L[j][k];
+                L[i][j] = i === j ? Math.sqrt(Math.max(sum, 1e-300)) : sum / L[j][j];
+            }
+        }
+        return transpose(L);
+    }
+
+    // ================= TELEMETRY =================
+
+    // Fuse one telemetry message; returns the new estimate
+    update(data, timestamp = Date.now()) {
+        const measured = this.readMeasurements(data);
+        const current = [data.stackCurrent, data.appliedCurrent].find(Number.isFinite) ?? this.current ?? 0;
+        const dt = this.updatedAt === null ? 0 : (timestamp - this.updatedAt) / 1000;
+
+        if (this.x === null || dt > this.config.maxGap) {
+            if (this.x !== null) this.stats.restarts++;
+            this.history = [];
+            this.initialize(measured, current);
+        } else if (dt > 0) {
+            // The previous current was applied until this sample
+            this.predict(dt, this.current ?? current);
+        }
+
+        const missing = Object.keys(MEASUREMENTS).filter(name => !(name in measured));
+        if (missing.length > 0) this.stats.dropouts++;
+
+        const prior = [...this.x];
+        const covariance = this.P.map(row => [...row]);
+        const { accepted, rejected, innovations } = this.correct(measured, current);
+        this.stats.rejected += rejected.length;
+        this.stats.samples++;
+
+        if (this.config.mode === 'mhe') {
+            this.history.push({
+                prior,
+                covariance,
+                current,
+                dt: this.history.length > 0 ? dt : 0,
+                measured: Object.fromEntries(accepted.map(name => [name, measured[name]]))
+            });
+            if (this.history.length > this.config.window) this.history.shift();
+            this.refitWindow();
+        }
+
+        this.current = current;
+        this.updatedAt = timestamp;
+        this.lastEstimate = this.estimate({ measured, missing, rejected, innovations });
+        return this.lastEstimate;
+    }
+
+    estimate({ measured, missing, rejected, innovations }) {
+        const [temperature, h2ProductionRate, purity, degradationResistance] = this.x;
+        const expected = this.observe(this.x, this.current);
+        const stdDev = Object.fromEntries(STATES.map((state, i) => [state, Math.sqrt(Math.max(0, this.P[i][i]))]));
+
+        return {
+            timestamp: new Date(this.updatedAt).toISOString(),
+            mode: this.config.mode,
+            state: {
+                current: this.current,
+                temperature,
+                h2ProductionRate,
+                o2ProductionRate: h2ProductionRate / 2,
+                production: this.plantModel.productionPercent(h2ProductionRate),
+                voltage: expected.voltage,
+                purity,
+                degradationResistance
+            },
+            stdDev,
+            states: STATES,
+            covariance: this.P.map(row => [...row]),
+            measured,
+            missing,
+            rejected,
+            innovations,
+            stats: { ...this.stats }
+        };
+    }
+
+    getEstimate() {
+        return this.lastEstimate;
+    }
+}
+
+StateEstimator.DEFAULTS = DEFAULT_ESTIMATOR;
+StateEstimator.STATES = STATES;
+StateEstimator.MODES = ['ekf', 'mhe'];
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StateEstimator;
+} else {
+    window.StateEstimator = StateEstimator;
+}
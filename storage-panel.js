@@ -0,0 +1,75 @@
+// H2 and O2 buffer tanks of the selected unit: fill level against the reserve, pressure,
+// net flow and how long the current draw lasts.
+class StoragePanel {
+    constructor() {
+        this.storage = null;
+
+        this.init();
+    }
+
+    init() {
+        const status = window.mqttClient && window.mqttClient.systemData.controlLoop;
+        if (status && status.storage) {
+            this.update(status.storage);
+        } else {
+            this.render();
+        }
+    }
+
+    update(storage) {
+        this.storage = storage;
+        this.render();
+    }
+
+    render() {
+        this.renderTank('o2', 'O₂ (hospital supply)');
+        this.renderTank('h2', 'H₂');
+    }
+
+    renderTank(gas, label) {
+        const element = document.getElementById(`storage-${gas}`);
+        if (!element) return;
+
+        const tank = this.storage && this.storage[gas];
+        if (!tank) {
+            element.className = 'storage-tank';
+            element.textContent = `${label}: no data`;
+            return;
+        }
+
+        const fill = Math.max(0, Math.min(100, tank.fill * 100));
+        const reserve = tank.reserve / tank.capacity * 100;
+        const netFlow = tank.netFlow * 3600; // L/h
+        let outlook = netFlow >= 0 ? `filling at ${netFlow.toFixed(0)} L/h` : `empty in ${this.formatDuration(tank.timeToEmpty)}`;
+        if (tank.belowReserve) {
+            outlook = `below reserve, ${outlook}`;
+        } else if (tank.timeToReserve !== null && tank.reserve > 0) {
+            outlook += `, reserve reached in ${this.formatDuration(tank.timeToReserve)}`;
+        }
+
+        element.className = `storage-tank${tank.belowReserve ? ' below-reserve' : ''}`;
+        element.innerHTML = `
+            <div class="tank-header">
+                <span>${label}</span>
+                <span><strong>${fill.toFixed(0)}%</strong> · ${tank.pressure.toFixed(1)} bar · ${(tank.stored / 1000).toFixed(2)} m³</span>
+            </div>
+            <div class="progress-bar">
+                <div class="progress-fill" style="width: ${fill}%"></div>
+                ${reserve > 0 ? `<div class="tank-reserve" style="left: ${reserve}%" title="Reserve"></div>` : ''}
+            </div>
+            <div class="tank-meta">${outlook}${tank.measuredAt ? '' : ' (estimated from production)'}</div>
+        `;
+    }
+
+    formatDuration(seconds) {
+        if (seconds === null || seconds === undefined) return '—';
+        if (seconds < 3600) return `${Math.round(seconds / 60)} min`;
+        if (seconds < 48 * 3600) return `${(seconds / 3600).toFixed(1)} h`;
+        return `${(seconds / 86400).toFixed(1)} days`;
+    }
+}
+
+// Initialize storage panel when DOM is loaded
+document.addEventListener('DOMContentLoaded', function() {
+    window.storagePanel = new StoragePanel();
+});
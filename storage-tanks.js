@@ -0,0 +1,140 @@
+// H2 and O2 buffer tanks between the stack and its consumers. Contents are kept in
+// normal litres (NL) and follow the ideal gas law at ambient temperature, so pressure
+// and stored volume convert through the tank's water volume.
+const ATMOSPHERIC_PRESSURE = 1.01325; // bar
+
+const DEFAULT_TANKS = {
+    h2: {
+        volume: 100,           // L water volume
+        maxPressure: 30,       // bar, cathode pressure without a compressor
+        reservePressure: 0,    // bar kept back for consumers
+        initialPressure: 15,   // bar assumed at start-up until a pressure is measured
+        demand: 0              // L/s drawn by H2 consumers
+    },
+    o2: {
+        volume: 50,
+        maxPressure: 150,
+        reservePressure: 40,   // hospital reserve the controllers must never draw below
+        initialPressure: 100,
+        demand: null           // L/s; null = the unit's share of the hospital O2 demand feed
+    },
+    reserveHorizon: 1800       // s ahead the O2 reserve is protected
+};
+
+const GASES = ['h2', 'o2'];
+
+class StorageTanks {
+    constructor(config = {}) {
+        this.config = {
+            h2: { ...DEFAULT_TANKS.h2, ...config.h2 },
+            o2: { ...DEFAULT_TANKS.o2, ...config.o2 },
+            reserveHorizon: config.reserveHorizon ?? DEFAULT_TANKS.reserveHorizon
+        };
+
+        this.tanks = Object.fromEntries(GASES.map(gas => [gas, {
+            stored: this.fromPressure(gas, this.config[gas].initialPressure),
+            inflow: 0,      // L/s
+            outflow: 0,     // L/s
+            vented: 0,      // NL released because the tank was full
+            deficit: 0,     // NL demanded while the tank was empty
+            measuredAt: null
+        }]));
+        this.updatedAt = null;
+    }
+
+    fromPressure(gas, pressure) {
+        return this.config[gas].volume * pressure / ATMOSPHERIC_PRESSURE;
+    }
+
+    capacity(gas) {
+        return this.fromPressure(gas, this.config[gas].maxPressure);
+    }
+
+    reserve(gas) {
+        return this.fromPressure(gas, this.config[gas].reservePressure);
+    }
+
+    // Integrate dt seconds of production into and consumption out of each tank (L/s)
+    update(dt, flows = {}) {
+        GASES.forEach(gas => {
+            const tank = this.tanks[gas];
+            tank.inflow = Math.max(0, flows[gas]?.inflow ?? tank.inflow);
+            tank.outflow = Math.max(0, flows[gas]?.outflow ?? tank.outflow);
+
+            tank.stored += (tank.inflow - tank.outflow) * Math.max(0, dt);
+            if (tank.stored > this.capacity(gas)) {
+                tank.vented += tank.stored - this.capacity(gas);
+                tank.stored = this.capacity(gas);
+            } else if (tank.stored < 0) {
+                tank.deficit -= tank.stored;
+                tank.stored = 0;
+            }
+        });
+        this.updatedAt = new Date().toISOString();
+    }
+
+    // A measured tank pressure (bar) replaces the integrated contents
+    measure(gas, pressure) {
+        if (!GASES.includes(gas) || !Number.isFinite(pressure)) return;
+        this.tanks[gas].stored = Math.max(0, Math.min(this.capacity(gas), this.fromPressure(gas, pressure)));
+        this.tanks[gas].measuredAt = new Date().toISOString();
+    }
+
+    status(gas) {
+        const tank = this.tanks[gas];
+        const capacity = this.capacity(gas);
+        const reserve = this.reserve(gas);
+        const netFlow = tank.inflow - tank.outflow;
+
+        return {
+            gas,
+            stored: tank.stored,
+            capacity,
+            reserve,
+            pressure: tank.stored / this.config[gas].volume * ATMOSPHERIC_PRESSURE,
+            fill: tank.stored / capacity,
+            inflow: tank.inflow,
+            outflow: tank.outflow,
+            netFlow,
+            // Seconds at the current net flow; null while the tank is not emptying
+            timeToEmpty: netFlow < 0 ? tank.stored / -netFlow : null,
+            timeToReserve: netFlow < 0 ? Math.max(0, tank.stored - reserve) / -netFlow : null,
+            belowReserve: tank.stored < reserve,
+            vented: tank.vented,
+            deficit: tank.deficit,
+            measuredAt: tank.measuredAt
+        };
+    }
+
+    getStatus() {
+        return {
+            h2: this.status('h2'),
+            o2: this.status('o2'),
+            reserveHorizon: this.config.reserveHorizon,
+            updatedAt: this.updatedAt
+        };
+    }
+
+    // O2 inventory for the HE-MPC economic plan (NL)
+    planStorage() {
+        return { level: this.tanks.o2.stored, reserve: this.reserve('o2'), capacity: this.capacity('o2') };
+    }
+
+    // Lowest O2 production (L/s) that keeps the tank at or above its reserve for the next
+    // reserveHorizon seconds at the current draw; above the draw when refilling a depleted reserve
+    requiredO2Production() {
+        const tank = this.tanks.o2;
+        const margin = tank.stored - this.reserve('o2');
+        return Math.max(0, tank.outflow - margin / this.config.reserveHorizon);
+    }
+}
+
+StorageTanks.DEFAULTS = DEFAULT_TANKS;
+StorageTanks.GASES = GASES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = StorageTanks;
+} else {
+    window.StorageTanks = StorageTanks;
+}
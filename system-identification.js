@@ -0,0 +1,303 @@
+const PEMPlantModel = require('./pem-plant-model');
+
+const DEFAULTS = {
+  forgettingFactor: {        // per submodel; 1 weighs all data equally as in the batch fit
+    thermal: 0.9995,
+    production: 0.9995,
+    electrical: 0.995
+  },
+  sampleTime: 1,             // s, nominal telemetry interval of the discrete production model
+  thermalInterval: 10,       // s between the temperature samples of the thermal model
+  minSamples: 100,           // regressions a submodel needs before its parameters can be approved
+  batchLookback: 6 * 60 * 60 * 1000 // ms of historian telemetry for the batch fit
+};
+
+// Physically plausible range of each identified plant parameter
+const PARAMETER_BOUNDS = {
+  heatCapacity: [1000, 1e6],             // J/K
+  heatTransferCoefficient: [1, 1000],    // W/K
+  productionTimeConstant: [0.05, 120],   // s
+  faradaicEfficiency: [0.8, 1],
+  contactResistance: [0, 1]              // Ω cm²
+};
+
+// Recursive least squares with exponential forgetting. Forgetting stops while the covariance
+// is back at its initial size, so it does not wind up while the input is not exciting.
+class RecursiveLeastSquares {
+  constructor(theta, lambda, initialVariance = 100) {
+    this.theta = [...theta];
+    this.lambda = lambda;
+    this.P = theta.map((value, i) => theta.map((_, j) => (i === j ? initialVariance * Math.max(value * value, 1e-12) : 0)));
+    this.maxTrace = this.P.reduce((sum, row, i) => sum + row[i], 0);
+    this.samples = 0;
+  }
+
+  // Returns the a priori prediction error
+  update(phi, y) {
+    const Pphi = this.P.map(row => row.reduce((sum, value, j) => sum + value * phi[j], 0));
+    const denominator = this.lambda + phi.reduce((sum, value, i) => sum + value * Pphi[i], 0);
+    const gain = Pphi.map(value => value / denominator);
+    const error = y - phi.reduce((sum, value, i) => sum + value * this.theta[i], 0);
+
+    this.theta = this.theta.map((value, i) => value + gain[i] * error);
+    const updated = this.P.map((row, i) => row.map((value, j) => value - gain[i] * Pphi[j]));
+    const trace = updated.reduce((sum, row, i) => sum + row[i], 0);
+    const lambda = trace / this.lambda < this.maxTrace ? this.lambda : 1;
+    this.P = updated.map(row => row.map(value => value / lambda));
+    this.samples++;
+    return error;
+  }
+}
+
+// Identification of the plant model from measured input/output data, one linear-in-parameters
+// submodel per physical subsystem, each fitted by recursive least squares and converted back
+// to PEMPlantModel parameters:
+//   thermal     C dT/dt = Q - hA (T - Tambient), Q from measured voltage and current
+//   production  first-order ARX h2[k+1] = a h2[k] + b kF I[k], a = exp(-Ts/tau), b = (1 - a) eta
+//   electrical  V = V_model(I, T) + cells (I / area) (R_contact - R_contact,model)
+class SystemIdentification {
+  constructor(options = {}) {
+    this.config = {
+      ...DEFAULTS,
+      ...options.config,
+      forgettingFactor: { ...DEFAULTS.forgettingFactor, ...(options.config && options.config.forgettingFactor) }
+    };
+    this.plantModel = options.plantModel || new PEMPlantModel();
+    this.batchResult = null;
+    this.reset();
+  }
+
+  // Start over from the model's current parameters
+  reset() {
+    const p = this.plantModel.parameters;
+    const a = Math.exp(-this.config.sampleTime / p.productionTimeConstant);
+    this.submodels = {
+      thermal: this.submodel('thermal', [1 / p.heatCapacity, p.heatTransferCoefficient / p.heatCapacity]),
+      production: this.submodel('production', [a, (1 - a) * p.faradaicEfficiency]),
+      electrical: this.submodel('electrical', [p.contactResistance])
+    };
+    this.previous = null;
+    this.thermalAnchor = null;
+    this.startedAt = new Date().toISOString();
+  }
+
+  submodel(name, theta) {
+    return {
+      rls: new RecursiveLeastSquares(theta, this.config.forgettingFactor[name]),
+      // Forgetting sums of squares for the fit of the identified and the current model
+      sse: 0,
+      sseCurrent: 0,
+      ssr: 0,  // regression residuals, for the parameter covariance
+      sst: 0,
+      mean: null
+    };
+  }
+
+  // ================= REGRESSORS =================
+
+  // Faradaic H2 production per ampere at 100% efficiency, L/s
+  faradayRate() {
+    return this.plantModel.hydrogenProduction(1) / this.plantModel.parameters.faradaicEfficiency;
+  }
+
+  heatGenerated(sample) {
+    const p = this.plantModel.parameters;
+    return sample.current * (sample.voltage - p.cellCount * this.plantModel.constants.THERMONEUTRAL_VOLTAGE);
+  }
+
+  // Current model parameters in each submodel's regression form
+  currentTheta(name) {
+    const p = this.plantModel.parameters;
+    if (name === 'thermal') return [1 / p.heatCapacity, p.heatTransferCoefficient / p.heatCapacity];
+    if (name === 'production') {
+      const a = Math.exp(-this.config.sampleTime / p.productionTimeConstant);
+      return [a, (1 - a) * p.faradaicEfficiency];
+    }
+    return [p.contactResistance];
+  }
+
+  // Regressions from one telemetry sample by submodel: regressors phi and target y, and the
+  // measured level the fit is judged on, predicted as offset + scale * phi'theta
+  regressions(sample) {
+    const p = this.plantModel.parameters;
+    const result = {};
+    const previous = this.previous;
+    const complete = (s, ...fields) => s && fields.every(field => Number.isFinite(s[field]));
+
+    // Ohmic: voltage residual against the model with its own contact resistance backed out
+    if (complete(sample, 'current', 'voltage', 'temperature') && sample.current > 1) {
+      const x = p.cellCount * sample.current / p.cellArea;
+      const y = sample.voltage - this.plantModel.stackVoltage(sample.current, sample.temperature) + x * p.contactResistance;
+      result.electrical = { phi: [x], y, level: sample.voltage, offset: sample.voltage - y };
+    }
+
+    // Production: consecutive samples one nominal sample time apart
+    if (complete(previous, 'h2ProductionRate', 'current') && complete(sample, 'h2ProductionRate')) {
+      const dt = (sample.t - previous.t) / 1000;
+      if (Math.abs(dt - this.config.sampleTime) <= 0.25 * this.config.sampleTime) {
+        result.production = {
+          phi: [previous.h2ProductionRate, this.faradayRate() * previous.current],
+          y: sample.h2ProductionRate,
+          level: sample.h2ProductionRate,
+          offset: 0
+        };
+      }
+    }
+
+    // Thermal: heat and temperature over thermalInterval, trapezoidal in temperature
+    if (complete(sample, 'temperature', 'current', 'voltage')) {
+      const anchor = this.thermalAnchor;
+      if (!anchor || sample.t - anchor.lastT > 5 * this.config.thermalInterval * 1000) {
+        this.thermalAnchor = { t: sample.t, lastT: sample.t, temperature: sample.temperature, heat: 0, lastHeat: this.heatGenerated(sample) };
+      } else {
+        const step = (sample.t - anchor.lastT) / 1000;
+        anchor.heat += step * anchor.lastHeat;
+        anchor.lastHeat = this.heatGenerated(sample);
+        anchor.lastT = sample.t;
+
+        const dt = (sample.t - anchor.t) / 1000;
+        if (dt >= this.config.thermalInterval) {
+          const middle = (anchor.temperature + sample.temperature) / 2;
+          result.thermal = {
+            phi: [anchor.heat / dt, -(middle - p.ambientTemperature)],
+            y: (sample.temperature - anchor.temperature) / dt,
+            // Fit is judged on the temperature reached, not its noisy derivative
+            level: sample.temperature,
+            offset: anchor.temperature,
+            scale: dt
+          };
+          this.thermalAnchor = { t: sample.t, lastT: sample.t, temperature: sample.temperature, heat: 0, lastHeat: anchor.lastHeat };
+        }
+      }
+    }
+
+    return result;
+  }
+
+  // ================= UPDATES =================
+
+  // Feed one telemetry message; returns the submodels it updated
+  update(data, timestamp = Date.now()) {
+    const sample = {
+      t: timestamp,
+      current: [data.stackCurrent, data.appliedCurrent].find(Number.isFinite),
+      voltage: data.stackVoltage,
+      temperature: data.cellTemperature ?? data.temperature,
+      h2ProductionRate: data.h2ProductionRate
+    };
+
+    const regressions = this.regressions(sample);
+    Object.entries(regressions).forEach(([name, regression]) => {
+      const submodel = this.submodels[name];
+      const predict = (theta) => regression.offset +
+        (regression.scale || 1) * regression.phi.reduce((sum, value, i) => sum + value * theta[i], 0);
+      const currentError = regression.level - predict(this.currentTheta(name));
+      const error = regression.level - predict(submodel.rls.theta);
+      const residual = submodel.rls.update(regression.phi, regression.y);
+
+      // Exponentially weighted sums with the submodel's forgetting factor
+      const lambda = submodel.rls.lambda;
+      submodel.mean = submodel.mean === null ? regression.level : lambda * submodel.mean + (1 - lambda) * regression.level;
+      submodel.sse = lambda * submodel.sse + error * error;
+      submodel.sseCurrent = lambda * submodel.sseCurrent + currentError * currentError;
+      submodel.sst = lambda * submodel.sst + (regression.level - submodel.mean) ** 2;
+      submodel.ssr = lambda * submodel.ssr + residual * residual;
+    });
+
+    this.previous = sample;
+    return Object.keys(regressions);
+  }
+
+  // ================= PARAMETERS =================
+
+  // Plant parameters from a submodel's regression parameters
+  toParameters(name, theta) {
+    if (name === 'thermal') {
+      return { heatCapacity: 1 / theta[0], heatTransferCoefficient: theta[1] / theta[0] };
+    }
+    if (name === 'production') {
+      const [a, b] = theta;
+      return { productionTimeConstant: -this.config.sampleTime / Math.log(a), faradaicEfficiency: b / (1 - a) };
+    }
+    return { contactResistance: theta[0] };
+  }
+
+  // Standard deviations of the plant parameters by the delta method on the RLS covariance
+  parameterStdDev(name, submodel) {
+    const { theta, P, samples, lambda } = submodel.rls;
+    const effectiveSamples = lambda < 1 ? Math.min(samples, 1 / (1 - lambda)) : samples;
+    const noise = samples > theta.length ? submodel.ssr / effectiveSamples : NaN;
+    const base = this.toParameters(name, theta);
+
+    return Object.fromEntries(Object.keys(base).map(key => {
+      const gradient = theta.map((value, i) => {
+        const delta = 1e-6 * Math.max(Math.abs(value), 1e-12);
+        const perturbed = [...theta];
+        perturbed[i] += delta;
+        return (this.toParameters(name, perturbed)[key] - base[key]) / delta;
+      });
+      const variance = gradient.reduce((sum, gi, i) => sum + gi * gradient.reduce((s, gj, j) => s + P[i][j] * gj, 0), 0);
+      return [key, Math.sqrt(Math.max(0, variance * noise))];
+    }));
+  }
+
+  // Identified parameters with fit quality and whether they may be approved
+  report(source = 'online') {
+    const current = this.plantModel.parameters;
+    const submodels = Object.fromEntries(Object.entries(this.submodels).map(([name, submodel]) => {
+      const parameters = this.toParameters(name, submodel.rls.theta);
+      const issues = [];
+      if (submodel.rls.samples < this.config.minSamples) issues.push(`${submodel.rls.samples}/${this.config.minSamples} samples`);
+      Object.entries(parameters).forEach(([key, value]) => {
+        const [low, high] = PARAMETER_BOUNDS[key];
+        if (!(value >= low && value <= high)) issues.push(`${key} outside ${low}-${high}`);
+      });
+      if (submodel.sse > submodel.sseCurrent) issues.push('does not predict better than the current model');
+
+      const fit = (sse) => (submodel.sst > 0 ? 100 * (1 - Math.sqrt(sse / submodel.sst)) : null);
+      return [name, {
+        parameters,
+        current: Object.fromEntries(Object.keys(parameters).map(key => [key, current[key]])),
+        stdDev: this.parameterStdDev(name, submodel),
+        samples: submodel.rls.samples,
+        fit: fit(submodel.sse),            // % one-step-ahead fit of the identified model
+        currentFit: fit(submodel.sseCurrent), // same for the parameters in use
+        approvable: issues.length === 0,
+        issues
+      }];
+    }));
+
+    return {
+      source,
+      createdAt: new Date().toISOString(),
+      since: this.startedAt,
+      submodels,
+      // Parameters that pass every check, ready for approval
+      parameters: Object.assign({}, ...Object.values(submodels).filter(submodel => submodel.approvable).map(submodel => submodel.parameters))
+    };
+  }
+
+  // Batch least squares over historian telemetry (no forgetting)
+  static batch(points, options = {}) {
+    const identification = new SystemIdentification({
+      ...options,
+      config: { ...options.config, forgettingFactor: { thermal: 1, production: 1, electrical: 1 } }
+    });
+    points.forEach(point => identification.update(point.data, Date.parse(point.timestamp)));
+    return { ...identification.report('batch'), samples: points.length, from: points[0] && points[0].timestamp, to: points[points.length - 1] && points[points.length - 1].timestamp };
+  }
+
+  setBatchResult(result) {
+    this.batchResult = result;
+  }
+
+  // Candidate for approval from the online estimator or the last batch fit
+  candidate(source = 'online') {
+    return source === 'batch' ? this.batchResult : this.report('online');
+  }
+}
+
+SystemIdentification.DEFAULTS = DEFAULTS;
+SystemIdentification.PARAMETER_BOUNDS = PARAMETER_BOUNDS;
+
+module.exports = SystemIdentification;
@@ -0,0 +1,284 @@
+// Electricity tariff engine shared by the server control loops, HE-MPC and NeuralMPC:
+// effective-dated tariff versions with seasonal time-of-use schedules, weekday,
+// weekend and public-holiday calendars, energy tiers, demand charges and fuel-cost
+// and forex surcharges.
+const HOUR = 60 * 60 * 1000;
+const DAY_TYPES = ['weekday', 'saturday', 'sunday', 'holiday'];
+const MAX_PRICES = 24 * 400; // pricesBetween entries, about a year of hours
+
+// KPLC commercial time-of-use tariff. Weekends and public holidays have no peak period.
+const DEFAULT_TARIFF = {
+    currency: 'KSh',
+    utcOffset: null,    // minutes east of UTC for the tariff calendar; null = local time
+    // Public holidays: 'MM-DD' every year or 'YYYY-MM-DD' once (Easter and Eid move)
+    holidays: [
+        { date: '01-01', name: "New Year's Day" },
+        { date: '05-01', name: 'Labour Day' },
+        { date: '06-01', name: 'Madaraka Day' },
+        { date: '10-10', name: 'Utamaduni Day' },
+        { date: '10-20', name: 'Mashujaa Day' },
+        { date: '12-12', name: 'Jamhuri Day' },
+        { date: '12-25', name: 'Christmas Day' },
+        { date: '12-26', name: 'Boxing Day' }
+    ],
+    versions: [{
+        name: 'KPLC commercial time-of-use',
+        effectiveFrom: '2023-04-01',
+        defaultPeriod: 'standard',
+        periods: {
+            offPeak: { rate: 8.50, description: 'Off-Peak (Night)' },
+            standard: { rate: 12.50, description: 'Standard' },
+            peak: { rate: 21.68, description: 'Peak (Day)' }
+        },
+        seasons: [{
+            name: 'All year',
+            months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12],
+            // Period -> hours of day; hours not listed use defaultPeriod
+            schedules: {
+                weekday: { offPeak: [0, 1, 2, 3, 4, 5, 22, 23], peak: [10, 11, 12, 13, 14, 15] },
+                weekend: { offPeak: [0, 1, 2, 3, 4, 5, 22, 23] }
+            }
+        }],
+        tiers: [],          // [{ upTo: kWh this billing month or null, adder: KSh/kWh }]
+        demandCharge: null  // { rate: KSh/kVA of monthly maximum demand, periods: [...] }
+    }],
+    // Pass-through charges per kWh, each in effect from its date until the next one
+    surcharges: []          // [{ effectiveFrom, fuel, forex }]
+};
+
+class TariffSchedule {
+    constructor(tariff = DEFAULT_TARIFF) {
+        const errors = TariffSchedule.validate(tariff);
+        if (errors.length > 0) {
+            throw new Error(`Invalid tariff: ${errors.join('; ')}`);
+        }
+
+        this.tariff = tariff;
+        this.currency = tariff.currency || 'KSh';
+        this.utcOffset = tariff.utcOffset ?? null;
+        this.versions = [...tariff.versions].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        this.surcharges = [...(tariff.surcharges || [])].sort((a, b) => a.effectiveFrom.localeCompare(b.effectiveFrom));
+        this.holidays = new Map((tariff.holidays || []).map(holiday => [holiday.date, holiday.name || 'Public holiday']));
+    }
+
+    // Problems with a tariff definition, as messages relative to the tariff root
+    static validate(tariff) {
+        const errors = [];
+        const isDate = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value);
+        const isRate = (value) => typeof value === 'number' && Number.isFinite(value);
+
+        if (!tariff || typeof tariff !== 'object') {
+            return ['must be an object'];
+        }
+        if (tariff.utcOffset !== undefined && tariff.utcOffset !== null &&
+            (!Number.isInteger(tariff.utcOffset) || Math.abs(tariff.utcOffset) > 14 * 60)) {
+            errors.push('utcOffset must be whole minutes between -840 and 840');
+        }
+        (tariff.holidays || []).forEach((holiday, i) => {
+            if (!holiday || !/^(\d{4}-)?\d{2}-\d{2}$/.test(holiday.date)) {
+                errors.push(`holidays[${i}].date must be MM-DD or YYYY-MM-DD`);
+            }
+        });
+        if (!Array.isArray(tariff.versions) || tariff.versions.length === 0) {
+            errors.push('versions must list at least one tariff version');
+            return errors;
+        }
+
+        tariff.versions.forEach((version, v) => {
+            const at = `versions[${v}]`;
+            if (!isDate(version.effectiveFrom)) errors.push(`${at}.effectiveFrom must be YYYY-MM-DD`);
+
+            const periods = version.periods || {};
+            Object.entries(periods).forEach(([name, period]) => {
+                if (!period || !isRate(period.rate)) errors.push(`${at}.periods.${name}.rate must be a number`);
+            });
+            if (!periods[version.defaultPeriod]) {
+                errors.push(`${at}.defaultPeriod must name one of its periods`);
+            }
+
+            if (!Array.isArray(version.seasons) || version.seasons.length === 0) {
+                errors.push(`${at}.seasons must list at least one season`);
+            } else {
+                const covered = version.seasons.flatMap(season => season.months || []);
+                const months = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12].filter(month => covered.filter(m => m === month).length !== 1);
+                if (months.length > 0) {
+                    errors.push(`${at}.seasons must cover every month exactly once (check ${months.join(', ')})`);
+                }
+                version.seasons.forEach((season, s) => {
+                    Object.entries(season.periods || {}).forEach(([name, period]) => {
+                        if (!periods[name]) errors.push(`${at}.seasons[${s}].periods.${name} is not a period of the version`);
+                        if (!period || !isRate(period.rate)) errors.push(`${at}.seasons[${s}].periods.${name}.rate must be a number`);
+                    });
+                    Object.entries(season.schedules || {}).forEach(([dayType, schedule]) => {
+                        if (![...DAY_TYPES, 'weekend'].includes(dayType)) {
+                            errors.push(`${at}.seasons[${s}].schedules.${dayType} is not one of ${[...DAY_TYPES, 'weekend'].join(', ')}`);
+                        }
+                        Object.entries(schedule || {}).forEach(([name, hours]) => {
+                            if (!periods[name]) errors.push(`${at}.seasons[${s}].schedules.${dayType}.${name} is not a period of the version`);
+                            if (!Array.isArray(hours) || hours.some(hour => !Number.isInteger(hour) || hour < 0 || hour > 23)) {
+                                errors.push(`${at}.seasons[${s}].schedules.${dayType}.${name} must list hours 0-23`);
+                            }
+                        });
+                    });
+                    if (!season.schedules || !season.schedules.weekday) {
+                        errors.push(`${at}.seasons[${s}].schedules.weekday is required`);
+                    }
+                });
+            }
+
+            (version.tiers || []).forEach((tier, t) => {
+                const last = t === version.tiers.length - 1;
+                if (!isRate(tier.adder)) errors.push(`${at}.tiers[${t}].adder must be a number`);
+                if (last ? tier.upTo !== null && tier.upTo !== undefined : !(tier.upTo > 0)) {
+                    errors.push(`${at}.tiers[${t}].upTo must be a positive kWh limit, and null on the last tier`);
+                }
+                if (t > 0 && !last && !(tier.upTo > version.tiers[t - 1].upTo)) {
+                    errors.push(`${at}.tiers must have increasing upTo limits`);
+                }
+            });
+
+            if (version.demandCharge) {
+                if (!isRate(version.demandCharge.rate) || version.demandCharge.rate < 0) {
+                    errors.push(`${at}.demandCharge.rate must be a non-negative number`);
+                }
+                (version.demandCharge.periods || []).filter(name => !periods[name]).forEach(name => {
+                    errors.push(`${at}.demandCharge.periods: ${name} is not a period of the version`);
+                });
+            }
+        });
+
+        (tariff.surcharges || []).forEach((surcharge, i) => {
+            if (!isDate(surcharge.effectiveFrom)) errors.push(`surcharges[${i}].effectiveFrom must be YYYY-MM-DD`);
+            ['fuel', 'forex'].forEach(name => {
+                if (surcharge[name] !== undefined && !isRate(surcharge[name])) {
+                    errors.push(`surcharges[${i}].${name} must be a number`);
+                }
+            });
+        });
+        return errors;
+    }
+
+    // Calendar fields of a timestamp in the tariff's time zone
+    calendar(timestamp) {
+        const time = new Date(timestamp);
+        if (Number.isNaN(time.getTime())) {
+            throw new Error(`Invalid tariff timestamp: ${timestamp}`);
+        }
+
+        let year, month, day, weekday, hour;
+        if (this.utcOffset === null) {
+            [year, month, day, weekday, hour] = [time.getFullYear(), time.getMonth() + 1, time.getDate(), time.getDay(), time.getHours()];
+        } else {
+            const shifted = new Date(time.getTime() + this.utcOffset * 60000);
+            [year, month, day, weekday, hour] = [shifted.getUTCFullYear(), shifted.getUTCMonth() + 1, shifted.getUTCDate(), shifted.getUTCDay(), shifted.getUTCHours()];
+        }
+
+        const monthDay = `${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+        return { date: `${year}-${monthDay}`, monthDay, month, weekday, hour };
+    }
+
+    // Latest effective-dated entry not after the date
+    static inEffect(entries, date) {
+        return entries.filter(entry => entry.effectiveFrom <= date).pop() || null;
+    }
+
+    // Price in effect at a time. monthlyEnergy (kWh used so far this billing month) selects the tier.
+    priceAt(timestamp = Date.now(), options = {}) {
+        const { date, monthDay, month, weekday, hour } = this.calendar(timestamp);
+
+        const version = TariffSchedule.inEffect(this.versions, date);
+        if (!version) {
+            throw new Error(`No tariff version in effect on ${date}`);
+        }
+        const season = version.seasons.find(item => item.months.includes(month));
+
+        const holiday = this.holidays.get(date) || this.holidays.get(monthDay) || null;
+        const dayType = holiday ? 'holiday' : weekday === 0 ? 'sunday' : weekday === 6 ? 'saturday' : 'weekday';
+        const schedules = season.schedules;
+        const schedule = schedules[dayType] ||
+            (dayType === 'holiday' ? schedules.sunday : null) ||
+            (dayType !== 'weekday' ? schedules.weekend : null) ||
+            schedules.weekday;
+
+        const period = Object.keys(schedule).find(name => schedule[name].includes(hour)) || version.defaultPeriod;
+        const { rate: energyRate, description } = { ...version.periods[period], ...(season.periods || {})[period] };
+
+        const monthlyEnergy = options.monthlyEnergy || 0;
+        const tier = (version.tiers || []).find(item => item.upTo === null || item.upTo === undefined || monthlyEnergy < item.upTo);
+        const surcharge = TariffSchedule.inEffect(this.surcharges, date) || {};
+        const tierAdder = tier ? tier.adder : 0;
+        const fuel = surcharge.fuel || 0;
+        const forex = surcharge.forex || 0;
+
+        const demandCharge = version.demandCharge;
+        const demandWindow = Boolean(demandCharge && (!demandCharge.periods || demandCharge.periods.includes(period)));
+
+        return {
+            timestamp: new Date(timestamp).toISOString(),
+            version: version.name || version.effectiveFrom,
+            season: season.name || null,
+            dayType,
+            holiday,
+            type: period,
+            description: description || period,
+            energyRate,
+            tierAdder,
+            fuel,
+            forex,
+            rate: Math.round((energyRate + tierAdder + fuel + forex) * 10000) / 10000,   // per kWh
+            demandRate: demandWindow ? demandCharge.rate : 0,                          // per kVA of monthly maximum
+            demandWindow,
+            currency: this.currency
+        };
+    }
+
+    // Price forecast from one time up to (not including) another, one entry per step
+    pricesBetween(from, to, step = HOUR, options = {}) {
+        const start = new Date(from).getTime();
+        const end = new Date(to).getTime();
+        if (!Number.isFinite(start) || !Number.isFinite(end) || !(step > 0)) {
+            throw new Error('pricesBetween needs valid from, to and step');
+        }
+        if ((end - start) / step > MAX_PRICES) {
+            throw new Error(`pricesBetween is limited to ${MAX_PRICES} entries`);
+        }
+
+        const prices = [];
+        for (let time = start; time < end; time += step) {
+            prices.push(this.priceAt(time, options));
+        }
+        return prices;
+    }
+
+    // Price now relative to the mean over the coming hours: +0.5 is 50% dearer than average
+    relativePrice(timestamp = Date.now(), hours = 24) {
+        const time = new Date(timestamp).getTime();
+        const prices = this.pricesBetween(time, time + hours * HOUR);
+        const mean = prices.reduce((sum, price) => sum + price.rate, 0) / prices.length;
+        return mean > 0 ? prices[0].rate / mean - 1 : 0;
+    }
+
+    // Energy charge for kWh used at a time, and demand charge for a monthly maximum demand
+    energyCost(kWh, timestamp = Date.now(), options = {}) {
+        return kWh * this.priceAt(timestamp, options).rate;
+    }
+
+    demandCost(maxDemandKVA, timestamp = Date.now()) {
+        const version = TariffSchedule.inEffect(this.versions, this.calendar(timestamp).date);
+        return version && version.demandCharge ? maxDemandKVA * version.demandCharge.rate : 0;
+    }
+
+    toJSON() {
+        return this.tariff;
+    }
+}
+
+TariffSchedule.DEFAULTS = DEFAULT_TARIFF;
+TariffSchedule.DAY_TYPES = DAY_TYPES;
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = TariffSchedule;
+} else {
+    window.TariffSchedule = TariffSchedule;
+}
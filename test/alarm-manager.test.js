@@ -0,0 +1,100 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const AlarmManager = require('../alarm-manager');
+
+const operator = { username: 'operator', role: 'operator' };
+
+function createManager(t) {
+  t.mock.method(console, 'log', () => {});
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'alarms-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  const events = [];
+  const manager = new AlarmManager({ directory, onEvent: event => events.push(event) });
+  return { manager, events, directory };
+}
+
+test('analog alarms wait for the on-delay and clear only past the deadband', (t) => {
+  const { manager } = createManager(t);
+  const start = Date.now();
+
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start);
+  assert.equal(manager.list().length, 0);
+
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start + 2000);
+  const [alarm] = manager.list();
+  assert.equal(alarm.id, 'unit-1:TEMP_HIGH');
+  assert.equal(alarm.state, 'active');
+
+  // Inside the 1 °C deadband below the 75 °C setpoint
+  manager.handleTelemetry('unit-1', { temperature: 74.5 }, start + 3000);
+  assert.equal(manager.list()[0].state, 'active');
+
+  manager.handleTelemetry('unit-1', { temperature: 73.5 }, start + 4000);
+  assert.equal(manager.list()[0].state, 'cleared');
+});
+
+test('an alarm leaves the list once it is both cleared and acknowledged', (t) => {
+  const { manager, events, directory } = createManager(t);
+  const start = Date.now();
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start - 5000);
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start);
+
+  assert.equal(manager.acknowledge('unit-1:TEMP_HIGH', operator).state, 'acknowledged');
+  assert.throws(() => manager.acknowledge('unit-1:TEMP_HIGH', operator), /not awaiting acknowledgement/);
+
+  manager.handleTelemetry('unit-1', { temperature: 70 }, start + 1000);
+  assert.equal(manager.list().length, 0);
+  assert.deepEqual(events.map(event => event.type), ['raised', 'acknowledged', 'cleared']);
+  assert.equal(fs.readFileSync(path.join(directory, 'history.jsonl'), 'utf8').trim().split('\n').length, 3);
+});
+
+test('a shelved alarm is recorded but not announced until unshelved', (t) => {
+  const { manager, events } = createManager(t);
+  const start = Date.now();
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start - 5000);
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start);
+  manager.shelve('unit-1:TEMP_HIGH', operator, 3600000, 'Sensor under maintenance');
+  assert.throws(() => manager.shelve('unit-1:TEMP_HIGH', operator, 24 * 60 * 60 * 1000), /Shelve duration/);
+
+  manager.handleTelemetry('unit-1', { temperature: 70 }, start + 1000);
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start + 2000);
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start + 5000);
+  assert.deepEqual(events.map(event => event.type), ['raised', 'shelved']);
+
+  // Shelving keeps the alarm from escalating
+  manager.tick(start + 600000);
+  assert.equal(manager.list().find(alarm => alarm.code === 'TEMP_HIGH').escalated, false);
+
+  manager.unshelve('unit-1:TEMP_HIGH', operator);
+  manager.handleTelemetry('unit-1', { temperature: 70 }, start + 6000);
+  assert.deepEqual(events.filter(event => event.alarm.code === 'TEMP_HIGH').map(event => event.type),
+    ['raised', 'shelved', 'unshelved', 'cleared']);
+});
+
+test('unacknowledged alarms escalate one priority once', (t) => {
+  const { manager, events } = createManager(t);
+  const start = Date.now();
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start - 5000);
+  manager.handleTelemetry('unit-1', { temperature: 76 }, start);
+
+  manager.tick(start + 600000);
+  manager.tick(start + 1200000);
+  const alarm = manager.list().find(entry => entry.code === 'TEMP_HIGH');
+  assert.equal(alarm.priority, 'high');
+  assert.equal(events.filter(event => event.type === 'escalated' && event.alarm.code === 'TEMP_HIGH').length, 1);
+});
+
+test('missing telemetry raises a stale data alarm that fresh data clears', (t) => {
+  const { manager } = createManager(t);
+  const start = Date.now();
+  manager.handleTelemetry('unit-1', { temperature: 60 }, start);
+
+  manager.tick(start + 11000);
+  assert.equal(manager.list()[0].code, 'STALE_DATA');
+
+  manager.handleTelemetry('unit-1', { temperature: 60 }, start + 12000);
+  assert.equal(manager.list()[0].state, 'cleared');
+});
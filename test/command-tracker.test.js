@@ -0,0 +1,89 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const CommandTracker = require('../command-tracker');
+
+function createTracker(t, options = {}) {
+  t.mock.timers.enable({ apis: ['setTimeout'] });
+  const published = [];
+  const updates = [];
+  const tracker = new CommandTracker({
+    publish: (topic, payload) => published.push({ topic, payload }) > 0,
+    onUpdate: summary => updates.push(summary),
+    ackTimeout: 1000,
+    maxRetries: 2,
+    ...options
+  });
+  t.after(() => tracker.stop());
+  return { tracker, published, updates };
+}
+
+test('acknowledged commands are applied once', (t) => {
+  const { tracker, published } = createTracker(t);
+  const sent = tracker.send('pem/commands', { type: 'setpoint', value: 50 }, { unit: 'unit-1' });
+
+  const resolved = tracker.handleAck({ commandId: sent.commandId, status: 'applied' }, 'unit-1');
+  assert.equal(resolved.status, 'applied');
+  assert.equal(resolved.final, true);
+
+  t.mock.timers.tick(5000);
+  assert.equal(published.length, 1);
+  assert.equal(tracker.handleAck({ commandId: sent.commandId, status: 'applied' }), null);
+});
+
+test('acknowledgements from another unit are ignored', (t) => {
+  const { tracker } = createTracker(t);
+  const sent = tracker.send('pem/commands', { type: 'setpoint', value: 50 }, { unit: 'unit-1' });
+  assert.equal(tracker.handleAck({ commandId: sent.commandId, status: 'applied' }, 'unit-2'), null);
+  assert.equal(tracker.list()[0].status, 'pending');
+});
+
+test('unanswered commands are retried with the same ID and then time out', (t) => {
+  const { tracker, published } = createTracker(t);
+  const sent = tracker.send('pem/commands', { type: 'setpoint', value: 50 }, { unit: 'unit-1' });
+
+  t.mock.timers.tick(1000);
+  t.mock.timers.tick(1000);
+  assert.deepEqual(published.map(entry => entry.payload.attempt), [1, 2, 3]);
+  assert.ok(published.every(entry => entry.payload.commandId === sent.commandId));
+
+  t.mock.timers.tick(1000);
+  const [summary] = tracker.list();
+  assert.equal(summary.status, 'timed_out');
+  assert.equal(summary.attempts, 3);
+  assert.match(summary.reason, /No acknowledgement after 3 attempts/);
+});
+
+test('a vetoed retry is rejected instead of republished', (t) => {
+  const { tracker, published } = createTracker(t, {
+    canRetry: () => ({ allowed: false, reason: 'unit-1 interlock tripped' })
+  });
+  tracker.send('pem/commands', { type: 'setpoint', value: 50 }, { unit: 'unit-1' });
+
+  t.mock.timers.tick(1000);
+  assert.equal(published.length, 1);
+  const [summary] = tracker.list();
+  assert.equal(summary.status, 'rejected');
+  assert.equal(summary.reason, 'Retry refused: unit-1 interlock tripped');
+});
+
+test('a retry can republish an amended command', (t) => {
+  const { tracker, published } = createTracker(t, {
+    canRetry: summary => ({ allowed: true, command: { ...summary.command, value: 40 } })
+  });
+  tracker.send('pem/commands', { type: 'setpoint', value: 50 }, { unit: 'unit-1' });
+
+  t.mock.timers.tick(1000);
+  assert.deepEqual(published.map(entry => entry.payload.value), [50, 40]);
+});
+
+test('cancel withdraws only the selected pending commands of the unit', (t) => {
+  const { tracker } = createTracker(t);
+  tracker.send('pem/commands', { type: 'setpoint', value: 50 }, { unit: 'unit-1' });
+  tracker.send('pem/commands', { type: 'system_command', command: 'STOP' }, { unit: 'unit-1' });
+  tracker.send('pem/commands', { type: 'setpoint', value: 60 }, { unit: 'unit-2' });
+
+  const cancelled = tracker.cancel('unit-1', summary => summary.type === 'setpoint', 'Interlock tripped');
+  assert.equal(cancelled.length, 1);
+  assert.equal(cancelled[0].status, 'rejected');
+  assert.deepEqual(tracker.list().map(summary => summary.status), ['rejected', 'pending', 'pending']);
+});
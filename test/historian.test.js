@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const Historian = require('../historian');
+
+const HOUR = Date.UTC(2026, 0, 5, 10);
+
+function createHistorian(t) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'historian-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+  return new Historian({ directory });
+}
+
+async function flush(historian) {
+  const stream = historian.stream;
+  historian.close();
+  await once(stream, 'finish');
+}
+
+test('downsampling averages numeric fields per bucket and keeps the latest other values', async (t) => {
+  const historian = createHistorian(t);
+  for (let i = 0; i < 60; i++) {
+    historian.record('stack', { current: i, mode: i < 30 ? 'auto' : 'manual' }, HOUR + i * 1000);
+  }
+  historian.record('other', { current: 1000 }, HOUR + 5000);
+  await flush(historian);
+
+  const points = await historian.query({ topic: 'stack', from: HOUR, to: HOUR + 60000, downsample: 10000 });
+  assert.equal(points.length, 6);
+  assert.deepEqual(points.map(point => point.data.current), [4.5, 14.5, 24.5, 34.5, 44.5, 54.5]);
+  assert.equal(points[2].data.mode, 'auto');
+  assert.equal(points[3].data.mode, 'manual');
+  assert.equal(points[0].timestamp, new Date(HOUR).toISOString());
+});
+
+test('queries span hourly segments and keep the newest points up to the limit', async (t) => {
+  const historian = createHistorian(t);
+  historian.record('stack', { current: 1 }, HOUR - 2000);
+  const first = historian.stream;
+  historian.record('stack', { current: 2 }, HOUR - 1000);
+  historian.record('stack', { current: 3 }, HOUR + 1000);
+  await once(first, 'finish');
+  await flush(historian);
+
+  const all = await historian.query({ topic: 'stack', from: HOUR - 3600000, to: HOUR + 3600000 });
+  assert.deepEqual(all.map(point => point.data.current), [1, 2, 3]);
+
+  const latest = await historian.query({ topic: 'stack', from: HOUR - 3600000, to: HOUR + 3600000, limit: 2 });
+  assert.deepEqual(latest.map(point => point.data.current), [2, 3]);
+});
+
+test('invalid limits and durations are rejected', async (t) => {
+  const historian = createHistorian(t);
+  await assert.rejects(historian.query({ limit: 0 }), /Invalid limit/);
+  await assert.rejects(historian.query({ limit: 2.5 }), /Invalid limit/);
+  await assert.rejects(historian.query({ limit: NaN }), /Invalid limit/);
+  assert.throws(() => Historian.parseDuration('0s'), /Invalid downsample/);
+  assert.throws(() => Historian.parseDuration('5 minutes'), /Invalid downsample/);
+  assert.equal(Historian.parseDuration('5m'), 300000);
+  assert.equal(Historian.parseTime('2026-01-05T10:00:00Z'), HOUR);
+});
+
+test('CSV export quotes values containing separators', () => {
+  const csv = Historian.toCSV([
+    { timestamp: 't1', topic: 'stack', data: { current: 100, note: 'a,"b"' } },
+    { timestamp: 't2', topic: 'stack', data: { voltage: 1.8 } }
+  ]);
+  assert.equal(csv, 'timestamp,topic,current,note,voltage\nt1,stack,100,"a,""b""",\nt2,stack,,,1.8');
+});
@@ -0,0 +1,51 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const NeuralNetwork = require('../neural-network');
+
+const CONFIG = { learningRate: 0.01, epochs: 200, batchSize: 16, patience: 20, minDelta: 1e-6, beta1: 0.9, beta2: 0.999, epsilon: 1e-8 };
+
+// y = 0.5 x1 - 0.3 x2 on a grid of inputs
+function samples(count, offset = 0) {
+  return Array.from({ length: count }, (_, i) => {
+    const x = [((i * 7 + offset) % 11) / 5 - 1, ((i * 3 + offset) % 13) / 6 - 1];
+    return { x, y: [0.5 * x[0] - 0.3 * x[1]] };
+  });
+}
+
+function createModel(ensembleSize = 1) {
+  const model = NeuralNetwork.initialize(2, [8], 1, ['tanh']);
+  model.ensemble = Array.from({ length: ensembleSize - 1 }, () => {
+    const { weights, biases } = NeuralNetwork.initialize(2, [8], 1, ['tanh']);
+    return { weights, biases };
+  });
+  return model;
+}
+
+test('training fits the data and keeps the best validation epoch', async () => {
+  const model = createModel();
+  const network = new NeuralNetwork(model);
+  const validation = samples(20, 5);
+  const initialLoss = network.evaluateLoss(validation);
+
+  const { metrics, history } = await network.train(samples(80), validation, CONFIG);
+  assert.ok(metrics.validationLoss < initialLoss / 10);
+  assert.equal(metrics.validationLoss, history[metrics.bestEpoch].validationLoss);
+  assert.ok(Math.abs(network.evaluateLoss(validation) - metrics.validationLoss) < 1e-12);
+});
+
+test('an ensemble trains every member', async () => {
+  const result = await NeuralNetwork.trainEnsemble(createModel(3), samples(60), samples(20, 5), { ...CONFIG, epochs: 30 });
+  assert.equal(result.model.ensemble.length, 2);
+  assert.equal(result.metrics.ensembleSize, 3);
+  assert.deepEqual([...new Set(result.history.map(entry => entry.member))], [0, 1, 2]);
+});
+
+test('an empty validation or training set is rejected before any member trains', async () => {
+  let progress = 0;
+  const hooks = { onProgress: () => progress++ };
+  await assert.rejects(NeuralNetwork.trainEnsemble(createModel(3), samples(60), [], CONFIG, hooks),
+    /60 training, 0 validation/);
+  await assert.rejects(NeuralNetwork.trainEnsemble(createModel(), [], samples(20), CONFIG, hooks),
+    /0 training, 20 validation/);
+  assert.equal(progress, 0);
+});
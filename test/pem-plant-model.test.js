@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PEMPlantModel = require('../pem-plant-model');
+
+test('hydrogen production follows Faraday\'s law', () => {
+  const model = new PEMPlantModel();
+  const p = model.parameters;
+  const expected = (150 * p.cellCount * p.faradaicEfficiency / (2 * model.constants.FARADAY)) * model.constants.MOLAR_VOLUME;
+  assert.ok(Math.abs(model.hydrogenProduction(150) - expected) < 1e-9);
+  assert.equal(model.oxygenProduction(150), model.hydrogenProduction(150) / 2);
+  assert.equal(model.productionPercent(model.hydrogenProduction(p.ratedCurrent)), 100);
+});
+
+test('stack voltage rises with current and falls with temperature', () => {
+  const model = new PEMPlantModel();
+  assert.ok(model.stackVoltage(150, 65) > model.stackVoltage(50, 65));
+  assert.ok(model.stackVoltage(150, 80) < model.stackVoltage(150, 50));
+  assert.ok(model.stackVoltage(150, 65) / model.parameters.cellCount > 1.48);
+});
+
+test('degradation resistance adds an ohmic loss', () => {
+  const fresh = new PEMPlantModel();
+  const aged = new PEMPlantModel({ degradationResistance: 0.1 });
+  const p = fresh.parameters;
+  const added = aged.stackVoltage(100, 65) - fresh.stackVoltage(100, 65);
+  assert.ok(Math.abs(added - p.cellCount * 0.1 * 100 / p.cellArea) < 1e-9);
+});
+
+test('production responds with the configured first-order time constant', () => {
+  const model = new PEMPlantModel();
+  const start = model.steadyState(50);
+  const after = model.step(start, 150, model.parameters.productionTimeConstant);
+  const target = model.hydrogenProduction(150);
+  const fraction = (after.h2ProductionRate - start.h2ProductionRate) / (target - start.h2ProductionRate);
+  assert.ok(Math.abs(fraction - (1 - Math.exp(-1))) < 1e-9);
+});
+
+test('steady state is a fixed point of the thermal balance', () => {
+  const model = new PEMPlantModel();
+  const steady = model.steadyState(150);
+  const next = model.step(steady, 150, 10);
+  assert.ok(Math.abs(next.temperature - steady.temperature) < 1e-3);
+  assert.ok(Math.abs(next.h2ProductionRate - steady.h2ProductionRate) < 1e-12);
+});
+
+test('predict accepts a control sequence or a constant control', () => {
+  const model = new PEMPlantModel();
+  const state = model.steadyState(100);
+  assert.equal(model.predict(state, [100, 120, 140], 1).length, 3);
+  const constant = model.predict(state, 120, 1, 4);
+  assert.equal(constant.length, 4);
+  assert.ok(constant.every(x => x.current === 120));
+});
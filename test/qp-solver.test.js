@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const QPSolver = require('../qp-solver');
+
+// minimize 2x1² + x2² + x1x2 + x1 + x2   subject to   x1 + x2 = 1,  0 <= x1, x2 <= 0.7
+const problem = {
+  P: [[4, 1], [1, 2]],
+  q: [1, 1],
+  A: [[1, 1], [1, 0], [0, 1]],
+  l: [1, 0, 0],
+  u: [1, 0.7, 0.7]
+};
+
+const multiply = (matrix, vector) => matrix.map(row => row.reduce((sum, value, j) => sum + value * vector[j], 0));
+
+test('solution satisfies the KKT conditions', () => {
+  const { x, y, status } = new QPSolver({ epsAbs: 1e-6, epsRel: 1e-6 }).solve(problem);
+  assert.equal(status, 'solved');
+
+  // Stationarity: Px + q + A'y = 0
+  const Px = multiply(problem.P, x);
+  const Aty = x.map((_, j) => problem.A.reduce((sum, row, i) => sum + row[j] * y[i], 0));
+  Px.forEach((value, j) => assert.ok(Math.abs(value + problem.q[j] + Aty[j]) < 1e-4));
+
+  // Primal feasibility and complementary slackness
+  multiply(problem.A, x).forEach((value, i) => {
+    assert.ok(value >= problem.l[i] - 1e-4 && value <= problem.u[i] + 1e-4);
+    if (y[i] > 1e-4) assert.ok(Math.abs(value - problem.u[i]) < 1e-4);
+    if (y[i] < -1e-4) assert.ok(Math.abs(value - problem.l[i]) < 1e-4);
+  });
+
+  assert.ok(Math.abs(x[0] - 0.3) < 1e-3);
+  assert.ok(Math.abs(x[1] - 0.7) < 1e-3);
+});
+
+test('warm start from the solution converges at the first check', () => {
+  const solver = new QPSolver();
+  const cold = solver.solve(problem);
+  const warm = solver.solve({ ...problem, warmStart: { x: cold.x, y: cold.y } });
+  assert.equal(warm.status, 'solved');
+  assert.ok(warm.iterations <= solver.options.checkInterval);
+  assert.ok(warm.iterations < cold.iterations);
+});
+
+test('iteration limit is reported without convergence', () => {
+  const result = new QPSolver({ maxIterations: 3 }).solve(problem);
+  assert.equal(result.status, 'max_iterations');
+  assert.equal(result.converged, false);
+});
+
+test('indefinite P is reported as non-convex', () => {
+  const result = new QPSolver().solve({ P: [[-1, 0], [0, 1]], q: [0, 0], A: [[0, 1]], l: [0], u: [1] });
+  assert.equal(result.status, 'non_convex');
+});
@@ -0,0 +1,56 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SafetyInterlock = require('../safety-interlock');
+
+function createInterlock(t) {
+  ['log', 'warn', 'error'].forEach(method => t.mock.method(console, method, () => {}));
+  const trips = [];
+  const interlock = new SafetyInterlock({ onTrip: (unit, command) => trips.push({ unit, command }) });
+  return { interlock, trips };
+}
+
+test('an over-temperature trip latches until the condition clears and an operator resets it', (t) => {
+  const { interlock, trips } = createInterlock(t);
+  interlock.handleTelemetry('unit-1', { temperature: 82, voltage: 40, purity: 99.5 });
+
+  assert.equal(interlock.isTripped('unit-1'), true);
+  assert.equal(trips.length, 1);
+  assert.equal(trips[0].command.command, 'EMERGENCY_STOP');
+
+  // Further telemetry beyond the limit does not trip again
+  interlock.handleTelemetry('unit-1', { temperature: 83 });
+  assert.equal(trips.length, 1);
+
+  assert.match(interlock.reset('unit-1').reason, /Trip condition still present/);
+  assert.equal(interlock.isTripped('unit-1'), true);
+
+  // Latched even after the temperature falls back
+  interlock.handleTelemetry('unit-1', { temperature: 70 });
+  assert.equal(interlock.isTripped('unit-1'), true);
+  assert.equal(interlock.check('unit-1', { type: 'current_setpoint', current: 150 }).action, 'reject');
+
+  assert.deepEqual(interlock.reset('unit-1'), { reset: true });
+  assert.equal(interlock.isTripped('unit-1'), false);
+  assert.equal(interlock.check('unit-1', { type: 'current_setpoint', current: 150 }).action, 'allow');
+  assert.equal(interlock.reset('unit-1').reason, 'Interlock is not tripped');
+});
+
+test('stop commands pass while tripped and other units are unaffected', (t) => {
+  const { interlock } = createInterlock(t);
+  interlock.trip('unit-1', 'Manual trip');
+
+  assert.equal(interlock.check('unit-1', { type: 'system_command', command: 'STOP' }).action, 'allow');
+  assert.equal(interlock.check('unit-1', { type: 'system_command', command: 'START' }).action, 'reject');
+  assert.equal(interlock.check('unit-2', { type: 'system_command', command: 'START' }).action, 'allow');
+});
+
+test('current setpoints are clamped to the derated limit', (t) => {
+  const { interlock } = createInterlock(t);
+  interlock.handleTelemetry('unit-1', { temperature: 76 });
+
+  const result = interlock.check('unit-1', { type: 'current_setpoint', current: 190 });
+  assert.equal(result.action, 'clamp');
+  assert.equal(result.command.current, 150);
+  assert.deepEqual(result.clamped, { field: 'current', requested: 190, allowed: 150 });
+  assert.equal(interlock.check('unit-1', { type: 'current_setpoint', current: 'high' }).action, 'reject');
+});
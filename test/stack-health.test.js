@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StackHealth = require('../stack-health');
+const PEMPlantModel = require('../pem-plant-model');
+
+const HOUR = 60 * 60 * 1000;
+const NOW = Date.UTC(2026, 9, 1);
+const plant = new PEMPlantModel();
+
+// Twenty days of 10-minute samples over a range of currents and temperatures, with the
+// stack voltage drifting up by `drift` V/h and jumping by `step` V halfway through
+function samples({ drift = 0.0005, step = 0 } = {}) {
+  const result = [];
+  for (let t = NOW - 480 * HOUR; t < NOW; t += 10 * 60 * 1000) {
+    const k = result.length;
+    const current = 150 + 50 * Math.sin(k / 7);
+    const temperature = 65 + 3 * Math.sin(k / 11);
+    const voltage = plant.stackVoltage(current, temperature) + drift * (t - NOW + 480 * HOUR) / HOUR +
+      (t > NOW - 240 * HOUR ? step : 0) + 0.01 * Math.sin(k * 1.3);
+    result.push({ t, current, temperature, voltage });
+  }
+  return result;
+}
+
+test('voltage drift and remaining life are recovered from the history', () => {
+  const report = new StackHealth().analyse(samples(), NOW);
+  assert.equal(report.status, 'degrading');
+  assert.equal(report.polarization.shape, 'fitted');
+  assert.ok(Math.abs(report.driftMicrovoltsPerHour - 500) < 10);
+  assert.deepEqual(report.steps, []);
+
+  const expected = plant.stackVoltage(150, 65) + 0.0005 * 480;
+  assert.ok(Math.abs(report.referenceVoltage - expected) < 0.01);
+  assert.ok(Math.abs(report.remainingLife.hours - (report.eolVoltage - expected) / 0.0005) < 200);
+  assert.ok(report.remainingLife.range[0] <= report.remainingLife.hours);
+});
+
+test('a voltage step is reported and the drift fitted after it', () => {
+  const report = new StackHealth().analyse(samples({ step: 1 }), NOW);
+  assert.equal(report.steps.length, 1);
+  assert.equal(report.steps[0].kind, 'loss');
+  assert.ok(Math.abs(report.steps[0].size - 1) < 0.1);
+  assert.ok(Math.abs(report.driftMicrovoltsPerHour - 500) < 50);
+});
+
+test('fast drift asks for replacement planning and little data is reported as such', () => {
+  const health = new StackHealth();
+  assert.equal(health.analyse(samples({ drift: 0.003 }), NOW).status, 'plan-replacement');
+  assert.equal(health.analyse(samples().slice(0, 5), NOW).status, 'insufficient-data');
+});
+
+test('reports are cached and concurrent refreshes share one analysis', async () => {
+  let queries = 0;
+  const historian = {
+    query: async () => {
+      queries++;
+      return samples().map(sample => ({
+        timestamp: new Date(sample.t).toISOString(),
+        data: { stackCurrent: sample.current, stackVoltage: sample.voltage, cellTemperature: sample.temperature }
+      }));
+    }
+  };
+  const health = new StackHealth({ historian });
+
+  const [first, second] = await Promise.all([
+    health.report('unit-1', 'pem/data', { refresh: true }),
+    health.report('unit-1', 'pem/data', { refresh: true })
+  ]);
+  assert.equal(queries, 1);
+  assert.equal(first, second);
+  assert.equal(first.unit, 'unit-1');
+
+  assert.equal(await health.report('unit-1', 'pem/data'), first);
+  assert.equal(queries, 1);
+});
@@ -0,0 +1,85 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StateEstimator = require('../state-estimator');
+const PEMPlantModel = require('../pem-plant-model');
+
+// Deterministic zero-mean noise in [-1, 1]
+function noise(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 1103515245 + 12345) % 2147483648;
+    return state / 1073741824 - 1;
+  };
+}
+
+// Telemetry from a degraded stack running at a constant current, one sample per second
+function telemetry(count, { current = 150, degradationResistance = 0.05, seed = 1 } = {}) {
+  const plant = new PEMPlantModel({ degradationResistance });
+  const random = noise(seed);
+  let state = { ...plant.steadyState(100), current: 100 };
+  return Array.from({ length: count }, (_, i) => {
+    state = plant.step(state, current, 1);
+    return {
+      timestamp: 1000 * (i + 1),
+      data: {
+        stackCurrent: current,
+        cellTemperature: state.temperature + 0.3 * random(),
+        h2ProductionRate: state.h2ProductionRate + 0.003 * random(),
+        stackVoltage: plant.stackVoltage(current, state.temperature) + 0.1 * random(),
+        o2Purity: state.purity + 0.03 * random()
+      },
+      truth: state
+    };
+  });
+}
+
+test('the filter tracks the plant and observes degradation through the voltage', () => {
+  const estimator = new StateEstimator();
+  const samples = telemetry(300);
+  samples.forEach(sample => estimator.update(sample.data, sample.timestamp));
+
+  const { state, stdDev } = estimator.getEstimate();
+  const truth = samples[samples.length - 1].truth;
+  assert.ok(Math.abs(state.temperature - truth.temperature) < 0.5);
+  assert.ok(Math.abs(state.h2ProductionRate - truth.h2ProductionRate) < 0.005);
+  assert.ok(Math.abs(state.degradationResistance - 0.05) < 0.01);
+  assert.ok(stdDev.degradationResistance < 0.05);
+});
+
+test('outliers are rejected and missing sensors counted as dropouts', () => {
+  const estimator = new StateEstimator();
+  const samples = telemetry(30);
+  samples.forEach(sample => estimator.update(sample.data, sample.timestamp));
+  const before = estimator.getEstimate().state.temperature;
+
+  const spike = estimator.update({ ...samples[29].data, cellTemperature: 200 }, 31000);
+  assert.deepEqual(spike.rejected, ['temperature']);
+  assert.ok(Math.abs(spike.state.temperature - before) < 1);
+
+  const gappy = estimator.update({ stackCurrent: 150, stackVoltage: samples[29].data.stackVoltage }, 32000);
+  assert.deepEqual(gappy.missing, ['temperature', 'h2ProductionRate', 'purity']);
+  assert.equal(gappy.stats.dropouts, 1);
+  assert.equal(gappy.stats.rejected, 1);
+});
+
+test('a long telemetry gap restarts the filter', () => {
+  const estimator = new StateEstimator({ maxGap: 60 });
+  const samples = telemetry(5);
+  samples.forEach(sample => estimator.update(sample.data, sample.timestamp));
+
+  const restarted = estimator.update(samples[4].data, samples[4].timestamp + 120000);
+  assert.equal(restarted.stats.restarts, 1);
+  assert.ok(Math.abs(restarted.state.temperature - samples[4].data.cellTemperature) < 0.01);
+});
+
+test('the moving-horizon mode tracks the plant', () => {
+  const samples = telemetry(60, { seed: 7 });
+  const mhe = new StateEstimator({ mode: 'mhe', window: 10 });
+  samples.forEach(sample => mhe.update(sample.data, sample.timestamp));
+
+  const truth = samples[samples.length - 1].truth;
+  const mheEstimate = mhe.getEstimate();
+  assert.equal(mheEstimate.mode, 'mhe');
+  assert.ok(Math.abs(mheEstimate.state.temperature - truth.temperature) < 0.5);
+  assert.ok(Math.abs(mheEstimate.state.h2ProductionRate - truth.h2ProductionRate) < 0.005);
+});
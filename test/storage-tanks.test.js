@@ -0,0 +1,66 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const StorageTanks = require('../storage-tanks');
+
+const close = (actual, expected, tolerance = 1e-9) =>
+  assert.ok(Math.abs(actual - expected) < tolerance, `${actual} is not within ${tolerance} of ${expected}`);
+
+test('contents follow the ideal gas law through the tank volume', () => {
+  const tanks = new StorageTanks({ o2: { volume: 50, initialPressure: 100 } });
+  const status = tanks.status('o2');
+  close(status.stored, 50 * 100 / 1.01325);
+  close(status.pressure, 100);
+  close(status.fill, 100 / 150);
+});
+
+test('integration vents above capacity and records a deficit when empty', () => {
+  const tanks = new StorageTanks({ h2: { volume: 10, maxPressure: 10, initialPressure: 9 } });
+  const capacity = tanks.capacity('h2');
+  const start = tanks.status('h2').stored;
+
+  tanks.update(10, { h2: { inflow: 20, outflow: 0 } });
+  close(tanks.status('h2').stored, capacity);
+  close(tanks.status('h2').vented, start + 200 - capacity);
+
+  tanks.update(100, { h2: { inflow: 0, outflow: 5 } });
+  assert.equal(tanks.status('h2').stored, 0);
+  close(tanks.status('h2').deficit, 500 - capacity);
+});
+
+test('flows persist between updates that omit them', () => {
+  const tanks = new StorageTanks();
+  const start = tanks.status('o2').stored;
+  tanks.update(10, { o2: { inflow: 2, outflow: 1 } });
+  tanks.update(10);
+  close(tanks.status('o2').stored, start + 20);
+});
+
+test('time to reserve counts down at the net draw', () => {
+  const tanks = new StorageTanks({ o2: { volume: 50, initialPressure: 100, reservePressure: 40 } });
+  tanks.update(0, { o2: { inflow: 1, outflow: 3 } });
+  const status = tanks.status('o2');
+  close(status.timeToReserve, (status.stored - status.reserve) / 2);
+  close(status.timeToEmpty, status.stored / 2);
+  assert.equal(status.belowReserve, false);
+});
+
+test('a measured pressure replaces the integrated contents within capacity', () => {
+  const tanks = new StorageTanks();
+  tanks.measure('o2', 120);
+  close(tanks.status('o2').pressure, 120);
+  tanks.measure('o2', 500);
+  close(tanks.status('o2').stored, tanks.capacity('o2'));
+  tanks.measure('o2', NaN);
+  close(tanks.status('o2').stored, tanks.capacity('o2'));
+});
+
+test('required O2 production refills a depleted reserve within the horizon', () => {
+  const tanks = new StorageTanks({ o2: { volume: 50, reservePressure: 40, initialPressure: 100 }, reserveHorizon: 1000 });
+  tanks.update(0, { o2: { outflow: 2 } });
+  assert.equal(tanks.requiredO2Production(), 0);
+
+  tanks.measure('o2', 30);
+  const shortfall = tanks.reserve('o2') - tanks.status('o2').stored;
+  close(tanks.requiredO2Production(), 2 + shortfall / 1000);
+  assert.equal(tanks.status('o2').belowReserve, true);
+});
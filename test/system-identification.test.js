@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const SystemIdentification = require('../system-identification');
+const PEMPlantModel = require('../pem-plant-model');
+
+const TRUTH = { heatCapacity: 30000, heatTransferCoefficient: 45, productionTimeConstant: 3, faradaicEfficiency: 0.96, contactResistance: 0.08 };
+
+// Telemetry from a plant whose parameters differ from the model defaults, driven by a
+// square wave plus a faster sine in current so every submodel is excited
+function telemetry(count, { interval = 1 } = {}) {
+  const plant = new PEMPlantModel(TRUTH);
+  let state = plant.steadyState(120);
+  return Array.from({ length: count }, (_, k) => {
+    const current = 120 + 60 * Math.sign(Math.sin(k / 37)) + 20 * Math.sin(k / 5);
+    const sample = {
+      t: Date.UTC(2026, 9, 1) + k * interval * 1000,
+      data: {
+        stackCurrent: current,
+        stackVoltage: plant.stackVoltage(current, state.temperature),
+        cellTemperature: state.temperature,
+        h2ProductionRate: state.h2ProductionRate
+      }
+    };
+    state = plant.step(state, current, interval);
+    return sample;
+  });
+}
+
+const within = (actual, expected, fraction) =>
+  assert.ok(Math.abs(actual - expected) <= fraction * Math.abs(expected), `${actual} is not within ${fraction * 100}% of ${expected}`);
+
+test('online identification recovers the plant parameters and beats the current model', () => {
+  const identification = new SystemIdentification();
+  telemetry(3000).forEach(sample => identification.update(sample.data, sample.t));
+
+  const report = identification.report();
+  within(report.parameters.contactResistance, TRUTH.contactResistance, 0.01);
+  within(report.parameters.productionTimeConstant, TRUTH.productionTimeConstant, 0.05);
+  within(report.parameters.faradaicEfficiency, TRUTH.faradaicEfficiency, 0.01);
+  within(report.parameters.heatCapacity, TRUTH.heatCapacity, 0.1);
+  within(report.parameters.heatTransferCoefficient, TRUTH.heatTransferCoefficient, 0.1);
+
+  Object.values(report.submodels).forEach(submodel => {
+    assert.deepEqual(submodel.issues, []);
+    assert.ok(submodel.fit > submodel.currentFit);
+  });
+});
+
+test('the batch fit over historian points recovers the same parameters', () => {
+  const points = telemetry(3000).map(sample => ({ timestamp: new Date(sample.t).toISOString(), data: sample.data }));
+  const batch = SystemIdentification.batch(points);
+
+  assert.equal(batch.source, 'batch');
+  assert.equal(batch.samples, 3000);
+  assert.equal(batch.from, points[0].timestamp);
+  within(batch.parameters.productionTimeConstant, TRUTH.productionTimeConstant, 0.05);
+  within(batch.parameters.contactResistance, TRUTH.contactResistance, 0.01);
+});
+
+test('too few samples keep a submodel from being approved', () => {
+  const identification = new SystemIdentification();
+  telemetry(50).forEach(sample => identification.update(sample.data, sample.t));
+
+  const { submodels, parameters } = identification.report();
+  assert.equal(submodels.electrical.approvable, false);
+  assert.ok(submodels.electrical.issues.includes('50/100 samples'));
+  assert.deepEqual(parameters, {});
+});
+
+test('the production model only learns from samples one sample time apart', () => {
+  const identification = new SystemIdentification();
+  const updated = telemetry(3, { interval: 5 }).map(sample => identification.update(sample.data, sample.t));
+  assert.ok(updated.every(names => !names.includes('production')));
+  assert.ok(updated.every(names => names.includes('electrical')));
+});
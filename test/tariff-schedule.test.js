@@ -0,0 +1,110 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const TariffSchedule = require('../tariff-schedule');
+
+// Local time in East Africa Time (UTC+3)
+const at = (date, hour) => Date.parse(`${date}T${String(hour).padStart(2, '0')}:30:00+03:00`);
+
+const seasonal = {
+  currency: 'KSh',
+  utcOffset: 180,
+  holidays: [{ date: '10-20', name: 'Mashujaa Day' }, { date: '2026-04-03', name: 'Good Friday' }],
+  versions: [{
+    name: 'Seasonal',
+    effectiveFrom: '2026-01-01',
+    defaultPeriod: 'standard',
+    periods: { offPeak: { rate: 8 }, standard: { rate: 12 }, peak: { rate: 20 } },
+    seasons: [
+      {
+        name: 'Dry',
+        months: [1, 2, 3, 10, 11, 12],
+        periods: { peak: { rate: 24 } },
+        schedules: {
+          weekday: { offPeak: [0, 1, 2, 3, 4, 5], peak: [18, 19, 20] },
+          sunday: { offPeak: [0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18, 19, 20, 21, 22, 23] },
+          weekend: { offPeak: [0, 1, 2, 3, 4, 5] }
+        }
+      },
+      {
+        name: 'Wet',
+        months: [4, 5, 6, 7, 8, 9],
+        schedules: { weekday: { offPeak: [0, 1, 2, 3, 4, 5], peak: [18, 19] } }
+      }
+    ],
+    tiers: [{ upTo: 1000, adder: 0 }, { upTo: null, adder: 1.5 }]
+  }, {
+    name: 'Earlier',
+    effectiveFrom: '2025-01-01',
+    defaultPeriod: 'standard',
+    periods: { standard: { rate: 10 } },
+    seasons: [{ months: [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12], schedules: { weekday: {} } }]
+  }],
+  surcharges: [{ effectiveFrom: '2026-10-01', fuel: 3.2, forex: 0.8 }]
+};
+
+test('season selects the schedule and overrides the period rate', () => {
+  const tariff = new TariffSchedule(seasonal);
+  const dry = tariff.priceAt(at('2026-10-21', 19));
+  assert.equal(dry.season, 'Dry');
+  assert.equal(dry.type, 'peak');
+  assert.equal(dry.energyRate, 24);
+
+  const wet = tariff.priceAt(at('2026-07-15', 19));
+  assert.equal(wet.season, 'Wet');
+  assert.equal(wet.energyRate, 20);
+  assert.equal(tariff.priceAt(at('2026-07-15', 20)).type, 'standard');
+});
+
+test('public holidays use the Sunday schedule, fixed and one-off dates alike', () => {
+  const tariff = new TariffSchedule(seasonal);
+  const mashujaa = tariff.priceAt(at('2026-10-20', 19));
+  assert.equal(mashujaa.dayType, 'holiday');
+  assert.equal(mashujaa.holiday, 'Mashujaa Day');
+  assert.equal(mashujaa.type, 'offPeak');
+
+  assert.equal(tariff.priceAt(at('2026-04-03', 19)).holiday, 'Good Friday');
+  assert.equal(tariff.priceAt(at('2027-04-03', 19)).holiday, null);
+});
+
+test('Saturdays fall back to the weekend schedule and weekdays to the weekday one', () => {
+  const tariff = new TariffSchedule(seasonal);
+  const saturday = tariff.priceAt(at('2026-10-24', 19));
+  assert.equal(saturday.dayType, 'saturday');
+  assert.equal(saturday.type, 'standard');
+  assert.equal(tariff.priceAt(at('2026-10-24', 3)).type, 'offPeak');
+  assert.equal(tariff.priceAt(at('2026-10-25', 19)).dayType, 'sunday');
+  assert.equal(tariff.priceAt(at('2026-10-19', 12)).dayType, 'weekday');
+});
+
+test('the calendar follows the tariff UTC offset across midnight', () => {
+  const tariff = new TariffSchedule(seasonal);
+  // 21:30 UTC on the 19th is 00:30 on Mashujaa Day in Nairobi
+  const price = tariff.priceAt(Date.parse('2026-10-19T21:30:00Z'));
+  assert.equal(price.holiday, 'Mashujaa Day');
+  assert.equal(price.type, 'offPeak');
+});
+
+test('versions, tiers and surcharges combine into the rate', () => {
+  const tariff = new TariffSchedule(seasonal);
+  assert.equal(tariff.priceAt(at('2025-06-02', 19)).version, 'Earlier');
+  assert.throws(() => tariff.priceAt(at('2024-06-03', 19)), /No tariff version in effect/);
+
+  const price = tariff.priceAt(at('2026-10-21', 12), { monthlyEnergy: 1500 });
+  assert.equal(price.tierAdder, 1.5);
+  assert.equal(price.rate, 12 + 1.5 + 3.2 + 0.8);
+  assert.equal(tariff.priceAt(at('2026-09-21', 12)).rate, 12);
+  assert.equal(tariff.energyCost(10, at('2026-10-21', 12)), 10 * (12 + 3.2 + 0.8));
+});
+
+test('the default KPLC tariff has no peak at weekends', () => {
+  const tariff = new TariffSchedule({ ...TariffSchedule.DEFAULTS, utcOffset: 180 });
+  assert.equal(tariff.priceAt(at('2026-10-21', 12)).type, 'peak');
+  assert.equal(tariff.priceAt(at('2026-10-24', 12)).type, 'standard');
+  assert.equal(tariff.priceAt(at('2026-12-25', 12)).type, 'standard');
+});
+
+test('invalid tariffs are rejected with the offending path', () => {
+  const broken = { ...seasonal, versions: [{ ...seasonal.versions[0], seasons: [seasonal.versions[0].seasons[0]] }] };
+  assert.throws(() => new TariffSchedule(broken), /seasons must cover every month exactly once \(check 4, 5, 6, 7, 8, 9\)/);
+  assert.throws(() => new TariffSchedule({ ...seasonal, utcOffset: 1000 }), /utcOffset/);
+});